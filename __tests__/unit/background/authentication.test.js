@@ -0,0 +1,153 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for qBittorrent session handling in the API client
+ * Tests re-login after a rejected session, IP ban and wrong credential cooldowns and shared logins
+ */
+
+const SERVER = { id: 'nas', name: 'NAS', url: 'http://nas.local:8080', username: 'admin', password: 'secret' };
+const LOGIN_URL = `${SERVER.url}/api/v2/auth/login`;
+const VERSION_URL = `${SERVER.url}/api/v2/app/version`;
+
+const response = (status, body = '') => ({
+    ok: status >= 200 && status < 300,
+    status,
+    text: () => Promise.resolve(body)
+});
+
+// jsdom has no AbortSignal.timeout, which the logout uses
+AbortSignal.timeout = AbortSignal.timeout || (() => new AbortController().signal);
+
+describe('Authentication', () => {
+    let makeAuthenticatedRequest;
+    let loginResponses;
+    let versionResponses;
+
+    const callsTo = url => fetch.mock.calls.filter(([calledUrl]) => calledUrl === url).length;
+
+    beforeEach(() => {
+        // Request timeouts need working timers; the shared setup's setTimeout stub calls itself
+        jest.useFakeTimers({ doNotFake: ['queueMicrotask', 'nextTick'] });
+        global.chrome = {
+            storage: {
+                sync: {
+                    get: jest.fn(() => Promise.resolve({}))
+                }
+            }
+        };
+        global.StorageManager = {
+            getAdvancedSettings: jest.fn(() => Promise.resolve({ connectionTimeout: 30, retryAttempts: 0 }))
+        };
+        global.ServerProfileManager = {
+            getProfile: jest.fn(() => Promise.resolve(SERVER)),
+            getBaseUrl: server => server.url
+        };
+        window.ErrorHandler = { RETRY_POLICIES: {}, handle: jest.fn() };
+
+        // Each endpoint answers from its own queue, repeating the last answer
+        loginResponses = [response(200, 'Ok.')];
+        versionResponses = [response(200, 'v5.0.0')];
+        const next = queue => (queue.length > 1 ? queue.shift() : queue[0]);
+        global.fetch = jest.fn(url => Promise.resolve(url === LOGIN_URL ? next(loginResponses) : next(versionResponses)));
+
+        jest.isolateModules(() => {
+            require('../../../background/api-client.js');
+        });
+        ({ makeAuthenticatedRequest } = window);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('Sessions', () => {
+        test('should log in once and reuse the session', async () => {
+            await makeAuthenticatedRequest('app/version');
+            await makeAuthenticatedRequest('app/version');
+
+            expect(callsTo(LOGIN_URL)).toBe(1);
+            expect(callsTo(VERSION_URL)).toBe(2);
+            const [[, loginOptions]] = fetch.mock.calls;
+            expect(Object.fromEntries(loginOptions.body)).toEqual({ username: 'admin', password: 'secret' });
+            expect(loginOptions.credentials).toBe('include');
+        });
+
+        test('should log in again and retry once when the server rejects the session', async () => {
+            versionResponses = [response(403), response(200, 'v5.0.0')];
+
+            const result = await makeAuthenticatedRequest('app/version');
+
+            expect(await result.text()).toBe('v5.0.0');
+            expect(callsTo(LOGIN_URL)).toBe(2);
+            expect(callsTo(VERSION_URL)).toBe(2);
+        });
+
+        test('should give up after one re-login when the request is still refused', async () => {
+            versionResponses = [response(403)];
+
+            await expect(makeAuthenticatedRequest('app/version')).rejects.toMatchObject({ message: 'Access denied', status: 403 });
+            expect(callsTo(LOGIN_URL)).toBe(2);
+            expect(callsTo(VERSION_URL)).toBe(2);
+        });
+
+        test('should end the session and log in again after the cache is cleared', async () => {
+            await makeAuthenticatedRequest('app/version');
+
+            await window.clearAuthCache('nas');
+            await makeAuthenticatedRequest('app/version');
+
+            expect(fetch).toHaveBeenCalledWith(`${SERVER.url}/api/v2/auth/logout`, expect.objectContaining({ method: 'POST', credentials: 'include' }));
+            expect(callsTo(LOGIN_URL)).toBe(2);
+        });
+
+        test('should share one login between concurrent requests', async () => {
+            await Promise.all([
+                makeAuthenticatedRequest('app/version'),
+                makeAuthenticatedRequest('app/version'),
+                makeAuthenticatedRequest('app/version')
+            ]);
+
+            expect(callsTo(LOGIN_URL)).toBe(1);
+            expect(callsTo(VERSION_URL)).toBe(3);
+        });
+    });
+
+    describe('Failed logins', () => {
+        test.each([
+            ['a "banned" answer', response(200, 'Your IP address has been banned after too many failed attempts')],
+            ['a 403 answer', response(403, 'Forbidden')]
+        ])('should stop requesting after %s to the login', async (label, loginResponse) => {
+            loginResponses = [loginResponse];
+
+            await expect(makeAuthenticatedRequest('app/version')).rejects.toMatchObject({
+                banned: true,
+                message: expect.stringContaining('qBittorrent has banned this IP after too many failed logins')
+            });
+            await expect(makeAuthenticatedRequest('app/version')).rejects.toMatchObject({ banned: true });
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should not repeat a login with wrong credentials during the cooldown', async () => {
+            loginResponses = [response(200, 'Fails.')];
+
+            await expect(makeAuthenticatedRequest('app/version')).rejects.toThrow('Authentication failed. Please check your credentials.');
+            await expect(makeAuthenticatedRequest('app/version')).rejects.toThrow('Authentication failed. Please check your credentials.');
+
+            expect(callsTo(LOGIN_URL)).toBe(1);
+            expect(callsTo(VERSION_URL)).toBe(0);
+        });
+
+        test('should try corrected credentials at once after the cache is cleared', async () => {
+            loginResponses = [response(200, 'Fails.'), response(200, 'Ok.')];
+            await expect(makeAuthenticatedRequest('app/version')).rejects.toThrow('Authentication failed');
+
+            await window.clearAuthCache('nas');
+            await makeAuthenticatedRequest('app/version');
+
+            expect(callsTo(LOGIN_URL)).toBe(2);
+        });
+    });
+});
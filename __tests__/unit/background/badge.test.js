@@ -0,0 +1,82 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for the per-tab badge
+ * Tests counts summed over the frames of a tab, the count format, clearing and the connection colour
+ */
+
+const { createMockStorage } = require('../../utils/test-helpers');
+
+let recordFrameTorrentCount, forgetTabFrames, updateTabBadge, clearTabBadge, setBadgeConnectionState;
+
+// What the UPDATE_BADGE handler does for a count reported by one frame
+async function reportCount(tabId, frameId, count) {
+    await updateTabBadge(tabId, await recordFrameTorrentCount(tabId, frameId, count));
+}
+const badgeText = tabId => chrome.action.setBadgeText.mock.calls.filter(([details]) => details.tabId === tabId).pop()[0].text;
+
+describe('Badge', () => {
+    // Built per test: the shared setup resets every mock before each test
+    beforeEach(() => {
+        global.chrome = {
+            storage: {
+                session: createMockStorage()
+            },
+            action: {
+                setBadgeText: jest.fn().mockResolvedValue(),
+                setBadgeBackgroundColor: jest.fn().mockResolvedValue()
+            }
+        };
+
+        // The frame counts are cached in the module, so each test loads it afresh
+        jest.isolateModules(() => {
+            require('../../../background/page-torrents.js');
+            require('../../../background/badge.js');
+        });
+        ({ recordFrameTorrentCount, forgetTabFrames, updateTabBadge, clearTabBadge, setBadgeConnectionState } = window);
+    });
+
+    test('should show each tab the sum of its frames\' counts', async () => {
+        await reportCount(1, 0, 3);
+        await reportCount(1, 7, 2);
+        await reportCount(2, 0, 5);
+        await reportCount(1, 7, 4);
+
+        expect(badgeText(1)).toBe('7');
+        expect(badgeText(2)).toBe('5');
+        expect(chrome.storage.session.data.get('frame_torrent_counts')).toEqual({ 1: { 0: 3, 7: 4 }, 2: { 0: 5 } });
+    });
+
+    test('should start from zero once a tab navigates', async () => {
+        await reportCount(3, 0, 10);
+        await clearTabBadge(3);
+        await forgetTabFrames(3);
+        expect(badgeText(3)).toBe('');
+
+        await reportCount(3, 0, 1);
+        expect(badgeText(3)).toBe('1');
+    });
+
+    test.each([
+        [0, ''],
+        [1, '1'],
+        [99, '99'],
+        [100, '99+']
+    ])('should show %i links as "%s"', async (count, text) => {
+        await updateTabBadge(4, count);
+
+        expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ tabId: 4, text });
+    });
+
+    test.each([
+        [true, '#4caf50'],
+        [false, '#f44336'],
+        [null, '#9e9e9e']
+    ])('should colour the badge for connection state %s', async (connected, color) => {
+        await setBadgeConnectionState(connected);
+
+        expect(chrome.action.setBadgeBackgroundColor).toHaveBeenCalledWith({ color });
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for batch sends
+ * Tests the worker pool, duplicates within a batch, cancelling and the popup port with its
+ * notification fallback
+ */
+
+const HASH = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+
+require('../../../utils/magnet-uri.js');
+require('../../../background/api-client.js');
+require('../../../background/batch-sender.js');
+const { sendMultipleTorrents, handleSendBatchPort } = window;
+
+const torrentUrl = index => `https://tracker.example.org/download/${index}.torrent`;
+const added = url => Promise.resolve({ success: true, status: 'added', name: url.split('/').pop() });
+const flushPromises = () => jest.advanceTimersByTimeAsync(0);
+
+// Sends that finish only when the test says so
+function deferSends() {
+    const sends = [];
+    sendOrQueueTorrent.mockImplementation((url, options) => new Promise((resolve, reject) => {
+        sends.push({ url, resolve: () => resolve({ success: true, status: 'added', name: url }), reject });
+        options.signal?.addEventListener('abort', () => reject(new Error('Cancelled')));
+    }));
+    return sends;
+}
+
+function createPort() {
+    const listeners = { message: [], disconnect: [] };
+    return {
+        name: 'send-batch',
+        postMessage: jest.fn(),
+        onMessage: { addListener: listener => listeners.message.push(listener) },
+        onDisconnect: { addListener: listener => listeners.disconnect.push(listener) },
+        send: message => Promise.all(listeners.message.map(listener => listener(message))),
+        disconnect: () => listeners.disconnect.forEach(listener => listener())
+    };
+}
+
+describe('Batch Sends', () => {
+    beforeEach(() => {
+        // The shared setup's setTimeout stub calls itself; fake timers replace it
+        jest.useFakeTimers({ doNotFake: ['queueMicrotask', 'nextTick'] });
+        global.chrome = {
+            storage: {
+                sync: {
+                    get: jest.fn().mockResolvedValue({})
+                }
+            }
+        };
+        global.sendOrQueueTorrent = jest.fn(added);
+        global.showNotification = jest.fn();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('Worker Pool', () => {
+        test('should send four at a time and keep the results in link order', async () => {
+            const sends = deferSends();
+            const urls = Array.from({ length: 6 }, (item, index) => torrentUrl(index));
+            const onProgress = jest.fn();
+
+            const batch = sendMultipleTorrents(urls, {}, {}, { onProgress });
+            await flushPromises();
+            expect(sends).toHaveLength(4);
+
+            sends[3].resolve();
+            await flushPromises();
+            expect(sends).toHaveLength(5);
+
+            [2, 1, 0, 4].forEach(index => sends[index].resolve());
+            await flushPromises();
+            sends[5].resolve();
+            const results = await batch;
+
+            expect(results.map(result => result.url)).toEqual(urls);
+            expect(results.every(result => result.status === 'added')).toBe(true);
+            expect(onProgress.mock.calls.map(([progress]) => [progress.index, progress.completed])).toEqual([
+                [3, 1], [2, 2], [1, 3], [0, 4], [4, 5], [5, 6]
+            ]);
+        });
+
+        test('should send each torrent once however its magnet is written', async () => {
+            const urls = [
+                `magnet:?xt=urn:btih:${HASH}`,
+                `magnet:?xt=urn:btih:${MagnetUri.hexToBase32(HASH)}&dn=Ubuntu`,
+                torrentUrl(1),
+                torrentUrl(1)
+            ];
+
+            const results = await sendMultipleTorrents(urls, { category: 'linux' }, { [torrentUrl(1)]: 'Ubuntu ISO' });
+
+            expect(results.map(result => result.status)).toEqual(['added', 'duplicate', 'added', 'duplicate']);
+            expect(sendOrQueueTorrent).toHaveBeenCalledTimes(2);
+            expect(sendOrQueueTorrent).toHaveBeenCalledWith(torrentUrl(1), expect.objectContaining({
+                category: 'linux',
+                source: { linkText: 'Ubuntu ISO' }
+            }));
+        });
+
+        test('should cancel the sends in flight and the rest of the batch', async () => {
+            const sends = deferSends();
+            const controller = new AbortController();
+            const urls = Array.from({ length: 6 }, (item, index) => torrentUrl(index));
+
+            const batch = sendMultipleTorrents(urls, {}, {}, { signal: controller.signal });
+            await flushPromises();
+            sends[0].resolve();
+            await flushPromises();
+            controller.abort();
+            const results = await batch;
+
+            expect(results.map(result => result.status)).toEqual(['added', 'cancelled', 'cancelled', 'cancelled', 'cancelled', 'cancelled']);
+            expect(sendOrQueueTorrent).toHaveBeenCalledTimes(5);
+        });
+    });
+
+    describe('Popup Port', () => {
+        test('should stream progress and the summary to the popup', async () => {
+            const port = createPort();
+            handleSendBatchPort(port);
+
+            await port.send({ action: 'START', urls: [torrentUrl(1), torrentUrl(1)], options: {}, linkTexts: {} });
+
+            const messages = port.postMessage.mock.calls.map(([message]) => message);
+            expect(messages.map(message => message.type)).toEqual(['progress', 'progress', 'done']);
+            // The repeat is settled without a request, so it finishes first
+            expect(messages[0]).toMatchObject({ index: 1, completed: 1, total: 2, status: 'duplicate' });
+            expect(messages[1]).toMatchObject({ index: 0, completed: 2, total: 2, status: 'added', name: '1.torrent' });
+            expect(messages[2].summary).toMatchObject({ total: 2, added: 1, duplicate: 1, failed: 0 });
+            expect(showNotification).not.toHaveBeenCalled();
+        });
+
+        test('should show the summary as a notification once the popup has closed', async () => {
+            const sends = deferSends();
+            const port = createPort();
+            handleSendBatchPort(port);
+
+            const batch = port.send({ action: 'START', urls: [torrentUrl(1), torrentUrl(2)], options: {} });
+            await flushPromises();
+            sends[0].resolve();
+            await flushPromises();
+            port.disconnect();
+            sends[1].reject(new Error('Failed to add torrent: Fails.'));
+            await batch;
+
+            expect(port.postMessage).toHaveBeenCalledTimes(1);
+            expect(showNotification).toHaveBeenCalledWith('error', 'Sent 2 torrents: 1 added, 0 duplicate, 1 failed');
+        });
+
+        test('should abort the batch when the popup cancels it', async () => {
+            deferSends();
+            const port = createPort();
+            handleSendBatchPort(port);
+
+            const batch = port.send({ action: 'START', urls: [torrentUrl(1), torrentUrl(2)], options: {} });
+            await flushPromises();
+            await port.send({ action: 'CANCEL' });
+            await batch;
+
+            const done = port.postMessage.mock.calls.map(([message]) => message).find(message => message.type === 'done');
+            expect(done.summary).toMatchObject({ total: 2, cancelled: 2 });
+        });
+
+        test('should report an empty batch', async () => {
+            const port = createPort();
+            handleSendBatchPort(port);
+
+            await port.send({ action: 'START', urls: [] });
+
+            expect(port.postMessage).toHaveBeenCalledWith({ type: 'error', error: 'No torrents to send' });
+            expect(sendOrQueueTorrent).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for duplicate detection before a torrent is added
+ * Tests reporting torrents already on the server and which failed lookups still let the add go ahead
+ */
+
+const HASH = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+const MAGNET = `magnet:?xt=urn:btih:${HASH}&dn=Ubuntu`;
+const SERVER = { id: 'nas', name: 'NAS', url: 'http://nas.local:8080', skipLogin: true };
+const INFO_URL = `${SERVER.url}/api/v2/torrents/info?hashes=${HASH}`;
+const ADD_URL = `${SERVER.url}/api/v2/torrents/add`;
+
+const response = (status, body = '') => ({
+    ok: status >= 200 && status < 300,
+    status,
+    text: () => Promise.resolve(body),
+    json: () => Promise.resolve(JSON.parse(body))
+});
+
+require('../../../utils/magnet-uri.js');
+
+describe('Duplicate Detection', () => {
+    let sendTorrent;
+    let infoResponse;
+
+    const calledUrls = () => fetch.mock.calls.map(([url]) => url);
+
+    beforeEach(() => {
+        // The shared setup's setTimeout stub calls itself; fake timers replace it
+        jest.useFakeTimers({ doNotFake: ['queueMicrotask', 'nextTick'] });
+        global.chrome = {
+            storage: {
+                sync: {
+                    get: jest.fn(() => Promise.resolve({}))
+                }
+            }
+        };
+        global.StorageManager = {
+            getAdvancedSettings: jest.fn(() => Promise.resolve({ connectionTimeout: 30, retryAttempts: 0 }))
+        };
+        global.ServerProfileManager = {
+            getProfile: jest.fn(() => Promise.resolve(SERVER)),
+            getBaseUrl: server => server.url
+        };
+        window.ErrorHandler = { RETRY_POLICIES: {}, handle: jest.fn() };
+
+        infoResponse = () => Promise.resolve(response(200, '[]'));
+        global.fetch = jest.fn(url => (url === INFO_URL ? infoResponse() : Promise.resolve(response(200, 'Ok.'))));
+
+        jest.isolateModules(() => {
+            require('../../../background/api-client.js');
+        });
+        ({ sendTorrent } = window);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should report a torrent already on the server instead of adding it', async () => {
+        infoResponse = () => Promise.resolve(response(200, JSON.stringify([{ hash: HASH, name: 'Ubuntu' }])));
+
+        await expect(sendTorrent(MAGNET)).resolves.toMatchObject({ status: 'duplicate', name: 'Ubuntu', serverId: 'nas' });
+        expect(calledUrls()).toEqual([INFO_URL]);
+    });
+
+    test('should add the torrent when the server rejects the lookup', async () => {
+        infoResponse = () => Promise.resolve(response(404));
+
+        await sendTorrent(MAGNET);
+
+        expect(calledUrls()).toEqual([INFO_URL, ADD_URL]);
+    });
+
+    test.each([
+        ['the server is unreachable', () => Promise.reject(new TypeError('Failed to fetch')), { category: 'network' }],
+        ['the server fails', () => Promise.resolve(response(503)), { category: 'network', status: 503 }],
+        ['the session is refused', () => Promise.resolve(response(401)), { category: 'authentication', status: 401 }]
+    ])('should fail the send without trying the add when %s', async (label, answer, expected) => {
+        infoResponse = answer;
+
+        await expect(sendTorrent(MAGNET)).rejects.toMatchObject(expected);
+        expect(calledUrls()).not.toContain(ADD_URL);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for probing ambiguous download links
+ * Tests the opt-in, skipping sites without host access, and HEAD and ranged GET requests
+ */
+
+require('../../../utils/validation.js');
+require('../../../utils/host-permissions.js');
+require('../../../background/link-probe.js');
+const { probeTorrentUrls } = window;
+
+const TRACKER = 'https://tracker.example.org';
+
+const response = (status, contentType, body = '') => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers(contentType ? { 'content-type': contentType } : {}),
+    body: {
+        getReader: () => ({
+            read: () => Promise.resolve({ value: Uint8Array.from(body, char => char.charCodeAt(0)) }),
+            cancel: () => Promise.resolve()
+        })
+    }
+});
+
+describe('Link Probe', () => {
+    let linkNumber = 0;
+    // Results are cached per URL, so every test probes links of its own
+    const nextLink = (origin = TRACKER) => `${origin}/download.php?id=${++linkNumber}`;
+
+    beforeEach(() => {
+        // The shared setup replaces URL with a stub, and its setTimeout stub calls itself; fake
+        // timers replace it
+        global.URL = require('url').URL;
+        jest.useFakeTimers({ doNotFake: ['queueMicrotask', 'nextTick'] });
+        global.chrome = {
+            permissions: {
+                contains: jest.fn().mockResolvedValue(true)
+            }
+        };
+        global.fetchWithTimeout = jest.fn();
+        global.StorageManager = {
+            getOptions: jest.fn().mockResolvedValue({ probeDownloadLinks: true })
+        };
+        global.ServerProfileManager = {
+            listProfiles: jest.fn().mockResolvedValue([{ id: 'nas', url: 'http://nas.local:8080' }]),
+            getBaseUrl: profile => profile.url
+        };
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should not probe anything while the option is off', async () => {
+        StorageManager.getOptions.mockResolvedValue({ probeDownloadLinks: false });
+
+        await expect(probeTorrentUrls([nextLink()])).resolves.toEqual({ results: {}, needsAccess: [] });
+        expect(fetchWithTimeout).not.toHaveBeenCalled();
+    });
+
+    test('should leave sites without host access unprobed and report them', async () => {
+        chrome.permissions.contains.mockImplementation(({ origins }) => Promise.resolve(origins[0] !== `${TRACKER}/*`));
+        const blocked = nextLink();
+        const allowed = nextLink('https://other.example.net');
+        fetchWithTimeout.mockResolvedValue(response(200, 'application/x-bittorrent'));
+
+        await expect(probeTorrentUrls([blocked, allowed])).resolves.toEqual({
+            results: { [allowed]: true },
+            needsAccess: [`${TRACKER}/*`]
+        });
+        expect(fetchWithTimeout).toHaveBeenCalledTimes(1);
+    });
+
+    test('should confirm a torrent from the HEAD answer alone', async () => {
+        const url = nextLink();
+        fetchWithTimeout.mockResolvedValue(response(200, 'application/x-bittorrent; charset=binary'));
+
+        const { results } = await probeTorrentUrls([url]);
+
+        expect(results[url]).toBe(true);
+        expect(fetchWithTimeout).toHaveBeenCalledTimes(1);
+        expect(fetchWithTimeout.mock.calls[0][1].method).toBe('HEAD');
+    });
+
+    test('should reject HTML pages and errors without fetching the body', async () => {
+        const page = nextLink();
+        const missing = nextLink();
+        fetchWithTimeout.mockImplementation(url => Promise.resolve(url === page ? response(200, 'text/html') : response(404)));
+
+        const { results } = await probeTorrentUrls([page, missing]);
+
+        expect(results).toEqual({ [page]: false, [missing]: false });
+        expect(fetchWithTimeout).toHaveBeenCalledTimes(2);
+    });
+
+    test.each([
+        ['a generic type', response(200, 'application/octet-stream')],
+        ['HEAD is not supported', response(405)]
+    ])('should read only the first bytes when %s', async (label, headResponse) => {
+        const url = nextLink();
+        fetchWithTimeout
+            .mockResolvedValueOnce(headResponse)
+            .mockResolvedValueOnce(response(206, 'application/octet-stream', 'd8:announce35:udp://'));
+
+        const { results } = await probeTorrentUrls([url]);
+
+        expect(results[url]).toBe(true);
+        expect(fetchWithTimeout.mock.calls[1][1].headers).toEqual({ Range: 'bytes=0-63' });
+    });
+
+    test('should never probe the qBittorrent servers', async () => {
+        const url = nextLink('http://nas.local:8080');
+
+        const { results } = await probeTorrentUrls([url]);
+
+        expect(results[url]).toBe(false);
+        expect(fetchWithTimeout).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for the "qb" address bar keyword
+ * Tests input parsing, torrent descriptions, server status suggestions and entering input
+ */
+
+require('../../../utils/constants.js');
+require('../../../utils/magnet-uri.js');
+require('../../../utils/validation.js');
+require('../../../background/omnibox.js');
+const { handleOmniboxInputChanged, handleOmniboxInputEntered } = window;
+
+const HEX = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+const BASE32 = 'YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKEK';
+const TRACKER = 'udp://tracker.example.org:1337';
+
+describe('Omnibox', () => {
+    const getDescription = () => chrome.omnibox.setDefaultSuggestion.mock.calls.at(-1)[0].description;
+
+    // Built per test: the shared setup resets every mock and replaces URL with a stub
+    beforeEach(() => {
+        global.URL = require('url').URL;
+        global.chrome = {
+            storage: {
+                sync: {
+                    get: jest.fn((keys, callback) => callback({ options: { defaultTrackers: [TRACKER] } }))
+                }
+            },
+            omnibox: {
+                setDefaultSuggestion: jest.fn()
+            }
+        };
+        global.extractTorrentName = jest.fn(url => (url.startsWith('magnet:') ? 'Magnet Link' : url.split('/').pop()));
+        global.getTransferInfo = jest.fn();
+        global.openWebUi = jest.fn();
+        global.sendSingleTorrent = jest.fn();
+        global.showNotification = jest.fn();
+        global.ServerProfileManager = {
+            listProfiles: jest.fn()
+        };
+    });
+
+    describe('Suggestions', () => {
+        test('should describe magnets by their escaped name', async () => {
+            extractTorrentName.mockReturnValueOnce('Tom & Jerry <1080p>');
+            const suggest = jest.fn();
+
+            await handleOmniboxInputChanged(`  magnet:?xt=urn:btih:${HEX}&dn=x&tr=${TRACKER}  `, suggest);
+
+            expect(getDescription()).toBe(
+                `Send <match>Tom &amp; Jerry &lt;1080p&gt;</match> to qBittorrent <dim>1 tracker · ${HEX}</dim>`
+            );
+            expect(suggest).toHaveBeenCalledWith([]);
+        });
+
+        test('should describe .torrent URLs and bare hashes', async () => {
+            await handleOmniboxInputChanged('https://example.com/files/debian.torrent', jest.fn());
+            expect(getDescription()).toBe('Send <match>debian.torrent</match> to qBittorrent <dim>example.com</dim>');
+
+            await handleOmniboxInputChanged(BASE32, jest.fn());
+            expect(getDescription()).toBe(`Send <match>Magnet Link</match> to qBittorrent <dim>1 tracker · ${HEX}</dim>`);
+        });
+
+        test('should explain the keyword for anything else', async () => {
+            await handleOmniboxInputChanged('ubuntu', jest.fn());
+
+            expect(getDescription()).toMatch(/^Send a magnet link/);
+        });
+
+        test('should list every server with its version and speeds for "status"', async () => {
+            ServerProfileManager.listProfiles.mockResolvedValue([
+                { id: 'home', name: 'Home' },
+                { id: 'seedbox', name: 'Seedbox' }
+            ]);
+            getTransferInfo.mockImplementation(async id => {
+                if (id === 'seedbox') {throw new Error('Network error');}
+                return { version: 'v5.0.1', downloadSpeed: 1572864, uploadSpeed: 512, connectionStatus: 'connected' };
+            });
+            const suggest = jest.fn();
+
+            await handleOmniboxInputChanged('Status', suggest);
+
+            expect(suggest).toHaveBeenCalledWith([
+                { content: 'webui:home', description: '<match>Home</match> qBittorrent v5.0.1 <dim>↓ 1.5 MiB/s ↑ 512 B/s</dim>' },
+                { content: 'webui:seedbox', description: '<match>Seedbox</match> <dim>unreachable: Network error</dim>' }
+            ]);
+            expect(getTransferInfo).toHaveBeenCalledWith('home', { retry: false, timeout: 3000 });
+        });
+
+        test('should drop status suggestions once the input has changed', async () => {
+            ServerProfileManager.listProfiles.mockResolvedValue([{ id: 'home', name: 'Home' }]);
+            let answerStatus;
+            getTransferInfo.mockReturnValue(new Promise(resolve => {
+                answerStatus = resolve;
+            }));
+            const suggest = jest.fn();
+
+            const status = handleOmniboxInputChanged('status', suggest);
+            await handleOmniboxInputChanged('status x', suggest);
+            answerStatus({ version: 'v5.0.1', downloadSpeed: 0, uploadSpeed: 0 });
+            await status;
+
+            expect(suggest).toHaveBeenCalledTimes(1);
+            expect(suggest).toHaveBeenCalledWith([]);
+        });
+    });
+
+    describe('Entering', () => {
+        test('should send bare hashes as magnets with the default trackers', async () => {
+            await handleOmniboxInputEntered(HEX);
+
+            expect(sendSingleTorrent).toHaveBeenCalledWith(`magnet:?xt=urn:btih:${HEX}&tr=${encodeURIComponent(TRACKER)}`);
+        });
+
+        test('should open the chosen server WebUI from a status suggestion', async () => {
+            await handleOmniboxInputEntered('webui:seedbox');
+
+            expect(openWebUi).toHaveBeenCalledWith('seedbox');
+            expect(sendSingleTorrent).not.toHaveBeenCalled();
+        });
+
+        test('should refuse input that is not a torrent', async () => {
+            await handleOmniboxInputEntered('ftp://example.com/debian.torrent');
+
+            expect(sendSingleTorrent).not.toHaveBeenCalled();
+            expect(showNotification).toHaveBeenCalledWith('error', 'Not a magnet link, .torrent URL or info-hash');
+        });
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for the Origin/Referer session rules
+ * Tests the rule contents per server origin and replacing only the rules this module added
+ */
+
+require('../../../background/request-headers.js');
+const { updateServerHeaderRules } = window;
+
+describe('Request Header Rules', () => {
+    beforeEach(() => {
+        // The shared setup replaces URL with a stub
+        global.URL = require('url').URL;
+        global.chrome = {
+            runtime: {
+                id: 'abcdefghijklmnopabcdefghijklmnop'
+            },
+            declarativeNetRequest: {
+                getSessionRules: jest.fn().mockResolvedValue([]),
+                updateSessionRules: jest.fn().mockResolvedValue()
+            }
+        };
+        global.ServerProfileManager = {
+            listProfiles: jest.fn(),
+            getBaseUrl: profile => profile.url
+        };
+    });
+
+    test('should set Origin and Referer only on the extension\'s requests to each server', async () => {
+        ServerProfileManager.listProfiles.mockResolvedValue([{ url: 'https://qbt.example.com:8443/qbittorrent/' }]);
+
+        await updateServerHeaderRules();
+
+        expect(chrome.declarativeNetRequest.updateSessionRules).toHaveBeenCalledWith({
+            removeRuleIds: [],
+            addRules: [{
+                id: 1000,
+                priority: 1,
+                action: {
+                    type: 'modifyHeaders',
+                    requestHeaders: [
+                        { header: 'Origin', operation: 'set', value: 'https://qbt.example.com:8443' },
+                        { header: 'Referer', operation: 'set', value: 'https://qbt.example.com:8443/' }
+                    ]
+                },
+                condition: {
+                    urlFilter: '|https://qbt.example.com:8443/',
+                    initiatorDomains: ['abcdefghijklmnopabcdefghijklmnop'],
+                    resourceTypes: ['xmlhttprequest']
+                }
+            }]
+        });
+    });
+
+    test('should replace its previous rules with one rule per server origin and keep other rules', async () => {
+        chrome.declarativeNetRequest.getSessionRules.mockResolvedValue([{ id: 1 }, { id: 1000 }, { id: 1001 }, { id: 2000 }]);
+        ServerProfileManager.listProfiles.mockResolvedValue([
+            { url: 'http://nas.local:8080' },
+            { url: 'http://nas.local:8080/' },
+            { url: 'https://seedbox.example.com' },
+            { url: 'ftp://files.example.com' },
+            { url: '' }
+        ]);
+
+        await updateServerHeaderRules();
+
+        const [[{ removeRuleIds, addRules }]] = chrome.declarativeNetRequest.updateSessionRules.mock.calls;
+        expect(removeRuleIds).toEqual([1000, 1001]);
+        expect(addRules.map(rule => [rule.id, rule.condition.urlFilter])).toEqual([
+            [1000, '|http://nas.local:8080/'],
+            [1001, '|https://seedbox.example.com/']
+        ]);
+    });
+});
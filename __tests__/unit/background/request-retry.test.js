@@ -0,0 +1,182 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for request timeouts and retries in the API client
+ * Tests which methods and failure categories are retried, the retry count, timeouts and cancelling
+ */
+
+const SERVER = { id: 'nas', name: 'NAS', url: 'http://nas.local:8080', skipLogin: true };
+
+const response = (status, body = 'v5.0.0') => ({
+    ok: status >= 200 && status < 300,
+    status,
+    text: () => Promise.resolve(body)
+});
+const networkFailure = () => Promise.reject(new TypeError('Failed to fetch'));
+
+// Fires the request's backoff and timeout timers until it settles
+async function settle(request) {
+    request.catch(() => {
+        // The caller's expectation handles the rejection
+    });
+    await jest.runAllTimersAsync();
+    return request;
+}
+
+describe('Request Retries', () => {
+    let makeAuthenticatedRequest;
+
+    beforeEach(() => {
+        // The shared setup's setTimeout stub calls itself; fake timers replace it
+        jest.useFakeTimers({ doNotFake: ['queueMicrotask', 'nextTick'] });
+        global.chrome = {
+            storage: {
+                sync: {
+                    get: jest.fn(() => Promise.resolve({}))
+                }
+            }
+        };
+        global.fetch = jest.fn();
+        global.StorageManager = {
+            getAdvancedSettings: jest.fn(() => Promise.resolve({ connectionTimeout: 30, retryAttempts: 3 }))
+        };
+        global.ServerProfileManager = {
+            getProfile: jest.fn(() => Promise.resolve(SERVER)),
+            getBaseUrl: server => server.url
+        };
+        // Short backoffs keep the tests fast; the policies' attempt caps are the real ones
+        window.ErrorHandler = {
+            RETRY_POLICIES: {
+                network: { attempts: 3, delay: 1, backoff: 2 },
+                timeout: { attempts: 3, delay: 1, backoff: 1.5 },
+                rate_limit: { attempts: 2, delay: 1, backoff: 1 }
+            },
+            handle: jest.fn()
+        };
+
+        jest.isolateModules(() => {
+            require('../../../background/api-client.js');
+        });
+        ({ makeAuthenticatedRequest } = window);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('Retried requests', () => {
+        test('should retry a GET on network failures up to the configured attempts', async () => {
+            StorageManager.getAdvancedSettings.mockResolvedValue({ connectionTimeout: 30, retryAttempts: 2 });
+            fetch.mockImplementation(networkFailure);
+
+            await expect(settle(makeAuthenticatedRequest('app/version'))).rejects.toMatchObject({ category: 'network' });
+            expect(fetch).toHaveBeenCalledTimes(3);
+        });
+
+        test('should succeed once a retry gets through', async () => {
+            fetch.mockImplementationOnce(networkFailure).mockResolvedValueOnce(response(200));
+
+            const result = await settle(makeAuthenticatedRequest('app/version'));
+
+            expect(await result.text()).toBe('v5.0.0');
+            expect(fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should cap retries at the category policy', async () => {
+            StorageManager.getAdvancedSettings.mockResolvedValue({ connectionTimeout: 30, retryAttempts: 10 });
+            fetch.mockResolvedValue(response(429));
+
+            await expect(settle(makeAuthenticatedRequest('app/version'))).rejects.toMatchObject({ category: 'rate_limit', status: 429 });
+            expect(fetch).toHaveBeenCalledTimes(3);
+        });
+
+        test('should treat server errors as retryable network failures', async () => {
+            fetch.mockResolvedValueOnce(response(502)).mockResolvedValueOnce(response(200));
+
+            await settle(makeAuthenticatedRequest('app/version'));
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should retry a POST only when it is marked idempotent', async () => {
+            fetch.mockImplementation(networkFailure);
+
+            await expect(settle(makeAuthenticatedRequest('torrents/add', { method: 'POST' }))).rejects.toThrow('Network error');
+            expect(fetch).toHaveBeenCalledTimes(1);
+
+            fetch.mockClear();
+            await expect(settle(makeAuthenticatedRequest('torrents/recheck', { method: 'POST', idempotent: true })))
+                .rejects.toThrow('Network error');
+            expect(fetch).toHaveBeenCalledTimes(4);
+        });
+    });
+
+    describe('Failures that are not retried', () => {
+        test.each([
+            [400, 'unknown'],
+            [401, 'authentication'],
+            [404, 'unknown']
+        ])('should fail at once on HTTP %i', async (status, category) => {
+            fetch.mockResolvedValue(response(status));
+
+            await expect(settle(makeAuthenticatedRequest('app/version'))).rejects.toMatchObject({ category, status });
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should make a single attempt with retryAttempts set to 0 or retry: false', async () => {
+            fetch.mockImplementation(networkFailure);
+
+            await expect(settle(makeAuthenticatedRequest('app/version', { retry: false }))).rejects.toThrow('Network error');
+            StorageManager.getAdvancedSettings.mockResolvedValue({ connectionTimeout: 30, retryAttempts: 0 });
+            await expect(settle(makeAuthenticatedRequest('app/version'))).rejects.toThrow('Network error');
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('Timeouts and cancelling', () => {
+        // A server that never answers: the request ends only when its signal aborts
+        const hang = (url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+        });
+
+        test('should abort an attempt after the configured timeout', async () => {
+            StorageManager.getAdvancedSettings.mockResolvedValue({ connectionTimeout: 0.02, retryAttempts: 1 });
+            fetch.mockImplementation(hang);
+
+            await expect(settle(makeAuthenticatedRequest('app/version'))).rejects.toMatchObject({ category: 'timeout' });
+            expect(fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should prefer a per-request timeout over the setting', async () => {
+            fetch.mockImplementation(hang);
+
+            await expect(settle(makeAuthenticatedRequest('app/version', { retry: false, timeout: 20 })))
+                .rejects.toMatchObject({ category: 'timeout' });
+        });
+
+        test('should stop waiting for the next attempt when cancelled', async () => {
+            window.ErrorHandler.RETRY_POLICIES.network.delay = 60 * 1000;
+            const controller = new AbortController();
+            fetch.mockImplementation(() => {
+                setTimeout(() => controller.abort(), 0);
+                return networkFailure();
+            });
+
+            await expect(settle(makeAuthenticatedRequest('app/version', { signal: controller.signal })))
+                .rejects.toMatchObject({ category: 'cancelled' });
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should not start a cancelled request', async () => {
+            const controller = new AbortController();
+            controller.abort();
+
+            await expect(settle(makeAuthenticatedRequest('app/version', { signal: controller.signal })))
+                .rejects.toMatchObject({ category: 'cancelled' });
+            expect(fetch).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for RSS feed subscriptions
+ * Tests reader folder listing, download rule validation and subscribing with and without a rule
+ */
+
+require('../../../utils/validation.js');
+require('../../../background/rss-feeds.js');
+const { getRssFolders, buildRssRule, subscribeToFeed } = window;
+
+const FEED_URL = 'https://tracker.example.org/rss.php?cat=5';
+
+const jsonResponse = data => ({ json: () => Promise.resolve(data) });
+const requestError = status => Object.assign(new Error('Request failed'), { category: 'unknown', status });
+const getRequests = endpoint => makeAuthenticatedRequest.mock.calls.filter(([called]) => called === endpoint);
+
+describe('RSS Feeds', () => {
+    // Built per test: the shared setup resets every mock and replaces URL with a stub
+    beforeEach(() => {
+        global.URL = require('url').URL;
+        global.makeAuthenticatedRequest = jest.fn();
+    });
+
+    describe('Folders', () => {
+        test('should list nested folders by path and the feeds already subscribed to', async () => {
+            makeAuthenticatedRequest.mockResolvedValue(jsonResponse({
+                Linux: { uid: '{1}', url: 'https://distro.example.com/feed' },
+                TV: {
+                    Anime: {},
+                    Tracker: { uid: '{2}', url: FEED_URL }
+                },
+                Books: {}
+            }));
+
+            await expect(getRssFolders('nas')).resolves.toEqual({
+                folders: ['Books', 'TV', 'TV\\Anime'],
+                feedUrls: ['https://distro.example.com/feed', FEED_URL]
+            });
+            expect(makeAuthenticatedRequest).toHaveBeenCalledWith('rss/items?withData=false', {}, 'nas');
+        });
+    });
+
+    describe('Rules', () => {
+        test('should build a rule for the feed from the editor fields', () => {
+            const rule = buildRssRule(FEED_URL, {
+                name: 'Show\\1080p',
+                mustContain: ' Show 1080p ',
+                mustNotContain: 'CAM',
+                episodeFilter: '1x01-05; 08;',
+                category: 'TV',
+                savePath: '/downloads/tv'
+            });
+
+            expect(rule).toEqual({
+                ruleName: 'Show/1080p',
+                ruleDef: {
+                    enabled: true,
+                    mustContain: 'Show 1080p',
+                    mustNotContain: 'CAM',
+                    useRegex: false,
+                    episodeFilter: '1x01-05;08;',
+                    affectedFeeds: [FEED_URL],
+                    assignedCategory: 'TV',
+                    savePath: '/downloads/tv'
+                }
+            });
+        });
+
+        test.each([
+            ['no name', { name: ' ' }, 'The download rule needs a name'],
+            ['an invalid episode filter', { name: 'Show', episodeFilter: 'S01E01' }, 'Invalid episode filter, expected e.g. 1x01-05;08;10-;'],
+            ['an invalid expression', { name: 'Show', useRegex: true, mustContain: 'Show (' }, 'Invalid regular expression: Show (']
+        ])('should refuse a rule with %s', (_label, fields, message) => {
+            expect(() => buildRssRule(FEED_URL, fields)).toThrow(message);
+        });
+    });
+
+    describe('Subscribing', () => {
+        test('should add the feed into the chosen folder under its title', async () => {
+            makeAuthenticatedRequest.mockResolvedValue({});
+
+            await expect(subscribeToFeed({ url: FEED_URL, title: 'Tracker \\ TV', folder: 'TV', rule: null }, 'nas'))
+                .resolves.toEqual({ path: 'TV\\Tracker / TV', ruleName: null });
+
+            const [[, options, serverId]] = getRequests('rss/addFeed');
+            expect(Object.fromEntries(options.body)).toEqual({ url: FEED_URL, path: 'TV\\Tracker / TV' });
+            expect(serverId).toBe('nas');
+            expect(getRequests('rss/setRule')).toHaveLength(0);
+        });
+
+        test('should create the download rule after subscribing', async () => {
+            makeAuthenticatedRequest.mockImplementation(async endpoint => (endpoint === 'rss/rules'
+                ? jsonResponse({ 'Other Show': {} })
+                : {}));
+
+            const result = await subscribeToFeed({ url: FEED_URL, title: 'Tracker', folder: '', rule: { name: 'Show' } });
+
+            expect(result).toEqual({ path: 'Tracker', ruleName: 'Show' });
+            expect(makeAuthenticatedRequest.mock.calls.map(([endpoint]) => endpoint))
+                .toEqual(['rss/rules', 'rss/addFeed', 'rss/setRule']);
+            const [[, options]] = getRequests('rss/setRule');
+            expect(options.body.get('ruleName')).toBe('Show');
+            expect(JSON.parse(options.body.get('ruleDef'))).toMatchObject({ enabled: true, affectedFeeds: [FEED_URL] });
+        });
+
+        test('should not subscribe when the rule name is taken', async () => {
+            makeAuthenticatedRequest.mockResolvedValue(jsonResponse({ Show: {} }));
+
+            await expect(subscribeToFeed({ url: FEED_URL, title: 'Tracker', rule: { name: 'Show' } }))
+                .rejects.toThrow('A download rule named "Show" already exists');
+            expect(getRequests('rss/addFeed')).toHaveLength(0);
+        });
+
+        test('should explain a refused subscription', async () => {
+            makeAuthenticatedRequest.mockRejectedValue(requestError(409));
+
+            await expect(subscribeToFeed({ url: FEED_URL, title: 'Tracker' }))
+                .rejects.toThrow('Already subscribed to this feed, or the folder has an item with its name');
+        });
+
+        test('should refuse feeds that are not web URLs', async () => {
+            await expect(subscribeToFeed({ url: 'file:///etc/feed.xml', title: 'Local' })).rejects.toThrow('Invalid feed URL');
+            expect(makeAuthenticatedRequest).not.toHaveBeenCalled();
+        });
+    });
+});
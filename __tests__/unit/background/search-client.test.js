@@ -0,0 +1,116 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for the qBittorrent search client
+ * Tests plugin listing and toggling, starting, polling, stopping and deleting searches
+ */
+
+global.makeAuthenticatedRequest = jest.fn();
+
+require('../../../background/search-client.js');
+const { getSearchPlugins, setSearchPluginsEnabled, startSearch, getSearchResults, endSearch } = window;
+
+const jsonResponse = data => ({ json: () => Promise.resolve(data) });
+const requestError = status => Object.assign(new Error('Request failed'), { category: 'unknown', status });
+
+describe('Search Client', () => {
+    beforeEach(() => {
+        makeAuthenticatedRequest.mockReset();
+    });
+
+    describe('Plugins', () => {
+        test('should list plugins with their categories in either server format', async () => {
+            makeAuthenticatedRequest.mockResolvedValue(jsonResponse([
+                {
+                    name: 'piratebay',
+                    fullName: 'The Pirate Bay',
+                    version: '3.3',
+                    url: 'https://thepiratebay.org',
+                    enabled: true,
+                    supportedCategories: [{ id: 'all', name: 'All categories' }, { id: 'tv', name: 'TV shows' }]
+                },
+                { name: 'legacy', enabled: false, supportedCategories: ['movies'] }
+            ]));
+
+            await expect(getSearchPlugins('nas')).resolves.toEqual([
+                {
+                    name: 'piratebay',
+                    fullName: 'The Pirate Bay',
+                    version: '3.3',
+                    url: 'https://thepiratebay.org',
+                    enabled: true,
+                    categories: [{ id: 'all', name: 'All categories' }, { id: 'tv', name: 'TV shows' }]
+                },
+                { name: 'legacy', fullName: 'legacy', version: '', url: '', enabled: false, categories: [{ id: 'movies', name: 'movies' }] }
+            ]);
+            expect(makeAuthenticatedRequest).toHaveBeenCalledWith('search/plugins', {}, 'nas');
+        });
+
+        test('should enable and disable plugins by name', async () => {
+            makeAuthenticatedRequest.mockResolvedValue({});
+
+            await setSearchPluginsEnabled(['piratebay', 'eztv'], false);
+
+            const [[endpoint, options]] = makeAuthenticatedRequest.mock.calls;
+            expect(endpoint).toBe('search/enablePlugin');
+            expect(Object.fromEntries(options.body)).toEqual({ names: 'piratebay|eztv', enable: 'false' });
+        });
+
+        test('should refuse plugin names that could smuggle other names in', async () => {
+            await expect(setSearchPluginsEnabled(['a|b'], true)).rejects.toThrow('Invalid search plugin name');
+            await expect(setSearchPluginsEnabled([], true)).rejects.toThrow('Invalid search plugin name');
+            expect(makeAuthenticatedRequest).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Searches', () => {
+        test('should start a search across the enabled plugins', async () => {
+            makeAuthenticatedRequest.mockResolvedValue(jsonResponse({ id: 12 }));
+
+            await expect(startSearch('  ubuntu iso ', { category: 'software' }, 'nas')).resolves.toEqual({ id: 12 });
+
+            const [[endpoint, options, serverId]] = makeAuthenticatedRequest.mock.calls;
+            expect(endpoint).toBe('search/start');
+            expect(Object.fromEntries(options.body)).toEqual({ pattern: 'ubuntu iso', plugins: 'enabled', category: 'software' });
+            expect(serverId).toBe('nas');
+        });
+
+        test('should explain when the server runs too many searches', async () => {
+            makeAuthenticatedRequest.mockRejectedValue(requestError(409));
+
+            await expect(startSearch('ubuntu')).rejects.toThrow('qBittorrent is already running its maximum number of searches');
+        });
+
+        test('should refuse an empty search', async () => {
+            await expect(startSearch('   ')).rejects.toThrow('Enter something to search for');
+            expect(makeAuthenticatedRequest).not.toHaveBeenCalled();
+        });
+
+        test('should poll results after the ones already received', async () => {
+            const result = { fileName: 'Ubuntu', fileUrl: 'magnet:?xt=urn:btih:x', nbSeeders: 10 };
+            makeAuthenticatedRequest.mockResolvedValue(jsonResponse({ results: [result], status: 'Stopped', total: 41 }));
+
+            await expect(getSearchResults(12, 40)).resolves.toEqual({ results: [result], running: false, total: 41 });
+            expect(makeAuthenticatedRequest.mock.calls[0][0]).toBe('search/results?id=12&offset=40&limit=500');
+        });
+
+        test('should report searches the server no longer has', async () => {
+            makeAuthenticatedRequest.mockRejectedValue(requestError(404));
+
+            await expect(getSearchResults(12)).rejects.toThrow('The search no longer exists on the server');
+        });
+
+        test('should stop or delete a search', async () => {
+            makeAuthenticatedRequest.mockResolvedValue({});
+
+            await endSearch(12);
+            await endSearch(12, { remove: true }, 'nas');
+
+            expect(makeAuthenticatedRequest.mock.calls.map(([endpoint, options, serverId]) => [endpoint, options.body.get('id'), serverId]))
+                .toEqual([['search/stop', '12', null], ['search/delete', '12', 'nas']]);
+            await expect(endSearch('12; drop')).rejects.toThrow('Invalid search id');
+        });
+    });
+});
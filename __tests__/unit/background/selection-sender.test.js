@@ -0,0 +1,101 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for the selection context menu
+ * Tests magnet and bare info-hash extraction from selected text and the batch send
+ */
+
+global.chrome = {
+    storage: {
+        sync: {
+            get: jest.fn()
+        }
+    }
+};
+global.sendMultipleTorrents = jest.fn();
+global.showNotification = jest.fn();
+global.summarizeSendResults = results => ({
+    total: results.length,
+    added: results.length,
+    duplicate: 0,
+    queued: 0,
+    cancelled: 0,
+    failed: 0
+});
+global.formatSendSummary = summary => `${summary.added} added`;
+
+require('../../../utils/constants.js');
+require('../../../utils/magnet-uri.js');
+require('../../../background/selection-sender.js');
+const { extractSelectionTorrents, sendSelectedTorrents } = window;
+
+const HEX = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+const BASE32 = 'YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKEK';
+const OTHER_HEX = '0123456789abcdef0123456789abcdef01234567';
+const TRACKER = 'udp://tracker.example.org:1337/announce';
+
+describe('Selection Sender', () => {
+    describe('Extraction', () => {
+        test('should turn bare hex and base32 hashes into magnets with the default trackers', () => {
+            const torrents = extractSelectionTorrents(`Hash: ${OTHER_HEX.toUpperCase()}\nMirror (${BASE32})`, [TRACKER]);
+
+            expect(torrents).toEqual([
+                `magnet:?xt=urn:btih:${OTHER_HEX}&tr=${encodeURIComponent(TRACKER)}`,
+                `magnet:?xt=urn:btih:${HEX}&tr=${encodeURIComponent(TRACKER)}`
+            ]);
+        });
+
+        test('should keep plain-text magnets as written and in text order', () => {
+            const magnet = `magnet:?xt=urn:btih:${HEX}&dn=Example`;
+
+            expect(extractSelectionTorrents(`${OTHER_HEX} then ${magnet}.`)).toEqual([
+                `magnet:?xt=urn:btih:${OTHER_HEX}`,
+                magnet
+            ]);
+        });
+
+        test('should list each torrent once, however its hash is written', () => {
+            const text = `magnet:?xt=urn:btih:${HEX}&dn=Example ${BASE32} ${HEX}`;
+
+            expect(extractSelectionTorrents(text)).toHaveLength(1);
+        });
+
+        test.each([
+            ['longer hex strings', `sha256 ${'a'.repeat(64)}`],
+            ['words that fit the base32 alphabet', 'ABCDEFGHIJKLMNOPQRSTUVWXYZABCDEF'],
+            ['mixed-case base32', 'YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKek'],
+            ['invalid magnets', 'magnet:?dn=nothing']
+        ])('should ignore %s', (_label, text) => {
+            expect(extractSelectionTorrents(text)).toEqual([]);
+        });
+    });
+
+    describe('Sending', () => {
+        beforeEach(() => {
+            chrome.storage.sync.get.mockImplementation((keys, callback) => callback({ options: { defaultTrackers: [TRACKER] } }));
+            sendMultipleTorrents.mockReset();
+            sendMultipleTorrents.mockImplementation(urls => Promise.resolve(urls.map(() => ({ status: 'added' }))));
+            showNotification.mockReset();
+        });
+
+        test('should send everything found as one batch to the chosen server', async () => {
+            await sendSelectedTorrents(`${HEX} ${OTHER_HEX}`, 'nas', 'https://forum.example.org/t/1');
+
+            expect(sendMultipleTorrents).toHaveBeenCalledTimes(1);
+            expect(sendMultipleTorrents).toHaveBeenCalledWith([
+                `magnet:?xt=urn:btih:${HEX}&tr=${encodeURIComponent(TRACKER)}`,
+                `magnet:?xt=urn:btih:${OTHER_HEX}&tr=${encodeURIComponent(TRACKER)}`
+            ], { serverId: 'nas', source: { pageUrl: 'https://forum.example.org/t/1' } });
+            expect(showNotification).toHaveBeenCalledWith('success', 'Sent 2 torrents: 2 added');
+        });
+
+        test('should explain when the selection holds no torrents', async () => {
+            await sendSelectedTorrents('nothing to see here');
+
+            expect(sendMultipleTorrents).not.toHaveBeenCalled();
+            expect(showNotification).toHaveBeenCalledWith('info', 'No magnet links or info-hashes found in the selection');
+        });
+    });
+});
@@ -0,0 +1,215 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for the offline send queue
+ * Tests queueing with the .torrent bytes, delivery, expiry, the size limit, unreachable servers
+ * and concurrent updates
+ */
+
+const TORRENT_URL = 'https://tracker.example.org/download.php?id=1';
+const TORRENT_BYTES = Uint8Array.from('d8:announce14:udp://a.org:80e', char => char.charCodeAt(0));
+const DAY = 24 * 60 * 60 * 1000;
+
+// chrome.storage.local keeps copies and answers asynchronously, like the real one
+let storage = {};
+const createLocalStorage = () => ({
+    get: jest.fn(async keys => {
+        await Promise.resolve();
+        return JSON.parse(JSON.stringify(Object.fromEntries(keys.filter(key => key in storage).map(key => [key, storage[key]]))));
+    }),
+    set: jest.fn(async items => {
+        await Promise.resolve();
+        Object.assign(storage, JSON.parse(JSON.stringify(items)));
+    }),
+    remove: jest.fn(async keys => {
+        keys.forEach(key => delete storage[key]);
+    })
+});
+
+require('../../../background/send-queue.js');
+const { sendOrQueueTorrent, getSendQueue, cancelQueuedSend, flushSendQueue } = window;
+
+const networkError = () => Object.assign(new Error('Network error: Failed to fetch'), { category: 'network' });
+const queuedItem = (id, fields = {}) => ({
+    id,
+    url: `magnet:?xt=urn:btih:${id}`,
+    name: id,
+    serverId: null,
+    options: {},
+    hasTorrentData: false,
+    queuedAt: Date.now(),
+    attempts: 1,
+    lastAttemptAt: Date.now(),
+    lastError: 'Network error',
+    failed: false,
+    ...fields
+});
+const sentUrls = () => sendTorrent.mock.calls.map(([url]) => url);
+
+describe('Send Queue', () => {
+    beforeEach(() => {
+        storage = {};
+        global.chrome = {
+            storage: { local: createLocalStorage() },
+            alarms: {
+                get: jest.fn(() => Promise.resolve(null)),
+                create: jest.fn(() => Promise.resolve()),
+                clear: jest.fn(() => Promise.resolve(true))
+            }
+        };
+        global.sendTorrent = jest.fn();
+        global.isRetryableError = error => ['network', 'timeout', 'rate_limit'].includes(error.category);
+        global.getCachedTorrentFile = jest.fn(() => null);
+        global.extractTorrentName = url => url.split('/').pop();
+        global.recordSendResult = jest.fn();
+        global.recordSendFailure = jest.fn();
+        global.updateQueuedSendHistory = jest.fn();
+        global.getSettings = jest.fn(() => Promise.resolve({ options: {} }));
+        global.showNotification = jest.fn();
+    });
+
+    describe('Queueing', () => {
+        test('should keep the downloaded .torrent file and send it once the server is back', async () => {
+            getCachedTorrentFile.mockReturnValue(TORRENT_BYTES);
+            sendTorrent.mockRejectedValueOnce(networkError());
+
+            const result = await sendOrQueueTorrent(TORRENT_URL, { serverId: 'nas', category: 'linux' });
+
+            expect(result).toMatchObject({ status: 'queued', name: 'download.php?id=1' });
+            const [item] = await getSendQueue();
+            expect(item).toMatchObject({ url: TORRENT_URL, serverId: 'nas', hasTorrentData: true, options: { serverId: 'nas', category: 'linux' } });
+            expect(storage[`send_queue_torrent_${item.id}`]).toBe(btoa(String.fromCharCode(...TORRENT_BYTES)));
+            expect(chrome.alarms.create).toHaveBeenCalledWith('send-queue', { periodInMinutes: 1 });
+
+            sendTorrent.mockResolvedValueOnce({ success: true, status: 'added', name: 'Ubuntu' });
+            await expect(flushSendQueue()).resolves.toEqual({ sent: 1, failed: 0, remaining: 0 });
+
+            expect(sendTorrent.mock.calls[1][1].torrentBytes).toEqual(TORRENT_BYTES);
+            expect(storage[`send_queue_torrent_${item.id}`]).toBeUndefined();
+            expect(updateQueuedSendHistory).toHaveBeenCalledWith(item.id, expect.objectContaining({ status: 'added', name: 'Ubuntu' }));
+            expect(chrome.alarms.clear).toHaveBeenCalledWith('send-queue');
+        });
+
+        test('should queue for the server a send rule picked', async () => {
+            sendTorrent.mockRejectedValue(Object.assign(networkError(), { serverId: 'seedbox' }));
+
+            const result = await sendOrQueueTorrent(TORRENT_URL, { category: 'linux' });
+            await sendOrQueueTorrent(TORRENT_URL, { category: 'linux' });
+
+            expect(result.serverId).toBe('seedbox');
+            const queue = await getSendQueue();
+            expect(queue).toHaveLength(1);
+            expect(queue[0]).toMatchObject({ serverId: 'seedbox', options: { serverId: 'seedbox', category: 'linux' } });
+
+            sendTorrent.mockResolvedValue({ success: true, status: 'added' });
+            await flushSendQueue();
+            expect(sendTorrent).toHaveBeenLastCalledWith(TORRENT_URL, expect.objectContaining({ serverId: 'seedbox' }));
+        });
+
+        test('should not queue failures a retry cannot fix', async () => {
+            sendTorrent.mockRejectedValueOnce(new Error('Failed to add torrent: Fails.'));
+
+            await expect(sendOrQueueTorrent(TORRENT_URL)).rejects.toThrow('Fails.');
+
+            expect(await getSendQueue()).toEqual([]);
+            expect(recordSendFailure).toHaveBeenCalled();
+        });
+
+        test('should keep one entry per link and server', async () => {
+            sendTorrent.mockRejectedValue(networkError());
+
+            await sendOrQueueTorrent(TORRENT_URL, { serverId: 'nas' });
+            await sendOrQueueTorrent(TORRENT_URL, { serverId: 'nas' });
+            await sendOrQueueTorrent(TORRENT_URL, { serverId: 'seedbox' });
+
+            expect((await getSendQueue()).map(item => item.serverId)).toEqual(['nas', 'seedbox']);
+        });
+
+        test('should refuse new items once 100 are queued', async () => {
+            storage.send_queue = Array.from({ length: 100 }, (item, index) => queuedItem(`send_${index}`));
+            sendTorrent.mockRejectedValue(networkError());
+
+            await expect(sendOrQueueTorrent(TORRENT_URL)).rejects.toThrow('Network error: Failed to fetch (offline queue is full)');
+            expect(await getSendQueue()).toHaveLength(100);
+        });
+    });
+
+    describe('Flushing', () => {
+        test('should drop items queued seven days ago without sending them', async () => {
+            storage.send_queue = [
+                queuedItem('old', { queuedAt: Date.now() - 7 * DAY }),
+                queuedItem('recent', { queuedAt: Date.now() - 6 * DAY })
+            ];
+            sendTorrent.mockResolvedValue({ success: true, status: 'added', name: 'recent' });
+
+            await expect(flushSendQueue()).resolves.toEqual({ sent: 1, failed: 0, remaining: 0 });
+
+            expect(sentUrls()).toEqual(['magnet:?xt=urn:btih:recent']);
+            expect(updateQueuedSendHistory).toHaveBeenCalledWith('old', { status: 'failed', error: 'Not delivered within 7 days' });
+        });
+
+        test('should skip the rest of a server\'s items once it is unreachable', async () => {
+            storage.send_queue = [
+                queuedItem('nas-1', { serverId: 'nas' }),
+                queuedItem('nas-2', { serverId: 'nas' }),
+                queuedItem('seedbox-1', { serverId: 'seedbox' })
+            ];
+            sendTorrent.mockImplementation(url => (url.endsWith('nas-1')
+                ? Promise.reject(networkError())
+                : Promise.resolve({ success: true, status: 'added' })));
+
+            await expect(flushSendQueue()).resolves.toEqual({ sent: 1, failed: 0, remaining: 2 });
+
+            expect(sentUrls()).toEqual(['magnet:?xt=urn:btih:nas-1', 'magnet:?xt=urn:btih:seedbox-1']);
+            expect((await getSendQueue()).map(item => [item.id, item.attempts])).toEqual([['nas-1', 2], ['nas-2', 1]]);
+        });
+
+        test('should stop retrying items that failed for another reason until forced', async () => {
+            storage.send_queue = [queuedItem('rejected')];
+            sendTorrent.mockRejectedValue(new Error('Failed to add torrent: Fails.'));
+
+            await expect(flushSendQueue()).resolves.toEqual({ sent: 0, failed: 1, remaining: 1 });
+            await flushSendQueue();
+            expect(sendTorrent).toHaveBeenCalledTimes(1);
+
+            await flushSendQueue({ force: true });
+            expect(sendTorrent).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('Concurrent updates', () => {
+        test('should keep every send queued in parallel', async () => {
+            sendTorrent.mockRejectedValue(networkError());
+
+            await Promise.all(['a', 'b', 'c', 'd'].map(id => sendOrQueueTorrent(`magnet:?xt=urn:btih:${id}`)));
+
+            expect((await getSendQueue()).map(item => item.url).sort())
+                .toEqual(['a', 'b', 'c', 'd'].map(id => `magnet:?xt=urn:btih:${id}`));
+        });
+
+        test('should not bring back an item cancelled while a flush is running', async () => {
+            storage.send_queue = [queuedItem('first'), queuedItem('second', { serverId: 'nas' })];
+            let answerSend;
+            const sendStarted = new Promise(resolve => {
+                sendTorrent
+                    .mockImplementationOnce(() => {
+                        resolve();
+                        return new Promise((_resolve, reject) => {
+                            answerSend = reject;
+                        });
+                    })
+                    .mockRejectedValue(networkError());
+            });
+
+            const flush = flushSendQueue();
+            await sendStarted;
+            await cancelQueuedSend('second');
+            answerSend(networkError());
+            await flush;
+
+            expect((await getSendQueue()).map(item => item.id)).toEqual(['first']);
+        });
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for the torrent watcher
+ * Tests maindata delta handling, completed/errored/stalled notifications and concurrent updates
+ */
+
+const HASH = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+const OTHER_HASH = 'aa2fe1c06bba254a9dc9f519b335aa7c1367a88b';
+
+// chrome.storage.local keeps copies and answers asynchronously, like the real one
+let storage = {};
+const createLocalStorage = () => ({
+    get: jest.fn(async keys => {
+        await Promise.resolve();
+        return JSON.parse(JSON.stringify(Object.fromEntries(keys.filter(key => key in storage).map(key => [key, storage[key]]))));
+    }),
+    set: jest.fn(async items => {
+        await Promise.resolve();
+        Object.assign(storage, JSON.parse(JSON.stringify(items)));
+    })
+});
+
+require('../../../background/torrent-watcher.js');
+const { watchTorrent, pollWatchedTorrents, handleWatcherNotificationButton } = window;
+
+const maindata = data => ({ json: () => Promise.resolve(data) });
+const notificationMessages = () => chrome.notifications.create.mock.calls.map(([, options]) => options.message);
+const watcherState = () => storage.torrent_watcher;
+
+describe('Torrent Watcher', () => {
+    beforeEach(() => {
+        storage = {};
+        global.chrome = {
+            storage: { local: createLocalStorage() },
+            alarms: {
+                get: jest.fn(() => Promise.resolve(null)),
+                create: jest.fn(() => Promise.resolve()),
+                clear: jest.fn(() => Promise.resolve(true))
+            },
+            notifications: {
+                create: jest.fn(),
+                clear: jest.fn()
+            }
+        };
+        global.makeAuthenticatedRequest = jest.fn();
+        global.getSettings = jest.fn(() => Promise.resolve({ options: {} }));
+        global.openWebUi = jest.fn(() => Promise.resolve());
+        global.controlTorrents = jest.fn(() => Promise.resolve());
+        global.showNotification = jest.fn();
+    });
+
+    describe('Notifications', () => {
+        test('should notify when a watched torrent completes and stop watching it', async () => {
+            await watchTorrent({ hash: HASH.toUpperCase(), name: 'Ubuntu', serverId: 'nas' });
+            makeAuthenticatedRequest.mockResolvedValue(maindata({
+                rid: 7,
+                full_update: true,
+                torrents: { [HASH]: { name: 'Ubuntu', state: 'uploading', progress: 1, save_path: '/downloads' } }
+            }));
+
+            await pollWatchedTorrents();
+
+            expect(makeAuthenticatedRequest).toHaveBeenCalledWith('sync/maindata?rid=0', {}, 'nas');
+            expect(notificationMessages()).toEqual(['Download finished: Ubuntu']);
+            expect(chrome.notifications.create.mock.calls[0][1].contextMessage).toBe('/downloads');
+            expect(watcherState()).toEqual({ watched: [], servers: { nas: { rid: 7 } } });
+        });
+
+        test('should apply partial deltas and report an error once', async () => {
+            await watchTorrent({ hash: HASH, name: 'Ubuntu' });
+            makeAuthenticatedRequest
+                .mockResolvedValueOnce(maindata({ rid: 1, torrents: { [HASH]: { name: 'Ubuntu', state: 'downloading', progress: 0.2 } } }))
+                .mockResolvedValueOnce(maindata({ rid: 2, torrents: { [HASH]: { state: 'error' } } }))
+                .mockResolvedValueOnce(maindata({ rid: 3, torrents: { [HASH]: { progress: 0.3 } } }));
+
+            await pollWatchedTorrents();
+            await pollWatchedTorrents();
+            await pollWatchedTorrents();
+
+            expect(makeAuthenticatedRequest.mock.calls.map(([endpoint]) => endpoint))
+                .toEqual(['sync/maindata?rid=0', 'sync/maindata?rid=1', 'sync/maindata?rid=2']);
+            expect(notificationMessages()).toEqual(['Torrent error: Ubuntu']);
+            // Errored torrents stay watched in case they recover
+            expect(watcherState().watched).toHaveLength(1);
+        });
+
+        test('should report a download stalled for ten minutes', async () => {
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+            await watchTorrent({ hash: HASH, name: 'Ubuntu' });
+            makeAuthenticatedRequest
+                .mockResolvedValueOnce(maindata({ rid: 1, torrents: { [HASH]: { name: 'Ubuntu', state: 'stalledDL', progress: 0.5 } } }))
+                .mockResolvedValue(maindata({ rid: 2 }));
+
+            await pollWatchedTorrents();
+            Date.now.mockReturnValue(now + 9 * 60 * 1000);
+            await pollWatchedTorrents();
+            expect(notificationMessages()).toEqual([]);
+
+            Date.now.mockReturnValue(now + 11 * 60 * 1000);
+            await pollWatchedTorrents();
+            expect(notificationMessages()).toEqual(['Download stalled for over 10 minutes: Ubuntu']);
+        });
+
+        test('should match torrents sent without a known hash by name', async () => {
+            await watchTorrent({ name: 'Debian' });
+            makeAuthenticatedRequest.mockResolvedValue(maindata({
+                rid: 1,
+                torrents: { [HASH]: { name: 'Debian', state: 'pausedUP', progress: 1, added_on: Math.floor(Date.now() / 1000) } }
+            }));
+
+            await pollWatchedTorrents();
+
+            expect(notificationMessages()).toEqual(['Download finished: Debian']);
+        });
+
+        test('should drop torrents removed from the server and the alarm once nothing is left', async () => {
+            await watchTorrent({ hash: HASH, name: 'Ubuntu' });
+            makeAuthenticatedRequest.mockResolvedValue(maindata({ rid: 1, torrents_removed: [HASH] }));
+
+            await pollWatchedTorrents();
+            expect(watcherState().watched).toEqual([]);
+
+            await pollWatchedTorrents();
+            expect(chrome.alarms.clear).toHaveBeenCalledWith('torrent-watcher');
+            expect(notificationMessages()).toEqual([]);
+        });
+    });
+
+    describe('Notification buttons', () => {
+        test('should open the WebUI or remove the torrent and keep its data', async () => {
+            const notificationId = `qbt-torrent:completed:nas:${HASH}:1700000000000`;
+
+            await handleWatcherNotificationButton(notificationId, 0);
+            expect(openWebUi).toHaveBeenCalledWith('nas');
+
+            await handleWatcherNotificationButton(notificationId, 1);
+            expect(controlTorrents).toHaveBeenCalledWith('delete', [HASH], { deleteFiles: false }, 'nas');
+            expect(chrome.notifications.clear).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('Concurrent updates', () => {
+        test('should keep every torrent watched by parallel sends', async () => {
+            await Promise.all(['A', 'B', 'C', 'D'].map(name => watchTorrent({ name })));
+
+            expect(watcherState().watched.map(entry => entry.name).sort()).toEqual(['A', 'B', 'C', 'D']);
+        });
+
+        test('should keep torrents watched while a poll is running', async () => {
+            await watchTorrent({ hash: HASH, name: 'Ubuntu' });
+            let answerSync;
+            const syncStarted = new Promise(resolve => {
+                makeAuthenticatedRequest.mockImplementationOnce(() => {
+                    resolve();
+                    return new Promise(answer => {
+                        answerSync = answer;
+                    });
+                });
+            });
+
+            const poll = pollWatchedTorrents();
+            await syncStarted;
+            await watchTorrent({ hash: OTHER_HASH, name: 'Debian' });
+            answerSync(maindata({ rid: 5, torrents: { [HASH]: { name: 'Ubuntu', state: 'downloading', progress: 0.5 } } }));
+            await poll;
+
+            const { watched, servers } = watcherState();
+            expect(watched.map(entry => [entry.name, entry.state])).toEqual([['Ubuntu', 'downloading'], ['Debian', null]]);
+            // The next delta must still carry the full record of the torrent added during the poll
+            expect(servers).toEqual({});
+        });
+    });
+});
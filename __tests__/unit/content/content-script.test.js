@@ -0,0 +1,119 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for the content script
+ * Tests applying showIndicators and scanDynamicContent edits without reloading the page
+ */
+
+let storageListeners;
+// The page's current MutationObserver, so tests can report added nodes the way the browser would
+let pageObserver;
+
+class RecordingMutationObserver {
+    constructor(callback) {
+        this.callback = callback;
+        this.connected = false;
+        pageObserver = this;
+    }
+
+    observe() {
+        this.connected = true;
+    }
+
+    disconnect() {
+        this.connected = false;
+    }
+}
+
+const changeOptions = options => storageListeners.forEach(listener => listener({ options: { newValue: options } }, 'sync'));
+const indicatorCount = () => document.querySelectorAll('.qbit-indicator').length;
+const badgeCounts = () => chrome.runtime.sendMessage.mock.calls
+    .filter(([message]) => message.action === 'UPDATE_BADGE')
+    .map(([message]) => message.count);
+const addLink = name => {
+    const link = document.createElement('a');
+    link.href = `https://example.com/${name}.torrent`;
+    link.textContent = name;
+    document.body.appendChild(link);
+    if (pageObserver && pageObserver.connected) {
+        pageObserver.callback([{ type: 'childList', addedNodes: [link] }]);
+    }
+};
+
+require('../../../utils/constants.js');
+require('../../../utils/magnet-uri.js');
+require('../../../utils/site-filter.js');
+require('../../../content/detection-strategies.js');
+require('../../../content/link-detector.js');
+
+describe('Content Script', () => {
+    // The shared setup empties the page and resets mocks before each test, so every test loads
+    // the script on a fresh page
+    beforeEach(async () => {
+        // The shared setup replaces URL with a stub, and its setTimeout stub calls itself; fake
+        // timers replace it
+        global.URL = require('url').URL;
+        jest.useFakeTimers({ doNotFake: ['queueMicrotask', 'nextTick'] });
+        global.MutationObserver = RecordingMutationObserver;
+        pageObserver = null;
+        storageListeners = [];
+        global.chrome = {
+            runtime: {
+                sendMessage: jest.fn().mockResolvedValue({ success: true, results: {} }),
+                onMessage: { addListener: jest.fn() }
+            },
+            storage: {
+                sync: {
+                    get: jest.fn().mockResolvedValue({ options: { showIndicators: true, scanDynamicContent: true } })
+                },
+                onChanged: { addListener: listener => storageListeners.push(listener) }
+            }
+        };
+        document.body.innerHTML = '<a href="https://example.com/first.torrent">First</a>';
+
+        jest.isolateModules(() => require('../../../content/content-script.js'));
+        await jest.advanceTimersByTimeAsync(0);
+        chrome.runtime.sendMessage.mockClear();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should remove and restore indicators when showIndicators changes', () => {
+        expect(indicatorCount()).toBe(1);
+
+        changeOptions({ showIndicators: false, scanDynamicContent: true });
+        expect(indicatorCount()).toBe(0);
+        expect(document.querySelectorAll('.qbt-detected')).toHaveLength(0);
+
+        changeOptions({ showIndicators: true, scanDynamicContent: true });
+        expect(indicatorCount()).toBe(1);
+    });
+
+    test('should scan links added to the page while scanDynamicContent is on', async () => {
+        addLink('second');
+        await jest.advanceTimersByTimeAsync(500);
+
+        expect(indicatorCount()).toBe(2);
+        expect(badgeCounts()).toEqual([2]);
+    });
+
+    test('should stop and restart scanning when scanDynamicContent changes', async () => {
+        changeOptions({ showIndicators: true, scanDynamicContent: false });
+        expect(jest.getTimerCount()).toBe(0);
+
+        addLink('second');
+        await jest.advanceTimersByTimeAsync(10000);
+        expect(indicatorCount()).toBe(1);
+        expect(badgeCounts()).toEqual([]);
+
+        changeOptions({ showIndicators: true, scanDynamicContent: true });
+        expect(indicatorCount()).toBe(2);
+
+        jest.advanceTimersByTime(5000);
+        expect(badgeCounts()).toEqual([2]);
+    });
+});
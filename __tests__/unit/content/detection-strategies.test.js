@@ -0,0 +1,257 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for the detection strategies and TorrentLinkDetector
+ * Tests anchors, data attributes, onclick handlers, forms, magnet text, shadow roots, feeds and
+ * confirmation of ambiguous links through the background probe
+ */
+
+require('../../../utils/magnet-uri.js');
+require('../../../content/detection-strategies.js');
+require('../../../content/link-detector.js');
+const { TorrentLinkDetector, classifyTorrentUrl } = window;
+
+const HASH = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+const BASE = 'https://tracker.example.org/browse.php';
+
+// Settles the probe the background answered
+const flushPromises = () => jest.runAllTimersAsync();
+
+describe('Detection Strategies', () => {
+    let detector;
+
+    beforeEach(() => {
+        // The shared setup stubs out URL, the tree walker the magnet text strategy uses and
+        // setTimeout, whose stub calls itself; fake timers replace it
+        global.URL = require('url').URL;
+        delete document.createTreeWalker;
+        jest.useFakeTimers({ doNotFake: ['queueMicrotask', 'nextTick'] });
+
+        document.body.innerHTML = '';
+        global.chrome = {
+            runtime: {
+                sendMessage: jest.fn().mockResolvedValue({ success: true, results: {} })
+            }
+        };
+        detector = new TorrentLinkDetector();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('URL Classification', () => {
+        test.each([
+            ['/files/ubuntu.torrent', { url: 'https://tracker.example.org/files/ubuntu.torrent', type: 'torrent', ambiguous: false }],
+            ['download.php?id=42', { url: 'https://tracker.example.org/download.php?id=42', type: 'torrent', ambiguous: true }],
+            ['/dl/42/', { url: 'https://tracker.example.org/dl/42/', type: 'torrent', ambiguous: true }],
+            ['index.php?action=download&id=42', { url: 'https://tracker.example.org/index.php?action=download&id=42', type: 'torrent', ambiguous: true }],
+            [`magnet:?xt=urn:btih:${HASH}`, { url: `magnet:?xt=urn:btih:${HASH}`, type: 'magnet', ambiguous: false }],
+            ['magnet:?xt=urn:btih:invalid', null],
+            ['/details.php?id=42', null],
+            ['mailto:admin@example.org', null],
+            ['', null]
+        ])('%s', (value, expected) => {
+            expect(classifyTorrentUrl(value, BASE)).toEqual(expected);
+        });
+    });
+
+    describe('Certain Links', () => {
+        test('should find .torrent anchors and name them from the file when they have no text', () => {
+            document.body.innerHTML = '<a href="https://example.com/files/debian.torrent"></a>';
+
+            const [link] = detector.detectAllLinks();
+
+            expect(link).toMatchObject({ url: 'https://example.com/files/debian.torrent', type: 'torrent', name: 'debian.torrent' });
+            expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+        });
+
+        test('should trust anchors that declare the BitTorrent type', () => {
+            document.body.innerHTML = '<a href="/get?id=1" type="application/x-bittorrent">Get</a>' +
+                '<a href="/fetch.php?id=2" download="file.torrent">Fetch</a>';
+
+            expect(detector.detectAllLinks()).toHaveLength(2);
+        });
+
+        test('should find base32 magnets in hrefs and text once per element', () => {
+            const magnet = `magnet:?xt=urn:btih:${MagnetUri.hexToBase32(HASH)}&dn=Example`;
+            document.body.innerHTML = `<a href="${magnet}">${magnet}</a><p>Mirror: ${magnet}.</p>`;
+
+            const links = detector.detectAllLinks();
+
+            expect(links).toHaveLength(2);
+            expect(links.map(link => link.element.tagName)).toEqual(['A', 'P']);
+            expect(links[1].name).toBe('Example');
+        });
+
+        test('should list each torrent once, however its magnets are written', () => {
+            const magnet = `magnet:?xt=urn:btih:${MagnetUri.hexToBase32(HASH)}`;
+            document.body.innerHTML = `<a href="${magnet}"></a><p>${magnet}&amp;dn=Example</p>` +
+                `<a href="magnet:?xt=urn:btih:${HASH}&amp;tr=udp://a.example:80">Mirror</a>`;
+
+            expect(detector.getUniqueLinks()).toEqual([{ url: magnet, type: 'magnet', name: 'Mirror' }]);
+        });
+
+        test('should find magnets in data attributes', () => {
+            document.body.innerHTML = `<button data-magnet="magnet:?xt=urn:btih:${HASH}">Magnet</button>`;
+
+            expect(detector.detectAllLinks()[0]).toMatchObject({ type: 'magnet', name: 'Magnet' });
+        });
+
+        test('should search the open shadow roots present when it starts, nested ones included', () => {
+            const host = document.createElement('div');
+            document.body.appendChild(host);
+            const shadow = host.attachShadow({ mode: 'open' });
+            shadow.innerHTML = '<a href="https://example.com/a.torrent">A</a><span></span>';
+            shadow.querySelector('span').attachShadow({ mode: 'open' }).innerHTML = '<a href="https://example.com/b.torrent">B</a>';
+
+            detector = new TorrentLinkDetector();
+
+            expect(detector.detectAllLinks().map(link => link.url)).toEqual(['https://example.com/a.torrent', 'https://example.com/b.torrent']);
+        });
+
+        test('should search shadow roots in added nodes and forget them once their host is removed', () => {
+            const host = document.createElement('div');
+            host.attachShadow({ mode: 'open' }).innerHTML = '<a href="https://example.com/a.torrent">A</a>';
+            document.body.appendChild(host);
+            expect(detector.detectAllLinks()).toEqual([]);
+
+            expect(detector.addShadowRoots(host)).toEqual([host.shadowRoot]);
+            expect(detector.detectAllLinks().map(link => link.url)).toEqual(['https://example.com/a.torrent']);
+
+            host.remove();
+            expect(detector.getSearchRoots()).toEqual([document]);
+        });
+    });
+
+    describe('Ambiguous Links', () => {
+        test('should only count download endpoints the background confirms', async () => {
+            document.body.innerHTML = '<a href="/download.php?id=1">One</a><span data-href="/download.php?id=2">Two</span>';
+            chrome.runtime.sendMessage.mockResolvedValue({
+                success: true,
+                results: {
+                    'http://localhost/download.php?id=1': true,
+                    'http://localhost/download.php?id=2': false
+                }
+            });
+            detector.onLinksConfirmed = jest.fn();
+
+            expect(detector.detectAllLinks()).toEqual([]);
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+                action: 'PROBE_TORRENT_URLS',
+                urls: ['http://localhost/download.php?id=1', 'http://localhost/download.php?id=2']
+            });
+
+            await flushPromises();
+
+            expect(detector.onLinksConfirmed).toHaveBeenCalled();
+            expect(detector.detectAllLinks().map(link => link.name)).toEqual(['One']);
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(1);
+        });
+
+        test('should probe again after a failed probe', async () => {
+            document.body.innerHTML = '<a href="/download.php?id=1">One</a>';
+            chrome.runtime.sendMessage.mockRejectedValueOnce(new Error('Receiving end does not exist'));
+            jest.spyOn(console, 'error').mockImplementation();
+
+            detector.detectAllLinks();
+            await flushPromises();
+            detector.detectAllLinks();
+
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(2);
+            console.error.mockRestore();
+        });
+
+        test('should keep sites waiting for access and probe them again once retried', async () => {
+            document.body.innerHTML = '<a href="/download.php?id=1">One</a>';
+            chrome.runtime.sendMessage.mockResolvedValue({ success: true, results: {}, needsAccess: ['http://localhost/*'] });
+
+            detector.detectAllLinks();
+            await flushPromises();
+            detector.detectAllLinks();
+
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(1);
+            expect([...detector.probeAccessNeeded]).toEqual(['http://localhost/*']);
+
+            detector.retrySkippedProbes();
+            detector.detectAllLinks();
+
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(2);
+            expect(detector.probeAccessNeeded.size).toBe(0);
+        });
+
+        test('should treat URLs from onclick handlers as ambiguous', () => {
+            document.body.innerHTML = '<button onclick="window.location.href=\'/files/x.torrent\'">Get</button>' +
+                `<span onclick="open('magnet:?xt=urn:btih:${HASH}')">Magnet</span>`;
+
+            const links = detector.detectAllLinks();
+
+            expect(links.map(link => link.type)).toEqual(['magnet']);
+            expect(chrome.runtime.sendMessage.mock.calls[0][0].urls).toEqual(['http://localhost/files/x.torrent']);
+        });
+
+        test('should turn GET download forms into URLs and skip POST and login forms', () => {
+            // The shared setup's FormData mock does not read forms; a frame still has the real one
+            const frame = document.body.appendChild(document.createElement('iframe'));
+            jest.spyOn(global, 'FormData').mockImplementation(form => new frame.contentWindow.FormData(form));
+            document.body.innerHTML = `
+                <form action="/takedownload.php" method="post"><input type="hidden" name="csrf" value="s3cret"><input name="id" value="7"><button>Download</button></form>
+                <form action="/takedownload.php" method="get"><input name="id" value="7"><button>Download</button></form>
+                <form action="/dl/" method="GET"><input name="id" value="8"><input type="submit" value="Go"></form>
+                <form action="/download.php"><input name="user"><input type="password" name="pass"><button>Download</button></form>
+                <form action="/search.php"><input name="q" value="linux"><button>Search</button></form>`;
+
+            detector.detectAllLinks();
+
+            expect(chrome.runtime.sendMessage.mock.calls[0][0].urls).toEqual([
+                'http://localhost/takedownload.php?id=7',
+                'http://localhost/dl/?id=8'
+            ]);
+        });
+    });
+
+    describe('Feeds', () => {
+        afterEach(() => {
+            document.head.innerHTML = '';
+        });
+
+        test('should list the RSS and Atom feeds the page announces once each', () => {
+            document.head.innerHTML = '<link rel="alternate" type="application/rss+xml" href="/rss.php?cat=5" title=" TV ">' +
+                '<link rel="Alternate" type="application/atom+xml" href="https://example.com/atom">' +
+                '<link rel="alternate" type="application/rss+xml" href="/rss.php?cat=5">' +
+                '<link rel="alternate" type="text/html" href="/mobile">' +
+                '<link rel="alternate" type="application/rss+xml" href="javascript:void(0)">' +
+                '<link rel="stylesheet" type="application/rss+xml" href="/style.css">';
+            document.title = 'Tracker';
+
+            expect(detector.detectFeeds()).toEqual([
+                { url: 'http://localhost/rss.php?cat=5', title: 'TV', type: 'rss' },
+                { url: 'https://example.com/atom', title: 'Tracker', type: 'atom' }
+            ]);
+        });
+    });
+
+    describe('Custom Strategies', () => {
+        test('should run registered strategies and survive failing ones', () => {
+            jest.spyOn(console, 'error').mockImplementation();
+            detector.registerStrategy({ name: 'broken', find: () => { throw new Error('boom'); } });
+            detector.registerStrategy({
+                name: 'custom',
+                find: root => [...root.querySelectorAll('[data-torrent-id]')].map(element => ({
+                    url: `https://example.com/${element.dataset.torrentId}.torrent`,
+                    element,
+                    type: 'torrent',
+                    name: element.textContent,
+                    ambiguous: false
+                }))
+            });
+            document.body.innerHTML = '<div data-torrent-id="99">Custom</div>';
+
+            expect(detector.detectAllLinks().map(link => link.url)).toEqual(['https://example.com/99.torrent']);
+            expect(console.error).toHaveBeenCalled();
+            console.error.mockRestore();
+        });
+    });
+});
@@ -0,0 +1,183 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for TorrentLinkPicker
+ * Tests link descriptions, filtering, regex selection, the confirmation threshold and the batch port
+ */
+
+const createPort = () => ({
+    postMessage: jest.fn(),
+    disconnect: jest.fn(),
+    onMessage: { addListener: jest.fn() },
+    onDisconnect: { addListener: jest.fn() }
+});
+
+global.chrome = {
+    runtime: {
+        connect: jest.fn()
+    }
+};
+
+require('../../../utils/magnet-uri.js');
+require('../../../content/link-picker.js');
+const { TorrentLinkPicker } = window;
+
+const HASH = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+const MAGNET = `magnet:?xt=urn:btih:${HASH}&dn=Ubuntu+24.04&xl=6291456`;
+const TORRENT = 'https://example.com/files/debian-12.torrent';
+const DOWNLOAD = 'https://example.com/download.php?id=7';
+
+describe('TorrentLinkPicker', () => {
+    let port;
+    let picker;
+
+    const click = command => picker.root.querySelector(`[data-command="${command}"]`).click();
+    const getSendButton = () => picker.root.querySelector('[data-command="send"]');
+
+    const openPicker = (confirmThreshold = 0) => {
+        picker = new TorrentLinkPicker({
+            torrents: [MAGNET, TORRENT, DOWNLOAD],
+            linkTexts: { [DOWNLOAD]: 'Arch Linux 2024' },
+            pageUrl: 'https://example.com/browse'
+        }, { category: 'linux', serverId: 'nas' }, confirmThreshold);
+        picker.open();
+    };
+
+    beforeEach(() => {
+        port = createPort();
+        chrome.runtime.connect.mockReset();
+        chrome.runtime.connect.mockReturnValue(port);
+    });
+
+    afterEach(() => {
+        picker.close();
+    });
+
+    describe('Listing', () => {
+        test('should describe links with name, type and known sizes', () => {
+            openPicker();
+
+            const rows = [...picker.root.querySelectorAll('.list li')].map(row => ({
+                name: row.querySelector('.name').textContent,
+                type: row.querySelector('.type').textContent,
+                size: row.querySelector('.size').textContent
+            }));
+
+            expect(rows).toEqual([
+                { name: 'Ubuntu 24.04', type: 'Magnet', size: '6.0 MiB' },
+                { name: 'debian-12.torrent', type: 'Torrent', size: '' },
+                { name: 'Arch Linux 2024', type: 'Torrent', size: '' }
+            ]);
+            expect(getSendButton().textContent).toBe('Send 3 Torrents');
+        });
+
+        test('should hide filtered links without changing the selection', () => {
+            openPicker();
+            const filter = picker.root.querySelector('.filter');
+            filter.value = 'DEBIAN';
+            filter.dispatchEvent(new Event('input'));
+
+            click('clear-shown');
+
+            expect(picker.getShownLinks().map(link => link.url)).toEqual([TORRENT]);
+            expect(picker.getSelectedLinks().map(link => link.url)).toEqual([MAGNET, DOWNLOAD]);
+        });
+    });
+
+    describe('Selection', () => {
+        test('should select exactly the links matching a regular expression', () => {
+            openPicker();
+            picker.root.querySelector('.pattern').value = 'ubuntu|arch';
+
+            click('select-pattern');
+
+            expect(picker.getSelectedLinks().map(link => link.url)).toEqual([MAGNET, DOWNLOAD]);
+        });
+
+        test('should report invalid regular expressions and keep the selection', () => {
+            openPicker();
+            picker.root.querySelector('.pattern').value = '(unclosed';
+
+            click('select-pattern');
+
+            expect(picker.root.querySelector('.message').textContent).toMatch(/Invalid regular expression/);
+            expect(picker.getSelectedLinks()).toHaveLength(3);
+        });
+
+        test('should follow checkbox changes and disable sending with nothing selected', () => {
+            openPicker();
+            click('clear-shown');
+            const checkbox = picker.root.querySelector('.list input');
+            checkbox.checked = true;
+            checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+
+            expect(getSendButton().textContent).toBe('Send 1 Torrent');
+
+            click('clear-shown');
+            expect(getSendButton().disabled).toBe(true);
+        });
+    });
+
+    describe('Sending', () => {
+        test('should send the chosen links with the popup options over the batch port', () => {
+            openPicker();
+            picker.root.querySelector('.pattern').value = 'arch';
+            click('select-pattern');
+
+            click('send');
+
+            expect(chrome.runtime.connect).toHaveBeenCalledWith({ name: 'send-batch' });
+            expect(port.postMessage).toHaveBeenCalledWith({
+                action: 'START',
+                urls: [DOWNLOAD],
+                options: { category: 'linux', serverId: 'nas', source: { pageUrl: 'https://example.com/browse' } },
+                linkTexts: { [DOWNLOAD]: 'Arch Linux 2024' }
+            });
+        });
+
+        test('should ask again before sending more links than the threshold', () => {
+            openPicker(2);
+
+            click('send');
+            expect(chrome.runtime.connect).not.toHaveBeenCalled();
+            expect(picker.root.querySelector('.message').textContent).toMatch(/Send 3 torrents/);
+
+            click('back');
+            click('send');
+            expect(chrome.runtime.connect).not.toHaveBeenCalled();
+
+            click('send');
+            expect(chrome.runtime.connect).toHaveBeenCalledTimes(1);
+        });
+
+        test('should show progress, cancel and the final summary', () => {
+            openPicker();
+            click('send');
+            const [[onMessage]] = port.onMessage.addListener.mock.calls;
+
+            onMessage({ type: 'progress', completed: 1, total: 3, status: 'added' });
+            expect(picker.root.querySelector('.message').textContent).toBe('1 / 3 · 1 added, 0 failed');
+
+            click('back');
+            expect(port.postMessage).toHaveBeenLastCalledWith({ action: 'CANCEL' });
+
+            onMessage({ type: 'done', summary: { total: 3, added: 1, duplicate: 0, queued: 0, cancelled: 2, failed: 0 } });
+            expect(picker.root.querySelector('.message').textContent).toBe('1 added, 2 cancelled, 0 failed');
+            expect(port.disconnect).toHaveBeenCalled();
+            expect(getSendButton().hidden).toBe(true);
+        });
+
+        test('should remove the overlay when closed', () => {
+            const onClose = jest.fn();
+            openPicker();
+            picker.onClose = onClose;
+
+            click('close');
+
+            expect(document.getElementById('qbit-link-picker')).toBeNull();
+            expect(onClose).toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for the popup's torrent manager
+ * Tests rendering the torrent list, the live refresh and the two-click delete
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HASH = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+const OTHER_HASH = 'aa2fe1c06bba254a9dc9f519b335aa7c1367a88b';
+
+const torrent = fields => ({
+  hash: HASH,
+  name: 'Ubuntu 24.04',
+  state: 'downloading',
+  progress: 0.425,
+  eta: 90,
+  dlspeed: 2 * 1024 * 1024,
+  upspeed: 0,
+  ratio: 0.5,
+  category: '',
+  ...fields
+});
+
+let torrents = [];
+
+const torrentActions = () => chrome.runtime.sendMessage.mock.calls
+  .map(([message]) => message)
+  .filter(message => message.action === 'TORRENT_ACTION');
+const deleteButton = () => document.querySelector('#torrent-list button[data-command="delete"]');
+
+require('../../../utils/site-filter.js');
+
+describe('Popup Torrent List', () => {
+  // The shared setup empties the page and resets mocks before each test, so every test opens
+  // a fresh popup
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['queueMicrotask', 'nextTick'] });
+    jest.spyOn(console, 'error').mockImplementation();
+    global.chrome = {
+      runtime: {
+        sendMessage: jest.fn(async message => {
+          if (message.action === 'GET_TORRENTS') {
+            return { success: true, torrents };
+          }
+          return message.action === 'TORRENT_ACTION' ? { success: true } : { success: false };
+        }),
+        getURL: jest.fn(),
+        connect: jest.fn()
+      },
+      storage: {
+        sync: { get: jest.fn().mockResolvedValue({}) },
+        onChanged: { addListener: jest.fn() }
+      },
+      tabs: {
+        query: jest.fn().mockResolvedValue([]),
+        sendMessage: jest.fn()
+      }
+    };
+
+    const html = fs.readFileSync(path.join(__dirname, '../../../popup/popup.html'), 'utf8');
+    document.body.innerHTML = html.replace(/^[\s\S]*<body[^>]*>|<\/body>[\s\S]*$/g, '');
+    torrents = [
+      torrent(),
+      torrent({ hash: OTHER_HASH, name: 'Debian 12', state: 'pausedUP', progress: 1, eta: 8640000, dlspeed: 0, ratio: 1.234 })
+    ];
+
+    // Run this load's own initializer rather than every earlier load's DOMContentLoaded listener
+    jest.spyOn(document, 'addEventListener').mockImplementation();
+    jest.isolateModules(() => require('../../../popup/popup.js'));
+    const [, initializePopup] = document.addEventListener.mock.calls.find(([type]) => type === 'DOMContentLoaded');
+    document.addEventListener.mockRestore();
+    initializePopup();
+    await jest.advanceTimersByTimeAsync(0);
+    chrome.runtime.sendMessage.mockClear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should show each torrent with its progress, state, speeds and actions', () => {
+    const items = [...document.querySelectorAll('#torrent-list .torrent-item')];
+
+    expect(items).toHaveLength(2);
+    expect(items[0].querySelector('.torrent-name').textContent).toBe('Ubuntu 24.04');
+    expect(items[0].querySelector('.torrent-progress-bar').style.width).toBe('43%');
+    expect([...items[0].querySelectorAll('.torrent-meta span')].map(span => span.textContent)[0]).toBe('42.5% · Downloading');
+    expect([...items[0].querySelectorAll('button')].map(button => button.textContent)).toEqual(['Pause', 'Recheck', 'Delete']);
+
+    expect(items[1].querySelector('.torrent-progress-bar').classList.contains('complete')).toBe(true);
+    expect(items[1].textContent).toContain('Completed');
+    expect(items[1].textContent).toContain('Ratio 1.23');
+    expect([...items[1].querySelectorAll('button')].map(button => button.textContent)).toEqual(['Resume', 'Recheck', 'Delete']);
+    expect(document.getElementById('torrent-list-empty').classList.contains('hidden')).toBe(true);
+  });
+
+  test('should send pause and resume for the clicked torrent', async () => {
+    document.querySelector('#torrent-list button[data-command="pause"]').click();
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(torrentActions()).toEqual([expect.objectContaining({ command: 'pause', hashes: [HASH] })]);
+  });
+
+  test('should only delete after a second click and keep the files', async () => {
+    deleteButton().click();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(deleteButton().textContent).toBe('Confirm');
+    expect(torrentActions()).toEqual([]);
+
+    deleteButton().click();
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(torrentActions()).toEqual([expect.objectContaining({ command: 'delete', hashes: [HASH], deleteFiles: false })]);
+  });
+
+  test('should keep a pending confirmation across refreshes until it times out', async () => {
+    // The list refreshes every five seconds after the popup opened
+    await jest.advanceTimersByTimeAsync(4000);
+    deleteButton().click();
+    torrents = [torrent({ progress: 0.5 })];
+
+    await jest.advanceTimersByTimeAsync(1500);
+    expect(document.querySelector('.torrent-meta span').textContent).toBe('50.0% · Downloading');
+    expect(deleteButton().textContent).toBe('Confirm');
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(deleteButton().textContent).toBe('Delete');
+
+    deleteButton().click();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(torrentActions()).toEqual([]);
+  });
+
+  test('should show the empty state when no torrents are left', async () => {
+    torrents = [];
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(document.querySelectorAll('#torrent-list .torrent-item')).toHaveLength(0);
+    expect(document.getElementById('torrent-list-empty').classList.contains('hidden')).toBe(false);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for Bencode
+ * Tests decoding and encoding of all value types, raw info dictionary lookup and malformed input rejection
+ */
+
+const { TextEncoder, TextDecoder } = require('util');
+
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+require('../../../utils/bencode.js');
+const { Bencode } = window;
+
+const encode = text => new Uint8Array(new TextEncoder().encode(text));
+
+describe('Bencode', () => {
+    describe('Decoding', () => {
+        test('should decode integers', () => {
+            expect(Bencode.decode(encode('i42e'))).toBe(42);
+            expect(Bencode.decode(encode('i-7e'))).toBe(-7);
+            expect(Bencode.decode(encode('i0e'))).toBe(0);
+        });
+
+        test('should decode byte strings as bytes', () => {
+            const value = Bencode.decode(encode('4:spam'));
+
+            expect(value).toBeInstanceOf(Uint8Array);
+            expect(Bencode.toText(value)).toBe('spam');
+        });
+
+        test('should decode nested lists and dictionaries', () => {
+            const value = Bencode.decode(encode('d4:listl1:ai1ee3:numi3ee'));
+
+            expect(Bencode.toText(value.list[0])).toBe('a');
+            expect(value.list[1]).toBe(1);
+            expect(value.num).toBe(3);
+        });
+
+        test('should keep prototype keys as plain data', () => {
+            const value = Bencode.decode(encode('d9:__proto__i1ee'));
+
+            expect(Object.getPrototypeOf(value)).toBeNull();
+            expect(Object.entries(value)).toEqual([['__proto__', 1]]);
+        });
+    });
+
+    describe('Encoding', () => {
+        test('should encode all value types', () => {
+            const encoded = Bencode.encode({ num: -3, text: 'spam', list: [1, encode('ab')] });
+
+            expect(Bencode.toText(encoded)).toBe('d4:listli1e2:abe3:numi-3e4:text4:spame');
+        });
+
+        test('should sort dictionary keys by raw bytes', () => {
+            expect(Bencode.toText(Bencode.encode({ b: 1, a: 2, B: 3 }))).toBe('d1:Bi3e1:ai2e1:bi1ee');
+        });
+
+        test('should round-trip decoded data byte for byte', () => {
+            const data = encode('d8:announce3:url4:infod6:lengthi10e4:name3:fooee');
+
+            expect(Bencode.encode(Bencode.decode(data))).toEqual(data);
+        });
+
+        test.each([
+            [1.5, 'non-integer'],
+            [null, 'null'],
+            [true, 'boolean']
+        ])('should reject %p', (value, message) => {
+            expect(() => Bencode.encode(value)).toThrow(message);
+        });
+    });
+
+    describe('Info Dictionary Lookup', () => {
+        test('should return the exact encoded bytes of a key', () => {
+            const data = encode('d8:announce3:url4:infod4:name3:fooee');
+
+            expect(Bencode.toText(Bencode.locate(data, 'info'))).toBe('d4:name3:fooe');
+            expect(Bencode.locate(data, 'missing')).toBeNull();
+        });
+    });
+
+    describe('Malformed Input', () => {
+        test.each([
+            ['i01e', 'invalid integer'],
+            ['i-0e', 'invalid integer'],
+            ['5:abc', 'string runs past end of data'],
+            ['l1:a', 'unexpected end of data'],
+            ['di1ei2ee', 'dictionary key must be a string'],
+            ['i1ei2e', 'trailing data after value'],
+            ['x', 'unexpected character']
+        ])('should reject %s', (input, message) => {
+            expect(() => Bencode.decode(encode(input))).toThrow(message);
+        });
+
+        test('should report the failing byte offset', () => {
+            expect(() => Bencode.decode(encode('l1:ai01ee'))).toThrow('Invalid bencode at byte 4');
+        });
+
+        test('should reject excessive nesting', () => {
+            const deep = 'l'.repeat(100) + 'e'.repeat(100);
+            expect(() => Bencode.decode(encode(deep))).toThrow('nesting too deep');
+        });
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for HostPermissions
+ * Tests origin pattern derivation, missing-origin detection, permission requests and revocation
+ */
+
+const { createMockStorage } = require('../../utils/test-helpers');
+
+// Granted origins, as chrome.permissions keeps them
+const granted = new Set();
+const storedOrigins = () => chrome.storage.local.data.get('server_host_origins');
+
+require('../../../utils/host-permissions.js');
+const { HostPermissions } = window;
+
+describe('HostPermissions', () => {
+    // Built per test: the shared setup resets every mock and replaces URL with a stub
+    beforeEach(() => {
+        global.URL = require('url').URL;
+        granted.clear();
+        global.chrome = {
+            storage: {
+                local: createMockStorage()
+            },
+            permissions: {
+                contains: jest.fn(async ({ origins }) => origins.every(origin => granted.has(origin))),
+                request: jest.fn(async ({ origins }) => {
+                    origins.forEach(origin => granted.add(origin));
+                    return true;
+                }),
+                getAll: jest.fn(async () => ({ permissions: [], origins: [...granted] })),
+                remove: jest.fn(async ({ origins }) => {
+                    origins.forEach(origin => granted.delete(origin));
+                    return true;
+                })
+            }
+        };
+    });
+
+    describe('Origin Patterns', () => {
+        test.each([
+            ['http://192.168.1.5:8080', 'http://192.168.1.5/*'],
+            ['https://qbt.example.com/qbittorrent/', 'https://qbt.example.com/*'],
+            ['HTTP://NAS.local:8080', 'http://nas.local/*'],
+            ['ftp://example.com', null],
+            ['not a url', null],
+            ['', null]
+        ])('%s → %s', (url, expected) => {
+            expect(HostPermissions.getOriginPattern(url)).toBe(expected);
+        });
+    });
+
+    describe('Access Checks', () => {
+        test('should report access only for granted origins', async () => {
+            granted.add('http://nas.local/*');
+
+            expect(await HostPermissions.hasAccess('http://nas.local:8080')).toBe(true);
+            expect(await HostPermissions.hasAccess('https://nas.local')).toBe(false);
+            expect(await HostPermissions.hasAccess('invalid')).toBe(false);
+        });
+
+        test('should list each missing origin once', async () => {
+            granted.add('http://nas.local/*');
+
+            const missing = await HostPermissions.findMissing([
+                'http://nas.local:8080',
+                'https://seedbox.example.com:443',
+                'https://seedbox.example.com/qbt',
+                'invalid'
+            ]);
+
+            expect(missing).toEqual(['https://seedbox.example.com/*']);
+        });
+    });
+
+    describe('Requesting Access', () => {
+        test('should request every origin in a single prompt', async () => {
+            const result = await HostPermissions.request(['http://nas.local:8080', 'https://seedbox.example.com']);
+
+            expect(result).toBe(true);
+            expect(chrome.permissions.request).toHaveBeenCalledTimes(1);
+            expect(chrome.permissions.request).toHaveBeenCalledWith({
+                origins: ['http://nas.local/*', 'https://seedbox.example.com/*']
+            });
+        });
+
+        test('should not prompt when no URL is valid', async () => {
+            expect(await HostPermissions.request(['', 'invalid'])).toBe(false);
+            expect(chrome.permissions.request).not.toHaveBeenCalled();
+        });
+
+        test('should pass on a denied request', async () => {
+            chrome.permissions.request.mockResolvedValueOnce(false);
+
+            expect(await HostPermissions.request(['http://nas.local'])).toBe(false);
+            expect(storedOrigins()).toBeUndefined();
+        });
+    });
+
+    describe('Revoking Access', () => {
+        test('should revoke server origins no server uses', async () => {
+            await HostPermissions.request(['http://nas.local:8080', 'https://old.example.com']);
+
+            const revoked = await HostPermissions.revokeUnused(['http://nas.local:8080']);
+
+            expect(revoked).toEqual(['https://old.example.com/*']);
+            expect([...granted]).toEqual(['http://nas.local/*']);
+            expect(storedOrigins()).toEqual(['http://nas.local/*']);
+        });
+
+        test('should keep origins that were not granted for a server', async () => {
+            await HostPermissions.request(['http://nas.local:8080']);
+            granted.add('https://tracker.example.org/*');
+
+            expect(await HostPermissions.revokeUnused([])).toEqual(['http://nas.local/*']);
+            expect([...granted]).toEqual(['https://tracker.example.org/*']);
+        });
+
+        test('should forget server origins the user already removed', async () => {
+            await HostPermissions.request(['https://old.example.com']);
+            granted.clear();
+
+            expect(await HostPermissions.revokeUnused([])).toEqual([]);
+            expect(chrome.permissions.remove).not.toHaveBeenCalled();
+            expect(storedOrigins()).toEqual([]);
+        });
+
+        test('should not call remove when every origin is in use', async () => {
+            await HostPermissions.request(['http://nas.local:8080']);
+
+            expect(await HostPermissions.revokeUnused(['http://nas.local:8080'])).toEqual([]);
+            expect(chrome.permissions.remove).not.toHaveBeenCalled();
+        });
+    });
+});
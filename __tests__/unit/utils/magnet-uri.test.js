@@ -0,0 +1,158 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for MagnetUri
+ * Tests v1/v2/hybrid info-hashes, base32 conversion, field parsing, normalisation and text search
+ */
+
+require('../../../utils/magnet-uri.js');
+const { MagnetUri } = window;
+
+const HEX = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+const BASE32 = 'YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKEK';
+const V2 = 'd8dd32ac93357c368556af3ac1d95c9d76bd0dff6fa9833ecdac3d53134efabb';
+
+describe('MagnetUri', () => {
+    describe('Info-Hashes', () => {
+        test('should read hex v1 hashes in any case', () => {
+            const magnet = MagnetUri.parse(`magnet:?xt=urn:btih:${HEX.toUpperCase()}`);
+
+            expect(magnet.infoHash).toBe(HEX);
+            expect(magnet.version).toBe('v1');
+        });
+
+        test('should convert base32 v1 hashes to hex', () => {
+            expect(MagnetUri.parse(`magnet:?xt=urn:btih:${BASE32}`).infoHash).toBe(HEX);
+            expect(MagnetUri.parse(`magnet:?xt=urn:btih:${BASE32.toLowerCase()}`).infoHash).toBe(HEX);
+        });
+
+        test('should use the truncated v2 hash as the id of v2-only links', () => {
+            const magnet = MagnetUri.parse(`magnet:?xt=urn:btmh:1220${V2}`);
+
+            expect(magnet.version).toBe('v2');
+            expect(magnet.infoHashV1).toBeNull();
+            expect(magnet.infoHashV2).toBe(V2);
+            expect(magnet.infoHash).toBe(V2.substring(0, 40));
+        });
+
+        test('should read hybrid links with either xt first', () => {
+            const magnet = MagnetUri.parse(`magnet:?xt=urn:btmh:1220${V2}&xt.1=urn:btih:${HEX}`);
+
+            expect(magnet.version).toBe('hybrid');
+            expect(magnet.infoHash).toBe(HEX);
+            expect(magnet.infoHashV2).toBe(V2);
+        });
+
+        test.each([
+            ['not a magnet'],
+            ['magnet:?dn=No+Hash'],
+            [`magnet:?xt=urn:btih:${HEX.substring(0, 32)}`],
+            [`magnet:?xt=urn:btih:${HEX}0`],
+            ['magnet:?xt=urn:btih:0123456789ABCDEFGHIJKLMNOPQRSTUV'],
+            [`magnet:?xt=urn:btmh:1114${V2}`],
+            [`magnet:?xt=urn:sha1:${HEX}`],
+            [`https://example.com/?xt=urn:btih:${HEX}`],
+            [null]
+        ])('should reject %s', (uri) => {
+            expect(MagnetUri.parse(uri)).toBeNull();
+            expect(MagnetUri.isValid(uri)).toBe(false);
+        });
+    });
+
+    describe('Fields', () => {
+        test('should read name, length, repeated trackers, web seeds, sources and selection', () => {
+            const magnet = MagnetUri.parse(`magnet:?xt=urn:btih:${HEX}&dn=Ubuntu+24.04%20Desktop&xl=6114656256` +
+                '&tr=udp%3A%2F%2Ftracker.example.org%3A1337&tr=https://tracker.example.com/announce?key=1' +
+                '&tr.1=udp%3A%2F%2Ftracker.example.org%3A1337&ws=https%3A%2F%2Fmirror.example.com%2Fubuntu.iso' +
+                '&xs=https://example.com/ubuntu.torrent&so=0,2,4-6');
+
+            expect(magnet).toMatchObject({
+                name: 'Ubuntu 24.04 Desktop',
+                length: 6114656256,
+                trackers: ['udp://tracker.example.org:1337', 'https://tracker.example.com/announce?key=1'],
+                webSeeds: ['https://mirror.example.com/ubuntu.iso'],
+                exactSources: ['https://example.com/ubuntu.torrent'],
+                selectOnly: [0, 2, 4, 5, 6]
+            });
+        });
+
+        test('should ignore malformed optional fields', () => {
+            const magnet = MagnetUri.parse(`magnet:?xt=urn:btih:${HEX}&xl=12kb&so=3-1&dn=`);
+
+            expect(magnet.name).toBeNull();
+            expect(magnet.length).toBeNull();
+            expect(magnet.selectOnly).toEqual([]);
+        });
+
+        test('should not expand oversized selections', () => {
+            expect(MagnetUri.parse(`magnet:?xt=urn:btih:${HEX}&so=0-99999999`).selectOnly).toEqual([]);
+        });
+    });
+
+    describe('Normalisation', () => {
+        test('should rebuild links in canonical order with hex hashes', () => {
+            const uri = 'magnet:?so=6,4-5,0&tr=udp://a.example:80&dn=A%20%26%20B&tr=udp://a.example:80' +
+                `&xt=urn:btmh:1220${V2.toUpperCase()}&xt=urn:btih:${BASE32}`;
+
+            expect(MagnetUri.normalize(uri)).toBe(
+                `magnet:?xt=urn:btih:${HEX}&xt=urn:btmh:1220${V2}&dn=A%20%26%20B` +
+                '&tr=udp%3A%2F%2Fa.example%3A80&so=0,4-6'
+            );
+        });
+
+        test('should be stable when applied twice', () => {
+            const once = MagnetUri.normalize(`magnet:?xt=urn:btih:${BASE32}&dn=Name+With+Spaces&xl=10`);
+
+            expect(MagnetUri.normalize(once)).toBe(once);
+        });
+
+        test('should return null for invalid links', () => {
+            expect(MagnetUri.normalize('magnet:?dn=x')).toBeNull();
+        });
+
+        test('should build magnets for bare hashes', () => {
+            expect(MagnetUri.fromInfoHash(BASE32, ['udp://a.example:80', 'udp://a.example:80']))
+                .toBe(`magnet:?xt=urn:btih:${HEX}&tr=udp%3A%2F%2Fa.example%3A80`);
+            expect(MagnetUri.fromInfoHash(` ${HEX.toUpperCase()} `)).toBe(`magnet:?xt=urn:btih:${HEX}`);
+            expect(MagnetUri.fromInfoHash(V2)).toBeNull();
+        });
+
+        test('should key magnets for the same torrent alike', () => {
+            const key = MagnetUri.dedupeKey(`magnet:?xt=urn:btih:${BASE32}&dn=Mirror`);
+
+            expect(MagnetUri.dedupeKey(`magnet:?xt=urn:btih:${HEX}&tr=udp://a.example:80`)).toBe(key);
+            expect(MagnetUri.dedupeKey('https://example.com/a.torrent')).toBe('https://example.com/a.torrent');
+        });
+    });
+
+    describe('Base32', () => {
+        test('should round-trip a hash', () => {
+            expect(MagnetUri.hexToBase32(HEX)).toBe(BASE32);
+            expect(MagnetUri.base32ToHex(BASE32)).toBe(HEX);
+        });
+
+        test('should reject characters outside the alphabet', () => {
+            expect(MagnetUri.base32ToHex('AB1C')).toBeNull();
+            expect(MagnetUri.hexToBase32('xyz')).toBeNull();
+        });
+    });
+
+    describe('Text Search', () => {
+        test('should find valid links in prose and drop trailing punctuation', () => {
+            const text = `Get it here: magnet:?xt=urn:btih:${HEX}&dn=Example. Or (magnet:?xt=urn:btih:${BASE32}), ` +
+                'but not magnet:?xt=urn:btih:tooshort';
+
+            expect(MagnetUri.findAll(text)).toEqual([
+                `magnet:?xt=urn:btih:${HEX}&dn=Example`,
+                `magnet:?xt=urn:btih:${BASE32}`
+            ]);
+        });
+
+        test('should return an empty list for text without links', () => {
+            expect(MagnetUri.findAll('nothing to see')).toEqual([]);
+            expect(MagnetUri.findAll(undefined)).toEqual([]);
+        });
+    });
+});
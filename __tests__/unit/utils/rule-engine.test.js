@@ -0,0 +1,148 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for RuleEngine
+ * Tests rule validation, first-match evaluation, condition matching and merging of actions into send options
+ */
+
+const nodeCrypto = require('crypto');
+
+Object.defineProperty(global, 'crypto', { value: nodeCrypto.webcrypto, configurable: true });
+
+require('../../../utils/site-filter.js');
+require('../../../utils/rule-engine.js');
+const { RuleEngine } = window;
+
+const GIB = 1024 * 1024 * 1024;
+
+const rule = (conditions, actions, extra = {}) => RuleEngine.sanitizeRule({ name: 'Test', conditions, actions, ...extra });
+
+describe('RuleEngine', () => {
+    beforeEach(() => {
+        // The shared setup replaces URL with a stub
+        global.URL = require('url').URL;
+    });
+
+    describe('Validation', () => {
+        test('should normalize a rule', () => {
+            const sanitized = rule(
+                { domain: ' Tracker.Example.ORG ', pattern: 'ubuntu', minSize: '1024' },
+                { category: 'linux', tags: 'iso, linux, iso', paused: true }
+            );
+
+            expect(sanitized.id).toMatch(/^rule_[0-9a-f]{12}$/);
+            expect(sanitized.enabled).toBe(true);
+            expect(sanitized.conditions).toEqual({
+                domain: 'tracker.example.org',
+                pattern: 'ubuntu',
+                minSize: 1024,
+                maxSize: null,
+                trackerHost: ''
+            });
+            expect(sanitized.actions).toEqual({
+                category: 'linux',
+                tags: ['iso', 'linux'],
+                savePath: '',
+                paused: true,
+                serverId: null
+            });
+        });
+
+        test.each([
+            [{ pattern: '([a-z' }, { category: 'x' }, 'invalid pattern'],
+            [{ minSize: 10, maxSize: 5 }, { category: 'x' }, 'minimum size is larger than maximum size'],
+            [{ minSize: -1 }, { category: 'x' }, 'minimum size must be a non-negative number'],
+            [{}, { category: 'x' }, 'add at least one condition'],
+            [{ domain: 'example.org' }, {}, 'add at least one action']
+        ])('should reject %p → %p', (conditions, actions, message) => {
+            expect(() => rule(conditions, actions)).toThrow(message);
+        });
+
+        test('should name the invalid rule position when saving', async () => {
+            global.chrome = { storage: { sync: { set: jest.fn() } } };
+
+            await expect(RuleEngine.saveRules([
+                { conditions: { domain: 'a.org' }, actions: { category: 'a' } },
+                { conditions: {}, actions: { category: 'b' } }
+            ])).rejects.toThrow('Rule 2: add at least one condition');
+            expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+        });
+
+        test('should validate a rule list without storing it', () => {
+            global.chrome = { storage: { sync: { set: jest.fn() } } };
+            const rules = Array.from({ length: RuleEngine.MAX_RULES + 1 }, () => ({ conditions: { domain: 'a.org' }, actions: { category: 'a' } }));
+
+            expect(RuleEngine.sanitizeRules(rules.slice(1))).toHaveLength(RuleEngine.MAX_RULES);
+            expect(() => RuleEngine.sanitizeRules(rules)).toThrow(`Cannot store more than ${RuleEngine.MAX_RULES} rules`);
+            expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Evaluation', () => {
+        const rules = [
+            rule({ domain: 'disabled.org' }, { category: 'never' }, { enabled: false }),
+            rule({ domain: 'linuxtracker.org', pattern: 'ubuntu' }, { category: 'ubuntu' }),
+            rule({ domain: 'linuxtracker.org' }, { category: 'linux' })
+        ];
+
+        test('should return the first enabled matching rule', () => {
+            const match = RuleEngine.evaluate(rules, {
+                pageUrl: 'https://www.linuxtracker.org/torrents/1',
+                linkText: 'Ubuntu 24.04'
+            });
+
+            expect(match.actions.category).toBe('ubuntu');
+            expect(RuleEngine.evaluate(rules, { pageUrl: 'https://linuxtracker.org/', name: 'debian' }).actions.category)
+                .toBe('linux');
+        });
+
+        test('should skip disabled rules and return null without a match', () => {
+            expect(RuleEngine.evaluate(rules, { pageUrl: 'https://disabled.org/' })).toBeNull();
+        });
+
+        test('should match size ranges only when the size is known', () => {
+            const sized = rule({ minSize: GIB, maxSize: 10 * GIB }, { category: 'big' });
+
+            expect(RuleEngine.matches(sized, { size: 4 * GIB })).toBe(true);
+            expect(RuleEngine.matches(sized, { size: GIB - 1 })).toBe(false);
+            expect(RuleEngine.matches(sized, { size: 11 * GIB })).toBe(false);
+            expect(RuleEngine.matches(sized, { size: null })).toBe(false);
+        });
+
+        test('should match tracker hosts including subdomains', () => {
+            const tracked = rule({ trackerHost: 'example.org' }, { tags: ['ex'] });
+
+            expect(RuleEngine.matches(tracked, { trackers: ['udp://tracker.example.org:6969/announce'] })).toBe(true);
+            expect(RuleEngine.matches(tracked, { trackers: ['https://example.com/announce'] })).toBe(false);
+            expect(RuleEngine.matches(tracked, {})).toBe(false);
+        });
+    });
+
+    describe('Applying Actions', () => {
+        const actions = { category: 'linux', tags: ['iso'], savePath: '/isos', paused: true, serverId: 'srv_1' };
+
+        test('should fill options left at their default', () => {
+            expect(RuleEngine.applyActions(actions, { category: '', paused: false })).toEqual({
+                category: 'linux',
+                tags: ['iso'],
+                savePath: '/isos',
+                paused: true,
+                serverId: 'srv_1'
+            });
+        });
+
+        test('should keep explicit choices and merge tags', () => {
+            const merged = RuleEngine.applyActions(
+                { ...actions, paused: false },
+                { category: 'movies', tags: 'hd, iso', serverId: 'srv_2', paused: true }
+            );
+
+            expect(merged.category).toBe('movies');
+            expect(merged.serverId).toBe('srv_2');
+            expect(merged.tags).toEqual(['hd', 'iso']);
+            expect(merged.paused).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for SearchResults
+ * Tests converting server results, filtering by name, seeders and size, and sorting
+ */
+
+require('../../../utils/search-results.js');
+const { SearchResults } = window;
+
+const GIB = 1024 ** 3;
+
+const result = (name, size, seeders, leechers = 0) => ({ name, url: `magnet:?dn=${name}`, size, seeders, leechers, engine: '', descriptionUrl: '' });
+
+describe('SearchResults', () => {
+    beforeEach(() => {
+        // The shared setup replaces URL with a stub
+        global.URL = require('url').URL;
+    });
+
+    describe('Normalisation', () => {
+        test('should convert server fields and drop unknown counts', () => {
+            expect(SearchResults.normalize({
+                fileName: 'Ubuntu 24.04',
+                fileUrl: 'https://example.com/ubuntu.torrent',
+                fileSize: 6 * GIB,
+                nbSeeders: -1,
+                nbLeechers: 3,
+                siteUrl: 'https://tracker.example.org',
+                descrLink: 'https://tracker.example.org/t/1'
+            })).toEqual({
+                name: 'Ubuntu 24.04',
+                url: 'https://example.com/ubuntu.torrent',
+                size: 6 * GIB,
+                seeders: null,
+                leechers: 3,
+                engine: 'tracker.example.org',
+                descriptionUrl: 'https://tracker.example.org/t/1'
+            });
+        });
+
+        test('should prefer the engine name sent by newer servers', () => {
+            expect(SearchResults.normalize({ fileName: 'A', engineName: 'piratebay', siteUrl: 'https://x.example' }).engine)
+                .toBe('piratebay');
+        });
+    });
+
+    describe('Filtering', () => {
+        const results = [
+            result('Ubuntu 24.04 Desktop ISO', 6 * GIB, 120),
+            result('Ubuntu 24.04 Server', 2 * GIB, 4),
+            result('Debian 12 ISO', null, null)
+        ];
+
+        test('should match every word of the search in any order', () => {
+            expect(SearchResults.filter(results, { search: 'iso UBUNTU' }).map(item => item.name))
+                .toEqual(['Ubuntu 24.04 Desktop ISO']);
+        });
+
+        test('should drop results below the seeder minimum or outside the size range', () => {
+            expect(SearchResults.filter(results, { minSeeders: 5 })).toHaveLength(1);
+            expect(SearchResults.filter(results, { minSize: GIB, maxSize: 4 * GIB }).map(item => item.name))
+                .toEqual(['Ubuntu 24.04 Server']);
+        });
+
+        test('should keep everything without filters', () => {
+            expect(SearchResults.filter(results)).toEqual(results);
+        });
+    });
+
+    describe('Sorting', () => {
+        const results = [
+            result('b', 2 * GIB, null),
+            result('a', null, 5),
+            result('c', GIB, 50)
+        ];
+
+        test('should sort by seeders, most first, with unknown counts last', () => {
+            expect(SearchResults.sort(results).map(item => item.name)).toEqual(['c', 'a', 'b']);
+        });
+
+        test('should keep unknown sizes last in either direction', () => {
+            expect(SearchResults.sort(results, 'size', 'asc').map(item => item.name)).toEqual(['c', 'b', 'a']);
+            expect(SearchResults.sort(results, 'size', 'desc').map(item => item.name)).toEqual(['b', 'c', 'a']);
+        });
+
+        test('should sort names naturally without changing the input', () => {
+            const names = [result('Part 10'), result('part 9'), result('Part 1')];
+
+            expect(SearchResults.sort(names, 'name', 'asc').map(item => item.name)).toEqual(['Part 1', 'part 9', 'Part 10']);
+            expect(names[0].name).toBe('Part 10');
+        });
+    });
+});
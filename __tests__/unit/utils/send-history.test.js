@@ -0,0 +1,158 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for SendHistory
+ * Tests recording order, retention, filtering, queued-send updates and CSV/JSON export
+ */
+
+const { createMockStorage } = require('../../utils/test-helpers');
+
+require('../../../utils/send-history.js');
+const { SendHistory } = window;
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('SendHistory', () => {
+    // Built per test: the shared setup resets every mock before each test
+    beforeEach(() => {
+        global.chrome = {
+            storage: {
+                local: createMockStorage(),
+                sync: createMockStorage()
+            }
+        };
+    });
+
+    describe('Recording', () => {
+        test('should store entries newest first with an id and timestamp', async () => {
+            await SendHistory.record({ url: 'magnet:?xt=urn:btih:aaa', name: 'First', status: 'added' });
+            const second = await SendHistory.record({ url: 'magnet:?xt=urn:btih:bbb', name: 'Second', status: 'failed' });
+
+            const entries = await SendHistory.list();
+            expect(entries.map(entry => entry.name)).toEqual(['Second', 'First']);
+            expect(second.id).toMatch(/^hist_[0-9a-f]{12}$/);
+            expect(new Date(second.timestamp).toString()).not.toBe('Invalid Date');
+            expect(await SendHistory.get(second.id)).toEqual(second);
+        });
+
+        test('should not lose entries recorded concurrently', async () => {
+            await Promise.all(Array.from({ length: 20 }, (_, i) =>
+                SendHistory.record({ url: `magnet:?xt=urn:btih:${i}`, status: 'added' })));
+
+            expect(await SendHistory.list()).toHaveLength(20);
+        });
+
+        test('should drop entries older than the configured retention', async () => {
+            chrome.storage.sync.data.set('advanced', { historyRetentionDays: 7 });
+            chrome.storage.local.data.set('send_history', [
+                { id: 'hist_recent', timestamp: daysAgo(3), status: 'added' },
+                { id: 'hist_old', timestamp: daysAgo(10), status: 'added' }
+            ]);
+
+            await SendHistory.record({ url: 'magnet:?xt=urn:btih:new', status: 'added' });
+
+            const ids = (await SendHistory.list()).map(entry => entry.id);
+            expect(ids).toHaveLength(2);
+            expect(ids).toContain('hist_recent');
+            expect(ids).not.toContain('hist_old');
+        });
+
+        test('should keep at most MAX_ENTRIES entries', async () => {
+            chrome.storage.local.data.set('send_history', Array.from({ length: SendHistory.MAX_ENTRIES }, (_, i) => ({
+                id: `hist_${i}`, timestamp: daysAgo(1), status: 'added'
+            })));
+
+            const entry = await SendHistory.record({ url: 'magnet:?xt=urn:btih:new', status: 'added' });
+
+            const entries = await SendHistory.list();
+            expect(entries).toHaveLength(SendHistory.MAX_ENTRIES);
+            expect(entries[0].id).toBe(entry.id);
+        });
+
+        test('cleanup should report the removed entries', async () => {
+            chrome.storage.local.data.set('send_history', [
+                { id: 'hist_recent', timestamp: daysAgo(1) },
+                { id: 'hist_old', timestamp: daysAgo(40) }
+            ]);
+
+            expect(await SendHistory.cleanup()).toBe(1);
+            expect(await SendHistory.cleanup(365)).toBe(0);
+        });
+    });
+
+    describe('Updating', () => {
+        test('should change only the matching entries', async () => {
+            await SendHistory.record({ url: 'magnet:?xt=urn:btih:aaa', status: 'queued', queueId: 'q1' });
+            await SendHistory.record({ url: 'magnet:?xt=urn:btih:bbb', status: 'queued', queueId: 'q2' });
+
+            const changed = await SendHistory.updateWhere(entry => entry.queueId === 'q1', { status: 'added' });
+
+            expect(changed).toBe(1);
+            const statuses = Object.fromEntries((await SendHistory.list()).map(entry => [entry.queueId, entry.status]));
+            expect(statuses).toEqual({ q1: 'added', q2: 'queued' });
+        });
+
+        test('clear should remove every entry', async () => {
+            await SendHistory.record({ url: 'magnet:?xt=urn:btih:aaa', status: 'added' });
+            await SendHistory.clear();
+
+            expect(await SendHistory.list()).toEqual([]);
+        });
+    });
+
+    describe('Filtering', () => {
+        const entries = [
+            { name: 'Ubuntu 24.04', hash: 'abc', url: 'magnet:?xt=urn:btih:abc', status: 'added', serverId: 'nas' },
+            { name: 'Debian 12', hash: 'def', url: 'https://example.com/debian.torrent', status: 'failed', serverId: 'seedbox', error: 'Connection refused' },
+            { name: 'Fedora 40', hash: 'fed', url: 'magnet:?xt=urn:btih:fed', status: 'added', serverId: 'seedbox', pageUrl: 'https://tracker.example.org/fedora' }
+        ];
+
+        test.each([
+            [{}, ['Ubuntu 24.04', 'Debian 12', 'Fedora 40']],
+            [{ search: 'UBUNTU' }, ['Ubuntu 24.04']],
+            [{ search: 'refused' }, ['Debian 12']],
+            [{ search: 'tracker.example' }, ['Fedora 40']],
+            [{ status: 'added' }, ['Ubuntu 24.04', 'Fedora 40']],
+            [{ serverId: 'seedbox', status: 'added' }, ['Fedora 40']],
+            [{ search: 'nothing' }, []]
+        ])('%j', (filters, expected) => {
+            expect(SendHistory.filter(entries, filters).map(entry => entry.name)).toEqual(expected);
+        });
+    });
+
+    describe('Export', () => {
+        const entry = {
+            id: 'hist_1',
+            timestamp: '2024-05-01T10:00:00.000Z',
+            status: 'failed',
+            name: 'Name, with "quotes"',
+            hash: null,
+            url: 'magnet:?xt=urn:btih:abc',
+            pageUrl: '',
+            serverName: '=cmd()',
+            category: '',
+            savePath: '',
+            error: 'Line one\nLine two',
+            options: { serverId: 'nas' }
+        };
+
+        test('should quote CSV fields and neutralise formulas', () => {
+            const [header, row] = SendHistory.toCsv([entry]).split('\r\n', 2);
+
+            expect(header).toBe(SendHistory.EXPORT_FIELDS.join(','));
+            expect(row).toContain('"Name, with ""quotes"""');
+            expect(row).toContain(',\'=cmd(),');
+            expect(SendHistory.toCsv([entry])).toContain('"Line one\nLine two"');
+        });
+
+        test('should export only the public fields as JSON', () => {
+            const [exported] = JSON.parse(SendHistory.toJson([entry]));
+
+            expect(Object.keys(exported)).toEqual(SendHistory.EXPORT_FIELDS);
+            expect(exported).not.toHaveProperty('options');
+            expect(exported.hash).toBeNull();
+        });
+    });
+});
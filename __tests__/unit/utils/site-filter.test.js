@@ -0,0 +1,106 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for SiteFilter
+ * Tests wildcard/subdomain matching, whitelist/blacklist precedence, pattern normalization and the per-site toggle
+ */
+
+require('../../../utils/site-filter.js');
+const { SiteFilter } = window;
+
+describe('SiteFilter', () => {
+    beforeEach(() => {
+        // The shared setup replaces URL with a stub
+        global.URL = require('url').URL;
+    });
+
+    describe('Domain Matching', () => {
+        test.each([
+            ['example.com', 'example.com', true],
+            ['www.example.com', 'example.com', true],
+            ['badexample.com', 'example.com', false],
+            ['example.com', '*.example.com', false],
+            ['a.b.example.com', '*.example.com', true],
+            ['tracker2.example.org', 'tracker*.example.org', true],
+            ['tracker.example.org.evil.com', 'tracker*.example.org', false],
+            ['anything.net', '*', true],
+            ['', 'example.com', false]
+        ])('%s against %s → %s', (hostname, pattern, expected) => {
+            expect(SiteFilter.matchesDomain(hostname, pattern)).toBe(expected);
+        });
+    });
+
+    describe('Site Status', () => {
+        test('should allow every site when both lists are empty', () => {
+            expect(SiteFilter.isAllowed('https://example.com/', { whitelist: [], blacklist: [] })).toBe(true);
+            expect(SiteFilter.isAllowed('https://example.com/', undefined)).toBe(true);
+        });
+
+        test('should block sites outside a non-empty whitelist', () => {
+            const siteSettings = { whitelist: ['tracker.org'], blacklist: [] };
+
+            expect(SiteFilter.getSiteStatus('https://www.tracker.org/t/1', siteSettings).allowed).toBe(true);
+            expect(SiteFilter.getSiteStatus('https://other.org/', siteSettings)).toEqual({
+                hostname: 'other.org',
+                allowed: false,
+                blockedBy: 'whitelist'
+            });
+        });
+
+        test('should let the blacklist win over the whitelist', () => {
+            const siteSettings = { whitelist: ['tracker.org'], blacklist: ['ads.tracker.org'] };
+
+            expect(SiteFilter.getSiteStatus('https://ads.tracker.org/', siteSettings).blockedBy).toBe('blacklist');
+        });
+    });
+
+    describe('Pattern Normalization', () => {
+        test.each([
+            ['https://Example.com:8080/path?q=1', 'example.com'],
+            ['  *.Example.com ', '*.example.com'],
+            ['localhost:8080', 'localhost'],
+            ['not a domain', '']
+        ])('%s → %s', (input, expected) => {
+            expect(SiteFilter.normalizePattern(input)).toBe(expected);
+        });
+    });
+
+    describe('Per-Site Toggle', () => {
+        let stored;
+
+        beforeEach(() => {
+            stored = {};
+            global.chrome = {
+                storage: {
+                    sync: {
+                        get: jest.fn(async () => ({ ...stored })),
+                        set: jest.fn(async items => Object.assign(stored, items))
+                    }
+                }
+            };
+        });
+
+        test('should blacklist the hostname when disabling', async () => {
+            await SiteFilter.setSiteEnabled('https://www.example.com/page', false);
+
+            expect(stored.siteSettings).toEqual({ whitelist: [], blacklist: ['www.example.com'] });
+        });
+
+        test('should drop covering blacklist patterns and whitelist the site when enabling', async () => {
+            stored.siteSettings = { whitelist: ['tracker.org'], blacklist: ['example.com', 'other.net'] };
+
+            await SiteFilter.setSiteEnabled('https://www.example.com/', true);
+
+            expect(stored.siteSettings).toEqual({
+                whitelist: ['tracker.org', 'www.example.com'],
+                blacklist: ['other.net']
+            });
+        });
+
+        test('should reject pages without a hostname', async () => {
+            await expect(SiteFilter.setSiteEnabled('file:///tmp/a.html', false)).rejects.toThrow('no site');
+        });
+    });
+});
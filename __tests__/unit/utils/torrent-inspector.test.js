@@ -0,0 +1,148 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for TorrentInspector
+ * Tests v1/v2/hybrid info-hashes, file lists, trackers and precise rejection of malformed files
+ */
+
+const { TextEncoder, TextDecoder } = require('util');
+const nodeCrypto = require('crypto');
+
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+Object.defineProperty(global, 'crypto', { value: nodeCrypto.webcrypto, configurable: true });
+
+require('../../../utils/bencode.js');
+require('../../../utils/torrent-inspector.js');
+const { Bencode, TorrentInspector } = window;
+
+const PIECE_LENGTH = 16384;
+
+const sha = (algorithm, bytes) => nodeCrypto.createHash(algorithm).update(bytes).digest('hex');
+
+const pieces = count => new Uint8Array(count * 20);
+
+const buildTorrent = (info, extra = {}) => Bencode.encode({
+    announce: 'udp://tracker.example.com:1337/announce',
+    ...extra,
+    info
+});
+
+const multiFileInfo = () => ({
+    name: 'Example',
+    'piece length': PIECE_LENGTH,
+    pieces: pieces(2),
+    files: [
+        { length: 10000, path: ['docs', 'readme.txt'] },
+        { length: 6384, path: ['.pad', '6384'], attr: 'p' },
+        { length: 5000, path: ['video.mkv'] }
+    ]
+});
+
+describe('TorrentInspector', () => {
+    describe('v1 Torrents', () => {
+        test('should extract name, hash and files without padding files', async () => {
+            const info = multiFileInfo();
+            const torrent = await TorrentInspector.inspect(buildTorrent(info));
+
+            expect(torrent.name).toBe('Example');
+            expect(torrent.version).toBe('v1');
+            expect(torrent.infoHashV1).toBe(sha('sha1', Bencode.encode(info)));
+            expect(torrent.infoHash).toBe(torrent.infoHashV1);
+            expect(torrent.infoHashV2).toBeNull();
+            expect(torrent.files).toEqual([
+                { index: 0, path: 'docs/readme.txt', size: 10000 },
+                { index: 1, path: 'video.mkv', size: 5000 }
+            ]);
+            expect(torrent.totalSize).toBe(15000);
+            expect(torrent.pieceLength).toBe(PIECE_LENGTH);
+            expect(torrent.pieceCount).toBe(2);
+        });
+
+        test('should read a single-file torrent', async () => {
+            const torrent = await TorrentInspector.inspect(buildTorrent({
+                name: 'file.iso', 'piece length': PIECE_LENGTH, pieces: pieces(1), length: 100
+            }));
+
+            expect(torrent.files).toEqual([{ index: 0, path: 'file.iso', size: 100 }]);
+        });
+
+        test('should collect deduplicated trackers and the private flag', async () => {
+            const info = { ...multiFileInfo(), private: 1 };
+            const torrent = await TorrentInspector.inspect(buildTorrent(info, {
+                'announce-list': [
+                    ['udp://tracker.example.com:1337/announce'],
+                    ['https://backup.example.org/announce']
+                ]
+            }));
+
+            expect(torrent.private).toBe(true);
+            expect(torrent.trackers).toEqual([
+                'udp://tracker.example.com:1337/announce',
+                'https://backup.example.org/announce'
+            ]);
+        });
+    });
+
+    describe('v2 Torrents', () => {
+        const fileTree = {
+            'b.bin': { '': { length: 20000, 'pieces root': new Uint8Array(32) } },
+            a: { 'c.txt': { '': { length: 10, 'pieces root': new Uint8Array(32) } } }
+        };
+
+        test('should hash v2-only torrents with SHA-256', async () => {
+            const info = { name: 'v2', 'piece length': PIECE_LENGTH, 'meta version': 2, 'file tree': fileTree };
+            const torrent = await TorrentInspector.inspect(buildTorrent(info));
+            const v2Hash = sha('sha256', Bencode.encode(info));
+
+            expect(torrent.version).toBe('v2');
+            expect(torrent.infoHashV1).toBeNull();
+            expect(torrent.infoHashV2).toBe(v2Hash);
+            expect(torrent.infoHash).toBe(v2Hash.substring(0, 40));
+            expect(torrent.files.map(file => file.path)).toEqual(['a/c.txt', 'b.bin']);
+            expect(torrent.pieceCount).toBe(3);
+        });
+
+        test('should report both hashes for hybrid torrents', async () => {
+            const info = { ...multiFileInfo(), 'meta version': 2, 'file tree': fileTree };
+            const torrent = await TorrentInspector.inspect(buildTorrent(info));
+
+            expect(torrent.version).toBe('hybrid');
+            expect(torrent.infoHash).toBe(sha('sha1', Bencode.encode(info)));
+            expect(torrent.infoHashV2).toBe(sha('sha256', Bencode.encode(info)));
+        });
+    });
+
+    describe('Malformed Files', () => {
+        const expectRejection = (bytes, message) =>
+            expect(TorrentInspector.inspect(bytes)).rejects.toThrow(`Invalid torrent file: ${message}`);
+
+        test('should reject HTML responses', () =>
+            expectRejection(new TextEncoder().encode('<!DOCTYPE html>'), 'received an HTML page'));
+
+        test('should reject broken bencode with the byte offset', () =>
+            expectRejection(new TextEncoder().encode('d4:infod4:name'), 'Invalid bencode at byte'));
+
+        test('should reject a missing info dictionary', () =>
+            expectRejection(Bencode.encode({ announce: 'x' }), 'missing info dictionary'));
+
+        test('should name the broken file entry', () => {
+            const info = multiFileInfo();
+            info.files[2].length = -1;
+            return expectRejection(buildTorrent(info), 'info.files[2].length must be a non-negative integer');
+        });
+
+        test('should reject path traversal', () => {
+            const info = multiFileInfo();
+            info.files[0].path = ['..', 'evil'];
+            return expectRejection(buildTorrent(info), 'info.files[0].path contains an invalid path segment');
+        });
+
+        test('should reject piece hashes that do not cover the content', () => {
+            const info = { ...multiFileInfo(), pieces: pieces(5) };
+            return expectRejection(buildTorrent(info), 'info.pieces has 5 piece hashes, expected 2');
+        });
+    });
+});
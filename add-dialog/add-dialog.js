@@ -0,0 +1,384 @@
+document.addEventListener('DOMContentLoaded', initializeDialog);
+
+const FILE_PRIORITY_OPTIONS = [
+    { value: 1, label: 'Normal' },
+    { value: 6, label: 'High' },
+    { value: 7, label: 'Maximum' }
+];
+const SKIP_PRIORITY = 0;
+const CLOSE_DELAY = 1200;
+
+const dialogParams = new URLSearchParams(window.location.search);
+const torrentUrl = dialogParams.get('url') || '';
+let torrentMetadata = null;
+let defaultServerId = null;
+
+async function initializeDialog() {
+    setupEventListeners();
+
+    await Promise.all([
+        loadSettings(),
+        loadServerProfiles().then(loadCategories),
+        loadMetadata()
+    ]);
+}
+
+async function loadSettings() {
+    try {
+        const result = await chrome.storage.sync.get(['options']);
+        const options = result.options || {};
+
+        document.getElementById('paused-checkbox').checked = options.paused || false;
+        document.getElementById('skip-check-checkbox').checked = options.skipHashCheck || false;
+    } catch (error) {
+        console.error('Error loading settings:', error);
+    }
+}
+
+async function loadServerProfiles() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'GET_SERVER_PROFILES' });
+        if (!response.success || response.profiles.length === 0) {return;}
+
+        const serverSelect = document.getElementById('server-select');
+        response.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            serverSelect.appendChild(option);
+        });
+        serverSelect.value = response.defaultServerId;
+        ({ defaultServerId } = response);
+
+        // A single server needs no picker
+        document.getElementById('server-group').classList.toggle('hidden', response.profiles.length < 2);
+    } catch (error) {
+        console.error('Error loading server profiles:', error);
+    }
+}
+
+function getSelectedServerId() {
+    return document.getElementById('server-select').value || null;
+}
+
+async function loadCategories() {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'GET_SERVER_INFO',
+            serverId: getSelectedServerId()
+        });
+
+        const categorySelect = document.getElementById('category-select');
+        const currentCategory = categorySelect.value;
+        while (categorySelect.options.length > 1) {
+            categorySelect.remove(1);
+        }
+
+        if (!response.success || !response.info.categories) {return;}
+
+        Object.keys(response.info.categories).forEach(category => {
+            const sanitizedCategory = InputValidator.sanitizeCategory(category);
+            if (sanitizedCategory) {
+                const option = document.createElement('option');
+                option.value = sanitizedCategory;
+                option.textContent = sanitizedCategory;
+                categorySelect.appendChild(option);
+            }
+        });
+
+        categorySelect.value = currentCategory;
+        if (categorySelect.selectedIndex === -1) {
+            categorySelect.value = '';
+        }
+    } catch (error) {
+        console.error('Error loading categories:', error);
+    }
+}
+
+async function loadMetadata() {
+    const nameElement = document.getElementById('torrent-name');
+    const detailsElement = document.getElementById('torrent-details');
+
+    // Download links without a .torrent name were probed by the service worker before it opened the dialog
+    if (!InputValidator.validateMagnetLink(torrentUrl) && !InputValidator.sanitizeUrl(torrentUrl)) {
+        nameElement.textContent = 'Invalid torrent URL or magnet link';
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'GET_TORRENT_METADATA', url: torrentUrl });
+        if (!response.success) {
+            throw new Error(response.error || 'Failed to read torrent');
+        }
+
+        torrentMetadata = response.metadata;
+        nameElement.textContent = torrentMetadata.name || torrentUrl;
+        document.getElementById('rename-input').placeholder = torrentMetadata.name || 'Keep original name';
+
+        if (torrentMetadata.isMagnet) {
+            detailsElement.textContent = 'Magnet link - the file list is available once metadata is downloaded';
+        } else {
+            const fileCount = torrentMetadata.files.length;
+            const trackerCount = torrentMetadata.trackers.length;
+            const details = [
+                `${fileCount} file${fileCount === 1 ? '' : 's'}`,
+                formatBytes(torrentMetadata.totalSize),
+                `${formatBytes(torrentMetadata.pieceLength)} pieces`,
+                `${trackerCount} tracker${trackerCount === 1 ? '' : 's'}`
+            ];
+            if (torrentMetadata.private) {
+                details.push('private');
+            }
+            detailsElement.textContent = details.join(', ');
+            detailsElement.title = torrentMetadata.infoHash;
+            renderFileTree(torrentMetadata.files);
+        }
+
+        document.getElementById('add-btn').disabled = false;
+    } catch (error) {
+        nameElement.textContent = 'Could not load torrent';
+        detailsElement.textContent = error.message;
+    }
+}
+
+function buildFileTree(files) {
+    const root = { name: '', children: new Map(), files: [] };
+
+    files.forEach(file => {
+        const parts = file.path.split('/');
+        let node = root;
+        parts.slice(0, -1).forEach(part => {
+            if (!node.children.has(part)) {
+                node.children.set(part, { name: part, children: new Map(), files: [] });
+            }
+            node = node.children.get(part);
+        });
+        node.files.push({ ...file, name: parts[parts.length - 1] });
+    });
+
+    return root;
+}
+
+function renderFileTree(files) {
+    const fileList = document.getElementById('file-list');
+    while (fileList.firstChild) {
+        fileList.removeChild(fileList.firstChild);
+    }
+
+    // A single-file torrent has nothing to choose
+    if (files.length < 2) {return;}
+
+    renderFolder(fileList, buildFileTree(files), 0);
+    document.getElementById('files-section').classList.remove('hidden');
+    updateFilesSummary();
+}
+
+function renderFolder(fileList, node, depth) {
+    node.children.forEach(child => {
+        const item = document.createElement('li');
+        item.className = 'file-item folder';
+        item.style.paddingLeft = `${8 + depth * 16}px`;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.className = 'folder-checkbox';
+
+        const name = document.createElement('span');
+        name.className = 'file-path';
+        name.textContent = `${child.name}/`;
+
+        item.appendChild(checkbox);
+        item.appendChild(name);
+        fileList.appendChild(item);
+
+        // Folder checkboxes toggle every file rendered beneath them
+        const firstIndex = fileList.children.length;
+        renderFolder(fileList, child, depth + 1);
+        const descendants = Array.from(fileList.children).slice(firstIndex);
+
+        checkbox.addEventListener('change', () => {
+            descendants.forEach(descendant => {
+                descendant.querySelector('input[type="checkbox"]').checked = checkbox.checked;
+            });
+            updateFilesSummary();
+        });
+    });
+
+    node.files.forEach(file => {
+        fileList.appendChild(createFileItem(file, depth));
+    });
+}
+
+function createFileItem(file, depth) {
+    const item = document.createElement('li');
+    item.className = 'file-item';
+    item.dataset.index = file.index;
+    item.style.paddingLeft = `${8 + depth * 16}px`;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.className = 'file-checkbox';
+    checkbox.addEventListener('change', updateFilesSummary);
+
+    const name = document.createElement('span');
+    name.className = 'file-path';
+    name.textContent = file.name;
+    name.title = file.path;
+
+    const size = document.createElement('span');
+    size.className = 'file-size';
+    size.textContent = formatBytes(file.size);
+
+    const priority = document.createElement('select');
+    priority.className = 'file-priority';
+    FILE_PRIORITY_OPTIONS.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        priority.appendChild(option);
+    });
+
+    item.appendChild(checkbox);
+    item.appendChild(name);
+    item.appendChild(size);
+    item.appendChild(priority);
+    return item;
+}
+
+function setAllFiles(checked) {
+    document.querySelectorAll('#file-list input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = checked;
+    });
+    updateFilesSummary();
+}
+
+function updateFilesSummary() {
+    if (!torrentMetadata) {return;}
+
+    const selected = Array.from(document.querySelectorAll('#file-list .file-checkbox:checked'))
+        .map(checkbox => torrentMetadata.files[Number(checkbox.closest('.file-item').dataset.index)]);
+    const selectedSize = selected.reduce((total, file) => total + file.size, 0);
+
+    document.getElementById('files-summary').textContent =
+        `${selected.length} of ${torrentMetadata.files.length} files selected (${formatBytes(selectedSize)})`;
+    document.getElementById('add-btn').disabled = selected.length === 0;
+}
+
+function getFilePriorities() {
+    // Only files that differ from qBittorrent's default (normal) priority are sent
+    const priorities = {};
+    document.querySelectorAll('#file-list .file-item[data-index]').forEach(item => {
+        const { checked } = item.querySelector('.file-checkbox');
+        const priority = checked ? Number(item.querySelector('.file-priority').value) : SKIP_PRIORITY;
+        if (priority !== 1) {
+            priorities[item.dataset.index] = priority;
+        }
+    });
+    return priorities;
+}
+
+function getAddOptions() {
+    const rename = document.getElementById('rename-input').value.trim();
+    const tags = document.getElementById('tags-input').value
+        .split(',')
+        .map(tag => tag.trim())
+        .filter(Boolean);
+
+    // Leaving the default server selected lets send rules pick the target
+    const serverId = getSelectedServerId();
+
+    return {
+        serverId: serverId === defaultServerId ? null : serverId,
+        source: {
+            pageUrl: dialogParams.get('pageUrl') || '',
+            linkText: dialogParams.get('linkText') || ''
+        },
+        category: document.getElementById('category-select').value,
+        savePath: InputValidator.sanitizePath(document.getElementById('save-path-input').value.trim()),
+        paused: document.getElementById('paused-checkbox').checked,
+        skipHashCheck: document.getElementById('skip-check-checkbox').checked,
+        rename: rename && rename !== torrentMetadata.name ? rename : '',
+        tags,
+        contentLayout: document.getElementById('content-layout-select').value,
+        sequentialDownload: document.getElementById('sequential-checkbox').checked,
+        firstLastPiecePrio: document.getElementById('first-last-checkbox').checked,
+        filePriorities: getFilePriorities()
+    };
+}
+
+async function addTorrent(event) {
+    event.preventDefault();
+
+    const addButton = document.getElementById('add-btn');
+    addButton.disabled = true;
+    addButton.textContent = 'Adding...';
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'SEND_TORRENT',
+            url: torrentUrl,
+            options: getAddOptions()
+        });
+
+        if (!response.success) {
+            throw new Error(response.error || 'Failed to add torrent');
+        }
+
+        if (response.result.status === 'queued') {
+            showNotification('info', 'Server unreachable, the torrent was queued and will be sent when it is back');
+        } else if (response.result.status === 'duplicate') {
+            const target = response.result.serverName ? ` on ${response.result.serverName}` : ' on the server';
+            const merged = response.result.trackersAdded > 0
+                ? ` (${response.result.trackersAdded} new trackers added)`
+                : '';
+            showNotification('info', `Torrent is already${target}${merged}`);
+        } else {
+            const target = response.result.serverName ? ` to ${response.result.serverName}` : '';
+            showNotification('success', `Torrent added${target}`);
+        }
+        setTimeout(() => window.close(), CLOSE_DELAY);
+    } catch (error) {
+        showNotification('error', `Error: ${error.message}`);
+        addButton.disabled = false;
+        addButton.textContent = 'Add Torrent';
+    }
+}
+
+function setupEventListeners() {
+    document.getElementById('add-form').addEventListener('submit', addTorrent);
+    document.getElementById('cancel-btn').addEventListener('click', () => window.close());
+    document.getElementById('select-all-btn').addEventListener('click', () => setAllFiles(true));
+    document.getElementById('select-none-btn').addEventListener('click', () => setAllFiles(false));
+
+    // Categories differ per server
+    document.getElementById('server-select').addEventListener('change', loadCategories);
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function showNotification(type, message) {
+    const notification = document.getElementById('notification');
+    notification.textContent = message;
+    notification.className = `notification ${type}`;
+
+    // Show notification
+    setTimeout(() => {
+        notification.classList.remove('hidden');
+    }, 100);
+
+    // Hide after 3 seconds
+    setTimeout(() => {
+        notification.classList.add('hidden');
+    }, 3100);
+}
@@ -1,16 +1,160 @@
-// Atomic operations for authentication cookie handling to prevent race conditions
-const authState = {
-    cookie: null,
-    lastAuthTime: 0,
-    isAuthenticating: false // Flag to prevent concurrent authentication
-};
-const AUTH_TIMEOUT = 30 * 60 * 1000;
-
-async function getSettings() {
-    // Use secure storage if available, fallback to regular storage
+// Session state per server profile, so switching targets never reuses another server's login.
+// The SID cookie itself lives in the browser's cookie jar for the server origin: it is stored
+// from the login response and sent with every `credentials: 'include'` request. Extensions can
+// neither read `set-cookie` nor set a `Cookie` header, so only the login state is tracked here.
+const authStates = new Map();
+const AUTH_TIMEOUT = 30 * 60 * 1000; // Log in again after this even without a 403
+const LOGIN_FAILURE_COOLDOWN = 5 * 60 * 1000; // Wrong credentials are not retried for 5 minutes
+const IP_BAN_COOLDOWN = 60 * 60 * 1000; // qBittorrent's default ban duration
+const LOGOUT_TIMEOUT = 5000;
+const DEFAULT_REQUEST_TIMEOUT = 30 * 1000;
+// Status checks answer an open popup or page: one short attempt, so an unreachable server is
+// reported within seconds instead of after the configured timeout and every retry
+const STATUS_CHECK_OPTIONS = { retry: false, timeout: 5 * 1000 };
+
+// Transient failures worth another attempt, as ErrorHandler.ERROR_CATEGORIES values.
+// Authentication, validation and 4xx answers fail on the first attempt.
+const RETRYABLE_CATEGORIES = new Set(['network', 'timeout', 'rate_limit']);
+const SAFE_METHODS = new Set(['GET', 'HEAD']);
+
+function getAuthState(serverId) {
+    const key = serverId || 'default';
+    if (!authStates.has(key)) {
+        authStates.set(key, {
+            loggedIn: false,
+            lastAuthTime: 0,
+            login: null, // Pending login shared by concurrent requests
+            failedAt: 0,
+            bannedUntil: 0
+        });
+    }
+    return authStates.get(key);
+}
+
+function createRequestError(message, category, status = null) {
+    const error = new Error(message);
+    error.category = category;
+    error.status = status;
+    return error;
+}
+
+function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+        throw createRequestError('Cancelled', 'cancelled');
+    }
+}
+
+function isRetryableError(error) {
+    return Boolean(error) && RETRYABLE_CATEGORIES.has(error.category);
+}
+
+// `options.signal` (a cancelled batch) aborts the request as well as the timeout
+async function fetchWithTimeout(url, options = {}, timeout = DEFAULT_REQUEST_TIMEOUT) {
+    const { signal = null, ...fetchOptions } = options;
+    throwIfCancelled(signal);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const cancel = () => controller.abort();
+    if (signal) {
+        signal.addEventListener('abort', cancel, { once: true });
+    }
+
+    try {
+        return await fetch(url, { ...fetchOptions, signal: controller.signal });
+    } catch (error) {
+        throwIfCancelled(signal);
+        if (error.name === 'AbortError') {
+            throw createRequestError(`Request timed out after ${Math.round(timeout / 1000)}s`, 'timeout');
+        }
+        throw createRequestError(`Network error: ${error.message}`, 'network');
+    } finally {
+        clearTimeout(timer);
+        if (signal) {
+            signal.removeEventListener('abort', cancel);
+        }
+    }
+}
+
+// Waits out a retry backoff; aborting `signal` ends the wait at once instead of after the delay
+function waitForRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+        let timer = null;
+        const cancel = () => {
+            clearTimeout(timer);
+            reject(createRequestError('Cancelled', 'cancelled'));
+        };
+        timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', cancel);
+            }
+            resolve();
+        }, delay);
+        if (signal) {
+            signal.addEventListener('abort', cancel, { once: true });
+        }
+    });
+}
+
+// Runs a request with the timeout and retry count from the advanced settings. Failed attempts
+// in a retryable category wait per ErrorHandler.RETRY_POLICIES (exponential backoff, with jitter
+// so parallel requests do not retry in lockstep); `retry: false` limits it to one attempt and
+// `timeout` (ms) overrides the configured one. Aborting `signal` (a cancelled batch) stops both
+// the backoff and any further attempt.
+async function withRetry(label, operation, { retry = true, signal = null, timeout: timeoutOverride = null } = {}) {
+    const advanced = typeof StorageManager !== 'undefined'
+        ? await StorageManager.getAdvancedSettings()
+        : { connectionTimeout: DEFAULT_REQUEST_TIMEOUT / 1000, retryAttempts: 0 };
+    const timeout = timeoutOverride || advanced.connectionTimeout * 1000;
+    const policies = window.ErrorHandler ? window.ErrorHandler.RETRY_POLICIES : {};
+
+    for (let attempt = 1; ; attempt++) {
+        throwIfCancelled(signal);
+        try {
+            if (window.Logger) {
+                window.Logger.debug('Request attempt', { request: label, attempt });
+            }
+            return await operation(timeout);
+        } catch (error) {
+            const policy = retry && isRetryableError(error) ? policies[error.category] : null;
+            const maxRetries = policy ? Math.min(advanced.retryAttempts, policy.attempts) : 0;
+
+            if (attempt > maxRetries) {
+                if (window.Logger && attempt > 1) {
+                    window.Logger.warn('Request failed after retries', {
+                        request: label,
+                        attempts: attempt,
+                        error: error.message
+                    });
+                }
+                throw error;
+            }
+
+            const backoff = policy.delay * Math.pow(policy.backoff, attempt - 1);
+            const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+            if (window.Logger) {
+                window.Logger.warn('Request failed, retrying', {
+                    request: label,
+                    attempt,
+                    maxRetries,
+                    category: error.category,
+                    status: error.status,
+                    delay,
+                    error: error.message
+                });
+            }
+            await waitForRetry(delay, signal);
+        }
+    }
+}
+
+async function getSettings(serverId = null) {
+    // Use server profiles if available, then secure storage, fallback to regular storage
     let serverConfig;
     try {
-        if (typeof SecureStorageManager !== 'undefined') {
+        if (typeof ServerProfileManager !== 'undefined') {
+            serverConfig = await ServerProfileManager.getProfile(serverId);
+        } else if (typeof SecureStorageManager !== 'undefined') {
             serverConfig = await SecureStorageManager.getCredentials();
         } else {
             const result = await chrome.storage.sync.get(['server']);
@@ -29,13 +173,124 @@ async function getSettings() {
     };
 }
 
-async function authenticate() {
+// Servers behind a reverse proxy: the sub-path, scheme and port come from the profile, and the
+// proxy's basic auth and extra headers go with every request, the login included
+function getServerBaseUrl(server) {
+    return typeof ServerProfileManager !== 'undefined'
+        ? ServerProfileManager.getBaseUrl(server)
+        : (server.url || '').replace(/\/+$/, '');
+}
+
+function getApiUrl(server, endpoint) {
+    return `${getServerBaseUrl(server)}/api/v2/${endpoint}`;
+}
+
+function getServerHeaders(server, headers = {}) {
+    const serverHeaders = {};
+    (server.customHeaders || []).forEach(({ name, value }) => {
+        serverHeaders[name] = value;
+    });
+    if (server.basicAuthUsername) {
+        // btoa only takes Latin-1, so encode the credentials as UTF-8 first
+        const bytes = new TextEncoder().encode(`${server.basicAuthUsername}:${server.basicAuthPassword || ''}`);
+        serverHeaders.Authorization = `Basic ${btoa(String.fromCharCode(...bytes))}`;
+    }
+    return { ...serverHeaders, ...headers };
+}
+
+async function openWebUi(serverId = null) {
+    const { server } = await getSettings(serverId);
+    if (!server.url) {
+        throw new Error('Server configuration not found');
+    }
+    await chrome.tabs.create({ url: `${getServerBaseUrl(server)}/` });
+}
+
+function createMissingPermissionError(url) {
+    const error = createRequestError(
+        `The extension has no access to ${new URL(url).origin}. Grant it on the options page.`,
+        'permission'
+    );
+    error.missingPermission = true;
+    return error;
+}
+
+function createBannedError(bannedUntil) {
+    const until = new Date(bannedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const error = createRequestError(
+        `qBittorrent has banned this IP after too many failed logins. Fix the credentials and try again after ${until}, or restart qBittorrent.`,
+        'authentication',
+        403
+    );
+    error.banned = true;
+    return error;
+}
+
+async function login(server, authState, timeout) {
+    if (window.Logger) {
+        window.Logger.info('Authenticating with qBittorrent server', {
+            serverUrl: getServerBaseUrl(server),
+            username: server.username
+        });
+    }
+
+    // URL-encoded like the WebUI's own login form
+    const body = new URLSearchParams({
+        username: server.username,
+        password: server.password || ''
+    });
+
+    const response = await fetchWithTimeout(getApiUrl(server, 'auth/login'), {
+        method: 'POST',
+        body,
+        headers: getServerHeaders(server),
+        credentials: 'include'
+    }, timeout);
+    const responseText = (await response.text()).trim();
+
+    // qBittorrent answers 403 to every login attempt while the IP is banned
+    if (response.status === 403 || /banned/i.test(responseText)) {
+        authState.loggedIn = false;
+        authState.bannedUntil = Date.now() + IP_BAN_COOLDOWN;
+        throw createBannedError(authState.bannedUntil);
+    }
+
+    if (!response.ok) {
+        throw createRequestError(`Authentication failed: ${response.status}`,
+            response.status >= 500 ? 'network' : 'authentication', response.status);
+    }
+
+    if (responseText !== 'Ok.') {
+        // Every failed login counts towards the ban, so background polling must not repeat it
+        authState.loggedIn = false;
+        authState.failedAt = Date.now();
+        throw createRequestError('Invalid credentials', 'authentication');
+    }
+
+    authState.loggedIn = true;
+    authState.lastAuthTime = Date.now();
+    authState.failedAt = 0;
+
+    if (window.Logger) {
+        window.Logger.info('Authentication successful', {
+            serverUrl: getServerBaseUrl(server)
+        });
+    }
+}
+
+/**
+ * Make sure the browser holds a valid session cookie for the server.
+ * `force` logs in again even if the cached state says the session is alive (after a 403).
+ * Concurrent callers share a single login request. Servers that bypass authentication for
+ * this client (`skipLogin`, qBittorrent's localhost/subnet whitelist) are never logged in to.
+ */
+async function authenticate(serverId = null, timeout = DEFAULT_REQUEST_TIMEOUT, { force = false } = {}) {
     const timer = window.Logger ? window.Logger.startTimer('authentication') : null;
+    const { server } = await getSettings(serverId).catch(() => ({ server: {} }));
+    const authState = getAuthState(server.id || serverId);
 
     try {
-        const { server } = await getSettings();
-
-        if (!server.url || !server.username) {
+        if (!server.url || (!server.username && !server.skipLogin)) {
             const error = new Error('Server configuration not found');
             if (window.Logger) {
                 window.Logger.error('Authentication failed - no server config', error);
@@ -43,180 +298,435 @@ async function authenticate() {
             throw error;
         }
 
-        // Check if we have a valid auth cookie (atomic check to prevent race conditions)
-        if (authState.cookie && (Date.now() - authState.lastAuthTime) < AUTH_TIMEOUT) {
+        // Without host access every request fails like an unreachable server; say what is wrong
+        const baseUrl = getServerBaseUrl(server);
+        if (typeof HostPermissions !== 'undefined' && !(await HostPermissions.hasAccess(baseUrl))) {
+            throw createMissingPermissionError(baseUrl);
+        }
+
+        if (server.skipLogin) {
+            if (timer) {timer.end({ success: true, skipped: true });}
+            return;
+        }
+
+        if (authState.bannedUntil > Date.now()) {
+            throw createBannedError(authState.bannedUntil);
+        }
+        if (Date.now() - authState.failedAt < LOGIN_FAILURE_COOLDOWN) {
+            throw createRequestError('Invalid credentials', 'authentication');
+        }
+
+        if (!force && !authState.login && authState.loggedIn && (Date.now() - authState.lastAuthTime) < AUTH_TIMEOUT) {
             if (window.Logger) {
                 window.Logger.debug('Using cached authentication', {
                     cacheAge: Date.now() - authState.lastAuthTime
                 });
             }
             if (timer) {timer.end({ success: true, cached: true });}
-            return authState.cookie;
+            return;
         }
 
-        // Prevent concurrent authentication attempts
-        if (authState.isAuthenticating) {
-            // Wait for ongoing authentication to complete
-            let retries = 0;
-            while (authState.isAuthenticating && retries < 50) { // Max 5 seconds wait
-                await new Promise(resolve => {
-                    setTimeout(resolve, 100);
-                });
-                retries++;
-            }
-            // Return the result of the ongoing authentication
-            if (authState.cookie && (Date.now() - authState.lastAuthTime) < AUTH_TIMEOUT) {
-                return authState.cookie;
-            }
+        if (!authState.login) {
+            authState.login = login(server, authState, timeout).finally(() => {
+                authState.login = null;
+            });
         }
+        await authState.login;
 
-        // Set authentication in progress flag
-        authState.isAuthenticating = true;
+        if (timer) {timer.end({ success: true, cached: false });}
+    } catch (error) {
+        if (timer) {timer.end({ success: false, error: error.message });}
 
-        if (window.Logger) {
-            window.Logger.info('Authenticating with qBittorrent server', {
+        if (window.ErrorHandler) {
+            window.ErrorHandler.handle(error, 'authentication', {
+                serverId: server.id,
                 serverUrl: server.url,
                 username: server.username
             });
+        } else {
+            console.error('Authentication error:', error);
         }
 
-        const loginUrl = `${server.url}/api/v2/auth/login`;
-        const formData = new FormData();
-        formData.append('username', server.username);
-        formData.append('password', server.password || '');
+        // Unreachable servers are not a credentials problem and may be retried by the caller;
+        // a ban or missing host permission needs its own explanation
+        if (isRetryableError(error) || error.banned || error.missingPermission) {
+            throw error;
+        }
 
-        const response = await fetch(loginUrl, {
-            method: 'POST',
-            body: formData,
+        // Don't expose internal error details
+        throw new Error('Authentication failed. Please check your credentials.');
+    }
+}
+
+// Safe (GET/HEAD) requests are retried; POSTs only when the caller marks them `idempotent`.
+// `retry: false` and `timeout` (ms) are for interactive checks that must answer quickly.
+async function makeAuthenticatedRequest(endpoint, options = {}, serverId = null) {
+    const { idempotent = false, retry: allowRetry = true, timeout: requestTimeout = null, ...fetchOptions } = options;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const retry = allowRetry && (idempotent || SAFE_METHODS.has(method));
+
+    return withRetry(`api/v2/${endpoint.split('?')[0]}`, async timeout => {
+        const { server } = await getSettings(serverId);
+        const authServerId = server.id || serverId;
+        await authenticate(authServerId, timeout);
+
+        const url = getApiUrl(server, endpoint);
+        const requestOptions = {
+            ...fetchOptions,
+            headers: getServerHeaders(server, fetchOptions.headers),
             credentials: 'include'
-        });
+        };
+
+        let response = await fetchWithTimeout(url, requestOptions, timeout);
+
+        // The server forgot the session (expiry, restart, logout elsewhere): log in again and
+        // retry once. A 403 means the request was rejected unprocessed, so this is safe for POSTs.
+        // Without a login there is no session to renew.
+        if (response.status === 403 && !server.skipLogin) {
+            if (window.Logger) {
+                window.Logger.info('Session rejected, logging in again', { endpoint: endpoint.split('?')[0] });
+            }
+            await authenticate(authServerId, timeout, { force: true });
+            response = await fetchWithTimeout(url, requestOptions, timeout);
+        }
 
         if (!response.ok) {
-            throw new Error(`Authentication failed: ${response.status}`);
+            // Don't expose detailed server error information
+            if (response.status === 401) {
+                throw createRequestError('Authentication required', 'authentication', 401);
+            } else if (response.status === 403) {
+                throw createRequestError(server.skipLogin
+                    ? 'Access denied: qBittorrent does not bypass authentication for this client'
+                    : 'Access denied', 'permission', 403);
+            } else if (response.status === 429) {
+                throw createRequestError('Too many requests', 'rate_limit', 429);
+            } else if (response.status >= 500) {
+                throw createRequestError('Server error occurred', 'network', response.status);
+            } else {
+                throw createRequestError('Request failed', 'unknown', response.status);
+            }
         }
 
-        const responseText = await response.text();
+        return response;
+    }, { retry, signal: fetchOptions.signal, timeout: requestTimeout });
+}
+
+// .torrent downloads are cached briefly so the add dialog's metadata preview and the
+// following send do not fetch the file twice
+const torrentFileCache = new Map();
+const TORRENT_FILE_CACHE_TTL = 5 * 60 * 1000;
+const MAX_TORRENT_FILE_SIZE = 10 * 1024 * 1024; // 10MB limit
 
-        if (responseText !== 'Ok.') {
-            throw new Error('Invalid credentials');
+async function fetchTorrentFile(torrentUrl, signal = null) {
+    const now = Date.now();
+    torrentFileCache.forEach((entry, url) => {
+        if (now - entry.fetchedAt > TORRENT_FILE_CACHE_TTL) {
+            torrentFileCache.delete(url);
         }
+    });
+
+    const cached = torrentFileCache.get(torrentUrl);
+    if (cached) {
+        return cached.bytes;
+    }
 
-        // Extract cookie from response headers (atomic update)
-        const setCookieHeader = response.headers.get('set-cookie');
-        if (setCookieHeader) {
-            authState.cookie = setCookieHeader.split(';')[0];
-            authState.lastAuthTime = Date.now();
+    const torrentBlob = await withRetry('torrent file download', async timeout => {
+        const torrentResponse = await fetchWithTimeout(torrentUrl, { signal }, timeout);
+        if (!torrentResponse.ok) {
+            const { status } = torrentResponse;
+            const category = status === 429 || status >= 500 ? 'network' : 'torrent';
+            throw createRequestError(`Failed to download torrent file: HTTP ${status}`, category, status);
         }
+        return torrentResponse.blob();
+    }, { signal });
 
-        if (timer) {timer.end({ success: true, cached: false });}
+    // Validate blob size (prevent excessively large files)
+    if (torrentBlob.size > MAX_TORRENT_FILE_SIZE) {
+        throw new Error('Torrent file too large');
+    }
 
-        if (window.Logger) {
-            window.Logger.info('Authentication successful', {
-                serverUrl: server.url
+    const bytes = new Uint8Array(await torrentBlob.arrayBuffer());
+    torrentFileCache.set(torrentUrl, { bytes, fetchedAt: now });
+    return bytes;
+}
+
+function getCachedTorrentFile(torrentUrl) {
+    const cached = torrentFileCache.get(torrentUrl);
+    return cached ? cached.bytes : null;
+}
+
+async function getTorrentMetadata(torrentUrl) {
+    if (torrentUrl.startsWith('magnet:')) {
+        // Magnet metadata only exists once peers deliver it, so there is no file list yet
+        const magnet = MagnetUri.parse(torrentUrl);
+        return {
+            isMagnet: true,
+            name: extractTorrentName(torrentUrl),
+            hash: extractInfoHash(torrentUrl),
+            version: magnet ? magnet.version : null,
+            trackers: magnet ? magnet.trackers : [],
+            files: [],
+            totalSize: magnet && magnet.length !== null ? magnet.length : 0
+        };
+    }
+
+    const bytes = await fetchTorrentFile(torrentUrl);
+    const torrent = await TorrentInspector.inspect(bytes);
+    return { isMagnet: false, ...torrent, hash: torrent.infoHash };
+}
+
+const CONTENT_LAYOUTS = ['Original', 'Subfolder', 'NoSubfolder'];
+
+// Where a torrent goes: the per-send choice, then the target server's defaults, then global defaults
+function resolveAddTarget(server, options, customOptions) {
+    return {
+        category: customOptions.category || server.category || options.category || '',
+        savePath: customOptions.savePath || server.savePath || options.savePath || ''
+    };
+}
+
+function appendAddOptions(formData, server, options, customOptions) {
+    const { category, savePath } = resolveAddTarget(server, options, customOptions);
+    if (category) {
+        formData.append('category', category);
+    }
+
+    if (savePath) {
+        formData.append('savepath', savePath);
+    }
+
+    // An explicit per-send choice (popup checkbox or send rule) overrides the global default
+    const paused = customOptions.paused === undefined ? options.paused : customOptions.paused;
+    if (paused) {
+        formData.append('paused', 'true');
+    }
+
+    if (options.skipHashCheck || customOptions.skipHashCheck) {
+        formData.append('skip_checking', 'true');
+    }
+}
+
+function appendAdvancedAddOptions(formData, customOptions) {
+    // Advanced add fields are only ever set per send
+    if (customOptions.rename) {
+        formData.append('rename', customOptions.rename);
+    }
+
+    const tags = Array.isArray(customOptions.tags) ? customOptions.tags.join(',') : customOptions.tags;
+    if (tags) {
+        formData.append('tags', tags);
+    }
+
+    if (CONTENT_LAYOUTS.includes(customOptions.contentLayout)) {
+        formData.append('contentLayout', customOptions.contentLayout);
+    }
+
+    if (customOptions.sequentialDownload) {
+        formData.append('sequentialDownload', 'true');
+    }
+
+    if (customOptions.firstLastPiecePrio) {
+        formData.append('firstLastPiecePrio', 'true');
+    }
+}
+
+const FILE_PRIORITIES = [0, 1, 6, 7]; // Do not download, normal, high, maximum
+const FILE_PRIORITY_ATTEMPTS = 10;
+const FILE_PRIORITY_RETRY_DELAY = 500;
+
+async function applyFilePriorities(hash, filePriorities, serverId = null) {
+    // torrents/add returns before the torrent is registered, so wait until its files are listed
+    let ready = false;
+    for (let attempt = 0; attempt < FILE_PRIORITY_ATTEMPTS && !ready; attempt++) {
+        try {
+            const response = await makeAuthenticatedRequest(`torrents/files?hash=${hash}`, {}, serverId);
+            const files = await response.json();
+            ready = Array.isArray(files) && files.length > 0;
+        } catch {
+            // 404 until the torrent exists
+        }
+        if (!ready) {
+            await new Promise(resolve => {
+                setTimeout(resolve, FILE_PRIORITY_RETRY_DELAY);
             });
         }
+    }
 
-        return authState.cookie;
-    } catch (error) {
-        if (timer) {timer.end({ success: false, error: error.message });}
+    if (!ready) {
+        throw new Error('Torrent did not appear on the server in time to set file priorities');
+    }
 
-        if (window.ErrorHandler) {
-            const { server: errorServer } = await getSettings().catch(() => ({ server: {} }));
-            window.ErrorHandler.handle(error, 'authentication', {
-                serverUrl: errorServer?.url,
-                username: errorServer?.username
-            });
-        } else {
-            console.error('Authentication error:', error);
+    // One request per priority level; ids are pipe-separated file indexes
+    const byPriority = new Map();
+    Object.entries(filePriorities).forEach(([index, priority]) => {
+        if (!byPriority.has(priority)) {
+            byPriority.set(priority, []);
         }
+        byPriority.get(priority).push(index);
+    });
 
-        // Don't expose internal error details
-        throw new Error('Authentication failed. Please check your credentials.');
-    } finally {
-        // Always clear the authentication flag to prevent deadlock
-        authState.isAuthenticating = false;
+    for (const [priority, indexes] of byPriority) {
+        await makeAuthenticatedRequest('torrents/filePrio', {
+            method: 'POST',
+            body: new URLSearchParams({ hash, id: indexes.join('|'), priority: String(priority) }),
+            idempotent: true
+        }, serverId);
     }
 }
 
-async function makeAuthenticatedRequest(endpoint, options = {}) {
-    const { server } = await getSettings();
-    const cookie = await authenticate();
+function normalizeFilePriorities(filePriorities) {
+    const normalized = {};
+    Object.entries(filePriorities || {}).forEach(([index, priority]) => {
+        const fileIndex = Number(index);
+        const filePriority = Number(priority);
+        if (Number.isInteger(fileIndex) && fileIndex >= 0 && FILE_PRIORITIES.includes(filePriority)) {
+            normalized[fileIndex] = filePriority;
+        }
+    });
+    return normalized;
+}
 
-    const url = `${server.url}/api/v2/${endpoint}`;
-    const requestOptions = {
-        ...options,
-        headers: {
-            ...options.headers,
-            'Cookie': cookie
+// Only a lookup the server answered with an error counts as "no duplicate". An unreachable
+// server, a cancelled send or a login problem fails the send here, so it is queued or reported
+// without waiting on the add request as well.
+async function findExistingTorrent(hash, serverId = null, signal = null) {
+    let response;
+    try {
+        response = await makeAuthenticatedRequest(`torrents/info?hashes=${hash}`, { signal }, serverId);
+    } catch (error) {
+        if (!error.status || isRetryableError(error) || error.category === 'authentication') {
+            throw error;
         }
-    };
+        if (window.Logger) {
+            window.Logger.warn('Duplicate check failed', { hash, error: error.message });
+        }
+        return null;
+    }
 
-    const response = await fetch(url, requestOptions);
+    const torrents = await response.json();
+    return torrents[0] || null;
+}
 
-    if (!response.ok) {
-        // Don't expose detailed server error information
-        if (response.status === 401) {
-            throw new Error('Authentication required');
-        } else if (response.status === 403) {
-            throw new Error('Access denied');
-        } else if (response.status >= 500) {
-            throw new Error('Server error occurred');
-        } else {
-            throw new Error('Request failed');
-        }
+async function mergeTrackers(hash, trackers, serverId = null) {
+    if (trackers.length === 0) {return 0;}
+
+    const response = await makeAuthenticatedRequest(`torrents/trackers?hash=${hash}`, {}, serverId);
+    const existing = new Set((await response.json()).map(tracker => tracker.url));
+    const newTrackers = trackers.filter(url => !existing.has(url));
+
+    if (newTrackers.length > 0) {
+        await makeAuthenticatedRequest('torrents/addTrackers', {
+            method: 'POST',
+            body: new URLSearchParams({ hash, urls: newTrackers.join('\n') }),
+            idempotent: true
+        }, serverId);
     }
 
-    return response;
+    return newTrackers.length;
+}
+
+async function handleDuplicate(existing, trackers, server, options, customOptions) {
+    // Per-send choice wins over the global setting
+    const shouldMerge = customOptions.mergeTrackers !== undefined
+        ? customOptions.mergeTrackers
+        : Boolean(options.mergeDuplicateTrackers);
+
+    const trackersAdded = shouldMerge ? await mergeTrackers(existing.hash, trackers, server.id) : 0;
+
+    return {
+        success: true,
+        status: 'duplicate',
+        name: existing.name,
+        hash: existing.hash,
+        trackersAdded,
+        serverId: server.id,
+        serverName: server.name
+    };
+}
+
+async function applySendRules(torrentUrl, metadata, customOptions) {
+    if (typeof RuleEngine === 'undefined') {return customOptions;}
+
+    const rules = await RuleEngine.loadRules();
+    const source = customOptions.source || {};
+    const match = RuleEngine.evaluate(rules, {
+        pageUrl: source.pageUrl || '',
+        linkText: source.linkText || '',
+        name: metadata ? metadata.name : extractTorrentName(torrentUrl),
+        size: metadata ? metadata.totalSize : null,
+        trackers: metadata ? metadata.trackers : extractMagnetTrackers(torrentUrl)
+    });
+
+    if (!match) {return customOptions;}
+
+    if (window.Logger) {
+        window.Logger.info('Send rule matched', { rule: match.rule.name, url: torrentUrl });
+    }
+    return RuleEngine.applyActions(match.actions, customOptions);
 }
 
-async function sendTorrent(torrentUrl, customOptions = {}) {
-    // Validate torrent URL
+// `torrentBytes` sends an already downloaded .torrent file instead of fetching the URL again
+async function sendTorrent(torrentUrl, { torrentBytes = null, signal = null, ...requestOptions } = {}) {
+    // Validate torrent URL; download links without a .torrent name must serve a torrent
     if (typeof InputValidator !== 'undefined') {
-        if (!InputValidator.validateMagnetLink(torrentUrl) && !InputValidator.validateTorrentUrl(torrentUrl)) {
+        const isValid = InputValidator.validateMagnetLink(torrentUrl) || InputValidator.validateTorrentUrl(torrentUrl) ||
+            Boolean(torrentBytes) || await probeTorrentUrl(torrentUrl);
+        if (!isValid) {
             throw new Error('Invalid torrent URL or magnet link');
         }
     }
 
-    const { options } = await getSettings();
-
     const formData = new FormData();
+    let metadata = null;
 
     if (torrentUrl.startsWith('magnet:')) {
         formData.append('urls', torrentUrl);
     } else {
-        // Handle .torrent file URL
-        const torrentResponse = await fetch(torrentUrl);
-        const torrentBlob = await torrentResponse.blob();
-
-        // Validate blob size (prevent excessively large files)
-        if (torrentBlob.size > 10 * 1024 * 1024) { // 10MB limit
-            throw new Error('Torrent file too large');
-        }
+        // Handle .torrent file URL; malformed files are rejected here with the exact problem
+        // instead of qBittorrent's bare "Fails."
+        const bytes = torrentBytes || await fetchTorrentFile(torrentUrl, signal);
+        metadata = await TorrentInspector.inspect(bytes);
 
-        formData.append('torrents', torrentBlob, 'download.torrent');
+        const safeName = typeof InputValidator !== 'undefined' ? InputValidator.sanitizeFilename(metadata.name) : '';
+        const filename = `${safeName || 'download'}.torrent`;
+        formData.append('torrents', new Blob([bytes], { type: 'application/x-bittorrent' }), filename);
     }
 
-    // Add options
-    if (options.category || customOptions.category) {
-        formData.append('category', customOptions.category || options.category);
-    }
+    // Rules run before the target server is resolved, since they may choose it
+    const customOptions = await applySendRules(torrentUrl, metadata, requestOptions);
+    const { server, options = {} } = await getSettings(customOptions.serverId);
 
-    if (options.savePath || customOptions.savePath) {
-        formData.append('savepath', customOptions.savePath || options.savePath);
+    try {
+        return await addResolvedTorrent(torrentUrl, formData, metadata, { server, options, customOptions, signal });
+    } catch (error) {
+        // The offline queue keys and retries by the server the send actually targeted
+        error.serverId = server.id;
+        throw error;
     }
+}
 
-    if (options.paused || customOptions.paused) {
-        formData.append('paused', 'true');
-    }
+// The add itself, once sendTorrent has resolved the target server and its options
+async function addResolvedTorrent(torrentUrl, formData, metadata, { server, options, customOptions, signal }) {
+    const filePriorities = normalizeFilePriorities(customOptions.filePriorities);
+    const name = customOptions.rename || metadata?.name || extractTorrentName(torrentUrl);
+    const hash = metadata?.infoHash || extractInfoHash(torrentUrl);
 
-    if (options.skipHashCheck || customOptions.skipHashCheck) {
-        formData.append('skip_checking', 'true');
+    // Torrents already on the server are reported instead of re-added
+    const existing = hash ? await findExistingTorrent(hash, server.id, signal) : null;
+    if (existing) {
+        torrentFileCache.delete(torrentUrl);
+        const trackers = metadata ? metadata.trackers : extractMagnetTrackers(torrentUrl);
+        return handleDuplicate(existing, trackers, server, options, customOptions);
     }
 
+    appendAddOptions(formData, server, options, customOptions);
+    appendAdvancedAddOptions(formData, customOptions);
+
     const response = await makeAuthenticatedRequest('torrents/add', {
         method: 'POST',
-        body: formData
-    });
+        body: formData,
+        signal
+    }, server.id);
 
     const responseText = await response.text();
 
@@ -224,39 +734,126 @@ async function sendTorrent(torrentUrl, customOptions = {}) {
         throw new Error(`Failed to add torrent: ${responseText}`);
     }
 
-    return { success: true, name: extractTorrentName(torrentUrl) };
+    torrentFileCache.delete(torrentUrl);
+    await finishAddedTorrent(hash, name, filePriorities, server.id);
+
+    return {
+        success: true,
+        status: 'added',
+        name,
+        hash,
+        serverId: server.id,
+        serverName: server.name,
+        ...resolveAddTarget(server, options, customOptions)
+    };
 }
 
-async function sendMultipleTorrents(torrentUrls, customOptions = {}) {
-    const results = [];
+async function finishAddedTorrent(hash, name, filePriorities, serverId) {
+    if (Object.keys(filePriorities).length > 0) {
+        if (!hash) {
+            throw new Error('Torrent was added, but file priorities need a known info-hash');
+        }
+        await applyFilePriorities(hash, filePriorities, serverId);
+    }
 
-    for (const url of torrentUrls) {
+    // Track the torrent for completion notifications; never fail the send because of it
+    if (typeof watchTorrent === 'function') {
         try {
-            const result = await sendTorrent(url, customOptions);
-            results.push({ url, success: true, result });
+            await watchTorrent({ hash, name, serverId });
         } catch (error) {
-            results.push({ url, success: false, error: error.message });
+            console.error('Failed to watch torrent:', error);
         }
     }
+}
+
+const BATCH_CONCURRENCY = 4;
+
+async function sendBatchItem(url, seen, customOptions, linkTexts, signal) {
+    if (signal && signal.aborted) {
+        return { url, success: false, status: 'cancelled' };
+    }
 
+    // Repeats within the batch never reach the server; magnets are compared by info-hash
+    const key = extractInfoHash(url) || url;
+    if (seen.has(key)) {
+        return { url, success: true, status: 'duplicate' };
+    }
+    seen.add(key);
+
+    try {
+        const source = { ...customOptions.source, linkText: linkTexts[url] || '' };
+        const result = await sendOrQueueTorrent(url, { ...customOptions, source, signal });
+        if (result.hash) {
+            seen.add(result.hash);
+        }
+        return { url, success: true, status: result.status, result };
+    } catch (error) {
+        const status = signal && signal.aborted ? 'cancelled' : 'failed';
+        return { url, success: false, status, error: error.message };
+    }
+}
+
+/**
+ * Send a list of torrents through a small pool of workers, so large pages neither wait for
+ * each link in turn nor flood the server. Results keep the order of `torrentUrls`.
+ * `onProgress` is called as each item finishes; aborting `signal` cancels in-flight requests
+ * and reports the remaining items as cancelled.
+ */
+async function sendMultipleTorrents(torrentUrls, customOptions = {}, linkTexts = {}, { signal = null, onProgress = null } = {}) {
+    const results = new Array(torrentUrls.length);
+    const seen = new Set();
+    const pending = torrentUrls.map((url, index) => ({ url, index }));
+    let completed = 0;
+
+    const worker = async () => {
+        for (let item = pending.shift(); item; item = pending.shift()) {
+            const result = await sendBatchItem(item.url, seen, customOptions, linkTexts || {}, signal);
+            results[item.index] = result;
+            completed += 1;
+            if (onProgress) {
+                onProgress({ ...result, index: item.index, completed, total: torrentUrls.length });
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, torrentUrls.length) }, worker));
     return results;
 }
 
-async function testConnection() {
+function summarizeSendResults(results) {
+    const summary = { total: results.length, added: 0, duplicate: 0, queued: 0, cancelled: 0, failed: 0 };
+    results.forEach(({ status }) => {
+        summary[status] = (summary[status] || 0) + 1;
+    });
+    return summary;
+}
+
+function formatSendSummary(summary) {
+    const queued = summary.queued > 0 ? `, ${summary.queued} queued` : '';
+    const cancelled = summary.cancelled > 0 ? `, ${summary.cancelled} cancelled` : '';
+    return `${summary.added} added, ${summary.duplicate} duplicate${queued}${cancelled}, ${summary.failed} failed`;
+}
+
+async function testConnection(serverId = null) {
     try {
-        const response = await makeAuthenticatedRequest('app/version');
+        const response = await makeAuthenticatedRequest('app/version', STATUS_CHECK_OPTIONS, serverId);
         const version = await response.text();
         return { connected: true, version };
     } catch (error) {
-        return { connected: false, error: error.message };
+        return {
+            connected: false,
+            error: error.message,
+            banned: Boolean(error.banned),
+            missingPermission: Boolean(error.missingPermission)
+        };
     }
 }
 
-async function getServerInfo() {
+async function getServerInfo(serverId = null) {
     try {
         const [versionResponse, preferencesResponse] = await Promise.all([
-            makeAuthenticatedRequest('app/version'),
-            makeAuthenticatedRequest('app/preferences')
+            makeAuthenticatedRequest('app/version', STATUS_CHECK_OPTIONS, serverId),
+            makeAuthenticatedRequest('app/preferences', STATUS_CHECK_OPTIONS, serverId)
         ]);
 
         const version = await versionResponse.text();
@@ -272,18 +869,188 @@ async function getServerInfo() {
     }
 }
 
+// Version and current transfer state, for the omnibox status suggestions
+// `requestOptions` takes `retry` and `timeout` like makeAuthenticatedRequest
+async function getTransferInfo(serverId = null, requestOptions = {}) {
+    const [versionResponse, transferResponse] = await Promise.all([
+        makeAuthenticatedRequest('app/version', requestOptions, serverId),
+        makeAuthenticatedRequest('transfer/info', requestOptions, serverId)
+    ]);
+
+    const version = await versionResponse.text();
+    const transfer = await transferResponse.json();
+
+    return {
+        version: version.trim(),
+        downloadSpeed: transfer.dl_info_speed || 0,
+        uploadSpeed: transfer.up_info_speed || 0,
+        connectionStatus: transfer.connection_status || 'unknown'
+    };
+}
+
+// Web API 2.11 (qBittorrent 5.0) renamed pause/resume to stop/start
+const webApiVersions = new Map();
+const STOP_START_API_VERSION = [2, 11, 0];
+
+async function getWebApiVersion(serverId = null) {
+    const key = serverId || 'default';
+    if (!webApiVersions.has(key)) {
+        const response = await makeAuthenticatedRequest('app/webapiVersion', {}, serverId);
+        const version = (await response.text()).trim().split('.').map(part => parseInt(part, 10) || 0);
+        webApiVersions.set(key, version);
+    }
+    return webApiVersions.get(key);
+}
+
+// Drops the cached session of a server and ends it on the server, so changed credentials
+// or a changed URL take effect on the next request instead of after AUTH_TIMEOUT
+async function clearAuthCache(serverId = null) {
+    const { server } = await getSettings(serverId).catch(() => ({ server: {} }));
+    const key = server.id || serverId || 'default';
+
+    // Also forgets failed logins and bans, so corrected credentials are tried right away
+    authStates.delete(key);
+    // Versions are also cached under 'default' for the default server; refetching them is cheap
+    webApiVersions.clear();
+
+    if (!server.url || server.skipLogin) {return;}
+
+    try {
+        // Ends the session whose SID cookie the browser holds for this origin
+        await fetch(getApiUrl(server, 'auth/logout'), {
+            method: 'POST',
+            headers: getServerHeaders(server),
+            credentials: 'include',
+            signal: AbortSignal.timeout(LOGOUT_TIMEOUT)
+        });
+        if (window.Logger) {
+            window.Logger.info('Logged out after server settings change', { serverId: key });
+        }
+    } catch (error) {
+        if (window.Logger) {
+            window.Logger.warn('Logout after server settings change failed', { serverId: key, error: error.message });
+        }
+    }
+}
+
+async function usesStopStartApi(serverId = null) {
+    const version = await getWebApiVersion(serverId);
+    for (let i = 0; i < STOP_START_API_VERSION.length; i++) {
+        if ((version[i] || 0) !== STOP_START_API_VERSION[i]) {
+            return (version[i] || 0) > STOP_START_API_VERSION[i];
+        }
+    }
+    return true;
+}
+
+async function getTorrentList(filters = {}, serverId = null) {
+    const params = new URLSearchParams({
+        sort: 'added_on',
+        reverse: 'true',
+        limit: String(filters.limit || 50)
+    });
+
+    if (filters.filter && filters.filter !== 'all') {
+        let { filter } = filters;
+        if (await usesStopStartApi(serverId)) {
+            filter = { paused: 'stopped', resumed: 'running' }[filter] || filter;
+        }
+        params.set('filter', filter);
+    }
+
+    // An empty category is meaningful (uncategorized), so only skip undefined/null
+    if (filters.category !== undefined && filters.category !== null) {
+        params.set('category', filters.category);
+    }
+
+    const response = await makeAuthenticatedRequest(`torrents/info?${params.toString()}`, {}, serverId);
+    const torrents = await response.json();
+
+    return torrents.map(torrent => ({
+        hash: torrent.hash,
+        name: torrent.name,
+        progress: torrent.progress,
+        state: torrent.state,
+        dlspeed: torrent.dlspeed,
+        upspeed: torrent.upspeed,
+        eta: torrent.eta,
+        ratio: torrent.ratio,
+        size: torrent.size,
+        category: torrent.category
+    }));
+}
+
+function isValidInfoHash(hash) {
+    // v1 SHA-1 (40 hex) or v2 SHA-256 (64 hex) info-hash
+    return typeof hash === 'string' && /^([a-fA-F0-9]{40}|[a-fA-F0-9]{64})$/.test(hash);
+}
+
+async function controlTorrents(command, hashes, options = {}, serverId = null) {
+    const commands = ['pause', 'resume', 'delete', 'recheck'];
+    if (!commands.includes(command)) {
+        throw new Error(`Unsupported torrent command: ${command}`);
+    }
+
+    if (!Array.isArray(hashes) || hashes.length === 0 || !hashes.every(isValidInfoHash)) {
+        throw new Error('Invalid torrent hash');
+    }
+
+    let endpoint = command;
+    if ((command === 'pause' || command === 'resume') && await usesStopStartApi(serverId)) {
+        endpoint = command === 'pause' ? 'stop' : 'start';
+    }
+
+    const body = new URLSearchParams({ hashes: hashes.join('|') });
+    if (command === 'delete') {
+        body.set('deleteFiles', options.deleteFiles ? 'true' : 'false');
+    }
+
+    // Pausing, resuming, rechecking or deleting twice has the same effect as once
+    await makeAuthenticatedRequest(`torrents/${endpoint}`, {
+        method: 'POST',
+        body,
+        idempotent: true
+    }, serverId);
+
+    return { success: true, command, count: hashes.length };
+}
+
+// The id qBittorrent lists the torrent under, whether the magnet carries a hex, base32 or v2 hash
+function extractInfoHash(url) {
+    const magnet = MagnetUri.parse(url);
+    return magnet ? magnet.infoHash : null;
+}
+
+function extractMagnetTrackers(url) {
+    const magnet = MagnetUri.parse(url);
+    return magnet ? magnet.trackers : [];
+}
+
 function extractTorrentName(url) {
     if (url.startsWith('magnet:')) {
-        const match = url.match(/dn=([^&]+)/);
-        return match ? decodeURIComponent(match[1]) : 'Magnet Link';
+        const magnet = MagnetUri.parse(url);
+        return (magnet && magnet.name) || 'Magnet Link';
     }
-        const urlParts = url.split('/');
-        return urlParts[urlParts.length - 1].replace('.torrent', '');
-
+    const urlParts = url.split('/');
+    return urlParts[urlParts.length - 1].replace('.torrent', '');
 }
 
 // Export functions for use in service worker
 window.sendTorrent = sendTorrent;
+window.isRetryableError = isRetryableError;
+window.makeAuthenticatedRequest = makeAuthenticatedRequest;
+window.getCachedTorrentFile = getCachedTorrentFile;
+window.fetchWithTimeout = fetchWithTimeout;
+window.extractTorrentName = extractTorrentName;
+window.extractInfoHash = extractInfoHash;
 window.sendMultipleTorrents = sendMultipleTorrents;
+window.summarizeSendResults = summarizeSendResults;
+window.formatSendSummary = formatSendSummary;
 window.testConnection = testConnection;
-window.getServerInfo = getServerInfo;
\ No newline at end of file
+window.clearAuthCache = clearAuthCache;
+window.openWebUi = openWebUi;
+window.getServerInfo = getServerInfo;
+window.getTransferInfo = getTransferInfo;
+window.getTorrentList = getTorrentList;
+window.controlTorrents = controlTorrents;
+window.getTorrentMetadata = getTorrentMetadata;
\ No newline at end of file
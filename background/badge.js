@@ -0,0 +1,38 @@
+// Action badge showing how many torrent links the content script found on each tab.
+// The count is set per tab; the colour is shared by all tabs and follows the connection
+// state of the default server, so it can change without knowing which tabs have a badge.
+
+const BADGE_COLORS = {
+    connected: '#4caf50',
+    disconnected: '#f44336',
+    unknown: '#9e9e9e'
+};
+const MAX_BADGE_COUNT = 99; // The badge only fits about four characters
+
+function formatBadgeCount(count) {
+    if (!count || count <= 0) {
+        return '';
+    }
+    return count > MAX_BADGE_COUNT ? `${MAX_BADGE_COUNT}+` : String(count);
+}
+
+async function updateTabBadge(tabId, count) {
+    await chrome.action.setBadgeText({ tabId, text: formatBadgeCount(count) });
+}
+
+async function clearTabBadge(tabId) {
+    await chrome.action.setBadgeText({ tabId, text: '' });
+}
+
+async function setBadgeConnectionState(connected) {
+    let color = BADGE_COLORS.unknown;
+    if (typeof connected === 'boolean') {
+        color = connected ? BADGE_COLORS.connected : BADGE_COLORS.disconnected;
+    }
+    await chrome.action.setBadgeBackgroundColor({ color });
+}
+
+// Export functions for use in service worker
+window.updateTabBadge = updateTabBadge;
+window.clearTabBadge = clearTabBadge;
+window.setBadgeConnectionState = setBadgeConnectionState;
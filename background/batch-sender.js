@@ -0,0 +1,66 @@
+// Batch sends started from the popup run over a long-lived port that streams per-item
+// progress back and accepts a cancel request. Closing the popup does not stop the batch;
+// its summary is then shown as a notification instead.
+
+const SEND_BATCH_PORT = 'send-batch';
+
+function handleSendBatchPort(port) {
+    if (port.name !== SEND_BATCH_PORT) {return;}
+
+    const controller = new AbortController();
+    let connected = true;
+    let started = false;
+
+    const post = message => {
+        if (connected) {
+            port.postMessage(message);
+        }
+    };
+
+    port.onDisconnect.addListener(() => {
+        connected = false;
+    });
+
+    port.onMessage.addListener(async message => {
+        if (message.action === 'CANCEL') {
+            controller.abort();
+            return;
+        }
+        if (message.action !== 'START' || started) {return;}
+        started = true;
+
+        if (!Array.isArray(message.urls) || message.urls.length === 0) {
+            post({ type: 'error', error: 'No torrents to send' });
+            return;
+        }
+
+        try {
+            const results = await sendMultipleTorrents(message.urls, message.options, message.linkTexts, {
+                signal: controller.signal,
+                onProgress: progress => post({
+                    type: 'progress',
+                    index: progress.index,
+                    completed: progress.completed,
+                    total: progress.total,
+                    url: progress.url,
+                    status: progress.status,
+                    name: progress.result ? progress.result.name : null,
+                    error: progress.error || null
+                })
+            });
+            const summary = summarizeSendResults(results);
+
+            if (connected) {
+                post({ type: 'done', summary });
+            } else {
+                showNotification(summary.failed > 0 ? 'error' : 'success',
+                    `Sent ${summary.total} torrents: ${formatSendSummary(summary)}`);
+            }
+        } catch (error) {
+            post({ type: 'error', error: error.message });
+        }
+    });
+}
+
+// Export functions for use in service worker
+window.handleSendBatchPort = handleSendBatchPort;
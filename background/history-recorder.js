@@ -0,0 +1,63 @@
+// Records every send in SendHistory. Sends go through sendOrQueueTorrent, which reports each
+// outcome here; sends that were queued keep their entry, which is updated when the queue
+// finally delivers, drops or cancels them. History must never make a send fail, so errors
+// are only logged.
+
+// The source page and link text stay, so send rules match a resend the same way
+function getResendOptions({ signal: _signal, torrentBytes: _torrentBytes, ...options }) {
+    return options;
+}
+
+async function recordSendResult(url, options, result) {
+    try {
+        const source = options.source || {};
+        await SendHistory.record({
+            url,
+            status: result.status,
+            name: result.name || extractTorrentName(url),
+            hash: result.hash || extractInfoHash(url),
+            pageUrl: source.pageUrl || '',
+            serverId: result.serverId || options.serverId || null,
+            serverName: result.serverName || '',
+            // Failed sends never resolved a target, so record what was asked for
+            category: result.category !== undefined ? result.category : options.category || '',
+            savePath: result.savePath !== undefined ? result.savePath : options.savePath || '',
+            error: result.error || null,
+            queueId: result.queueId || null,
+            options: getResendOptions(options)
+        });
+    } catch (error) {
+        console.error('Failed to record send history:', error);
+    }
+}
+
+async function recordSendFailure(url, options, error) {
+    await recordSendResult(url, options, {
+        status: error.category === 'cancelled' ? 'cancelled' : 'failed',
+        error: error.message
+    });
+}
+
+// `changes` is the final outcome of a queued send, or a new error while it stays queued.
+// Items that stopped with an error can still be retried by hand, so any status may change.
+async function updateQueuedSendHistory(queueId, changes) {
+    try {
+        await SendHistory.updateWhere(entry => entry.queueId === queueId, changes);
+    } catch (error) {
+        console.error('Failed to update send history:', error);
+    }
+}
+
+async function resendHistoryItem(id) {
+    const entry = await SendHistory.get(id);
+    if (!entry) {
+        throw new Error('History entry not found');
+    }
+    return sendOrQueueTorrent(entry.url, entry.options);
+}
+
+// Export functions for use in service worker
+window.recordSendResult = recordSendResult;
+window.recordSendFailure = recordSendFailure;
+window.updateQueuedSendHistory = updateQueuedSendHistory;
+window.resendHistoryItem = resendHistoryItem;
@@ -0,0 +1,144 @@
+// Confirms ambiguous download links (download.php?id=…, form targets, script URLs) before the
+// content script counts them. Page scans only probe once the user has turned this on in the
+// options and granted host access to the link's site from the popup. A HEAD request gives the
+// type: the BitTorrent MIME type confirms a torrent, and only a generic type leads to a ranged
+// GET for the first bytes, which must start like a bencoded dictionary. Results are cached so
+// every page and send reuses them.
+
+const PROBE_CACHE_TTL = 10 * 60 * 1000;
+const PROBE_TIMEOUT = 10 * 1000;
+const PROBE_CONCURRENCY = 3;
+const MAX_PROBE_URLS = 20;
+const PROBE_RANGE = 'bytes=0-63';
+const TORRENT_CONTENT_TYPES = ['application/x-bittorrent', 'application/x-torrent'];
+// Every .torrent file is a dictionary whose first key is a length-prefixed string, e.g. d8:announce
+const BENCODE_DICTIONARY_HEADER = /^d[1-9]\d{0,2}:/;
+const probeCache = new Map();
+
+function getCachedProbe(url) {
+    const cached = probeCache.get(url);
+    if (!cached || Date.now() - cached.checkedAt > PROBE_CACHE_TTL) {
+        probeCache.delete(url);
+        return null;
+    }
+    return cached;
+}
+
+function getContentType(response) {
+    return (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+}
+
+async function sniffTorrentResponse(response) {
+    const contentType = getContentType(response);
+    if (TORRENT_CONTENT_TYPES.includes(contentType)) {
+        return true;
+    }
+    if (contentType.startsWith('text/html') || !response.body) {
+        return false;
+    }
+
+    const reader = response.body.getReader();
+    try {
+        const { value } = await reader.read();
+        const header = value ? String.fromCharCode(...value.subarray(0, 16)) : '';
+        return BENCODE_DICTIONARY_HEADER.test(header);
+    } finally {
+        reader.cancel().catch(() => {
+            // The rest of the body is not needed
+        });
+    }
+}
+
+// Pages choose what is probed, so requests to the qBittorrent servers themselves are refused
+async function isServerUrl(url) {
+    const { origin } = new URL(url);
+    const profiles = await ServerProfileManager.listProfiles();
+    return profiles.some(profile => {
+        const baseUrl = ServerProfileManager.getBaseUrl(profile);
+        return baseUrl && new URL(baseUrl).origin === origin;
+    });
+}
+
+async function requestTorrentType(url, signal) {
+    const head = await fetchWithTimeout(url, { method: 'HEAD', signal }, PROBE_TIMEOUT);
+    // Some download scripts only answer GET
+    const headUnsupported = head.status === 405 || head.status === 501;
+    if (!head.ok && !headUnsupported) {
+        return false;
+    }
+
+    const contentType = getContentType(head);
+    if (!headUnsupported && (TORRENT_CONTENT_TYPES.includes(contentType) || contentType.startsWith('text/html'))) {
+        return TORRENT_CONTENT_TYPES.includes(contentType);
+    }
+
+    const response = await fetchWithTimeout(url, { headers: { Range: PROBE_RANGE }, signal }, PROBE_TIMEOUT);
+    return response.ok && sniffTorrentResponse(response);
+}
+
+async function probeTorrentUrl(url) {
+    const cached = getCachedProbe(url);
+    if (cached) {
+        return cached.isTorrent;
+    }
+    if (!InputValidator.sanitizeUrl(url) || await isServerUrl(url)) {
+        return false;
+    }
+    // The response of a site without host access cannot be read; not cached, so a later grant counts
+    if (!(await HostPermissions.hasAccess(url))) {
+        return false;
+    }
+
+    // Covers reading the first chunk too, which fetchWithTimeout's own timeout does not
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+    let isTorrent = false;
+    try {
+        isTorrent = await requestTorrentType(url, controller.signal);
+    } catch (error) {
+        // Unreachable links are not torrents as far as the page count goes
+        if (window.Logger) {
+            window.Logger.debug('Could not probe download link', { url, error: error.message });
+        }
+    } finally {
+        clearTimeout(timer);
+        controller.abort();
+    }
+
+    probeCache.set(url, { isTorrent, checkedAt: Date.now() });
+    return isTorrent;
+}
+
+/**
+ * Probes the ambiguous links of a page scan
+ * Links on sites without host access are left out and their origin patterns returned, so the
+ * popup can ask for access; nothing is probed while the option is off.
+ *
+ * @param {string[]} urls - Ambiguous link URLs
+ * @returns {Promise<{results: Object<string, boolean>, needsAccess: string[]}>} Probed URLs only
+ */
+async function probeTorrentUrls(urls) {
+    const { probeDownloadLinks } = await StorageManager.getOptions();
+    if (!probeDownloadLinks) {
+        return { results: {}, needsAccess: [] };
+    }
+
+    const candidates = [...new Set(urls)].slice(0, MAX_PROBE_URLS);
+    const needsAccess = await HostPermissions.findMissing(candidates.filter(url => InputValidator.sanitizeUrl(url)));
+    const queue = candidates.filter(url => !needsAccess.includes(HostPermissions.getOriginPattern(url)));
+    const results = {};
+
+    const worker = async () => {
+        while (queue.length > 0) {
+            const url = queue.shift();
+            results[url] = await probeTorrentUrl(url);
+        }
+    };
+    await Promise.all(Array.from({ length: PROBE_CONCURRENCY }, worker));
+
+    return { results, needsAccess };
+}
+
+// Export functions for use in service worker
+window.probeTorrentUrl = probeTorrentUrl;
+window.probeTorrentUrls = probeTorrentUrls;
@@ -0,0 +1,132 @@
+// Address bar keyword "qb": a magnet link, .torrent URL or bare info-hash typed after it is sent
+// to the default server (send rules still pick the target), and "qb status" lists every server's
+// version and speeds; choosing one opens its WebUI. Suggestion descriptions use Chrome's omnibox
+// markup, so names taken from links and servers are escaped.
+
+const OMNIBOX_STATUS_COMMAND = 'status';
+// Content of a status suggestion; entering it opens that server's WebUI
+const OMNIBOX_WEBUI_PREFIX = 'webui:';
+const OMNIBOX_HELP = 'Send a magnet link, .torrent URL or info-hash to qBittorrent, or type <match>status</match>';
+// Suggestions are shown while typing, so an unreachable server must not hold them up
+const OMNIBOX_STATUS_OPTIONS = { retry: false, timeout: 3 * 1000 };
+
+// The input the suggestions are for; answers that arrive after the user typed on are dropped
+let currentOmniboxInput = null;
+
+function escapeOmniboxText(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+    return String(text).replace(/[&<>"']/g, char => entities[char]);
+}
+
+function formatOmniboxSpeed(bytesPerSecond) {
+    const units = ['B/s', 'KiB/s', 'MiB/s', 'GiB/s'];
+    let value = bytesPerSecond;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// The URL to send for the input, or null. Download links without a .torrent name are accepted
+// here and checked by sendTorrent(), which probes them before sending.
+async function resolveOmniboxInput(text) {
+    const input = text.trim();
+    if (InputValidator.validateMagnetLink(input)) {
+        return input;
+    }
+    if (/^https?:\/\//i.test(input)) {
+        return InputValidator.sanitizeUrl(input) || null;
+    }
+
+    const { defaultTrackers } = await StorageManager.getOptions();
+    return MagnetUri.fromInfoHash(input, defaultTrackers || []);
+}
+
+function describeOmniboxTorrent(url) {
+    const details = [];
+    const magnet = MagnetUri.parse(url);
+    if (magnet) {
+        if (magnet.version !== 'v1') {
+            details.push(magnet.version);
+        }
+        if (magnet.trackers.length > 0) {
+            details.push(`${magnet.trackers.length} tracker${magnet.trackers.length === 1 ? '' : 's'}`);
+        }
+        details.push(magnet.infoHash);
+    } else {
+        details.push(new URL(url).hostname);
+    }
+
+    return `Send <match>${escapeOmniboxText(extractTorrentName(url))}</match> to qBittorrent ` +
+        `<dim>${escapeOmniboxText(details.join(' · '))}</dim>`;
+}
+
+async function getOmniboxStatusSuggestions() {
+    const profiles = await ServerProfileManager.listProfiles();
+
+    return Promise.all(profiles.map(async profile => {
+        const name = `<match>${escapeOmniboxText(profile.name)}</match>`;
+        const content = `${OMNIBOX_WEBUI_PREFIX}${profile.id}`;
+        try {
+            const info = await getTransferInfo(profile.id, OMNIBOX_STATUS_OPTIONS);
+            const speeds = `↓ ${formatOmniboxSpeed(info.downloadSpeed)} ↑ ${formatOmniboxSpeed(info.uploadSpeed)}`;
+            return {
+                content,
+                description: `${name} qBittorrent ${escapeOmniboxText(info.version)} <dim>${speeds}</dim>`
+            };
+        } catch (error) {
+            return { content, description: `${name} <dim>unreachable: ${escapeOmniboxText(error.message)}</dim>` };
+        }
+    }));
+}
+
+// The default suggestion describes what Enter will do; Chrome drops suggestions whose content
+// equals the input, so the parsed torrent is shown there rather than as a suggestion
+async function handleOmniboxInputChanged(text, suggest) {
+    currentOmniboxInput = text;
+
+    try {
+        if (text.trim().toLowerCase() === OMNIBOX_STATUS_COMMAND) {
+            chrome.omnibox.setDefaultSuggestion({ description: 'Open the qBittorrent WebUI' });
+            const suggestions = await getOmniboxStatusSuggestions();
+            if (text === currentOmniboxInput) {
+                suggest(suggestions);
+            }
+            return;
+        }
+
+        const url = await resolveOmniboxInput(text);
+        if (text !== currentOmniboxInput) {return;}
+        chrome.omnibox.setDefaultSuggestion({ description: url ? describeOmniboxTorrent(url) : OMNIBOX_HELP });
+        suggest([]);
+    } catch (error) {
+        console.error('Omnibox suggestion failed:', error);
+    }
+}
+
+async function handleOmniboxInputEntered(text) {
+    const input = text.trim();
+
+    if (input.startsWith(OMNIBOX_WEBUI_PREFIX) || input.toLowerCase() === OMNIBOX_STATUS_COMMAND) {
+        const serverId = input.startsWith(OMNIBOX_WEBUI_PREFIX) ? input.slice(OMNIBOX_WEBUI_PREFIX.length) : null;
+        try {
+            await openWebUi(serverId);
+        } catch (error) {
+            showNotification('error', `Failed to open the WebUI: ${error.message}`);
+        }
+        return;
+    }
+
+    const url = await resolveOmniboxInput(input);
+    if (!url) {
+        showNotification('error', 'Not a magnet link, .torrent URL or info-hash');
+        return;
+    }
+    await sendSingleTorrent(url);
+}
+
+// Export functions for use in service worker
+window.handleOmniboxInputChanged = handleOmniboxInputChanged;
+window.handleOmniboxInputEntered = handleOmniboxInputEntered;
@@ -0,0 +1,120 @@
+// Torrent links across the frames of a tab. The content script runs in every frame, and each
+// frame with a running detector reports its own count; the badge shows their sum and "send all"
+// asks every frame that reported links. The counts are kept in session storage because the
+// service worker is stopped between events while the pages stay open.
+
+const FRAME_COUNTS_KEY = 'frame_torrent_counts';
+const TOP_FRAME_ID = 0;
+
+let frameCounts = null; // tabId → { frameId: count }
+let frameCountsLoad = null;
+
+async function loadFrameCounts() {
+    if (!frameCountsLoad) {
+        frameCountsLoad = chrome.storage.session.get([FRAME_COUNTS_KEY]).then(result => {
+            frameCounts = result[FRAME_COUNTS_KEY] || {};
+        });
+    }
+    await frameCountsLoad;
+    return frameCounts;
+}
+
+async function saveFrameCounts() {
+    await chrome.storage.session.set({ [FRAME_COUNTS_KEY]: frameCounts });
+}
+
+// Returns the tab's total over all frames
+async function recordFrameTorrentCount(tabId, frameId, count) {
+    const counts = await loadFrameCounts();
+    const frames = counts[tabId] || {};
+
+    if (frames[frameId] !== count) {
+        frames[frameId] = count;
+        counts[tabId] = frames;
+        await saveFrameCounts();
+    }
+    return Object.values(frames).reduce((total, frameCount) => total + frameCount, 0);
+}
+
+async function forgetTabFrames(tabId) {
+    const counts = await loadFrameCounts();
+    if (counts[tabId]) {
+        delete counts[tabId];
+        await saveFrameCounts();
+    }
+}
+
+async function getPageFrameIds(tabId) {
+    const frames = (await loadFrameCounts())[tabId] || {};
+    const frameIds = Object.keys(frames)
+        .map(Number)
+        .filter(frameId => frameId !== TOP_FRAME_ID && frames[frameId] > 0);
+    return [TOP_FRAME_ID, ...frameIds];
+}
+
+async function getFrameTorrents(tabId, frameId) {
+    try {
+        return await chrome.tabs.sendMessage(tabId, { action: 'GET_ALL_TORRENTS' }, { frameId });
+    } catch {
+        // Frames can be removed or navigated away since they reported
+        return null;
+    }
+}
+
+// Same shape as a single frame's GET_ALL_TORRENTS answer; the page URL, feeds and blocked state
+// come from the top frame, the sites waiting for probe access from every frame
+async function collectPageTorrents(tabId) {
+    const frameIds = await getPageFrameIds(tabId);
+    const responses = await Promise.all(frameIds.map(frameId => getFrameTorrents(tabId, frameId)));
+    const [top] = responses;
+    if (!top) {
+        throw new Error('The page has no content script; reload it and try again');
+    }
+
+    // Frames often embed the same torrent, sometimes as differently written magnets
+    const keys = new Set();
+    const torrents = [];
+    const linkTexts = {};
+    const probeOrigins = new Set();
+    responses.filter(Boolean).forEach(response => {
+        (response.probeOrigins || []).forEach(pattern => probeOrigins.add(pattern));
+        (response.torrents || []).forEach(url => {
+            const key = MagnetUri.dedupeKey(url);
+            if (!keys.has(key)) {
+                keys.add(key);
+                torrents.push(url);
+                linkTexts[url] = (response.linkTexts && response.linkTexts[url]) || '';
+            }
+        });
+    });
+
+    return {
+        torrents,
+        linkTexts,
+        feeds: top.feeds || [],
+        probeOrigins: [...probeOrigins],
+        pageUrl: top.pageUrl,
+        blocked: top.blocked === true
+    };
+}
+
+// The picker overlay runs in the top frame but lists the links of every frame. The popup closes
+// as soon as the page is clicked, so the overlay sends the chosen links itself with the options
+// the popup had when it was opened.
+async function openLinkPicker(tabId, options = {}) {
+    const page = await collectPageTorrents(tabId);
+    if (page.blocked) {
+        throw new Error('qBittorrent integration is disabled on this site');
+    }
+    if (page.torrents.length === 0) {
+        throw new Error('No torrent links found on this page');
+    }
+
+    await chrome.tabs.sendMessage(tabId, { action: 'SHOW_LINK_PICKER', ...page, options }, { frameId: TOP_FRAME_ID });
+}
+
+// Export functions for use in service worker
+window.recordFrameTorrentCount = recordFrameTorrentCount;
+window.forgetTabFrames = forgetTabFrames;
+window.collectPageTorrents = collectPageTorrents;
+window.openLinkPicker = openLinkPicker;
@@ -0,0 +1,68 @@
+// qBittorrent's CSRF protection rejects requests whose Origin/Referer does not match the
+// WebUI host, and requests from the service worker carry the chrome-extension:// origin.
+// Session rules rewrite both headers to the server's own origin, only for requests this
+// extension makes to a configured server. Session rules do not survive a browser restart,
+// so they are rebuilt whenever the service worker starts and when the server list changes.
+// Servers behind a reverse proxy are matched by the origin of their resolved base URL, so the
+// rule also covers a sub-path, a forced HTTPS scheme and a custom port.
+
+// Session rules are shared by the whole extension, so this module only touches the ids it owns
+const HEADER_RULE_ID_BASE = 1000;
+const HEADER_RULE_ID_COUNT = 1000;
+
+function isHeaderRuleId(id) {
+    return id >= HEADER_RULE_ID_BASE && id < HEADER_RULE_ID_BASE + HEADER_RULE_ID_COUNT;
+}
+
+function getServerOrigin(url) {
+    try {
+        const { protocol, origin } = new URL(url);
+        return ['http:', 'https:'].includes(protocol) ? origin : null;
+    } catch {
+        return null;
+    }
+}
+
+function buildHeaderRule(origin, index) {
+    return {
+        id: HEADER_RULE_ID_BASE + index,
+        priority: 1,
+        action: {
+            type: 'modifyHeaders',
+            requestHeaders: [
+                { header: 'Origin', operation: 'set', value: origin },
+                { header: 'Referer', operation: 'set', value: `${origin}/` }
+            ]
+        },
+        condition: {
+            urlFilter: `|${origin}/`,
+            // Only the extension's own requests; pages talking to the same server are untouched
+            initiatorDomains: [chrome.runtime.id],
+            resourceTypes: ['xmlhttprequest']
+        }
+    };
+}
+
+async function updateServerHeaderRules() {
+    if (!chrome.declarativeNetRequest) {return;}
+
+    const profiles = typeof ServerProfileManager !== 'undefined'
+        ? await ServerProfileManager.listProfiles()
+        : [];
+    const origins = [...new Set(profiles
+        .map(profile => getServerOrigin(ServerProfileManager.getBaseUrl(profile)))
+        .filter(Boolean))].slice(0, HEADER_RULE_ID_COUNT);
+    const existing = await chrome.declarativeNetRequest.getSessionRules();
+
+    await chrome.declarativeNetRequest.updateSessionRules({
+        removeRuleIds: existing.map(rule => rule.id).filter(isHeaderRuleId),
+        addRules: origins.map(buildHeaderRule)
+    });
+
+    if (window.Logger) {
+        window.Logger.debug('Updated Origin/Referer rules', { origins });
+    }
+}
+
+// Export functions for use in service worker
+window.updateServerHeaderRules = updateServerHeaderRules;
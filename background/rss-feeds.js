@@ -0,0 +1,143 @@
+// RSS feeds found on pages, subscribed to in qBittorrent's RSS reader. A feed goes into one of the
+// reader's existing folders, and an auto-download rule can be created for it at the same time.
+// The reader names items by path with backslash-separated folders, e.g. "TV\Tracker".
+
+const RSS_PATH_SEPARATOR = '\\';
+const MAX_RSS_NAME_LENGTH = 100;
+// qBittorrent's episode filter syntax: a season and the episodes or ranges to take from it, each
+// ended by a semicolon, e.g. 1x01-05;08;10-; (an open range takes every later episode)
+const EPISODE_FILTER_PATTERN = /^\d{1,4}x(\d{1,4}(-(\d{1,4})?)?;)+$/i;
+
+// Reader item names cannot contain the separator
+function toRssItemName(text) {
+    return String(text || '').replace(/\\/g, '/').replace(/\s+/g, ' ').trim().substring(0, MAX_RSS_NAME_LENGTH);
+}
+
+// Folders hold items by name; feeds are the items that carry a URL
+function collectRssItems(items, parent, result) {
+    Object.entries(items || {}).forEach(([name, item]) => {
+        if (!item || typeof item !== 'object') {return;}
+
+        if (typeof item.url === 'string') {
+            result.feedUrls.push(item.url);
+            return;
+        }
+        const path = parent ? `${parent}${RSS_PATH_SEPARATOR}${name}` : name;
+        result.folders.push(path);
+        collectRssItems(item, path, result);
+    });
+    return result;
+}
+
+// Paths of the reader's folders below the root, and the URLs already subscribed to
+async function getRssFolders(serverId = null) {
+    const response = await makeAuthenticatedRequest('rss/items?withData=false', {}, serverId);
+    const result = collectRssItems(await response.json(), '', { folders: [], feedUrls: [] });
+
+    return { folders: result.folders.sort(), feedUrls: result.feedUrls };
+}
+
+async function addRssFeed(url, path, serverId) {
+    try {
+        await makeAuthenticatedRequest('rss/addFeed', {
+            method: 'POST',
+            body: new URLSearchParams({ url, path })
+        }, serverId);
+    } catch (error) {
+        // Refused when the URL is already subscribed or the folder is gone or holds that name
+        if (error.status === 409) {
+            throw new Error('Already subscribed to this feed, or the folder has an item with its name');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Builds the auto-download rule definition rss/setRule expects
+ *
+ * @param {string} feedUrl - The feed the rule applies to
+ * @param {Object} rule - Fields from the rule editor
+ * @returns {{ruleName: string, ruleDef: Object}} The rule; throws when a field is invalid
+ */
+function buildRssRule(feedUrl, rule) {
+    const ruleName = toRssItemName(rule.name);
+    if (!ruleName) {
+        throw new Error('The download rule needs a name');
+    }
+
+    const mustContain = String(rule.mustContain || '').trim();
+    const mustNotContain = String(rule.mustNotContain || '').trim();
+    const useRegex = rule.useRegex === true;
+    if (useRegex) {
+        [mustContain, mustNotContain].forEach(pattern => {
+            try {
+                new RegExp(pattern);
+            } catch {
+                throw new Error(`Invalid regular expression: ${pattern}`);
+            }
+        });
+    }
+
+    const episodeFilter = String(rule.episodeFilter || '').replace(/\s+/g, '');
+    if (episodeFilter && !EPISODE_FILTER_PATTERN.test(episodeFilter)) {
+        throw new Error('Invalid episode filter, expected e.g. 1x01-05;08;10-;');
+    }
+
+    return {
+        ruleName,
+        ruleDef: {
+            enabled: true,
+            mustContain,
+            mustNotContain,
+            useRegex,
+            episodeFilter,
+            affectedFeeds: [feedUrl],
+            assignedCategory: InputValidator.sanitizeCategory(rule.category || ''),
+            savePath: InputValidator.sanitizePath(rule.savePath || '')
+        }
+    };
+}
+
+/**
+ * Subscribes to a feed in the server's RSS reader, optionally with an auto-download rule
+ *
+ * @param {Object} feed - { url, title, folder, rule } with folder '' for the root and rule null
+ *   for no rule
+ * @param {string|null} serverId - Target server, the default one when null
+ * @returns {Promise<{path: string, ruleName: string|null}>} Where the feed was added
+ */
+async function subscribeToFeed(feed, serverId = null) {
+    const url = InputValidator.sanitizeUrl(feed.url || '');
+    if (!url) {
+        throw new Error('Invalid feed URL');
+    }
+
+    // Checked before subscribing so an invalid rule does not leave a half-done subscription
+    const rule = feed.rule ? buildRssRule(url, feed.rule) : null;
+    if (rule) {
+        const rulesResponse = await makeAuthenticatedRequest('rss/rules', {}, serverId);
+        if (Object.hasOwn(await rulesResponse.json(), rule.ruleName)) {
+            throw new Error(`A download rule named "${rule.ruleName}" already exists`);
+        }
+    }
+
+    const name = toRssItemName(feed.title) || new URL(url).hostname;
+    const path = feed.folder ? `${feed.folder}${RSS_PATH_SEPARATOR}${name}` : name;
+    await addRssFeed(url, path, serverId);
+
+    if (rule) {
+        // Setting the same rule twice leaves it as set once
+        await makeAuthenticatedRequest('rss/setRule', {
+            method: 'POST',
+            body: new URLSearchParams({ ruleName: rule.ruleName, ruleDef: JSON.stringify(rule.ruleDef) }),
+            idempotent: true
+        }, serverId);
+    }
+
+    return { path, ruleName: rule ? rule.ruleName : null };
+}
+
+// Export functions for use in service worker
+window.getRssFolders = getRssFolders;
+window.buildRssRule = buildRssRule;
+window.subscribeToFeed = subscribeToFeed;
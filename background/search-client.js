@@ -0,0 +1,124 @@
+// qBittorrent's search engine: searches run on the server through its installed search plugins
+// (which need Python there) and the search page polls their results. The server runs at most
+// five searches at once and keeps finished ones until they are deleted, so the page deletes
+// each search it replaces or leaves.
+
+const SEARCH_RESULTS_PAGE_SIZE = 500;
+
+function isValidSearchId(id) {
+    return Number.isInteger(id) && id >= 0;
+}
+
+// Plugins with the categories they support; servers before Web API 2.6 list categories as names
+async function getSearchPlugins(serverId = null) {
+    const response = await makeAuthenticatedRequest('search/plugins', {}, serverId);
+    const plugins = await response.json();
+
+    return (Array.isArray(plugins) ? plugins : []).map(plugin => ({
+        name: plugin.name,
+        fullName: plugin.fullName || plugin.name,
+        version: plugin.version || '',
+        url: plugin.url || '',
+        enabled: plugin.enabled === true,
+        categories: (plugin.supportedCategories || []).map(category => (typeof category === 'string'
+            ? { id: category, name: category }
+            : { id: category.id, name: category.name }))
+    }));
+}
+
+async function setSearchPluginsEnabled(names, enabled, serverId = null) {
+    if (!Array.isArray(names) || names.length === 0 || !names.every(name => typeof name === 'string' && /^[\w.-]+$/.test(name))) {
+        throw new Error('Invalid search plugin name');
+    }
+
+    // Enabling or disabling twice has the same effect as once
+    await makeAuthenticatedRequest('search/enablePlugin', {
+        method: 'POST',
+        body: new URLSearchParams({ names: names.join('|'), enable: enabled ? 'true' : 'false' }),
+        idempotent: true
+    }, serverId);
+
+    return { success: true, names, enabled };
+}
+
+/**
+ * Starts a search on the server
+ *
+ * @param {string} pattern - Search text
+ * @param {Object} [options] - plugins: 'enabled', 'all' or a plugin name; category: 'all' or a
+ *   category id
+ * @param {string|null} serverId - Target server, the default one when null
+ * @returns {Promise<{id: number}>} The search to poll
+ */
+async function startSearch(pattern, { plugins = 'enabled', category = 'all' } = {}, serverId = null) {
+    const text = typeof pattern === 'string' ? pattern.trim() : '';
+    if (!text) {
+        throw new Error('Enter something to search for');
+    }
+    if (text.length > 500) {
+        throw new Error('Search text is too long');
+    }
+
+    try {
+        const response = await makeAuthenticatedRequest('search/start', {
+            method: 'POST',
+            body: new URLSearchParams({ pattern: text, plugins: plugins || 'enabled', category: category || 'all' })
+        }, serverId);
+        const { id } = await response.json();
+        return { id };
+    } catch (error) {
+        if (error.status === 409) {
+            throw new Error('qBittorrent is already running its maximum number of searches');
+        }
+        throw error;
+    }
+}
+
+// The results after offset, whether the search is still running and how many it found so far
+async function getSearchResults(id, offset = 0, serverId = null) {
+    if (!isValidSearchId(id)) {
+        throw new Error('Invalid search id');
+    }
+
+    const params = new URLSearchParams({
+        id: String(id),
+        offset: String(Math.max(0, offset || 0)),
+        limit: String(SEARCH_RESULTS_PAGE_SIZE)
+    });
+    try {
+        const response = await makeAuthenticatedRequest(`search/results?${params.toString()}`, {}, serverId);
+        const data = await response.json();
+        return {
+            results: data.results || [],
+            running: data.status === 'Running',
+            total: data.total || 0
+        };
+    } catch (error) {
+        if (error.status === 404) {
+            throw new Error('The search no longer exists on the server');
+        }
+        throw error;
+    }
+}
+
+// Stops a running search, or deletes it with its results
+async function endSearch(id, { remove = false } = {}, serverId = null) {
+    if (!isValidSearchId(id)) {
+        throw new Error('Invalid search id');
+    }
+
+    await makeAuthenticatedRequest(remove ? 'search/delete' : 'search/stop', {
+        method: 'POST',
+        body: new URLSearchParams({ id: String(id) }),
+        idempotent: true
+    }, serverId);
+
+    return { success: true, id };
+}
+
+// Export functions for use in service worker
+window.getSearchPlugins = getSearchPlugins;
+window.setSearchPluginsEnabled = setSearchPluginsEnabled;
+window.startSearch = startSearch;
+window.getSearchResults = getSearchResults;
+window.endSearch = endSearch;
@@ -0,0 +1,56 @@
+// "Send magnets and info-hashes in selection" context menu: finds the magnet links written out as
+// plain text and the bare info-hashes forums post (40 hex or 32 base32 characters) in the
+// selected text. Bare hashes become magnets carrying the default trackers from the options, and
+// everything found is sent as one batch.
+
+// Global copies of the shared patterns, so every hash in a word is found; the shared ones stay
+// non-global since a global regex keeps state between test() calls
+const SELECTION_HASH_PATTERNS = [CONSTANTS.PATTERNS.HASH, CONSTANTS.PATTERNS.BASE32_HASH]
+    .map(pattern => new RegExp(pattern.source, 'g'));
+
+// Text order, each torrent once; a hash that is part of a magnet in the selection is not
+// counted again
+function extractSelectionTorrents(text, trackers = []) {
+    const torrents = new Map();
+    const add = url => {
+        const key = url && MagnetUri.dedupeKey(url);
+        if (key && !torrents.has(key)) {
+            torrents.set(key, url);
+        }
+    };
+
+    (typeof text === 'string' ? text.split(/\s+/) : []).forEach(word => {
+        if (/magnet:/i.test(word)) {
+            MagnetUri.findAll(word).forEach(add);
+            return;
+        }
+        SELECTION_HASH_PATTERNS
+            .flatMap(pattern => word.match(pattern) || [])
+            .forEach(hash => add(MagnetUri.fromInfoHash(hash, trackers)));
+    });
+
+    return [...torrents.values()];
+}
+
+async function sendSelectedTorrents(text, serverId = null, pageUrl = '') {
+    try {
+        const { defaultTrackers } = await StorageManager.getOptions();
+        const urls = extractSelectionTorrents(text, defaultTrackers || []);
+
+        if (urls.length === 0) {
+            showNotification('info', 'No magnet links or info-hashes found in the selection');
+            return;
+        }
+
+        const results = await sendMultipleTorrents(urls, { serverId, source: { pageUrl } });
+        const summary = summarizeSendResults(results);
+        showNotification(summary.failed > 0 ? 'error' : 'success',
+            `Sent ${summary.total} torrents: ${formatSendSummary(summary)}`);
+    } catch (error) {
+        showNotification('error', `Failed to send torrents: ${error.message}`);
+    }
+}
+
+// Export functions for use in service worker
+window.extractSelectionTorrents = extractSelectionTorrents;
+window.sendSelectedTorrents = sendSelectedTorrents;
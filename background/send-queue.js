@@ -0,0 +1,324 @@
+// Durable queue for sends that failed because the server could not be reached (host asleep,
+// VPN down). Items live in chrome.storage.local together with the downloaded .torrent bytes,
+// so tracker links that expire or need the page's session still work when the item is retried.
+// Retries run on a chrome.alarms schedule and whenever the connection monitor sees the
+// server come back.
+
+const SEND_QUEUE_ALARM = 'send-queue';
+const SEND_QUEUE_PERIOD_MINUTES = 1;
+const SEND_QUEUE_STORAGE_KEY = 'send_queue';
+const SEND_QUEUE_TORRENT_PREFIX = 'send_queue_torrent_'; // .torrent bytes, one key per item
+const SEND_QUEUE_EXPIRY = 7 * 24 * 60 * 60 * 1000; // Give up on items queued 7 days ago
+const MAX_QUEUED_SENDS = 100;
+
+// Storage updates are chained so a cancel during a flush never resurrects the cancelled item,
+// and flushes are chained so the alarm and a reconnect never send the same item twice
+let sendQueueUpdate = Promise.resolve();
+let sendQueueFlush = Promise.resolve();
+
+async function loadSendQueue() {
+    const result = await chrome.storage.local.get([SEND_QUEUE_STORAGE_KEY]);
+    return result[SEND_QUEUE_STORAGE_KEY] || [];
+}
+
+function updateSendQueue(mutate) {
+    const update = sendQueueUpdate.then(async () => {
+        const queue = await loadSendQueue();
+        const result = mutate(queue);
+        await chrome.storage.local.set({ [SEND_QUEUE_STORAGE_KEY]: queue });
+        return result;
+    });
+    sendQueueUpdate = update.catch(() => {
+        // A failed update must not block the next one
+    });
+    return update;
+}
+
+async function ensureSendQueueAlarm() {
+    const existing = await chrome.alarms.get(SEND_QUEUE_ALARM);
+    if (!existing) {
+        await chrome.alarms.create(SEND_QUEUE_ALARM, { periodInMinutes: SEND_QUEUE_PERIOD_MINUTES });
+    }
+}
+
+function generateQueueId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(6));
+    return `send_${Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    // Chunked so large files do not exceed the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+async function loadQueuedTorrentData(id) {
+    const key = SEND_QUEUE_TORRENT_PREFIX + id;
+    const result = await chrome.storage.local.get([key]);
+    return result[key] ? base64ToBytes(result[key]) : null;
+}
+
+async function removeQueuedTorrentData(ids) {
+    if (ids.length > 0) {
+        await chrome.storage.local.remove(ids.map(id => SEND_QUEUE_TORRENT_PREFIX + id));
+    }
+}
+
+async function getQueuedName(url, bytes) {
+    if (bytes && typeof TorrentInspector !== 'undefined') {
+        try {
+            return (await TorrentInspector.inspect(bytes)).name;
+        } catch {
+            // Fall back to the name in the URL
+        }
+    }
+    return extractTorrentName(url);
+}
+
+async function queueFailedSend(url, { signal: _signal, ...sendOptions }, error) {
+    // sendTorrent tags its errors with the server it resolved, which a send rule may have picked
+    const serverId = error.serverId || sendOptions.serverId || null;
+    const options = { ...sendOptions, serverId };
+    // The file was downloaded before the server was contacted, unless the tracker was the unreachable part
+    const bytes = url.startsWith('magnet:') ? null : getCachedTorrentFile(url);
+    const name = await getQueuedName(url, bytes);
+    const id = generateQueueId();
+
+    const queued = await updateSendQueue(queue => {
+        // Sending the same link to the same server twice while offline keeps one entry
+        const existing = queue.find(item => item.url === url && item.serverId === serverId);
+        if (existing) {
+            existing.lastError = error.message;
+            return { item: existing, added: false };
+        }
+        if (queue.length >= MAX_QUEUED_SENDS) {
+            return { item: null, added: false };
+        }
+
+        const item = {
+            id,
+            url,
+            name,
+            serverId,
+            options,
+            hasTorrentData: Boolean(bytes),
+            queuedAt: Date.now(),
+            attempts: 1,
+            lastAttemptAt: Date.now(),
+            lastError: error.message,
+            failed: false
+        };
+        queue.push(item);
+        return { item, added: true };
+    });
+
+    if (!queued.item) {
+        throw new Error(`${error.message} (offline queue is full)`);
+    }
+    if (queued.added && bytes) {
+        await chrome.storage.local.set({ [SEND_QUEUE_TORRENT_PREFIX + id]: bytesToBase64(bytes) });
+    }
+
+    await ensureSendQueueAlarm();
+
+    if (window.Logger) {
+        window.Logger.info('Send queued until the server is reachable', {
+            url,
+            serverId,
+            error: error.message
+        });
+    }
+    return queued.item;
+}
+
+/**
+ * Send a torrent, queueing it for later when the server cannot be reached.
+ * Failures that a retry cannot fix (invalid link, wrong credentials, rejected torrent) still throw.
+ * Every outcome is recorded in the send history.
+ */
+async function sendOrQueueTorrent(url, options = {}) {
+    let result;
+    try {
+        result = await sendOrQueue(url, options);
+    } catch (error) {
+        await recordSendFailure(url, options, error);
+        throw error;
+    }
+    await recordSendResult(url, options, result);
+    return result;
+}
+
+async function sendOrQueue(url, options) {
+    try {
+        return await sendTorrent(url, options);
+    } catch (error) {
+        if (!isRetryableError(error)) {
+            throw error;
+        }
+
+        const item = await queueFailedSend(url, options, error);
+        return { success: true, status: 'queued', name: item.name, serverId: item.serverId, queueId: item.id, error: error.message };
+    }
+}
+
+async function getSendQueue() {
+    return loadSendQueue();
+}
+
+async function cancelQueuedSend(id) {
+    const removed = await updateSendQueue(queue => {
+        const index = queue.findIndex(item => item.id === id);
+        return index === -1 ? null : queue.splice(index, 1)[0];
+    });
+
+    if (!removed) {
+        throw new Error('Queued send not found');
+    }
+    await updateQueuedSendHistory(id, { status: 'cancelled', error: null });
+    await removeQueuedTorrentData([id]);
+    await clearSendQueueAlarmIfEmpty();
+}
+
+async function clearSendQueueAlarmIfEmpty() {
+    if ((await loadSendQueue()).length === 0) {
+        await chrome.alarms.clear(SEND_QUEUE_ALARM);
+    }
+}
+
+/**
+ * Retry queued sends.
+ * Scheduled flushes skip items that failed for a reason other than connectivity; `force` (the
+ * popup's retry buttons) includes them, and `ids` limits the flush to specific items.
+ * @returns {Promise<{sent: number, failed: number, remaining: number}>}
+ */
+function flushSendQueue({ ids = null, force = false } = {}) {
+    const flush = sendQueueFlush.then(() => runSendQueue(ids, force));
+    sendQueueFlush = flush.catch(error => console.error('Failed to flush send queue:', error));
+    return flush;
+}
+
+async function runSendQueue(ids, force) {
+    const now = Date.now();
+    const queue = await loadSendQueue();
+    const expired = queue.filter(item => now - item.queuedAt >= SEND_QUEUE_EXPIRY).map(item => item.id);
+    const due = queue.filter(item => !expired.includes(item.id) &&
+        (!ids || ids.includes(item.id)) && (force || !item.failed));
+
+    const updates = new Map();
+    const sent = [];
+    const unreachable = new Set();
+
+    for (const item of due) {
+        // Once a server fails to answer, the rest of its items wait for the next flush
+        const serverKey = item.serverId || 'default';
+        if (!unreachable.has(serverKey)) {
+            const outcome = await retryQueuedSend(item);
+            if (outcome.result) {
+                sent.push(outcome.result);
+            } else {
+                updates.set(item.id, outcome.update);
+                if (!outcome.update.failed) {
+                    unreachable.add(serverKey);
+                }
+            }
+        }
+    }
+
+    const done = [...expired, ...sent.map(result => result.queueId)];
+    const remaining = await updateSendQueue(current => {
+        const kept = current.filter(item => !done.includes(item.id));
+        kept.forEach(item => Object.assign(item, updates.get(item.id)));
+        current.splice(0, current.length, ...kept);
+        return kept.length;
+    });
+
+    await removeQueuedTorrentData(done);
+    await clearSendQueueAlarmIfEmpty();
+    await updateFlushedSendHistory(sent, updates, expired);
+
+    if (expired.length > 0 && window.Logger) {
+        window.Logger.warn('Dropped expired queued sends', { count: expired.length });
+    }
+
+    const failed = [...updates.values()].filter(update => update.failed).length;
+    await notifyQueueResults(sent, failed);
+    return { sent: sent.length, failed, remaining };
+}
+
+async function retryQueuedSend(item) {
+    const update = { attempts: item.attempts + 1, lastAttemptAt: Date.now() };
+
+    try {
+        const torrentBytes = item.hasTorrentData ? await loadQueuedTorrentData(item.id) : null;
+        const result = await sendTorrent(item.url, { ...item.options, torrentBytes });
+        if (window.Logger) {
+            window.Logger.info('Queued send delivered', { url: item.url, attempts: update.attempts, status: result.status });
+        }
+        return { result: { ...result, queueId: item.id } };
+    } catch (error) {
+        // Anything but connectivity needs the user to look at it, so it stops being retried automatically
+        if (window.Logger) {
+            window.Logger.warn('Queued send failed', { url: item.url, attempts: update.attempts, error: error.message });
+        }
+        return { update: { ...update, lastError: error.message, failed: !isRetryableError(error) } };
+    }
+}
+
+// Queued history entries take the delivered result; connectivity errors keep them queued
+async function updateFlushedSendHistory(sent, updates, expired) {
+    for (const result of sent) {
+        await updateQueuedSendHistory(result.queueId, {
+            status: result.status,
+            name: result.name,
+            hash: result.hash || null,
+            serverName: result.serverName || '',
+            category: result.category || '',
+            savePath: result.savePath || '',
+            error: null
+        });
+    }
+    for (const [id, update] of updates) {
+        await updateQueuedSendHistory(id, update.failed
+            ? { status: 'failed', error: update.lastError }
+            : { status: 'queued', error: update.lastError });
+    }
+    for (const id of expired) {
+        await updateQueuedSendHistory(id, { status: 'failed', error: 'Not delivered within 7 days' });
+    }
+}
+
+async function notifyQueueResults(sent, failed) {
+    if (sent.length === 0 && failed === 0) {return;}
+
+    const { options } = await getSettings().catch(() => ({ options: {} }));
+    if (options && options.showNotifications === false) {return;}
+
+    const parts = [];
+    if (sent.length === 1) {
+        parts.push(`Queued torrent sent: ${sent[0].name || 'Unknown'}`);
+    } else if (sent.length > 1) {
+        parts.push(`${sent.length} queued torrents sent`);
+    }
+    if (failed > 0) {
+        parts.push(`${failed} could not be sent, see Pending in the popup`);
+    }
+    showNotification(failed > 0 ? 'error' : 'success', parts.join('; '));
+}
+
+// Export functions for use in service worker
+window.sendOrQueueTorrent = sendOrQueueTorrent;
+window.getSendQueue = getSendQueue;
+window.cancelQueuedSend = cancelQueuedSend;
+window.flushSendQueue = flushSendQueue;
@@ -2,12 +2,32 @@
 importScripts(
     'utils/constants.js',
     'utils/crypto.js',
+    'utils/magnet-uri.js',
+    'utils/bencode.js',
+    'utils/torrent-inspector.js',
+    'utils/server-profiles.js',
+    'utils/host-permissions.js',
     'utils/validation.js',
+    'utils/site-filter.js',
+    'utils/rule-engine.js',
+    'utils/send-history.js',
     'utils/logger.js',
     'utils/error-handler.js',
     'utils/monitor.js',
     'utils/diagnostics.js',
-    'background/api-client.js'
+    'background/api-client.js',
+    'background/torrent-watcher.js',
+    'background/send-queue.js',
+    'background/history-recorder.js',
+    'background/link-probe.js',
+    'background/page-torrents.js',
+    'background/selection-sender.js',
+    'background/omnibox.js',
+    'background/rss-feeds.js',
+    'background/search-client.js',
+    'background/batch-sender.js',
+    'background/request-headers.js',
+    'background/badge.js'
 );
 
 /* global Logger, Monitor, ErrorHandler, ApiClient, Validator, Diagnostics */
@@ -15,6 +35,15 @@ importScripts(
 // Initialize rate limiter
 const rateLimiter = new RateLimiter();
 
+// Read-only status polling from extension pages does not count against the rate limit
+const RATE_LIMIT_EXEMPT_ACTIONS = new Set([
+    'GET_TORRENTS', 'GET_SEND_QUEUE', 'GET_SEND_HISTORY', 'GET_PAGE_TORRENTS', 'GET_SEARCH_RESULTS'
+]);
+
+// Badge counts are sent by content scripts on every rescan and only touch the toolbar icon;
+// probes are sent at most once per link and page
+const RATE_LIMIT_EXEMPT_TAB_ACTIONS = new Set(['UPDATE_BADGE', 'PROBE_TORRENT_URLS']);
+
 // Initialize security modules to ensure they are active
 const securityModules = {
     errorHandler: typeof ErrorHandler !== 'undefined' ? ErrorHandler : null,
@@ -29,9 +58,23 @@ if (typeof Logger !== 'undefined') {
     });
 }
 if (typeof Monitor !== 'undefined') {
+    // Colour the badge by whether the default server answers
+    Monitor.onConnectionChange(setBadgeConnectionState);
+    // Deliver sends queued while the server was unreachable as soon as it answers again
+    Monitor.onConnectionChange(online => {
+        if (online) {
+            flushSendQueue();
+        }
+    });
     Monitor.start();
 }
 
+// Session rules are cleared on browser restart, so rebuild them on every service worker start
+updateServerHeaderRules().catch(error => console.error('Failed to update request header rules:', error));
+
+// Drop send history past its retention period
+SendHistory.cleanup().catch(error => console.error('Failed to clean up send history:', error));
+
 // Initialize diagnostics if available
 if (securityModules.diagnostics) {
     securityModules.diagnostics.initialize();
@@ -42,7 +85,84 @@ chrome.runtime.onInstalled.addListener(() => {
     if (typeof Logger !== 'undefined') {
         Logger.info('Extension installed/reloaded');
     }
-    // Create context menus
+    // Set default settings, then create context menus for the configured servers
+    setDefaultSettings().then(scheduleContextMenuBuild);
+});
+
+// Resume watching sent torrents after a browser restart
+chrome.runtime.onStartup.addListener(ensureWatcherAlarm);
+
+// Poll the server for completion/error/stall updates of sent torrents
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name === 'torrent-watcher') {
+        await pollWatchedTorrents();
+    } else if (alarm.name === 'send-queue') {
+        await flushSendQueue();
+    }
+});
+
+// Buttons on completion/error/stall notifications
+chrome.notifications.onButtonClicked.addListener(handleWatcherNotificationButton);
+
+// Rebuild the per-server context menu entries whenever profiles change
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && (changes.servers || changes.defaultServerId)) {
+        scheduleContextMenuBuild();
+    }
+});
+
+// Keep the Origin/Referer rules scoped to the configured server URLs
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && (changes.servers || changes.server)) {
+        updateServerHeaderRules().catch(error => console.error('Failed to update request header rules:', error));
+    }
+});
+
+// Changed credentials end the cached session of that server
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || typeof ServerProfileManager === 'undefined') {return;}
+
+    const prefix = ServerProfileManager.STORAGE_KEYS.CREDENTIALS_PREFIX;
+    Object.keys(changes)
+        .filter(key => key.startsWith(prefix))
+        .forEach(key => {
+            clearAuthCache(key.substring(prefix.length))
+                .catch(error => console.error('Failed to clear auth cache:', error));
+        });
+});
+
+// A new page starts without a count until its content script reports one
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.status === 'loading') {
+        clearTabBadge(tabId).catch(() => {
+            // The tab may already be gone
+        });
+        forgetTabFrames(tabId).catch(error => console.error('Failed to reset frame counts:', error));
+    }
+});
+
+chrome.tabs.onRemoved.addListener(tabId => {
+    forgetTabFrames(tabId).catch(error => console.error('Failed to reset frame counts:', error));
+});
+
+// Menu rebuilds are chained so removeAll/create sequences never interleave
+let contextMenuBuild = Promise.resolve();
+
+function scheduleContextMenuBuild() {
+    contextMenuBuild = contextMenuBuild
+        .then(buildContextMenus)
+        .catch(error => console.error('Failed to build context menus:', error));
+    return contextMenuBuild;
+}
+
+async function buildContextMenus() {
+    const profiles = typeof ServerProfileManager !== 'undefined'
+        ? await ServerProfileManager.listProfiles()
+        : [];
+    const defaultId = profiles.length > 0 ? await ServerProfileManager.getDefaultProfileId() : null;
+
+    await chrome.contextMenus.removeAll();
+
     chrome.contextMenus.create({
         id: 'send-to-qbittorrent',
         title: 'Send to qBittorrent',
@@ -50,24 +170,81 @@ chrome.runtime.onInstalled.addListener(() => {
         targetUrlPatterns: ['*magnet:*', '*.torrent']
     });
 
+    chrome.contextMenus.create({
+        id: 'advanced-add',
+        title: 'Send to qBittorrent with options…',
+        contexts: ['link'],
+        targetUrlPatterns: ['*magnet:*', '*.torrent']
+    });
+
+    chrome.contextMenus.create({
+        id: 'send-selection',
+        title: 'Send magnets and info-hashes in selection',
+        contexts: ['selection']
+    });
+
     chrome.contextMenus.create({
         id: 'send-all-torrents',
         title: 'Send all torrents on page',
         contexts: ['page']
     });
 
-    // Set default settings
-    setDefaultSettings();
-});
+    // With more than one server, each entry becomes a submenu listing the targets
+    if (profiles.length > 1) {
+        profiles.forEach(profile => {
+            const title = profile.id === defaultId ? `${profile.name} (default)` : profile.name;
+
+            chrome.contextMenus.create({
+                id: `send-to-server:${profile.id}`,
+                parentId: 'send-to-qbittorrent',
+                title,
+                contexts: ['link'],
+                targetUrlPatterns: ['*magnet:*', '*.torrent']
+            });
+
+            chrome.contextMenus.create({
+                id: `send-selection-to-server:${profile.id}`,
+                parentId: 'send-selection',
+                title,
+                contexts: ['selection']
+            });
+
+            chrome.contextMenus.create({
+                id: `send-all-to-server:${profile.id}`,
+                parentId: 'send-all-torrents',
+                title,
+                contexts: ['page']
+            });
+        });
+    }
+}
 
 // Handle context menu clicks
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-    switch (info.menuItemId) {
+    const [menuId, serverId = null] = String(info.menuItemId).split(':');
+
+    // Menus are registered for all pages, so the site lists are enforced on click
+    const siteStatus = SiteFilter.getSiteStatus(info.pageUrl, await StorageManager.getSiteSettings());
+    if (!siteStatus.allowed) {
+        showNotification('info', `qBittorrent integration is disabled on ${siteStatus.hostname}`);
+        return;
+    }
+
+    switch (menuId) {
         case 'send-to-qbittorrent':
-            await sendSingleTorrent(info.linkUrl);
+        case 'send-to-server':
+            await sendSingleTorrent(info.linkUrl, serverId, { pageUrl: info.pageUrl, linkText: info.linkText });
+            break;
+        case 'advanced-add':
+            await openAddDialog(info.linkUrl, { pageUrl: info.pageUrl, linkText: info.linkText });
+            break;
+        case 'send-selection':
+        case 'send-selection-to-server':
+            await sendSelectedTorrents(info.selectionText, serverId, info.pageUrl);
             break;
         case 'send-all-torrents':
-            await sendAllTorrentsOnPage(tab.id);
+        case 'send-all-to-server':
+            await sendAllTorrentsOnPage(tab.id, serverId);
             break;
     }
 });
@@ -80,12 +257,25 @@ chrome.commands.onCommand.addListener(async (command) => {
     }
 });
 
+// "qb" address bar keyword
+chrome.omnibox.onInputChanged.addListener(handleOmniboxInputChanged);
+chrome.omnibox.onInputEntered.addListener(handleOmniboxInputEntered);
+
+// Batch sends from the popup stream their progress over a port
+chrome.runtime.onConnect.addListener(handleSendBatchPort);
+
 // Handle messages from content scripts and popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     handleMessage(message, sender, sendResponse);
     return true; // Keep the message channel open for async response
 });
 
+// Extension pages opened in a tab (search, add dialog) have a sender tab too, but send their own
+// options and poll like the popup
+function fromWebPage(sender) {
+    return Boolean(sender.tab) && !(sender.url || '').startsWith(chrome.runtime.getURL(''));
+}
+
 async function handleMessage(message, sender, sendResponse) {
     const timer = window.Logger ? window.Logger.startTimer('message_handling') : null;
 
@@ -102,7 +292,10 @@ async function handleMessage(message, sender, sendResponse) {
 
         // Rate limiting - prevent abuse
         const senderKey = sender.tab ? sender.tab.id.toString() : 'popup';
-        if (!rateLimiter.isAllowed(senderKey, 20, 60000)) { // 20 requests per minute
+        const isExempt = fromWebPage(sender)
+            ? RATE_LIMIT_EXEMPT_TAB_ACTIONS.has(message.action)
+            : RATE_LIMIT_EXEMPT_ACTIONS.has(message.action);
+        if (!isExempt && !rateLimiter.isAllowed(senderKey, 20, 60000)) { // 20 requests per minute
             if (window.Logger) {
                 window.Logger.warn('Rate limit exceeded', { senderKey, action: message.action });
             }
@@ -112,29 +305,209 @@ async function handleMessage(message, sender, sendResponse) {
 
         switch (message.action) {
             case 'SEND_TORRENT': {
-                const result = await sendTorrent(message.url, message.options);
+                // Rules match on the page the link came from, taken from the sender tab
+                const options = fromWebPage(sender)
+                    ? { ...message.options, source: { pageUrl: sender.tab.url, linkText: message.linkText || '' } }
+                    : message.options;
+                const result = await sendOrQueueTorrent(message.url, options);
                 sendResponse({ success: true, result });
                 break;
             }
 
             case 'SEND_MULTIPLE': {
-                const results = await sendMultipleTorrents(message.urls, message.options);
-                sendResponse({ success: true, results });
+                const results = await sendMultipleTorrents(message.urls, message.options, message.linkTexts);
+                sendResponse({ success: true, results, summary: summarizeSendResults(results) });
                 break;
             }
 
             case 'TEST_CONNECTION': {
-                const connectionTest = await testConnection();
+                const connectionTest = await testConnection(message.serverId);
+                // The badge follows the default server only
+                const defaultServerId = await ServerProfileManager.getDefaultProfileId();
+                if (!message.serverId || message.serverId === defaultServerId) {
+                    await setBadgeConnectionState(connectionTest.connected);
+                }
                 sendResponse({ success: true, connected: connectionTest });
                 break;
             }
 
+            case 'UPDATE_BADGE': {
+                if (sender.tab) {
+                    const total = await recordFrameTorrentCount(sender.tab.id, sender.frameId || 0, message.count);
+                    await updateTabBadge(sender.tab.id, total);
+                }
+                sendResponse({ success: true });
+                break;
+            }
+
+            case 'CLEAR_AUTH_CACHE': {
+                await clearAuthCache(message.serverId);
+                sendResponse({ success: true });
+                break;
+            }
+
             case 'GET_SERVER_INFO': {
-                const serverInfo = await getServerInfo();
+                const serverInfo = await getServerInfo(message.serverId);
                 sendResponse({ success: true, info: serverInfo });
                 break;
             }
 
+            case 'GET_TORRENTS': {
+                const torrents = await getTorrentList({
+                    filter: message.filter,
+                    category: message.category
+                }, message.serverId);
+                sendResponse({ success: true, torrents });
+                break;
+            }
+
+            case 'TORRENT_ACTION': {
+                const actionResult = await controlTorrents(message.command, message.hashes, {
+                    deleteFiles: message.deleteFiles
+                }, message.serverId);
+                sendResponse({ success: true, result: actionResult });
+                break;
+            }
+
+            case 'GET_TORRENT_METADATA': {
+                const metadata = await getTorrentMetadata(message.url);
+                sendResponse({ success: true, metadata });
+                break;
+            }
+
+            case 'OPEN_ADD_DIALOG': {
+                await openAddDialog(message.url, { pageUrl: sender.tab?.url, linkText: message.linkText });
+                sendResponse({ success: true });
+                break;
+            }
+
+            case 'PROBE_TORRENT_URLS': {
+                const probe = await probeTorrentUrls(Array.isArray(message.urls) ? message.urls : []);
+                sendResponse({ success: true, ...probe });
+                break;
+            }
+
+            case 'GET_PAGE_TORRENTS': {
+                const page = await collectPageTorrents(message.tabId);
+                sendResponse({ success: true, ...page });
+                break;
+            }
+
+            case 'OPEN_LINK_PICKER': {
+                await openLinkPicker(message.tabId, message.options);
+                sendResponse({ success: true });
+                break;
+            }
+
+            case 'GET_RSS_FOLDERS': {
+                const folders = await getRssFolders(message.serverId);
+                sendResponse({ success: true, ...folders });
+                break;
+            }
+
+            case 'SUBSCRIBE_RSS_FEED': {
+                const subscription = await subscribeToFeed({
+                    url: message.url,
+                    title: message.title,
+                    folder: message.folder || '',
+                    rule: message.rule || null
+                }, message.serverId);
+                sendResponse({ success: true, ...subscription });
+                break;
+            }
+
+            case 'GET_SEARCH_PLUGINS': {
+                const plugins = await getSearchPlugins(message.serverId);
+                sendResponse({ success: true, plugins });
+                break;
+            }
+
+            case 'SET_SEARCH_PLUGINS_ENABLED': {
+                const pluginResult = await setSearchPluginsEnabled(message.names, message.enabled === true, message.serverId);
+                sendResponse({ success: true, result: pluginResult });
+                break;
+            }
+
+            case 'START_SEARCH': {
+                const search = await startSearch(message.pattern, {
+                    plugins: message.plugins,
+                    category: message.category
+                }, message.serverId);
+                sendResponse({ success: true, ...search });
+                break;
+            }
+
+            case 'GET_SEARCH_RESULTS': {
+                const results = await getSearchResults(message.id, message.offset, message.serverId);
+                sendResponse({ success: true, ...results });
+                break;
+            }
+
+            case 'END_SEARCH': {
+                await endSearch(message.id, { remove: message.remove === true }, message.serverId);
+                sendResponse({ success: true });
+                break;
+            }
+
+            case 'GET_SEND_QUEUE': {
+                const queue = await getSendQueue();
+                sendResponse({ success: true, queue });
+                break;
+            }
+
+            case 'CANCEL_QUEUED_SEND': {
+                await cancelQueuedSend(message.id);
+                sendResponse({ success: true });
+                break;
+            }
+
+            case 'RETRY_QUEUED_SEND': {
+                // Without an id every pending item is retried
+                const flushResult = await flushSendQueue({
+                    ids: message.id ? [message.id] : null,
+                    force: true
+                });
+                sendResponse({ success: true, result: flushResult });
+                break;
+            }
+
+            case 'GET_SEND_HISTORY': {
+                const entries = await SendHistory.list();
+                const history = SendHistory.filter(entries, {
+                    search: message.search || '',
+                    status: message.status || ''
+                });
+                sendResponse({
+                    success: true,
+                    history: message.limit ? history.slice(0, message.limit) : history,
+                    total: history.length
+                });
+                break;
+            }
+
+            case 'RESEND_HISTORY_ITEM': {
+                const result = await resendHistoryItem(message.id);
+                sendResponse({ success: true, result });
+                break;
+            }
+
+            case 'OPEN_WEBUI': {
+                await openWebUi(message.serverId || null);
+                sendResponse({ success: true });
+                break;
+            }
+
+            case 'GET_SERVER_PROFILES': {
+                const profiles = await ServerProfileManager.listProfiles();
+                const defaultServerId = await ServerProfileManager.getDefaultProfileId();
+                sendResponse({
+                    success: true,
+                    profiles: profiles.map(({ id, name }) => ({ id, name })),
+                    defaultServerId
+                });
+                break;
+            }
+
             default:
                 sendResponse({ success: false, error: 'Unknown action' });
         }
@@ -159,24 +532,62 @@ async function handleMessage(message, sender, sendResponse) {
     }
 }
 
-async function sendSingleTorrent(url) {
+async function sendSingleTorrent(url, serverId = null, source = {}) {
     try {
-        const result = await sendTorrent(url);
-        showNotification('success', `Torrent sent successfully: ${result.name || 'Unknown'}`);
+        const result = await sendOrQueueTorrent(url, { serverId, source });
+        if (result.status === 'queued') {
+            showNotification('info', `Server unreachable, queued for retry: ${result.name || 'Unknown'}`);
+            return;
+        }
+        if (result.status === 'duplicate') {
+            const target = result.serverName ? ` on ${result.serverName}` : ' on the server';
+            const merged = result.trackersAdded > 0 ? ` (${result.trackersAdded} new trackers added)` : '';
+            showNotification('info', `Already${target}: ${result.name || 'Unknown'}${merged}`);
+            return;
+        }
+        const target = result.serverName ? ` to ${result.serverName}` : '';
+        showNotification('success', `Torrent sent successfully${target}: ${result.name || 'Unknown'}`);
     } catch (error) {
         showNotification('error', `Failed to send torrent: ${error.message}`);
     }
 }
 
-async function sendAllTorrentsOnPage(tabId) {
+async function openAddDialog(url, source = {}) {
+    if (typeof InputValidator !== 'undefined' && !InputValidator.validateMagnetLink(url) &&
+        !InputValidator.validateTorrentUrl(url) && !await probeTorrentUrl(url)) {
+        showNotification('error', 'Invalid torrent URL or magnet link');
+        return;
+    }
+
+    const params = new URLSearchParams({
+        url,
+        pageUrl: source.pageUrl || '',
+        linkText: source.linkText || ''
+    });
+
+    await chrome.windows.create({
+        url: chrome.runtime.getURL(`add-dialog/add-dialog.html?${params.toString()}`),
+        type: 'popup',
+        width: 560,
+        height: 680
+    });
+}
+
+async function sendAllTorrentsOnPage(tabId, serverId = null) {
     try {
-        // Get all torrent links from the page
-        const response = await chrome.tabs.sendMessage(tabId, { action: 'GET_ALL_TORRENTS' });
+        // Get all torrent links from the page and its frames
+        const response = await collectPageTorrents(tabId);
 
-        if (response.torrents && response.torrents.length > 0) {
-            const results = await sendMultipleTorrents(response.torrents);
-            const successCount = results.filter(r => r.success).length;
-            showNotification('success', `Sent ${successCount}/${results.length} torrents successfully`);
+        if (response.blocked) {
+            showNotification('info', 'qBittorrent integration is disabled on this site');
+        } else if (response.torrents && response.torrents.length > 0) {
+            const results = await sendMultipleTorrents(response.torrents, {
+                serverId,
+                source: { pageUrl: response.pageUrl }
+            }, response.linkTexts);
+            const summary = summarizeSendResults(results);
+            showNotification(summary.failed > 0 ? 'error' : 'success',
+                `Sent ${summary.total} torrents: ${formatSendSummary(summary)}`);
         } else {
             showNotification('info', 'No torrent links found on this page');
         }
@@ -185,23 +596,19 @@ async function sendAllTorrentsOnPage(tabId) {
     }
 }
 
+// Servers are added as profiles from the options page; the legacy `server` key only mirrors
+// the default profile and is left to ServerProfileManager
 async function setDefaultSettings() {
     const settings = await chrome.storage.sync.get();
 
-    if (!settings.server) {
+    if (!settings.options) {
         await chrome.storage.sync.set({
-            server: {
-                url: 'http://localhost:8080',
-                username: 'admin',
-                password: '',
-                useHttps: false,
-                customPort: 8080
-            },
             options: {
                 category: '',
                 savePath: '',
                 paused: false,
                 skipHashCheck: false,
+                mergeDuplicateTrackers: false,
                 autoDownload: true,
                 showNotifications: true
             }
@@ -0,0 +1,260 @@
+// Watches torrents sent by the extension through qBittorrent's sync/maindata delta API.
+// Polling is driven by chrome.alarms and all state lives in chrome.storage.local,
+// so it survives the service worker being suspended between ticks.
+
+const WATCHER_ALARM = 'torrent-watcher';
+const WATCHER_PERIOD_MINUTES = 0.5;
+const WATCHER_STORAGE_KEY = 'torrent_watcher';
+const WATCH_EXPIRY = 7 * 24 * 60 * 60 * 1000; // Stop watching after 7 days
+const STALL_THRESHOLD = 10 * 60 * 1000; // Report downloads stalled for 10 minutes
+const MAX_WATCHED_TORRENTS = 200;
+
+const ERROR_STATES = ['error', 'missingFiles'];
+const STALLED_STATES = ['stalledDL', 'metaDL'];
+
+// Changes to the stored state run one at a time, so the sends of a batch and a poll in progress
+// never overwrite each other's entries
+let watcherStateUpdate = Promise.resolve();
+
+async function loadWatcherState() {
+    const result = await chrome.storage.local.get([WATCHER_STORAGE_KEY]);
+    return result[WATCHER_STORAGE_KEY] || { watched: [], servers: {} };
+}
+
+function updateWatcherState(mutate) {
+    const update = watcherStateUpdate.then(async () => {
+        const state = await loadWatcherState();
+        const result = await mutate(state);
+        await chrome.storage.local.set({ [WATCHER_STORAGE_KEY]: state });
+        return result;
+    });
+    watcherStateUpdate = update.catch(() => {
+        // A failed update must not block the next one
+    });
+    return update;
+}
+
+function generateWatchId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(6));
+    return `watch_${Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Entries stored before they had ids are told apart by when they were sent
+function getWatchKey(entry) {
+    return entry.id || `${entry.sentAt}:${entry.name}`;
+}
+
+async function ensureWatcherAlarm() {
+    const existing = await chrome.alarms.get(WATCHER_ALARM);
+    if (!existing) {
+        await chrome.alarms.create(WATCHER_ALARM, { periodInMinutes: WATCHER_PERIOD_MINUTES });
+    }
+}
+
+/**
+ * Start watching a torrent that was just sent to the server.
+ * The hash is used when it is known up front; otherwise the torrent is matched by name
+ * the first time it shows up in a maindata delta after it was sent.
+ */
+async function watchTorrent({ hash = null, name = null, serverId = null }) {
+    if (!hash && !name) {return;}
+
+    await updateWatcherState(state => {
+        state.watched.push({
+            id: generateWatchId(),
+            hash: hash ? hash.toLowerCase() : null,
+            name,
+            serverId: serverId || null,
+            sentAt: Date.now(),
+            state: null,
+            stalledSince: null,
+            notified: []
+        });
+
+        // Oldest entries go first when the list grows too long
+        state.watched = state.watched.slice(-MAX_WATCHED_TORRENTS);
+    });
+    await ensureWatcherAlarm();
+}
+
+async function pollWatchedTorrents() {
+    const state = await loadWatcherState();
+    const now = Date.now();
+    const watched = state.watched.filter(entry => now - entry.sentAt < WATCH_EXPIRY);
+
+    if (watched.length === 0) {
+        await updateWatcherState(async current => {
+            current.watched = current.watched.filter(entry => now - entry.sentAt < WATCH_EXPIRY);
+            if (current.watched.length === 0) {
+                // Nothing to watch: drop the alarm until the next send re-creates it
+                current.servers = {};
+                await chrome.alarms.clear(WATCHER_ALARM);
+            }
+        });
+        return;
+    }
+
+    // The rid reached on each server that answered
+    const servers = {};
+    const removedHashes = [];
+    const serverIds = [...new Set(watched.map(entry => entry.serverId))];
+
+    for (const serverId of serverIds) {
+        const serverKey = serverId || 'default';
+        const entries = watched.filter(entry => entry.serverId === serverId);
+
+        try {
+            const result = await syncServer(serverId, state.servers[serverKey]?.rid || 0, entries);
+            servers[serverKey] = { rid: result.rid };
+            removedHashes.push(...result.removedHashes);
+        } catch (error) {
+            if (window.Logger) {
+                window.Logger.warn('Torrent watcher sync failed', { serverId, error: error.message });
+            }
+        }
+    }
+
+    await updateWatcherState(current => mergePollResult(current, watched, servers, removedHashes, now));
+}
+
+// The polled entries replace their stored versions; torrents watched while the servers were
+// polled are kept, and their server's rid stays where it was so the next delta still carries
+// their full record
+function mergePollResult(current, polledEntries, servers, removedHashes, now) {
+    const polled = new Map(polledEntries.map(entry => [getWatchKey(entry), entry]));
+    const waitingServers = new Set(current.watched
+        .filter(entry => !polled.has(getWatchKey(entry)))
+        .map(entry => entry.serverId || 'default'));
+
+    const mergedServers = { ...current.servers };
+    Object.entries(servers).forEach(([serverKey, server]) => {
+        if (!waitingServers.has(serverKey)) {
+            mergedServers[serverKey] = server;
+        }
+    });
+
+    // Completed or removed torrents are done; keep errored/stalled ones in case they recover
+    current.watched = current.watched
+        .map(entry => polled.get(getWatchKey(entry)) || entry)
+        .filter(entry => now - entry.sentAt < WATCH_EXPIRY &&
+            !removedHashes.includes(entry.hash) && !entry.notified.includes('completed'));
+    current.servers = mergedServers;
+}
+
+async function syncServer(serverId, rid, entries) {
+    const response = await makeAuthenticatedRequest(`sync/maindata?rid=${rid}`, {}, serverId);
+    const data = await response.json();
+
+    // On a full update (rid 0 or a rid the server no longer knows) every torrent is sent in full,
+    // so unresolved entries can still be matched against the snapshot
+    Object.entries(data.torrents || {}).forEach(([hash, changes]) => {
+        const entry = findWatchEntry(entries, hash, changes);
+        if (entry) {
+            applyTorrentChanges(entry, changes);
+        }
+    });
+
+    await Promise.all(entries.map(entry => checkTransitions(entry, serverId)));
+
+    return { rid: data.rid, removedHashes: data.torrents_removed || [] };
+}
+
+function findWatchEntry(entries, hash, changes) {
+    const byHash = entries.find(entry => entry.hash === hash);
+    if (byHash) {return byHash;}
+
+    // New torrents arrive with their full record, so unresolved entries can be claimed by name
+    if (!changes.name) {return null;}
+
+    const byName = entries.find(entry => !entry.hash && entry.name === changes.name &&
+        (!changes.added_on || changes.added_on * 1000 >= entry.sentAt - 60 * 1000));
+    if (byName) {
+        byName.hash = hash;
+    }
+    return byName || null;
+}
+
+function applyTorrentChanges(entry, changes) {
+    ['name', 'state', 'progress', 'save_path'].forEach(field => {
+        if (changes[field] !== undefined) {
+            entry[field === 'save_path' ? 'savePath' : field] = changes[field];
+        }
+    });
+
+    if (STALLED_STATES.includes(entry.state)) {
+        entry.stalledSince = entry.stalledSince || Date.now();
+    } else if (changes.state !== undefined) {
+        entry.stalledSince = null;
+    }
+}
+
+async function checkTransitions(entry, serverId) {
+    if (!entry.hash || entry.state === null) {return;}
+
+    let kind = null;
+    if (entry.progress >= 1) {
+        kind = 'completed';
+    } else if (ERROR_STATES.includes(entry.state)) {
+        kind = 'error';
+    } else if (entry.stalledSince && Date.now() - entry.stalledSince >= STALL_THRESHOLD) {
+        kind = 'stalled';
+    }
+
+    // Each kind of alert is raised at most once per torrent
+    if (kind && !entry.notified.includes(kind)) {
+        entry.notified.push(kind);
+        await showTorrentNotification(kind, entry, serverId);
+    }
+}
+
+async function showTorrentNotification(kind, entry, serverId) {
+    const { options } = await getSettings(serverId);
+    if (options && options.showNotifications === false) {return;}
+
+    const messages = {
+        completed: `Download finished: ${entry.name}`,
+        error: `Torrent error: ${entry.name}`,
+        stalled: `Download stalled for over ${STALL_THRESHOLD / 60000} minutes: ${entry.name}`
+    };
+
+    // Everything the button handler needs is encoded in the notification id
+    const notificationId = ['qbt-torrent', kind, serverId || '', entry.hash, Date.now()].join(':');
+
+    chrome.notifications.create(notificationId, {
+        type: 'basic',
+        iconUrl: 'icons/icon48.png',
+        title: 'qBittorrent Integration',
+        message: messages[kind],
+        contextMessage: entry.savePath || '',
+        buttons: [
+            { title: 'Open WebUI' },
+            { title: 'Remove torrent' }
+        ]
+    });
+}
+
+async function handleWatcherNotificationButton(notificationId, buttonIndex) {
+    const [prefix, , serverId, hash] = notificationId.split(':');
+    if (prefix !== 'qbt-torrent') {return;}
+
+    try {
+        if (buttonIndex === 0) {
+            // The WebUI has no link to one torrent or its save folder, so this opens its main
+            // page; the notification shows the save path instead
+            await openWebUi(serverId || null);
+        } else if (buttonIndex === 1) {
+            // Data stays on disk; only the torrent is removed from the client
+            await controlTorrents('delete', [hash], { deleteFiles: false }, serverId || null);
+        }
+    } catch (error) {
+        showNotification('error', `Action failed: ${error.message}`);
+    }
+
+    chrome.notifications.clear(notificationId);
+}
+
+// Export functions for use in service worker
+window.watchTorrent = watchTorrent;
+window.pollWatchedTorrents = pollWatchedTorrents;
+window.ensureWatcherAlarm = ensureWatcherAlarm;
+window.handleWatcherNotificationButton = handleWatcherNotificationButton;
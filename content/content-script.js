@@ -1,5 +1,16 @@
+const RESCAN_INTERVAL = 5000;
+const RESCAN_DEBOUNCE = 500;
+// The script runs in every frame; subframes stay idle unless frame scanning is enabled
+const IS_TOP_FRAME = window === window.top;
+
 let detector = null;
-let observerActive = false;
+let observer = null;
+let scanInterval = null;
+let initialized = false;
+let siteBlocked = false;
+let currentSiteSettings = null;
+let linkPicker = null;
+let contentOptions = { ...CONSTANTS.DEFAULTS.OPTIONS };
 
 // Initialize detector when page loads
 document.addEventListener('DOMContentLoaded', initializeDetector);
@@ -11,48 +22,137 @@ if (document.readyState === 'loading') {
     initializeDetector();
 }
 
-function initializeDetector() {
+async function initializeDetector() {
+    if (initialized) {return;}
+    initialized = true;
+
+    // Add click handlers for detected links; they stay inert while the site is blocked
+    setupClickHandlers();
+
+    await refreshSettings();
+}
+
+async function refreshSettings() {
+    try {
+        const { siteSettings, options } = await chrome.storage.sync.get(['siteSettings', 'options']);
+        applyOptions(options);
+        applySiteSettings(siteSettings);
+    } catch (error) {
+        console.error('Error loading settings:', error);
+        applySiteSettings(null);
+    }
+}
+
+function applyOptions(options) {
+    contentOptions = { ...CONSTANTS.DEFAULTS.OPTIONS, ...options };
+    if (!detector) {return;}
+
+    if (contentOptions.showIndicators) {
+        detector.addLinkIndicators();
+    } else {
+        detector.removeLinkIndicators();
+    }
+
+    if (contentOptions.scanDynamicContent) {
+        startDynamicScanning();
+    } else {
+        stopDynamicScanning();
+    }
+}
+
+// Frames are checked against their own site and the page they are embedded in
+function getSiteUrls() {
+    const urls = [window.location.href];
+    const { ancestorOrigins } = window.location;
+    if (!IS_TOP_FRAME && ancestorOrigins && ancestorOrigins.length > 0) {
+        urls.push(ancestorOrigins[ancestorOrigins.length - 1]);
+    }
+    return urls;
+}
+
+function applySiteSettings(siteSettings) {
+    currentSiteSettings = siteSettings;
+    siteBlocked = !getSiteUrls().every(url => SiteFilter.isAllowed(url, siteSettings));
+    const frameDisabled = !IS_TOP_FRAME && !contentOptions.scanFrames;
+
+    if (siteBlocked || frameDisabled) {
+        stopDetector();
+    } else if (!detector) {
+        startDetector();
+    }
+}
+
+function startDetector() {
     detector = new TorrentLinkDetector();
+    detector.onLinksConfirmed = scanForTorrents;
 
     // Initial scan
     scanForTorrents();
 
+    if (contentOptions.scanDynamicContent) {
+        startDynamicScanning();
+    }
+}
+
+function stopDetector() {
+    stopDynamicScanning();
+
+    if (detector) {
+        detector.removeLinkIndicators();
+        detector = null;
+        // Drops this frame's links from the tab's badge
+        chrome.runtime.sendMessage({ action: 'UPDATE_BADGE', count: 0 });
+    }
+}
+
+function startDynamicScanning() {
     // Set up mutation observer for dynamic content
     setupMutationObserver();
 
-    // Add click handlers for detected links
-    setupClickHandlers();
+    // Scan periodically for content the observer does not catch
+    if (!scanInterval) {
+        scanInterval = setInterval(scanForTorrents, RESCAN_INTERVAL);
+    }
+}
+
+function stopDynamicScanning() {
+    if (observer) {
+        observer.disconnect();
+        observer = null;
+    }
+    clearInterval(scanInterval);
+    scanInterval = null;
+    clearTimeout(window.torrentScanTimeout);
 }
 
 function scanForTorrents() {
     if (!detector) {return;}
 
     try {
-        detector.addLinkIndicators();
-        updateBadge();
+        // One detection pass serves both the indicators and the badge
+        const links = detector.detectAllLinks();
+        if (contentOptions.showIndicators) {
+            detector.addLinkIndicators(links);
+        }
+        updateBadge(links);
     } catch (error) {
         console.error('Error scanning for torrents:', error);
     }
 }
 
 function setupMutationObserver() {
-    if (observerActive || !detector) {return;}
+    if (observer || !detector) {return;}
 
-    const observer = new MutationObserver((mutations) => {
+    observer = new MutationObserver((mutations) => {
         let shouldRescan = false;
 
+        // Links can arrive as anchors, buttons, forms or shadow hosts, so any new element counts
         mutations.forEach((mutation) => {
-            if (mutation.type === 'childlist') {
+            if (mutation.type === 'childList') {
                 mutation.addedNodes.forEach((node) => {
-                    if (node.nodeType === Node.ELEMENT_NODE) {
-                        // Check if new node contains torrent links
-                        if (node.querySelector && (
-                            node.querySelector('a[href^="magnet:"]') ||
-                            node.querySelector('a[href*=".torrent"]') ||
-                            node.textContent.includes('magnet:')
-                        )) {
-                            shouldRescan = true;
-                        }
+                    if (node.nodeType === Node.ELEMENT_NODE && !node.classList.contains('qbit-indicator')) {
+                        shouldRescan = true;
+                        observeShadowRoots(detector.addShadowRoots(node));
                     }
                 });
             }
@@ -61,7 +161,7 @@ function setupMutationObserver() {
         if (shouldRescan) {
             // Debounce rescanning
             clearTimeout(window.torrentScanTimeout);
-            window.torrentScanTimeout = setTimeout(scanForTorrents, 500);
+            window.torrentScanTimeout = setTimeout(scanForTorrents, RESCAN_DEBOUNCE);
         }
     });
 
@@ -69,13 +169,20 @@ function setupMutationObserver() {
         childList: true,
         subtree: true
     });
+    observeShadowRoots(detector.shadowRoots);
+}
 
-    observerActive = true;
+// Shadow roots are separate trees, so content added inside them needs its own observation
+function observeShadowRoots(roots) {
+    if (!observer) {return;}
+    roots.forEach(root => observer.observe(root, { childList: true, subtree: true }));
 }
 
 function setupClickHandlers() {
     // Handle clicks on magnet and torrent links
     document.addEventListener('click', (event) => {
+        if (siteBlocked) {return;}
+
         const {target} = event;
 
         if (target.tagName === 'A') {
@@ -89,7 +196,8 @@ function setupClickHandlers() {
 
                         chrome.runtime.sendMessage({
                             action: 'SEND_TORRENT',
-                            url: href
+                            url: href,
+                            linkText: target.textContent.trim()
                         });
                     }
                 });
@@ -98,10 +206,11 @@ function setupClickHandlers() {
     });
 }
 
-function updateBadge() {
+function updateBadge(links) {
     if (!detector) {return;}
 
-    const torrentCount = detector.detectAllLinks().length;
+    // Each frame reports its own count; the service worker adds them up per tab
+    const torrentCount = detector.getUniqueLinks(links).length;
 
     chrome.runtime.sendMessage({
         action: 'UPDATE_BADGE',
@@ -109,28 +218,84 @@ function updateBadge() {
     });
 }
 
+// A second request replaces the open picker; a batch it started keeps running in the background
+function showLinkPicker({ torrents, linkTexts, pageUrl, options }) {
+    if (linkPicker) {
+        linkPicker.close();
+    }
+
+    const picker = new TorrentLinkPicker({ torrents, linkTexts, pageUrl }, options,
+        contentOptions.batchConfirmThreshold);
+    picker.onClose = () => {
+        if (linkPicker === picker) {
+            linkPicker = null;
+        }
+    };
+    linkPicker = picker;
+    picker.open();
+}
+
 // Handle messages from background script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // Only the top frame answers; the service worker asks each frame with links separately
+    if (!IS_TOP_FRAME && !detector) {return false;}
+
     switch (message.action) {
         case 'GET_ALL_TORRENTS':
             if (detector) {
-                const torrents = detector.detectAllLinks();
-                sendResponse({ torrents: torrents.map(t => t.url) });
+                const torrents = detector.getUniqueLinks();
+                const linkTexts = {};
+                torrents.forEach(t => {
+                    linkTexts[t.url] = t.name;
+                });
+                sendResponse({
+                    torrents: torrents.map(t => t.url),
+                    linkTexts,
+                    // Feeds are announced in the head of the page itself, not its frames
+                    feeds: IS_TOP_FRAME ? detector.detectFeeds() : [],
+                    // Sites whose download links wait for host access before they are checked
+                    probeOrigins: [...detector.probeAccessNeeded],
+                    pageUrl: window.location.href
+                });
             } else {
-                sendResponse({ torrents: [] });
+                sendResponse({ torrents: [], blocked: siteBlocked });
             }
             break;
 
-        case 'RESCAN_PAGE':
-            scanForTorrents();
+        case 'SHOW_LINK_PICKER':
+            showLinkPicker(message);
             sendResponse({ success: true });
             break;
+
+        case 'RESCAN_PAGE':
+            // Settings are re-read so a toggle in the popup applies before the count is refreshed
+            refreshSettings().then(() => {
+                if (detector) {
+                    detector.retrySkippedProbes();
+                    // Catches shadow roots attached after their host was added to the page
+                    observeShadowRoots(detector.addShadowRoots(document));
+                }
+                scanForTorrents();
+                if (IS_TOP_FRAME) {
+                    sendResponse({ success: true, blocked: siteBlocked });
+                }
+            });
+            return IS_TOP_FRAME;
     }
+    return false;
 });
 
-// Scan periodically for dynamic content
-setInterval(() => {
-    if (detector) {
-        scanForTorrents();
+// Apply option and whitelist/blacklist edits from the options page or popup without a reload
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') {return;}
+
+    if (changes.options) {
+        applyOptions(changes.options.newValue);
+    }
+    if (changes.siteSettings) {
+        applySiteSettings(changes.siteSettings.newValue);
+    } else if (changes.options && !IS_TOP_FRAME) {
+        // Turning frame scanning on or off starts or stops this frame's detector
+        applySiteSettings(currentSiteSettings);
     }
-}, 5000);
\ No newline at end of file
+});
@@ -0,0 +1,209 @@
+// Detection strategies used by TorrentLinkDetector. Each strategy searches one root (the document
+// or an open shadow root) and returns candidates: { url, element, type, name, ambiguous }.
+// Ambiguous candidates (download.php?id=…, form targets, script URLs without a .torrent name) are
+// only counted once the background has confirmed that the URL serves a torrent.
+
+const TORRENT_MIME_TYPE = 'application/x-bittorrent';
+const TORRENT_PATH_PATTERN = /\.torrent$/i;
+// Tracker download endpoints that hide the .torrent name behind an id or token
+const DOWNLOAD_URL_PATTERN = /(?:^|\/)(?:download|dl|get|fetch)[\w-]*\.php\b|\/(?:download|dl)\/|[?&](?:action|act|do|mode)=(?:download|dl)\b|[?&]torrent_?id=|\.torrent\b/i;
+const URL_DATA_ATTRIBUTES = ['data-href', 'data-url', 'data-link', 'data-download', 'data-magnet', 'data-torrent'];
+// Quoted strings in onclick handlers, e.g. location.href='download.php?id=1'
+const QUOTED_STRING_PATTERN = /(["'`])([^"'`\s]+)\1/g;
+
+function resolveHttpUrl(value, baseUrl) {
+    try {
+        const url = new URL(value, baseUrl);
+        return ['http:', 'https:'].includes(url.protocol) ? url : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Resolves an attribute value against the page and decides whether it points at a torrent
+ *
+ * @param {string} value - href, data attribute or script string
+ * @param {string} baseUrl - URL relative values resolve against
+ * @returns {{url: string, type: 'magnet'|'torrent', ambiguous: boolean}|null} Classification
+ */
+function classifyTorrentUrl(value, baseUrl) {
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    if (!trimmed) {return null;}
+
+    if (/^magnet:/i.test(trimmed)) {
+        return MagnetUri.isValid(trimmed) ? { url: trimmed, type: 'magnet', ambiguous: false } : null;
+    }
+
+    const url = resolveHttpUrl(trimmed, baseUrl);
+    if (!url) {return null;}
+
+    if (TORRENT_PATH_PATTERN.test(url.pathname)) {
+        return { url: url.href, type: 'torrent', ambiguous: false };
+    }
+    if (DOWNLOAD_URL_PATTERN.test(url.pathname + url.search)) {
+        return { url: url.href, type: 'torrent', ambiguous: true };
+    }
+    return null;
+}
+
+function getFilename(url) {
+    const urlParts = url.split('/');
+    return urlParts[urlParts.length - 1].split('?')[0];
+}
+
+function getCandidateName(element, classified) {
+    const text = element.textContent.trim() || element.getAttribute('title') || element.getAttribute('aria-label');
+    if (text) {return text;}
+    if (classified.type === 'magnet') {
+        const magnet = MagnetUri.parse(classified.url);
+        return (magnet && magnet.name) || '';
+    }
+    return getFilename(classified.url);
+}
+
+function toCandidate(element, classified) {
+    return { ...classified, element, name: getCandidateName(element, classified) };
+}
+
+function getBaseUrl(root) {
+    return (root.ownerDocument || root).baseURI;
+}
+
+const anchorStrategy = {
+    name: 'anchors',
+    find(root) {
+        const candidates = [];
+        root.querySelectorAll('a[href], area[href]').forEach(element => {
+            const href = element.getAttribute('href');
+            // The page itself says the target is a torrent, whatever the URL looks like
+            const declared = (element.getAttribute('type') || '').toLowerCase() === TORRENT_MIME_TYPE ||
+                TORRENT_PATH_PATTERN.test(element.getAttribute('download') || '');
+            const url = declared && resolveHttpUrl(href, getBaseUrl(root));
+
+            const classified = url
+                ? { url: url.href, type: 'torrent', ambiguous: false }
+                : classifyTorrentUrl(href, getBaseUrl(root));
+            if (classified) {
+                candidates.push(toCandidate(element, classified));
+            }
+        });
+        return candidates;
+    }
+};
+
+const dataAttributeStrategy = {
+    name: 'data-attributes',
+    find(root) {
+        const selector = URL_DATA_ATTRIBUTES.map(attribute => `[${attribute}]`).join(', ');
+        const candidates = [];
+        root.querySelectorAll(selector).forEach(element => {
+            URL_DATA_ATTRIBUTES.forEach(attribute => {
+                const classified = classifyTorrentUrl(element.getAttribute(attribute), getBaseUrl(root));
+                if (classified) {
+                    candidates.push(toCandidate(element, classified));
+                }
+            });
+        });
+        return candidates;
+    }
+};
+
+const onclickStrategy = {
+    name: 'onclick',
+    find(root) {
+        const candidates = [];
+        root.querySelectorAll('[onclick]').forEach(element => {
+            const handler = element.getAttribute('onclick');
+            for (const [, , value] of handler.matchAll(QUOTED_STRING_PATTERN)) {
+                const classified = classifyTorrentUrl(value, getBaseUrl(root));
+                if (classified) {
+                    // Script URLs are never trusted on their name alone
+                    candidates.push(toCandidate(element, { ...classified, ambiguous: classified.type !== 'magnet' }));
+                }
+            }
+        });
+        return candidates;
+    }
+};
+
+// The URL a GET download form fetches: the browser puts its fields in the query string itself
+function getFormUrl(form, baseUrl) {
+    const action = resolveHttpUrl(form.getAttribute('action') || '', baseUrl);
+    if (!action) {return null;}
+
+    const fields = new URLSearchParams();
+    new FormData(form).forEach((value, key) => {
+        if (typeof value === 'string') {
+            fields.append(key, value);
+        }
+    });
+    action.search = fields.toString();
+    return action;
+}
+
+// POST forms (whose fields often carry a CSRF token), login and upload forms are skipped so their
+// fields never end up in a probed URL
+function isDownloadFormCandidate(form) {
+    return (form.getAttribute('method') || 'get').toLowerCase() === 'get' &&
+        !form.querySelector('input[type="password"], input[type="file"]');
+}
+
+// A GET form counts when its target looks like a download endpoint or its button says "download"
+const formStrategy = {
+    name: 'forms',
+    find(root) {
+        const candidates = [];
+        root.querySelectorAll('form').forEach(form => {
+            if (!isDownloadFormCandidate(form)) {return;}
+
+            const submit = form.querySelector('button:not([type="button"]):not([type="reset"]), input[type="submit"], input[type="image"]');
+            const label = submit ? (submit.textContent || submit.value || '').trim() : '';
+            const url = getFormUrl(form, getBaseUrl(root));
+            if (!url) {return;}
+
+            const target = url.pathname + url.search;
+            if (!DOWNLOAD_URL_PATTERN.test(target) && !/download/i.test(label)) {return;}
+
+            candidates.push({
+                url: url.href,
+                element: submit || form,
+                type: 'torrent',
+                name: label || getFilename(url.href),
+                ambiguous: !TORRENT_PATH_PATTERN.test(url.pathname)
+            });
+        });
+        return candidates;
+    }
+};
+
+const magnetTextStrategy = {
+    name: 'magnet-text',
+    find(root) {
+        const candidates = [];
+        const walker = document.createTreeWalker(root.body || root, NodeFilter.SHOW_TEXT);
+
+        let node;
+        while ((node = walker.nextNode())) {
+            if (node.textContent.includes('magnet:') && node.parentElement) {
+                MagnetUri.findAll(node.textContent).forEach(url => {
+                    const magnet = MagnetUri.parse(url);
+                    candidates.push({
+                        url,
+                        element: node.parentElement,
+                        type: 'magnet',
+                        name: magnet.name || '',
+                        ambiguous: false
+                    });
+                });
+            }
+        }
+        return candidates;
+    }
+};
+
+const DETECTION_STRATEGIES = [anchorStrategy, dataAttributeStrategy, onclickStrategy, formStrategy, magnetTextStrategy];
+
+// Export for use in content script
+window.DETECTION_STRATEGIES = DETECTION_STRATEGIES;
+window.classifyTorrentUrl = classifyTorrentUrl;
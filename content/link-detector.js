@@ -1,111 +1,176 @@
+const MAX_PROBES_PER_SCAN = 20;
+// Feed types announced through <link rel="alternate">
+const FEED_TYPES = new Set(['application/rss+xml', 'application/atom+xml']);
+
 class TorrentLinkDetector {
-    constructor() {
-        this.magnetPattern = /magnet:\?xt=urn:btih:[a-zA-Z0-9]{32,40}/gi;
-        this.torrentPattern = /\.torrent(\?[^"'\s]*)?$/i;
+    constructor(strategies = DETECTION_STRATEGIES) {
+        this.strategies = [...strategies];
         this.detectedLinks = new Set();
         this.linkElements = new WeakMap();
+        // Ambiguous URLs: true or false once the background has probed them, null while pending
+        this.probeResults = new Map();
+        // URLs the background left unprobed (option off or no host access), and the origin
+        // patterns the popup can ask access for
+        this.skippedProbes = new Set();
+        this.probeAccessNeeded = new Set();
+        // Called when a probe confirms new links, so the page can be counted again
+        this.onLinksConfirmed = null;
+        // Open shadow roots found so far; after this first walk only added nodes are searched
+        this.shadowRoots = new Set();
+        this.addShadowRoots(document);
+    }
+
+    // Strategies take a root (document or open shadow root) and return
+    // [{ url, element, type, name, ambiguous }]
+    registerStrategy(strategy) {
+        this.strategies.push(strategy);
     }
 
     detectAllLinks() {
         const links = [];
+        const unconfirmed = [];
+        const seen = new Map();
+
+        this.getSearchRoots().forEach(root => {
+            this.strategies.forEach(strategy => {
+                this.findCandidates(strategy, root).forEach(candidate => {
+                    // Several strategies can find the same URL on the same element
+                    const urls = seen.get(candidate.element) || new Set();
+                    if (urls.has(candidate.url)) {return;}
+                    urls.add(candidate.url);
+                    seen.set(candidate.element, urls);
+
+                    if (candidate.ambiguous && this.probeResults.get(candidate.url) !== true) {
+                        if (!this.probeResults.has(candidate.url)) {
+                            unconfirmed.push(candidate.url);
+                        }
+                        return;
+                    }
+
+                    links.push(candidate);
+                    this.linkElements.set(candidate.element, candidate.url);
+                });
+            });
+        });
 
-        // Find magnet links
-        this.findMagnetLinks().forEach(link => links.push(link));
-
-        // Find .torrent file links
-        this.findTorrentFileLinks().forEach(link => links.push(link));
-
+        this.probeLinks(unconfirmed);
         return links;
     }
 
-    findMagnetLinks() {
-        const magnetLinks = [];
-
-        // Search in href attributes
-        document.querySelectorAll('a[href^="magnet:"]').forEach(element => {
-            const {href} = element;
-            if (this.magnetPattern.test(href)) {
-                magnetLinks.push({
-                    url: href,
-                    element,
-                    type: 'magnet',
-                    name: this.extractMagnetName(href) || element.textContent.trim()
-                });
-                this.linkElements.set(element, href);
+    // One entry per torrent, in page order: a magnet is often both a link and the text next to
+    // it, and mirrors of the same info-hash differ only in trackers or name. A scan passes the
+    // links it already detected.
+    getUniqueLinks(links = this.detectAllLinks()) {
+        const unique = new Map();
+        links.forEach(link => {
+            const key = MagnetUri.dedupeKey(link.url);
+            const existing = unique.get(key);
+            if (!existing) {
+                unique.set(key, { url: link.url, type: link.type, name: link.name || '' });
+            } else if (!existing.name) {
+                existing.name = link.name || '';
             }
         });
+        return [...unique.values()];
+    }
 
-        // Search in text content for magnet links
-        const textNodes = this.getTextNodes();
-        textNodes.forEach(node => {
-            const matches = node.textContent.match(this.magnetPattern);
-            if (matches) {
-                matches.forEach(match => {
-                    magnetLinks.push({
-                        url: match,
-                        element: node.parentElement,
-                        type: 'magnet',
-                        name: this.extractMagnetName(match)
-                    });
+    // RSS and Atom feeds the page announces, e.g. a tracker's feed for the category being
+    // browsed, as [{ url, title, type }] in document order
+    detectFeeds() {
+        const feeds = new Map();
+        document.querySelectorAll('link[rel~="alternate" i][type][href]').forEach(element => {
+            const type = element.type.trim().toLowerCase();
+            if (!FEED_TYPES.has(type)) {return;}
+
+            let url;
+            try {
+                url = new URL(element.getAttribute('href'), document.baseURI);
+            } catch {
+                return;
+            }
+            if (['http:', 'https:'].includes(url.protocol) && !feeds.has(url.href)) {
+                feeds.set(url.href, {
+                    url: url.href,
+                    title: (element.getAttribute('title') || '').trim() || document.title.trim() || url.hostname,
+                    type: type === 'application/atom+xml' ? 'atom' : 'rss'
                 });
             }
         });
-
-        return magnetLinks;
+        return [...feeds.values()];
     }
 
-    findTorrentFileLinks() {
-        const torrentLinks = [];
-
-        document.querySelectorAll('a[href]').forEach(element => {
-            const {href} = element;
-            if (this.torrentPattern.test(href)) {
-                torrentLinks.push({
-                    url: href,
-                    element,
-                    type: 'torrent',
-                    name: element.textContent.trim() || this.extractTorrentName(href)
-                });
+    findCandidates(strategy, root) {
+        try {
+            return strategy.find(root);
+        } catch (error) {
+            console.error(`Detection strategy "${strategy.name}" failed:`, error);
+            return [];
+        }
+    }
 
-                this.linkElements.set(element, href);
+    // Records the open shadow roots in `node` and below it, nested ones included, and returns
+    // the new ones. Called with the document once and then with nodes added to the page.
+    addShadowRoots(node) {
+        const added = [];
+        const elements = node.nodeType === Node.ELEMENT_NODE ? [node, ...node.querySelectorAll('*')] : node.querySelectorAll('*');
+        elements.forEach(element => {
+            if (element.shadowRoot && !this.shadowRoots.has(element.shadowRoot)) {
+                this.shadowRoots.add(element.shadowRoot);
+                added.push(element.shadowRoot, ...this.addShadowRoots(element.shadowRoot));
             }
         });
-
-        return torrentLinks;
+        return added;
     }
 
-    extractMagnetName(magnetUrl) {
-        const match = magnetUrl.match(/dn=([^&]+)/);
-        return match ? decodeURIComponent(match[1].replace(/\+/g, ' ')) : null;
+    // The document and the open shadow roots whose host is still on the page
+    getSearchRoots() {
+        this.shadowRoots.forEach(root => {
+            if (!root.host.isConnected) {
+                this.shadowRoots.delete(root);
+            }
+        });
+        return [document, ...this.shadowRoots];
     }
 
-    extractFilename(url) {
-        const urlParts = url.split('/');
-        return urlParts[urlParts.length - 1].split('?')[0];
+    // Asks the background whether ambiguous URLs serve a torrent; each URL is probed once per page
+    probeLinks(urls) {
+        const batch = [...new Set(urls)].slice(0, MAX_PROBES_PER_SCAN);
+        if (batch.length === 0) {return;}
+
+        batch.forEach(url => this.probeResults.set(url, null));
+
+        chrome.runtime.sendMessage({ action: 'PROBE_TORRENT_URLS', urls: batch })
+            .then(response => {
+                if (!response || !response.success) {
+                    throw new Error(response ? response.error : 'No response');
+                }
+                const { results, needsAccess = [] } = response;
+                batch.forEach(url => {
+                    this.probeResults.set(url, results[url] === true);
+                    if (!(url in results)) {
+                        this.skippedProbes.add(url);
+                    }
+                });
+                needsAccess.forEach(pattern => this.probeAccessNeeded.add(pattern));
+                if (batch.some(url => results[url] === true) && this.onLinksConfirmed) {
+                    this.onLinksConfirmed();
+                }
+            })
+            .catch(error => {
+                // Probed again on the next scan
+                batch.forEach(url => this.probeResults.delete(url));
+                console.error('Error probing download links:', error);
+            });
     }
 
-    getTextNodes() {
-        const textNodes = [];
-        const walker = document.createTreeWalker(
-            document.body,
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
-        );
-
-        let node;
-        while ((node = walker.nextNode())) {
-            if (node.textContent.includes('magnet:')) {
-                textNodes.push(node);
-            }
-        }
-
-        return textNodes;
+    // Links skipped for lack of access are probed again on the next scan, e.g. after a grant
+    retrySkippedProbes() {
+        this.skippedProbes.forEach(url => this.probeResults.delete(url));
+        this.skippedProbes.clear();
+        this.probeAccessNeeded.clear();
     }
 
-    addLinkIndicators() {
-        const links = this.detectAllLinks();
-
+    addLinkIndicators(links = this.detectAllLinks()) {
         links.forEach(link => {
             if (link.element && !link.element.classList.contains('qbt-detected')) {
                 this.addIndicator(link.element, link.type);
@@ -113,12 +178,19 @@ class TorrentLinkDetector {
         });
     }
 
+    removeLinkIndicators() {
+        this.getSearchRoots().forEach(root => {
+            root.querySelectorAll('.qbit-indicator').forEach(indicator => indicator.remove());
+            root.querySelectorAll('.qbt-detected').forEach(element => element.classList.remove('qbt-detected'));
+        });
+    }
+
     addIndicator(element, type) {
         element.classList.add('qbt-detected');
 
         const indicator = document.createElement('span');
         indicator.className = `qbit-indicator qbit-${type}`;
-        indicator.title = `Click to send to qBittorrent (${type})`;
+        indicator.title = `Click to send to qBittorrent (${type}), Shift+click to choose options`;
         indicator.textContent = '⬇️';
 
         indicator.style.cssText = `
@@ -138,16 +210,30 @@ class TorrentLinkDetector {
             e.stopPropagation();
 
             const linkUrl = this.linkElements.get(element) || element.href;
-            this.sendToQBittorrent(linkUrl);
+            const linkText = element.textContent.trim();
+            if (e.shiftKey) {
+                this.openAddDialog(linkUrl, linkText);
+            } else {
+                this.sendToQBittorrent(linkUrl, linkText);
+            }
         });
 
         element.parentNode.insertBefore(indicator, element.nextSibling);
     }
 
-    sendToQBittorrent(url) {
+    sendToQBittorrent(url, linkText = '') {
         chrome.runtime.sendMessage({
             action: 'SEND_TORRENT',
-            url
+            url,
+            linkText
+        });
+    }
+
+    openAddDialog(url, linkText = '') {
+        chrome.runtime.sendMessage({
+            action: 'OPEN_ADD_DIALOG',
+            url,
+            linkText
         });
     }
 }
@@ -0,0 +1,423 @@
+// In-page overlay for choosing which of the page's torrents to send. The popup opens it through
+// the service worker, which collects the deduplicated links of every frame. The chosen links go
+// over the same batch port the popup uses, so progress and cancelling work the same way; closing
+// the overlay mid-batch leaves the batch running and its summary arrives as a notification.
+// The overlay lives in a closed shadow root, out of reach of page styles and the link detector.
+
+const LINK_PICKER_HOST_ID = 'qbit-link-picker';
+// The port background/batch-sender.js listens on
+const LINK_PICKER_PORT = 'send-batch';
+
+const LINK_PICKER_TEMPLATE = `
+<style>
+    :host { all: initial; }
+    .backdrop {
+        position: fixed; inset: 0; z-index: 2147483647;
+        display: flex; align-items: center; justify-content: center;
+        background: rgba(0, 0, 0, 0.5);
+        font: 14px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333;
+    }
+    .dialog {
+        display: flex; flex-direction: column; gap: 10px;
+        width: min(640px, 92vw); max-height: 86vh; padding: 18px;
+        background: white; border-radius: 8px; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+    }
+    header, footer, .row { display: flex; align-items: center; gap: 8px; }
+    header h2 { flex: 1; margin: 0; font-size: 17px; }
+    footer { justify-content: flex-end; }
+    input[type="search"], input[type="text"] {
+        flex: 1; padding: 6px 8px; border: 1px solid #ccc; border-radius: 4px; font: inherit;
+    }
+    button {
+        padding: 6px 12px; border: 1px solid #ccc; border-radius: 4px;
+        background: white; color: #333; font: inherit; cursor: pointer;
+    }
+    button.primary { border-color: #1976d2; background: #1976d2; color: white; }
+    button:disabled { opacity: 0.6; cursor: default; }
+    .count { margin-left: auto; color: #666; }
+    .error { color: #c62828; }
+    .list { flex: 1; min-height: 120px; margin: 0; padding: 0; overflow-y: auto; list-style: none; border: 1px solid #eee; border-radius: 4px; }
+    .list li { border-bottom: 1px solid #f0f0f0; }
+    .list label { display: flex; align-items: center; gap: 8px; padding: 6px 8px; cursor: pointer; }
+    .name { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .type { padding: 1px 6px; border-radius: 3px; background: #e3f2fd; color: #1976d2; font-size: 11px; }
+    .type.magnet { background: #f3e5f5; color: #7b1fa2; }
+    .size { min-width: 64px; color: #666; font-size: 12px; text-align: right; }
+    .progress { height: 6px; background: #eee; border-radius: 3px; overflow: hidden; }
+    .progress-bar { width: 0; height: 100%; background: #1976d2; }
+    [hidden] { display: none !important; }
+</style>
+<div class="backdrop">
+    <div class="dialog" role="dialog" aria-modal="true" aria-labelledby="picker-title">
+        <header>
+            <h2 id="picker-title">Choose torrents to send</h2>
+            <button data-command="close" aria-label="Close">✕</button>
+        </header>
+        <div class="row">
+            <input type="search" class="filter" placeholder="Filter by name or URL" aria-label="Filter">
+        </div>
+        <div class="row">
+            <input type="text" class="pattern" placeholder="Regular expression, e.g. 1080p|2160p" aria-label="Regular expression">
+            <button data-command="select-pattern">Select matching</button>
+        </div>
+        <div class="row">
+            <button data-command="select-shown">Select shown</button>
+            <button data-command="clear-shown">Clear shown</button>
+            <span class="count"></span>
+        </div>
+        <ul class="list"></ul>
+        <div class="progress" hidden><div class="progress-bar"></div></div>
+        <div class="message" role="status"></div>
+        <footer>
+            <button data-command="back">Cancel</button>
+            <button data-command="send" class="primary">Send</button>
+        </footer>
+    </div>
+</div>`;
+
+class TorrentLinkPicker {
+    /**
+     * @param {object} page - Links as collected by the service worker
+     * @param {string[]} page.torrents - Deduplicated link URLs in page order
+     * @param {Object<string, string>} [page.linkTexts] - Link text by URL
+     * @param {string} [page.pageUrl] - Page the links were found on
+     * @param {object} [options] - Send options chosen in the popup
+     * @param {number} [confirmThreshold] - Larger selections ask again before sending; 0 never asks
+     */
+    constructor({ torrents, linkTexts = {}, pageUrl = '' }, options = {}, confirmThreshold = 0) {
+        this.links = torrents.map(url => describePickerLink(url, linkTexts[url]));
+        this.selected = new Set(torrents);
+        this.pageUrl = pageUrl;
+        this.options = options;
+        this.confirmThreshold = confirmThreshold;
+        // choosing → (confirming →) sending → done
+        this.state = 'choosing';
+        this.counts = null;
+        this.host = null;
+        this.root = null;
+        this.port = null;
+        this.onClose = null;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    open() {
+        this.host = document.createElement('div');
+        this.host.id = LINK_PICKER_HOST_ID;
+        this.root = this.host.attachShadow({ mode: 'closed' });
+        this.root.innerHTML = LINK_PICKER_TEMPLATE;
+
+        this.root.querySelector('.list').append(...this.links.map((link, index) => this.createRow(link, index)));
+        this.root.querySelector('.filter').addEventListener('input', () => this.applyFilter());
+        this.root.querySelector('.pattern').addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                this.selectMatching();
+            }
+        });
+        this.root.querySelector('.list').addEventListener('change', event => this.toggleLink(event.target));
+        this.root.querySelector('.dialog').addEventListener('click', event => this.handleCommand(event));
+        document.addEventListener('keydown', this.handleKeydown, true);
+
+        document.documentElement.appendChild(this.host);
+        this.render();
+        this.root.querySelector('.filter').focus();
+    }
+
+    close() {
+        if (this.port) {
+            this.port.disconnect();
+            this.port = null;
+        }
+        document.removeEventListener('keydown', this.handleKeydown, true);
+        if (this.host) {
+            this.host.remove();
+            this.host = null;
+        }
+        if (this.onClose) {
+            this.onClose();
+        }
+    }
+
+    createRow(link, index) {
+        const row = document.createElement('li');
+        row.title = link.url;
+
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.dataset.index = index;
+        label.appendChild(checkbox);
+
+        const name = document.createElement('span');
+        name.className = 'name';
+        name.textContent = link.name;
+        label.appendChild(name);
+
+        const type = document.createElement('span');
+        type.className = `type ${link.type}`;
+        type.textContent = link.type === 'magnet' ? 'Magnet' : 'Torrent';
+        label.appendChild(type);
+
+        const size = document.createElement('span');
+        size.className = 'size';
+        size.textContent = link.size !== null ? formatLinkSize(link.size) : '';
+        label.appendChild(size);
+
+        row.appendChild(label);
+        return row;
+    }
+
+    getRows() {
+        return [...this.root.querySelectorAll('.list li')];
+    }
+
+    getShownLinks() {
+        return this.getRows()
+            .map((row, index) => (row.hidden ? null : this.links[index]))
+            .filter(Boolean);
+    }
+
+    getSelectedLinks() {
+        return this.links.filter(link => this.selected.has(link.url));
+    }
+
+    // Hides links whose name and URL do not contain the filter text; hidden links keep their selection
+    applyFilter() {
+        const needle = this.root.querySelector('.filter').value.trim().toLowerCase();
+        this.getRows().forEach((row, index) => {
+            const link = this.links[index];
+            row.hidden = Boolean(needle) && !`${link.name}\n${link.url}`.toLowerCase().includes(needle);
+        });
+        this.render();
+    }
+
+    // Selects exactly the links whose name or URL matches, whether shown or not
+    selectMatching() {
+        const source = this.root.querySelector('.pattern').value.trim();
+        if (!source) {return;}
+
+        let pattern;
+        try {
+            pattern = new RegExp(source, 'i');
+        } catch (error) {
+            this.showMessage(`Invalid regular expression: ${error.message}`, true);
+            return;
+        }
+
+        this.links.forEach(link => this.setSelected(link, pattern.test(link.name) || pattern.test(link.url)));
+        this.showMessage('');
+        this.render();
+    }
+
+    setShownSelected(selected) {
+        this.getShownLinks().forEach(link => this.setSelected(link, selected));
+        this.render();
+    }
+
+    setSelected(link, selected) {
+        if (selected) {
+            this.selected.add(link.url);
+        } else {
+            this.selected.delete(link.url);
+        }
+    }
+
+    toggleLink(checkbox) {
+        const link = this.links[Number(checkbox.dataset.index)];
+        if (!link) {return;}
+        this.setSelected(link, checkbox.checked);
+        this.render();
+    }
+
+    handleCommand(event) {
+        const button = event.target.closest('button[data-command]');
+        if (!button) {return;}
+
+        switch (button.dataset.command) {
+            case 'close':
+                this.close();
+                break;
+            case 'back':
+                this.back();
+                break;
+            case 'send':
+                this.confirmOrSend();
+                break;
+            case 'select-pattern':
+                this.selectMatching();
+                break;
+            case 'select-shown':
+                this.setShownSelected(true);
+                break;
+            case 'clear-shown':
+                this.setShownSelected(false);
+                break;
+        }
+    }
+
+    handleKeydown(event) {
+        if (event.key === 'Escape' && this.state !== 'sending') {
+            event.stopPropagation();
+            this.back();
+        }
+    }
+
+    // Cancel closes the picker, steps back from the confirmation or cancels a running batch
+    back() {
+        if (this.state === 'confirming') {
+            this.state = 'choosing';
+            this.showMessage('');
+            this.render();
+        } else if (this.state === 'sending') {
+            // Items already sent stay on the server; in-flight requests are aborted
+            this.port.postMessage({ action: 'CANCEL' });
+            const button = this.root.querySelector('[data-command="back"]');
+            button.disabled = true;
+            button.textContent = 'Cancelling...';
+        } else {
+            this.close();
+        }
+    }
+
+    confirmOrSend() {
+        const count = this.getSelectedLinks().length;
+        if (count === 0) {return;}
+
+        if (this.state === 'choosing' && this.confirmThreshold > 0 && count > this.confirmThreshold) {
+            this.state = 'confirming';
+            this.showMessage(`Send ${count} torrents to qBittorrent? Choose Send again to confirm.`);
+            this.render();
+            return;
+        }
+        this.send();
+    }
+
+    send() {
+        const links = this.getSelectedLinks();
+        const linkTexts = {};
+        links.forEach(link => {
+            linkTexts[link.url] = link.text;
+        });
+
+        this.state = 'sending';
+        this.counts = { added: 0, duplicate: 0, queued: 0, cancelled: 0, failed: 0 };
+        this.showMessage('');
+        this.render();
+        this.updateProgress(0, links.length);
+
+        this.port = chrome.runtime.connect({ name: LINK_PICKER_PORT });
+        this.port.onMessage.addListener(message => this.handleBatchMessage(message));
+        this.port.onDisconnect.addListener(() => {
+            // Only an unexpected disconnect leaves the port set
+            if (this.port) {
+                this.port = null;
+                this.finish('Batch send was interrupted', true);
+            }
+        });
+        this.port.postMessage({
+            action: 'START',
+            urls: links.map(link => link.url),
+            options: { ...this.options, source: { pageUrl: this.pageUrl } },
+            linkTexts
+        });
+    }
+
+    handleBatchMessage(message) {
+        if (message.type === 'progress') {
+            this.counts[message.status] = (this.counts[message.status] || 0) + 1;
+            this.updateProgress(message.completed, message.total);
+        } else if (message.type === 'done') {
+            this.finish(formatPickerCounts(message.summary), message.summary.failed > 0);
+        } else if (message.type === 'error') {
+            this.finish(`Error: ${message.error}`, true);
+        }
+    }
+
+    updateProgress(completed, total) {
+        const bar = this.root.querySelector('.progress-bar');
+        bar.style.width = `${total > 0 ? Math.round(completed / total * 100) : 0}%`;
+        this.showMessage(`${completed} / ${total} · ${formatPickerCounts(this.counts)}`);
+    }
+
+    finish(message, isError = false) {
+        if (this.port) {
+            this.port.disconnect();
+            this.port = null;
+        }
+        this.state = 'done';
+        this.showMessage(message, isError);
+        this.render();
+    }
+
+    showMessage(text, isError = false) {
+        const message = this.root.querySelector('.message');
+        message.textContent = text;
+        message.classList.toggle('error', isError);
+    }
+
+    // Brings the checkboxes, count and buttons in line with the selection and state
+    render() {
+        const selectedCount = this.getSelectedLinks().length;
+        // The selection is frozen once a send has been asked for
+        const choosing = this.state === 'choosing';
+        const sendable = choosing || this.state === 'confirming';
+
+        this.getRows().forEach((row, index) => {
+            const checkbox = row.querySelector('input');
+            checkbox.checked = this.selected.has(this.links[index].url);
+            checkbox.disabled = !choosing;
+        });
+        this.root.querySelectorAll('.row input, .row button').forEach(control => {
+            control.disabled = !choosing;
+        });
+
+        const shown = this.getShownLinks().length;
+        const hidden = this.links.length - shown;
+        this.root.querySelector('.count').textContent =
+            `${selectedCount} of ${this.links.length} selected${hidden > 0 ? ` · ${hidden} hidden by filter` : ''}`;
+
+        const back = this.root.querySelector('[data-command="back"]');
+        const send = this.root.querySelector('[data-command="send"]');
+        this.root.querySelector('.progress').hidden = sendable;
+
+        back.disabled = false;
+        back.textContent = { choosing: 'Cancel', confirming: 'Back', sending: 'Cancel' }[this.state] || 'Close';
+        send.hidden = !sendable;
+        send.disabled = selectedCount === 0;
+        send.textContent = `Send ${selectedCount} Torrent${selectedCount === 1 ? '' : 's'}`;
+    }
+}
+
+function describePickerLink(url, text = '') {
+    const magnet = MagnetUri.parse(url);
+    const filename = magnet ? '' : url.split('?')[0].split('/').pop();
+    return {
+        url,
+        text: text || '',
+        type: magnet ? 'magnet' : 'torrent',
+        name: text || (magnet && magnet.name) || filename || url,
+        size: magnet ? magnet.length : null
+    };
+}
+
+function formatLinkSize(bytes) {
+    const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function formatPickerCounts(counts) {
+    // Outcomes that did not occur are left out, except the ones every batch reports
+    return ['added', 'duplicate', 'queued', 'cancelled', 'failed']
+        .filter(status => counts[status] > 0 || ['added', 'failed'].includes(status))
+        .map(status => `${counts[status]} ${status}`)
+        .join(', ');
+}
+
+// Export for use in content script
+window.TorrentLinkPicker = TorrentLinkPicker;
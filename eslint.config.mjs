@@ -20,10 +20,81 @@ export default defineConfig([
         importScripts: 'readonly',
         SecureStorageManager: 'readonly',
         CryptoManager: 'readonly',
+        ServerProfileManager: 'readonly',
         sendTorrent: 'readonly',
         sendMultipleTorrents: 'readonly',
         testConnection: 'readonly',
         getServerInfo: 'readonly',
+        getTorrentList: 'readonly',
+        controlTorrents: 'readonly',
+        makeAuthenticatedRequest: 'readonly',
+        getSettings: 'readonly',
+        showNotification: 'readonly',
+        showSecureConfirmDialog: 'readonly',
+        watchTorrent: 'readonly',
+        pollWatchedTorrents: 'readonly',
+        ensureWatcherAlarm: 'readonly',
+        handleWatcherNotificationButton: 'readonly',
+        getTorrentMetadata: 'readonly',
+        clearAuthCache: 'readonly',
+        updateTabBadge: 'readonly',
+        clearTabBadge: 'readonly',
+        setBadgeConnectionState: 'readonly',
+        summarizeSendResults: 'readonly',
+        isRetryableError: 'readonly',
+        getCachedTorrentFile: 'readonly',
+        extractTorrentName: 'readonly',
+        sendOrQueueTorrent: 'readonly',
+        getSendQueue: 'readonly',
+        cancelQueuedSend: 'readonly',
+        flushSendQueue: 'readonly',
+        recordSendResult: 'readonly',
+        recordSendFailure: 'readonly',
+        updateQueuedSendHistory: 'readonly',
+        resendHistoryItem: 'readonly',
+        openWebUi: 'readonly',
+        extractInfoHash: 'readonly',
+        handleSendBatchPort: 'readonly',
+        updateServerHeaderRules: 'readonly',
+        formatSendSummary: 'readonly',
+        Bencode: 'readonly',
+        TorrentInspector: 'readonly',
+        RuleEngine: 'readonly',
+        SiteFilter: 'readonly',
+        HostPermissions: 'readonly',
+        SendHistory: 'readonly',
+        MagnetUri: 'readonly',
+        DETECTION_STRATEGIES: 'readonly',
+        fetchWithTimeout: 'readonly',
+        probeTorrentUrl: 'readonly',
+        probeTorrentUrls: 'readonly',
+        recordFrameTorrentCount: 'readonly',
+        forgetTabFrames: 'readonly',
+        collectPageTorrents: 'readonly',
+        openLinkPicker: 'readonly',
+        TorrentLinkPicker: 'readonly',
+        sendSelectedTorrents: 'readonly',
+        getTransferInfo: 'readonly',
+        sendSingleTorrent: 'readonly',
+        handleOmniboxInputChanged: 'readonly',
+        handleOmniboxInputEntered: 'readonly',
+        getRssFolders: 'readonly',
+        subscribeToFeed: 'readonly',
+        getSearchPlugins: 'readonly',
+        setSearchPluginsEnabled: 'readonly',
+        startSearch: 'readonly',
+        getSearchResults: 'readonly',
+        endSearch: 'readonly',
+        SearchResults: 'readonly',
+        loadRuleEditor: 'readonly',
+        collectValidRules: 'readonly',
+        setupRuleEditorListeners: 'readonly',
+        requestServerPermission: 'readonly',
+        updatePermissionBanner: 'readonly',
+        revokeUnusedPermissions: 'readonly',
+        setupPermissionListeners: 'readonly',
+        loadHistoryView: 'readonly',
+        setupHistoryListeners: 'readonly',
         TorrentLinkDetector: 'readonly',
         CONSTANTS: 'readonly',
         StorageManager: 'readonly',
@@ -194,7 +265,7 @@ export default defineConfig([
   },
   // Production files - stricter console rules
   {
-    files: ['background/**/*.js', 'content/**/*.js', 'popup/**/*.js', 'options/**/*.js'],
+    files: ['background/**/*.js', 'content/**/*.js', 'popup/**/*.js', 'options/**/*.js', 'add-dialog/**/*.js'],
     rules: {
       'no-console': ['error', { allow: ['warn', 'error'] }]
     }
@@ -0,0 +1,210 @@
+// Send history browser: search and filter the recorded sends, resend them or open the
+// server's WebUI, and export the entries shown as CSV or JSON.
+
+const HISTORY_STATUS_LABELS = {
+    added: 'Added',
+    duplicate: 'Duplicate',
+    queued: 'Queued',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+};
+
+let historyEntries = [];
+
+async function loadHistoryView() {
+    const profiles = await ServerProfileManager.listProfiles();
+    const serverSelect = document.getElementById('history-server');
+    const selected = serverSelect.value;
+
+    while (serverSelect.options.length > 1) {
+        serverSelect.remove(1);
+    }
+    profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        serverSelect.appendChild(option);
+    });
+    serverSelect.value = profiles.some(profile => profile.id === selected) ? selected : '';
+
+    historyEntries = await SendHistory.list();
+    renderHistory();
+}
+
+function getVisibleHistory() {
+    return SendHistory.filter(historyEntries, {
+        search: document.getElementById('history-search').value,
+        status: document.getElementById('history-status').value,
+        serverId: document.getElementById('history-server').value
+    });
+}
+
+function renderHistory() {
+    const list = document.getElementById('history-list');
+    const entries = getVisibleHistory();
+
+    while (list.firstChild) {
+        list.removeChild(list.firstChild);
+    }
+    entries.forEach(entry => list.appendChild(createHistoryRow(entry)));
+
+    document.getElementById('history-empty').classList.toggle('hidden', entries.length > 0);
+}
+
+function createHistoryRow(entry) {
+    const row = document.createElement('tr');
+
+    const sent = document.createElement('td');
+    sent.textContent = new Date(entry.timestamp).toLocaleString();
+    row.appendChild(sent);
+
+    const torrent = document.createElement('td');
+    const name = document.createElement('div');
+    name.className = 'history-name';
+    name.textContent = entry.name || entry.url;
+    name.title = entry.url;
+    torrent.appendChild(name);
+    if (entry.pageUrl) {
+        torrent.appendChild(createHistoryDetail(`From ${entry.pageUrl}`));
+    }
+    if (entry.hash) {
+        torrent.appendChild(createHistoryDetail(entry.hash));
+    }
+    row.appendChild(torrent);
+
+    const target = document.createElement('td');
+    target.textContent = entry.serverName || 'Default server';
+    const destination = [entry.category, entry.savePath].filter(Boolean).join(' · ');
+    if (destination) {
+        target.appendChild(createHistoryDetail(destination));
+    }
+    row.appendChild(target);
+
+    const status = document.createElement('td');
+    const label = document.createElement('span');
+    label.className = `history-status ${entry.status}`;
+    label.textContent = HISTORY_STATUS_LABELS[entry.status] || entry.status;
+    status.appendChild(label);
+    if (entry.error) {
+        const error = createHistoryDetail(entry.error);
+        error.classList.add('error');
+        status.appendChild(error);
+    }
+    row.appendChild(status);
+
+    const actions = document.createElement('td');
+    actions.className = 'history-actions';
+    actions.appendChild(createHistoryButton('resend', 'Resend', entry));
+    actions.appendChild(createHistoryButton('webui', 'WebUI', entry));
+    row.appendChild(actions);
+
+    return row;
+}
+
+function createHistoryDetail(text) {
+    const detail = document.createElement('div');
+    detail.className = 'history-detail';
+    detail.textContent = text;
+    detail.title = text;
+    return detail;
+}
+
+function createHistoryButton(command, label, entry) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary';
+    button.textContent = label;
+    button.dataset.historyCommand = command;
+    button.dataset.id = entry.id;
+    button.dataset.serverId = entry.serverId || '';
+    return button;
+}
+
+async function handleHistoryAction(event) {
+    const button = event.target.closest('button[data-history-command]');
+    if (!button) {return;}
+
+    const { historyCommand, id, serverId } = button.dataset;
+
+    try {
+        if (historyCommand === 'webui') {
+            const response = await chrome.runtime.sendMessage({ action: 'OPEN_WEBUI', serverId });
+            if (!response.success) {
+                showNotification('error', response.error || 'Failed to open the WebUI');
+            }
+            return;
+        }
+
+        button.disabled = true;
+        const response = await chrome.runtime.sendMessage({ action: 'RESEND_HISTORY_ITEM', id });
+        if (response.success) {
+            const { status, name } = response.result;
+            showNotification(status === 'added' ? 'success' : 'info',
+                `${HISTORY_STATUS_LABELS[status] || status}: ${name || 'Unknown'}`);
+        } else {
+            showNotification('error', `Resend failed: ${response.error}`);
+        }
+    } catch (error) {
+        showNotification('error', `Error: ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function exportHistory(format) {
+    const entries = getVisibleHistory();
+    const content = format === 'csv' ? SendHistory.toCsv(entries) : SendHistory.toJson(entries);
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `qbittorrent-send-history-${new Date().toISOString().split('T')[0]}.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showNotification('success', `Exported ${entries.length} entries`);
+}
+
+async function clearHistory() {
+    const userConfirmed = await showSecureConfirmDialog(
+        'Clear History',
+        'Remove every entry from the send history? Queued sends are not affected.',
+        'Clear History',
+        'Cancel'
+    );
+    if (!userConfirmed) {return;}
+
+    try {
+        await SendHistory.clear();
+        showNotification('success', 'History cleared');
+    } catch (error) {
+        console.error('Error clearing history:', error);
+        showNotification('error', `Failed to clear history: ${error.message}`);
+    }
+}
+
+function setupHistoryListeners() {
+    document.getElementById('history-search').addEventListener('input', renderHistory);
+    document.getElementById('history-status').addEventListener('change', renderHistory);
+    document.getElementById('history-server').addEventListener('change', renderHistory);
+    document.getElementById('history-list').addEventListener('click', handleHistoryAction);
+    document.getElementById('export-history-csv').addEventListener('click', () => exportHistory('csv'));
+    document.getElementById('export-history-json').addEventListener('click', () => exportHistory('json'));
+    document.getElementById('clear-history').addEventListener('click', clearHistory);
+
+    // Sends from other pages (and resends from this one) show up as they happen
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[SendHistory.STORAGE_KEY]) {
+            historyEntries = changes[SendHistory.STORAGE_KEY].newValue || [];
+            renderHistory();
+        }
+    });
+}
+
+// Export for the options page
+if (typeof window !== 'undefined') {
+    window.loadHistoryView = loadHistoryView;
+    window.setupHistoryListeners = setupHistoryListeners;
+}
@@ -1,6 +1,7 @@
 document.addEventListener('DOMContentLoaded', initializeOptions);
 
 let currentSettings = {};
+let selectedProfileId = null;
 
 async function initializeOptions() {
     await loadSettings();
@@ -14,11 +15,15 @@ async function loadSettings() {
         currentSettings = result;
 
         // Server settings
-        const server = result.server || {};
-        document.getElementById('server-url').value = server.url || 'http://localhost:8080';
-        document.getElementById('username').value = server.username || 'admin';
-        document.getElementById('password').value = server.password || '';
-        document.getElementById('use-https').checked = server.useHttps || false;
+        await loadServerProfiles();
+        await loadServerProfile(selectedProfileId);
+        await updatePermissionBanner();
+
+        // Send rules
+        await loadRuleEditor();
+
+        // Send history
+        await loadHistoryView();
 
         // Download options
         const options = result.options || {};
@@ -26,12 +31,17 @@ async function loadSettings() {
         document.getElementById('default-save-path').value = options.savePath || '';
         document.getElementById('start-paused').checked = options.paused || false;
         document.getElementById('skip-hash-check').checked = options.skipHashCheck || false;
+        document.getElementById('merge-duplicate-trackers').checked = options.mergeDuplicateTrackers || false;
+        document.getElementById('default-trackers').value = (options.defaultTrackers || []).join('\n');
 
         // Behavior settings
         document.getElementById('auto-download').checked = options.autoDownload !== false;
         document.getElementById('show-notifications').checked = options.showNotifications !== false;
         document.getElementById('show-indicators').checked = options.showIndicators !== false;
         document.getElementById('scan-dynamic-content').checked = options.scanDynamicContent !== false;
+        document.getElementById('scan-frames').checked = options.scanFrames === true;
+        document.getElementById('probe-download-links').checked = options.probeDownloadLinks === true;
+        document.getElementById('batch-confirm-threshold').value = options.batchConfirmThreshold ?? 20;
 
         // Site-specific settings
         const siteSettings = result.siteSettings || {};
@@ -43,6 +53,7 @@ async function loadSettings() {
         document.getElementById('connection-timeout').value = advanced.connectionTimeout || 30;
         document.getElementById('retry-attempts').value = advanced.retryAttempts || 3;
         document.getElementById('debug-logging').checked = advanced.debugLogging || false;
+        document.getElementById('history-retention').value = advanced.historyRetentionDays || 30;
 
     } catch (error) {
         console.error('Error loading settings:', error);
@@ -50,9 +61,160 @@ async function loadSettings() {
     }
 }
 
+async function loadServerProfiles() {
+    const profiles = await ServerProfileManager.listProfiles();
+    const defaultId = await ServerProfileManager.getDefaultProfileId();
+    const profileSelect = document.getElementById('server-profile');
+
+    while (profileSelect.firstChild) {
+        profileSelect.removeChild(profileSelect.firstChild);
+    }
+
+    profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.id === defaultId ? `${profile.name} (default)` : profile.name;
+        profileSelect.appendChild(option);
+    });
+
+    if (!profiles.some(profile => profile.id === selectedProfileId)) {
+        selectedProfileId = defaultId;
+    }
+    profileSelect.value = selectedProfileId || '';
+
+    document.getElementById('remove-profile').disabled = profiles.length < 2;
+    document.getElementById('set-default-profile').disabled = !selectedProfileId || selectedProfileId === defaultId;
+}
+
+async function loadServerProfile(profileId) {
+    const server = profileId ? await ServerProfileManager.getProfile(profileId) : {};
+
+    document.getElementById('profile-name').value = server.name || 'Default';
+    document.getElementById('server-url').value = server.url || 'http://localhost:8080';
+    document.getElementById('username').value = server.username || 'admin';
+    document.getElementById('password').value = server.password || '';
+    document.getElementById('use-https').checked = server.useHttps || false;
+    document.getElementById('custom-port').value = server.customPort || '';
+    document.getElementById('skip-login').checked = server.skipLogin || false;
+    document.getElementById('basic-auth-username').value = server.basicAuthUsername || '';
+    document.getElementById('basic-auth-password').value = server.basicAuthPassword || '';
+    document.getElementById('custom-headers').value = (server.customHeaders || [])
+        .map(header => `${header.name}: ${header.value}`)
+        .join('\n');
+    document.getElementById('profile-category').value = server.category || '';
+    document.getElementById('profile-save-path').value = server.savePath || '';
+}
+
+async function selectServerProfile(event) {
+    selectedProfileId = event.target.value;
+    await loadServerProfiles();
+    await loadServerProfile(selectedProfileId);
+    await loadServerCategories();
+}
+
+async function addServerProfile() {
+    try {
+        const profile = await ServerProfileManager.saveProfile({
+            name: 'New Server',
+            url: 'http://localhost:8080',
+            username: 'admin',
+            password: ''
+        });
+
+        selectedProfileId = profile.id;
+        await loadServerProfiles();
+        await loadServerProfile(selectedProfileId);
+        await updatePermissionBanner();
+        showNotification('info', 'Server added. Enter its details and save.');
+    } catch (error) {
+        console.error('Error adding server profile:', error);
+        showNotification('error', `Failed to add server: ${error.message}`);
+    }
+}
+
+async function removeServerProfile() {
+    const profileName = document.getElementById('profile-name').value;
+    const userConfirmed = await showSecureConfirmDialog(
+        'Remove Server',
+        `Remove the server profile "${InputValidator.sanitizeHtml(profileName)}" and its stored credentials?`,
+        'Remove Server',
+        'Cancel'
+    );
+
+    if (!userConfirmed) {
+        return;
+    }
+
+    try {
+        await ServerProfileManager.removeProfile(selectedProfileId);
+        chrome.runtime.sendMessage({ action: 'CLEAR_AUTH_CACHE', serverId: selectedProfileId });
+
+        selectedProfileId = null;
+        await loadServerProfiles();
+        await loadServerProfile(selectedProfileId);
+        await revokeUnusedPermissions();
+        showNotification('success', 'Server removed');
+    } catch (error) {
+        console.error('Error removing server profile:', error);
+        showNotification('error', `Failed to remove server: ${error.message}`);
+    }
+}
+
+async function setDefaultServerProfile() {
+    try {
+        await ServerProfileManager.setDefaultProfile(selectedProfileId);
+        await loadServerProfiles();
+        showNotification('success', 'Default server updated');
+    } catch (error) {
+        console.error('Error setting default server:', error);
+        showNotification('error', `Failed to set default server: ${error.message}`);
+    }
+}
+
+function getServerFormData() {
+    const customPort = document.getElementById('custom-port').value.trim();
+
+    return {
+        name: document.getElementById('profile-name').value.trim(),
+        url: document.getElementById('server-url').value.trim(),
+        username: document.getElementById('username').value.trim(),
+        password: document.getElementById('password').value,
+        useHttps: document.getElementById('use-https').checked,
+        customPort: customPort || undefined,
+        skipLogin: document.getElementById('skip-login').checked,
+        basicAuthUsername: document.getElementById('basic-auth-username').value.trim(),
+        basicAuthPassword: document.getElementById('basic-auth-password').value,
+        customHeaders: parseHeaderLines(document.getElementById('custom-headers').value),
+        category: document.getElementById('profile-category').value.trim(),
+        savePath: document.getElementById('profile-save-path').value.trim()
+    };
+}
+
+// "Name: value" per line; a line without a colon becomes a nameless header so validation reports it
+function parseHeaderLines(text) {
+    return text
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line)
+        .map(line => {
+            const separator = line.indexOf(':');
+            return separator === -1
+                ? { name: line, value: '' }
+                : { name: line.slice(0, separator).trim(), value: line.slice(separator + 1).trim() };
+        });
+}
+
+// Host access is needed for the URL requests go to, which HTTPS and the port can change
+function getServerFormBaseUrl() {
+    return ServerProfileManager.getBaseUrl(getServerFormData());
+}
+
 async function loadServerCategories() {
     try {
-        const response = await chrome.runtime.sendMessage({ action: 'GET_SERVER_INFO' });
+        const response = await chrome.runtime.sendMessage({
+            action: 'GET_SERVER_INFO',
+            serverId: selectedProfileId
+        });
 
         if (response.success && response.info.categories) {
             const categorySelect = document.getElementById('default-category');
@@ -93,6 +255,12 @@ async function loadServerCategories() {
 }
 
 function setupEventListeners() {
+    // Server profile management
+    document.getElementById('server-profile').addEventListener('change', selectServerProfile);
+    document.getElementById('add-profile').addEventListener('click', addServerProfile);
+    document.getElementById('remove-profile').addEventListener('click', removeServerProfile);
+    document.getElementById('set-default-profile').addEventListener('click', setDefaultServerProfile);
+
     // Test connection button
     document.getElementById('test-connection').addEventListener('click', testConnection);
 
@@ -113,11 +281,21 @@ function setupEventListeners() {
     // Import file handler
     document.getElementById('import-file').addEventListener('change', importSettings);
 
+    // Send rule editor
+    setupRuleEditorListeners();
+
+    // Host permission banner
+    setupPermissionListeners();
+
+    // Send history
+    setupHistoryListeners();
+
     // Auto-save on certain changes
-    ['server-url', 'username', 'password'].forEach(id => {
+    ['server-url', 'username', 'password', 'custom-port', 'use-https', 'skip-login',
+        'basic-auth-username', 'basic-auth-password', 'custom-headers'].forEach(id => {
         document.getElementById(id).addEventListener('change', () => {
             // Clear cached auth when server settings change
-            chrome.runtime.sendMessage({ action: 'CLEAR_AUTH_CACHE' });
+            chrome.runtime.sendMessage({ action: 'CLEAR_AUTH_CACHE', serverId: selectedProfileId });
         });
     });
 }
@@ -126,6 +304,9 @@ async function testConnection() {
     const button = document.getElementById('test-connection');
     const statusElement = document.getElementById('connection-status');
 
+    // Prompt for host access before anything else uses up the click's user gesture
+    await requestServerPermission(getServerFormBaseUrl());
+
     button.classList.add('loading');
     button.disabled = true;
     statusElement.textContent = 'Testing...';
@@ -134,10 +315,14 @@ async function testConnection() {
     try {
         // Save current server settings first
         await saveServerSettings();
+        await revokeUnusedPermissions();
 
-        const response = await chrome.runtime.sendMessage({ action: 'TEST_CONNECTION' });
+        const response = await chrome.runtime.sendMessage({
+            action: 'TEST_CONNECTION',
+            serverId: selectedProfileId
+        });
 
-        if (response.success && response.connected) {
+        if (response.success && response.connected && response.connected.connected) {
             statusElement.textContent = `Connected (qBittorrent ${response.connected.version})`;
             statusElement.className = 'status-indicator success';
             showNotification('success', 'Connection successful!');
@@ -160,50 +345,58 @@ async function testConnection() {
 }
 
 async function saveServerSettings() {
-    const serverSettings = {
-        url: document.getElementById('server-url').value.trim(),
-        username: document.getElementById('username').value.trim(),
-        password: document.getElementById('password').value,
-        useHttps: document.getElementById('use-https').checked
-    };
+    const validation = InputValidator.validateFormData({ server: getServerFormData() });
 
-    // Use secure storage if available
-    try {
-        if (typeof SecureStorageManager !== 'undefined') {
-            await SecureStorageManager.storeCredentials(serverSettings);
-        } else {
-            await chrome.storage.sync.set({ server: serverSettings });
-        }
-    } catch (error) {
-        console.error('Error saving server settings:', error);
-        // Fallback to regular storage
-        await chrome.storage.sync.set({ server: serverSettings });
+    if (!validation.isValid) {
+        throw new Error(validation.errors.join(', '));
     }
+
+    await saveServerProfile(validation.sanitizedData.server);
+}
+
+async function saveServerProfile(serverSettings) {
+    // Profiles keep credentials encrypted per server
+    const profile = await ServerProfileManager.saveProfile({
+        ...serverSettings,
+        id: selectedProfileId
+    });
+
+    // A freshly migrated or removed profile may have a new id
+    if (profile.id !== selectedProfileId) {
+        selectedProfileId = profile.id;
+    }
+    await loadServerProfiles();
 }
 
 async function saveSettings() {
     const button = document.getElementById('save-settings');
 
+    // Prompt for host access before anything else uses up the click's user gesture
+    await requestServerPermission(getServerFormBaseUrl());
+
     try {
         button.classList.add('loading');
         button.disabled = true;
 
         const formData = {
-            server: {
-                url: document.getElementById('server-url').value.trim(),
-                username: document.getElementById('username').value.trim(),
-                password: document.getElementById('password').value,
-                useHttps: document.getElementById('use-https').checked
-            },
+            server: getServerFormData(),
             options: {
                 category: document.getElementById('default-category').value,
                 savePath: document.getElementById('default-save-path').value.trim(),
                 paused: document.getElementById('start-paused').checked,
                 skipHashCheck: document.getElementById('skip-hash-check').checked,
+                mergeDuplicateTrackers: document.getElementById('merge-duplicate-trackers').checked,
+                defaultTrackers: document.getElementById('default-trackers').value
+                    .split('\n')
+                    .map(line => line.trim())
+                    .filter(line => line),
                 autoDownload: document.getElementById('auto-download').checked,
                 showNotifications: document.getElementById('show-notifications').checked,
                 showIndicators: document.getElementById('show-indicators').checked,
-                scanDynamicContent: document.getElementById('scan-dynamic-content').checked
+                scanDynamicContent: document.getElementById('scan-dynamic-content').checked,
+                scanFrames: document.getElementById('scan-frames').checked,
+                probeDownloadLinks: document.getElementById('probe-download-links').checked,
+                batchConfirmThreshold: parseInt(document.getElementById('batch-confirm-threshold').value)
             },
             siteSettings: {
                 whitelist: document.getElementById('whitelist').value
@@ -218,7 +411,8 @@ async function saveSettings() {
             advanced: {
                 connectionTimeout: parseInt(document.getElementById('connection-timeout').value),
                 retryAttempts: parseInt(document.getElementById('retry-attempts').value),
-                debugLogging: document.getElementById('debug-logging').checked
+                debugLogging: document.getElementById('debug-logging').checked,
+                historyRetentionDays: parseInt(document.getElementById('history-retention').value)
             }
         };
 
@@ -232,18 +426,14 @@ async function saveSettings() {
 
         const settings = validation.sanitizedData;
 
-        // Use secure storage for server credentials
+        // An invalid rule stops the save before anything is written
+        settings.rules = collectValidRules();
+
+        // Server credentials are stored encrypted in the selected profile
         if (settings.server) {
-            try {
-                if (typeof SecureStorageManager !== 'undefined') {
-                    await SecureStorageManager.storeCredentials(settings.server);
-                } else {
-                    await chrome.storage.sync.set({ server: settings.server });
-                }
-            } catch (error) {
-                console.error('Error saving server settings:', error);
-                await chrome.storage.sync.set({ server: settings.server });
-            }
+            await saveServerProfile(settings.server);
+            // A changed URL leaves the old origin unused
+            await revokeUnusedPermissions();
         }
 
         // Save other settings to sync storage
@@ -251,10 +441,14 @@ async function saveSettings() {
         if (settings.options) {syncSettings.options = settings.options;}
         if (settings.siteSettings) {syncSettings.siteSettings = settings.siteSettings;}
         if (settings.advanced) {syncSettings.advanced = settings.advanced;}
+        syncSettings[RuleEngine.STORAGE_KEY] = settings.rules;
 
         await chrome.storage.sync.set(syncSettings);
         currentSettings = { ...currentSettings, ...settings };
 
+        // A shorter retention applies right away
+        await SendHistory.cleanup();
+
         showNotification('success', 'Settings saved successfully!');
 
     } catch (error) {
@@ -280,7 +474,15 @@ async function resetSettings() {
     }
 
     try {
+        // Drop every profile's encrypted credentials before clearing the profile list
+        const profiles = await ServerProfileManager.listProfiles();
+        await chrome.storage.local.remove([
+            ServerProfileManager.STORAGE_KEYS.LEGACY_CREDENTIALS,
+            ...profiles.map(profile => ServerProfileManager.STORAGE_KEYS.CREDENTIALS_PREFIX + profile.id)
+        ]);
+
         await chrome.storage.sync.clear();
+        selectedProfileId = null;
 
         // Set default values
         const defaultSettings = {
@@ -295,10 +497,15 @@ async function resetSettings() {
                 savePath: '',
                 paused: false,
                 skipHashCheck: false,
+                mergeDuplicateTrackers: false,
                 autoDownload: true,
                 showNotifications: true,
                 showIndicators: true,
-                scanDynamicContent: true
+                scanDynamicContent: true,
+                scanFrames: false,
+                probeDownloadLinks: false,
+                batchConfirmThreshold: 20,
+                defaultTrackers: []
             },
             siteSettings: {
                 whitelist: [],
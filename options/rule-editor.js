@@ -0,0 +1,293 @@
+const BYTES_PER_MIB = 1024 * 1024;
+const PAUSED_CHOICES = [
+    { value: '', label: 'Keep default' },
+    { value: 'true', label: 'Start paused' },
+    { value: 'false', label: 'Start immediately' }
+];
+
+let ruleServerProfiles = [];
+
+async function loadRuleEditor() {
+    ruleServerProfiles = await ServerProfileManager.listProfiles();
+    const rules = await RuleEngine.loadRules();
+
+    const ruleList = document.getElementById('rule-list');
+    while (ruleList.firstChild) {
+        ruleList.removeChild(ruleList.firstChild);
+    }
+
+    rules.forEach(rule => ruleList.appendChild(createRuleCard(rule)));
+    updateRuleControls();
+}
+
+function createRuleCard(rule = {}) {
+    const conditions = rule.conditions || {};
+    const actions = rule.actions || {};
+
+    const card = document.createElement('div');
+    card.className = 'rule-card';
+    card.dataset.ruleId = rule.id || '';
+
+    const header = document.createElement('div');
+    header.className = 'rule-header';
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.className = 'rule-enabled';
+    enabled.checked = rule.enabled !== false;
+    enabled.title = 'Enabled';
+
+    const name = createRuleInput('rule-name', rule.name || '', 'Rule name');
+    name.maxLength = 50;
+
+    header.appendChild(enabled);
+    header.appendChild(name);
+    header.appendChild(createRuleButton('↑', 'Move up', () => moveRule(card, -1)));
+    header.appendChild(createRuleButton('↓', 'Move down', () => moveRule(card, 1)));
+    header.appendChild(createRuleButton('✕', 'Delete rule', () => {
+        card.remove();
+        updateRuleControls();
+    }));
+
+    const matchRow = createRuleRow('When', [
+        createRuleField('Site domain', createRuleInput('rule-domain', conditions.domain, 'example.org or *.example.org')),
+        createRuleField('Name or link text (regex)', createRuleInput('rule-pattern', conditions.pattern, 'ubuntu|debian')),
+        createRuleField('Min size (MiB)', createRuleInput('rule-min-size', formatRuleSize(conditions.minSize), '', 'number')),
+        createRuleField('Max size (MiB)', createRuleInput('rule-max-size', formatRuleSize(conditions.maxSize), '', 'number')),
+        createRuleField('Tracker host', createRuleInput('rule-tracker-host', conditions.trackerHost, 'tracker.example.org'))
+    ]);
+
+    const pausedSelect = document.createElement('select');
+    pausedSelect.className = 'rule-paused';
+    PAUSED_CHOICES.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        pausedSelect.appendChild(option);
+    });
+    pausedSelect.value = typeof actions.paused === 'boolean' ? String(actions.paused) : '';
+
+    const serverSelect = document.createElement('select');
+    serverSelect.className = 'rule-server';
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = 'Default server';
+    serverSelect.appendChild(defaultOption);
+    ruleServerProfiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        serverSelect.appendChild(option);
+    });
+    serverSelect.value = actions.serverId || '';
+    if (serverSelect.selectedIndex === -1) {
+        serverSelect.value = '';
+    }
+
+    const actionRow = createRuleRow('Then', [
+        createRuleField('Category', createRuleInput('rule-category', actions.category, '')),
+        createRuleField('Tags (comma separated)', createRuleInput('rule-tags', (actions.tags || []).join(', '), '')),
+        createRuleField('Save path', createRuleInput('rule-save-path', actions.savePath, '')),
+        createRuleField('Paused', pausedSelect),
+        createRuleField('Server', serverSelect)
+    ]);
+
+    card.appendChild(header);
+    card.appendChild(matchRow);
+    card.appendChild(actionRow);
+    return card;
+}
+
+function createRuleInput(className, value, placeholder, type = 'text') {
+    const input = document.createElement('input');
+    input.type = type;
+    input.className = className;
+    input.value = value === null || value === undefined ? '' : value;
+    input.placeholder = placeholder;
+    if (type === 'number') {
+        input.min = '0';
+        input.step = 'any';
+    }
+    return input;
+}
+
+function createRuleButton(text, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-secondary rule-button';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function createRuleField(labelText, control) {
+    const field = document.createElement('label');
+    field.className = 'rule-field';
+
+    const label = document.createElement('span');
+    label.textContent = labelText;
+
+    field.appendChild(label);
+    field.appendChild(control);
+    return field;
+}
+
+function createRuleRow(title, fields) {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+
+    const heading = document.createElement('span');
+    heading.className = 'rule-row-title';
+    heading.textContent = title;
+    row.appendChild(heading);
+
+    fields.forEach(field => row.appendChild(field));
+    return row;
+}
+
+function addRule() {
+    const card = createRuleCard();
+    document.getElementById('rule-list').appendChild(card);
+    card.querySelector('.rule-name').focus();
+    updateRuleControls();
+}
+
+function moveRule(card, direction) {
+    const ruleList = document.getElementById('rule-list');
+    if (direction < 0 && card.previousElementSibling) {
+        ruleList.insertBefore(card, card.previousElementSibling);
+    } else if (direction > 0 && card.nextElementSibling) {
+        ruleList.insertBefore(card.nextElementSibling, card);
+    }
+    updateRuleControls();
+}
+
+function updateRuleControls() {
+    const cards = document.querySelectorAll('#rule-list .rule-card');
+    document.getElementById('no-rules').classList.toggle('hidden', cards.length > 0);
+    document.getElementById('add-rule').disabled = cards.length >= RuleEngine.MAX_RULES;
+}
+
+/**
+ * Reads the editor into rule objects in display order; sizes are converted from MiB to bytes
+ * @returns {object[]} Unsanitized rules for RuleEngine.sanitizeRules
+ */
+function collectRules() {
+    return Array.from(document.querySelectorAll('#rule-list .rule-card')).map(card => {
+        const value = className => card.querySelector(`.${className}`).value.trim();
+        const paused = value('rule-paused');
+
+        return {
+            id: card.dataset.ruleId || undefined,
+            name: value('rule-name'),
+            enabled: card.querySelector('.rule-enabled').checked,
+            conditions: {
+                domain: value('rule-domain'),
+                pattern: value('rule-pattern'),
+                minSize: parseRuleSize(value('rule-min-size')),
+                maxSize: parseRuleSize(value('rule-max-size')),
+                trackerHost: value('rule-tracker-host')
+            },
+            actions: {
+                category: value('rule-category'),
+                tags: value('rule-tags'),
+                savePath: value('rule-save-path'),
+                paused: paused === '' ? null : paused === 'true',
+                serverId: value('rule-server') || null
+            }
+        };
+    });
+}
+
+/**
+ * Validates the editor's rules for saving with the other settings
+ * @returns {object[]} Sanitized rules in display order
+ * @throws {Error} When a rule is invalid, naming the rule position and problem
+ */
+function collectValidRules() {
+    const rules = RuleEngine.sanitizeRules(collectRules());
+
+    // Keep generated ids so later saves update the same rules
+    document.querySelectorAll('#rule-list .rule-card').forEach((card, index) => {
+        card.dataset.ruleId = rules[index].id;
+    });
+    return rules;
+}
+
+function readRuleTestContext() {
+    const url = document.getElementById('rule-test-url').value.trim();
+    const context = {
+        pageUrl: '',
+        linkText: document.getElementById('rule-test-name').value.trim(),
+        name: '',
+        size: parseRuleSize(document.getElementById('rule-test-size').value.trim()),
+        trackers: []
+    };
+
+    // A magnet supplies the name and trackers; any other URL stands in for the page the link is on
+    if (url.startsWith('magnet:')) {
+        const params = new URLSearchParams(url.substring(url.indexOf('?') + 1));
+        context.name = params.get('dn') || '';
+        context.trackers = params.getAll('tr');
+    } else {
+        context.pageUrl = url;
+    }
+    return context;
+}
+
+function testRules() {
+    const result = document.getElementById('rule-test-result');
+    const context = readRuleTestContext();
+
+    let rules;
+    try {
+        rules = RuleEngine.sanitizeRules(collectRules());
+    } catch (error) {
+        result.textContent = error.message;
+        result.className = 'status-indicator error';
+        return;
+    }
+
+    const match = RuleEngine.evaluate(rules, context);
+    if (!match) {
+        result.textContent = 'No rule matches; the default options are used';
+        result.className = 'status-indicator loading';
+        return;
+    }
+
+    const { category, tags, savePath, paused, serverId } = match.actions;
+    const server = ruleServerProfiles.find(profile => profile.id === serverId);
+    const applied = [
+        category && `category "${category}"`,
+        tags.length > 0 && `tags ${tags.join(', ')}`,
+        savePath && `save path ${savePath}`,
+        paused !== null && (paused ? 'paused' : 'started'),
+        server && `server ${server.name}`
+    ].filter(Boolean);
+
+    result.textContent = `Matches "${match.rule.name}": ${applied.join('; ')}`;
+    result.className = 'status-indicator success';
+}
+
+function parseRuleSize(value) {
+    if (value === '') {return null;}
+    const size = Number(value);
+    return Number.isFinite(size) ? Math.round(size * BYTES_PER_MIB) : NaN;
+}
+
+function formatRuleSize(bytes) {
+    return typeof bytes === 'number' ? String(Math.round((bytes / BYTES_PER_MIB) * 100) / 100) : '';
+}
+
+function setupRuleEditorListeners() {
+    document.getElementById('add-rule').addEventListener('click', addRule);
+    document.getElementById('test-rules').addEventListener('click', testRules);
+}
+
+// Export for the options page
+if (typeof window !== 'undefined') {
+    window.loadRuleEditor = loadRuleEditor;
+    window.collectValidRules = collectValidRules;
+    window.setupRuleEditorListeners = setupRuleEditorListeners;
+}
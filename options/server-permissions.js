@@ -0,0 +1,77 @@
+// Host access to the configured servers: requested when a server is saved or tested,
+// shown as a banner while any server lacks it, and revoked for origins no profile uses.
+
+// Server URLs as of the last banner update, so the grant button can prompt without awaiting storage first
+let profileUrls = [];
+
+async function getProfileUrls() {
+    const profiles = await ServerProfileManager.listProfiles();
+    // HTTPS and custom ports change the origin, so ask for the one requests actually go to
+    return profiles.map(profile => ServerProfileManager.getBaseUrl(profile)).filter(Boolean);
+}
+
+// Must be the first await in a click handler so the prompt still has the user gesture
+async function requestServerPermission(url) {
+    try {
+        return await HostPermissions.request([url]);
+    } catch (error) {
+        console.error('Error requesting host permission:', error);
+        return false;
+    }
+}
+
+async function updatePermissionBanner() {
+    const banner = document.getElementById('permission-banner');
+
+    try {
+        profileUrls = await getProfileUrls();
+        const missing = await HostPermissions.findMissing(profileUrls);
+        const hosts = missing.map(pattern => pattern.replace(/\/\*$/, ''));
+
+        document.getElementById('permission-banner-text').textContent =
+            `The extension has no access to ${hosts.join(', ')}, so it cannot reach ${missing.length === 1 ? 'this server' : 'these servers'}.`;
+        banner.classList.toggle('hidden', missing.length === 0);
+    } catch (error) {
+        console.error('Error checking host permissions:', error);
+        banner.classList.add('hidden');
+    }
+}
+
+async function grantMissingPermissions() {
+    try {
+        // Requests every server at once; granted origins do not prompt again
+        const granted = await HostPermissions.request(profileUrls);
+        if (!granted) {
+            showNotification('error', 'Access was not granted');
+        }
+    } catch (error) {
+        console.error('Error requesting host permissions:', error);
+        showNotification('error', `Failed to request access: ${error.message}`);
+    }
+    await updatePermissionBanner();
+}
+
+async function revokeUnusedPermissions() {
+    try {
+        await HostPermissions.revokeUnused(await getProfileUrls());
+    } catch (error) {
+        console.error('Error revoking host permissions:', error);
+    }
+    await updatePermissionBanner();
+}
+
+function setupPermissionListeners() {
+    document.getElementById('grant-permission').addEventListener('click', grantMissingPermissions);
+
+    // Access can also be changed from the browser's extension settings
+    chrome.permissions.onAdded.addListener(updatePermissionBanner);
+    chrome.permissions.onRemoved.addListener(updatePermissionBanner);
+}
+
+// Export for the options page
+if (typeof window !== 'undefined') {
+    window.requestServerPermission = requestServerPermission;
+    window.updatePermissionBanner = updatePermissionBanner;
+    window.revokeUnusedPermissions = revokeUnusedPermissions;
+    window.setupPermissionListeners = setupPermissionListeners;
+}
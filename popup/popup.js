@@ -1,20 +1,89 @@
 document.addEventListener('DOMContentLoaded', initializePopup);
 
+const TORRENT_REFRESH_INTERVAL = 5000;
+const INFINITE_ETA = 8640000; // qBittorrent reports this when no ETA is available
+const POPUP_HISTORY_LIMIT = 10;
+const DELETE_CONFIRM_TIMEOUT = 3000;
+
+const SEND_STATUS_LABELS = {
+  added: 'Added',
+  duplicate: 'Duplicate',
+  queued: 'Queued',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+const TORRENT_STATE_LABELS = {
+  error: 'Error',
+  missingFiles: 'Missing files',
+  uploading: 'Seeding',
+  forcedUP: 'Seeding',
+  stalledUP: 'Seeding',
+  queuedUP: 'Queued',
+  queuedDL: 'Queued',
+  pausedUP: 'Completed',
+  stoppedUP: 'Completed',
+  pausedDL: 'Paused',
+  stoppedDL: 'Paused',
+  downloading: 'Downloading',
+  forcedDL: 'Downloading',
+  metaDL: 'Fetching metadata',
+  forcedMetaDL: 'Fetching metadata',
+  stalledDL: 'Stalled',
+  checkingUP: 'Checking',
+  checkingDL: 'Checking',
+  checkingResumeData: 'Checking',
+  allocating: 'Allocating',
+  moving: 'Moving'
+};
+
+let torrentRefreshTimer = null;
+// Torrent waiting for the second click on Delete; it outlives list refreshes but not the timeout
+let deleteConfirmHash = null;
+let deleteConfirmTimer = null;
+let batchPort = null;
+let batchCounts = null;
+let defaultServerId = null;
+let pageFeeds = [];
+let probeOrigins = [];
+let subscribedFeedUrls = new Set();
+
 async function initializePopup() {
+  // Listeners first, so the popup responds while a slow server is still being checked
+  setupEventListeners();
+
   // Load current settings
   await loadSettings();
 
-  // Check connection status
-  await checkConnectionStatus();
+  // Load server profiles for the target picker; the server requests below go to the selected one
+  await loadServerProfiles();
 
-  // Get torrent count from current page
-  await updateTorrentCount();
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.send_queue) {
+      refreshPendingSends();
+    }
+    if (areaName === 'local' && changes.send_history) {
+      refreshSendHistory();
+    }
+  });
 
-  // Load categories
-  await loadCategories();
+  // Keep the torrent list live while the popup is open
+  torrentRefreshTimer = setInterval(refreshTorrentList, TORRENT_REFRESH_INTERVAL);
+  window.addEventListener('unload', () => clearInterval(torrentRefreshTimer));
 
-  // Setup event listeners
-  setupEventListeners();
+  // Each section loads on its own, so an unreachable server only leaves its own sections waiting
+  await Promise.allSettled([
+    checkConnectionStatus(),
+    // Show whether the extension runs on the current site
+    loadSiteStatus(),
+    // Torrents and feeds on the current page, then the reader folders to subscribe feeds into
+    updateTorrentCount().then(loadRssFolders),
+    loadCategories(),
+    // Sends waiting for the server and recent sends, kept current through storage changes
+    refreshPendingSends(),
+    refreshSendHistory(),
+    refreshTorrentList()
+  ]);
 }
 
 async function loadSettings() {
@@ -29,17 +98,73 @@ async function loadSettings() {
   }
 }
 
+async function loadServerProfiles() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_SERVER_PROFILES' });
+    const serverGroup = document.getElementById('server-group');
+    const serverSelect = document.getElementById('server-select');
+
+    if (!response.success || response.profiles.length === 0) {
+      serverGroup.classList.add('hidden');
+      return;
+    }
+
+    while (serverSelect.firstChild) {
+      serverSelect.removeChild(serverSelect.firstChild);
+    }
+
+    response.profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      serverSelect.appendChild(option);
+    });
+
+    serverSelect.value = response.defaultServerId;
+    ({ defaultServerId } = response);
+
+    // A single server needs no picker
+    serverGroup.classList.toggle('hidden', response.profiles.length < 2);
+  } catch (error) {
+    console.error('Error loading server profiles:', error);
+  }
+}
+
+function getSelectedServerId() {
+  return document.getElementById('server-select').value || null;
+}
+
 async function checkConnectionStatus() {
   const statusElement = document.getElementById('connection-status');
   statusElement.textContent = 'Checking...';
   statusElement.className = 'status-value checking';
 
   try {
-    const response = await chrome.runtime.sendMessage({ action: 'TEST_CONNECTION' });
+    const response = await chrome.runtime.sendMessage({
+      action: 'TEST_CONNECTION',
+      serverId: getSelectedServerId()
+    });
+
+    statusElement.title = '';
+    // Host access is granted from the options page, where the permission prompt can be shown
+    const missingPermission = Boolean(response.success && response.connected && response.connected.missingPermission);
+    document.getElementById('permission-banner').classList.toggle('hidden', !missingPermission);
+    if (missingPermission) {
+      document.getElementById('permission-banner-text').textContent = `${response.connected.error} `;
+    }
 
-    if (response.success && response.connected) {
+    if (response.success && response.connected && response.connected.connected) {
       statusElement.textContent = 'Connected';
       statusElement.className = 'status-value connected';
+    } else if (response.success && response.connected && response.connected.banned) {
+      // Retrying would only extend the ban, so say why nothing works
+      statusElement.textContent = 'IP banned';
+      statusElement.title = response.connected.error;
+      statusElement.className = 'status-value disconnected';
+      showNotification('error', response.connected.error);
+    } else if (missingPermission) {
+      statusElement.textContent = 'No access';
+      statusElement.className = 'status-value disconnected';
     } else {
       statusElement.textContent = 'Disconnected';
       statusElement.className = 'status-value disconnected';
@@ -54,23 +179,228 @@ async function checkConnectionStatus() {
 async function updateTorrentCount() {
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    const response = await chrome.tabs.sendMessage(tab.id, { action: 'GET_ALL_TORRENTS' });
+    const response = await chrome.runtime.sendMessage({ action: 'GET_PAGE_TORRENTS', tabId: tab.id });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
 
     const count = response.torrents ? response.torrents.length : 0;
     document.getElementById('torrent-count').textContent = count;
 
     const sendAllBtn = document.getElementById('send-all-btn');
     sendAllBtn.disabled = count === 0;
-    sendAllBtn.textContent = count > 0 ? `Send ${count} Torrent${count > 1 ? 's' : ''}` : 'No Torrents Found';
+    document.getElementById('pick-torrents-btn').disabled = count === 0;
+    if (response.blocked) {
+      sendAllBtn.textContent = 'Disabled on This Site';
+    } else {
+      sendAllBtn.textContent = count > 0 ? `Send ${count} Torrent${count > 1 ? 's' : ''}` : 'No Torrents Found';
+    }
+    renderPageFeeds(response.feeds || []);
+    renderProbeAccess(response.probeOrigins || []);
   } catch (error) {
     console.error('Error getting torrent count:', error);
     document.getElementById('torrent-count').textContent = '0';
+    renderPageFeeds([]);
+  }
+}
+
+// Download links that need a check are only probed on sites the user has allowed
+function renderProbeAccess(origins) {
+  probeOrigins = origins;
+  document.getElementById('probe-access-banner').classList.toggle('hidden', origins.length === 0);
+  if (origins.length > 0) {
+    const sites = origins.map(pattern => new URL(pattern).hostname).join(', ');
+    document.getElementById('probe-access-text').textContent =
+      `Allow access to ${sites} to check its download links for torrents. `;
+  }
+}
+
+async function grantProbeAccess() {
+  try {
+    // Requested before any other await, which could use up the click's user gesture
+    const granted = await chrome.permissions.request({ origins: probeOrigins });
+    if (!granted) {return;}
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    await chrome.tabs.sendMessage(tab.id, { action: 'RESCAN_PAGE' });
+    renderProbeAccess([]);
+    showNotification('info', 'Checking download links; the badge counts them once confirmed');
+  } catch (error) {
+    console.error('Failed to grant access:', error);
+    showNotification('error', 'Failed to grant access');
+  }
+}
+
+function renderPageFeeds(feeds) {
+  pageFeeds = feeds;
+  document.getElementById('rss-section').classList.toggle('hidden', feeds.length === 0);
+  document.getElementById('rss-title').textContent = `Feeds on Page (${feeds.length})`;
+
+  const feedSelect = document.getElementById('rss-feed-select');
+  const currentFeed = feedSelect.value;
+  while (feedSelect.firstChild) {
+    feedSelect.removeChild(feedSelect.firstChild);
+  }
+
+  feeds.forEach(feed => {
+    const option = document.createElement('option');
+    option.value = feed.url;
+    option.title = feed.url;
+    option.textContent = subscribedFeedUrls.has(feed.url) ? `${feed.title} (subscribed)` : feed.title;
+    feedSelect.appendChild(option);
+  });
+  if (feeds.some(feed => feed.url === currentFeed)) {
+    feedSelect.value = currentFeed;
+  }
+
+  updateFeedSelection();
+}
+
+function getSelectedFeed() {
+  const url = document.getElementById('rss-feed-select').value;
+  return pageFeeds.find(feed => feed.url === url) || null;
+}
+
+function updateFeedSelection() {
+  const feed = getSelectedFeed();
+  const subscribed = Boolean(feed && subscribedFeedUrls.has(feed.url));
+  const subscribeBtn = document.getElementById('rss-subscribe-btn');
+
+  subscribeBtn.disabled = !feed || subscribed;
+  subscribeBtn.textContent = subscribed ? 'Already Subscribed' : 'Subscribe in qBittorrent';
+  // An empty rule name takes the feed's title
+  document.getElementById('rss-rule-name').placeholder = feed ? feed.title : '';
+}
+
+async function loadRssFolders() {
+  if (pageFeeds.length === 0) {return;}
+
+  // Folders and subscriptions belong to the selected server
+  const folderSelect = document.getElementById('rss-folder-select');
+  const currentFolder = folderSelect.value;
+  while (folderSelect.options.length > 1) {
+    folderSelect.remove(1);
+  }
+  subscribedFeedUrls = new Set();
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'GET_RSS_FOLDERS',
+      serverId: getSelectedServerId()
+    });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    response.folders.forEach(folder => {
+      const option = document.createElement('option');
+      option.value = folder;
+      // qBittorrent separates folder names with backslashes
+      option.textContent = folder.split('\\').join(' / ');
+      option.selected = folder === currentFolder;
+      folderSelect.appendChild(option);
+    });
+
+    subscribedFeedUrls = new Set(response.feedUrls);
+  } catch (error) {
+    console.error('Error loading RSS folders:', error);
+  }
+  renderPageFeeds(pageFeeds);
+}
+
+function getRssRule(feed) {
+  return {
+    name: document.getElementById('rss-rule-name').value.trim() || feed.title,
+    mustContain: document.getElementById('rss-must-contain').value,
+    mustNotContain: document.getElementById('rss-must-not-contain').value,
+    useRegex: document.getElementById('rss-use-regex').checked,
+    episodeFilter: document.getElementById('rss-episode-filter').value,
+    category: document.getElementById('rss-rule-category').value,
+    savePath: document.getElementById('rss-rule-save-path').value
+  };
+}
+
+async function subscribeToPageFeed() {
+  const feed = getSelectedFeed();
+  if (!feed) {return;}
+
+  const subscribeBtn = document.getElementById('rss-subscribe-btn');
+  subscribeBtn.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'SUBSCRIBE_RSS_FEED',
+      serverId: getSelectedServerId(),
+      url: feed.url,
+      title: feed.title,
+      folder: document.getElementById('rss-folder-select').value,
+      rule: document.getElementById('rss-rule-checkbox').checked ? getRssRule(feed) : null
+    });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    subscribedFeedUrls.add(feed.url);
+    renderPageFeeds(pageFeeds);
+    showNotification('success', response.ruleName
+      ? `Subscribed with rule "${response.ruleName}"`
+      : `Subscribed to ${feed.title}`);
+  } catch (error) {
+    updateFeedSelection();
+    showNotification('error', `Error: ${error.message}`);
+  }
+}
+
+async function loadSiteStatus() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const result = await chrome.storage.sync.get(['siteSettings']);
+    const status = SiteFilter.getSiteStatus(tab.url, result.siteSettings);
+
+    // Browser pages and local files have no site to toggle
+    document.getElementById('site-status-item').classList.toggle('hidden', !status.hostname);
+    document.getElementById('site-enabled-checkbox').checked = status.allowed;
+
+    const statusElement = document.getElementById('site-status');
+    statusElement.title = status.hostname;
+    if (status.allowed) {
+      statusElement.textContent = 'Enabled';
+      statusElement.className = 'status-value connected';
+    } else {
+      statusElement.textContent = status.blockedBy === 'whitelist' ? 'Not whitelisted' : 'Disabled';
+      statusElement.className = 'status-value disconnected';
+    }
+  } catch (error) {
+    console.error('Error loading site status:', error);
+  }
+}
+
+async function toggleSite(event) {
+  const enabled = event.target.checked;
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    await SiteFilter.setSiteEnabled(tab.url, enabled);
+
+    // The content script re-reads the lists before rescanning, so the count below is current
+    await chrome.tabs.sendMessage(tab.id, { action: 'RESCAN_PAGE' })
+      .catch(error => console.error('Failed to rescan page:', error));
+
+    await loadSiteStatus();
+    await updateTorrentCount();
+    showNotification('info', `${enabled ? 'Enabled' : 'Disabled'} on ${new URL(tab.url).hostname}`);
+  } catch (error) {
+    document.getElementById('site-enabled-checkbox').checked = !enabled;
+    showNotification('error', `Error: ${error.message}`);
   }
 }
 
 async function loadCategories() {
   try {
-    const response = await chrome.runtime.sendMessage({ action: 'GET_SERVER_INFO' });
+    const response = await chrome.runtime.sendMessage({
+      action: 'GET_SERVER_INFO',
+      serverId: getSelectedServerId()
+    });
 
     if (response.success && response.info.categories) {
       const categorySelect = document.getElementById('category-select');
@@ -87,6 +417,16 @@ async function loadCategories() {
       categorySelect.appendChild(defaultOption);
 
       // Add categories from server with input validation
+      const categoryFilter = document.getElementById('torrent-category-filter');
+      const currentFilter = categoryFilter.value;
+      while (categoryFilter.options.length > 1) {
+        categoryFilter.remove(1);
+      }
+      const ruleCategory = document.getElementById('rss-rule-category');
+      while (ruleCategory.options.length > 1) {
+        ruleCategory.remove(1);
+      }
+
       Object.keys(response.info.categories).forEach(category => {
         // Sanitize category name to prevent XSS
         const sanitizedCategory = typeof InputValidator !== 'undefined'
@@ -98,8 +438,15 @@ async function loadCategories() {
           option.value = sanitizedCategory;
           option.textContent = sanitizedCategory;
           categorySelect.appendChild(option);
+          categoryFilter.appendChild(option.cloneNode(true));
+          ruleCategory.appendChild(option.cloneNode(true));
         }
       });
+
+      categoryFilter.value = currentFilter;
+      if (categoryFilter.selectedIndex === -1) {
+        categoryFilter.value = '*';
+      }
     }
   } catch (error) {
     console.error('Error loading categories:', error);
@@ -108,31 +455,9 @@ async function loadCategories() {
 
 function setupEventListeners() {
   // Send all torrents button
-  document.getElementById('send-all-btn').addEventListener('click', async () => {
-    try {
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      const response = await chrome.tabs.sendMessage(tab.id, { action: 'GET_ALL_TORRENTS' });
-
-      if (response.torrents && response.torrents.length > 0) {
-        const options = getCurrentOptions();
-
-        const result = await chrome.runtime.sendMessage({
-          action: 'SEND_MULTIPLE',
-          urls: response.torrents,
-          options
-        });
-
-        if (result.success) {
-          const successCount = result.results.filter(r => r.success).length;
-          showNotification('success', `Sent ${successCount}/${result.results.length} torrents`);
-        } else {
-          showNotification('error', 'Failed to send torrents');
-        }
-      }
-    } catch (error) {
-      showNotification('error', `Error: ${error.message}`);
-    }
-  });
+  document.getElementById('send-all-btn').addEventListener('click', sendAllTorrents);
+  document.getElementById('pick-torrents-btn').addEventListener('click', chooseTorrents);
+  document.getElementById('batch-cancel-btn').addEventListener('click', cancelBatch);
 
   // Refresh button
   document.getElementById('refresh-btn').addEventListener('click', async () => {
@@ -140,6 +465,7 @@ function setupEventListeners() {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       await chrome.tabs.sendMessage(tab.id, { action: 'RESCAN_PAGE' });
       await updateTorrentCount();
+      await loadRssFolders();
       showNotification('info', 'Page rescanned');
     } catch (error) {
       console.error('Failed to refresh:', error);
@@ -154,15 +480,59 @@ function setupEventListeners() {
 
     if (statusElement.classList.contains('connected')) {
       showNotification('success', 'Connection successful');
-    } else {
+    } else if (statusElement.textContent !== 'IP banned') {
+      // A ban already shows its own explanation
       showNotification('error', 'Connection failed');
     }
   });
 
+  // Page feeds
+  document.getElementById('rss-feed-select').addEventListener('change', updateFeedSelection);
+  document.getElementById('rss-rule-checkbox').addEventListener('change', event => {
+    document.getElementById('rss-rule-editor').classList.toggle('hidden', !event.target.checked);
+  });
+  document.getElementById('rss-subscribe-btn').addEventListener('click', subscribeToPageFeed);
+
+  // Per-site toggle
+  document.getElementById('site-enabled-checkbox').addEventListener('change', toggleSite);
+
   // Options button
   document.getElementById('options-btn').addEventListener('click', () => {
     chrome.runtime.openOptionsPage();
   });
+  document.getElementById('grant-permission-btn').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+  document.getElementById('grant-probe-access-btn').addEventListener('click', grantProbeAccess);
+
+  // Switching the target server refreshes its status, categories and torrents
+  document.getElementById('server-select').addEventListener('change', async () => {
+    await Promise.allSettled([checkConnectionStatus(), loadCategories(), loadRssFolders(), refreshTorrentList()]);
+  });
+
+  // Torrent list filters
+  document.getElementById('torrent-filter').addEventListener('change', refreshTorrentList);
+  document.getElementById('torrent-category-filter').addEventListener('change', refreshTorrentList);
+
+  // Torrent actions (delegated so re-rendering the list keeps them working)
+  document.getElementById('torrent-list').addEventListener('click', handleTorrentAction);
+
+  // Pending sends
+  document.getElementById('pending-list').addEventListener('click', handlePendingAction);
+  document.getElementById('retry-all-pending-btn').addEventListener('click', () => retryPendingSends(null));
+
+  // Send history
+  document.getElementById('history-search').addEventListener('input', refreshSendHistory);
+  document.getElementById('history-status-filter').addEventListener('change', refreshSendHistory);
+  document.getElementById('history-list').addEventListener('click', handleHistoryAction);
+  document.getElementById('view-history-btn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('options/options.html#history') });
+  });
+
+  // Searches run on the server through qBittorrent's search plugins, in a page of their own
+  document.getElementById('search-btn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('search/search.html') });
+  });
 
   // Save settings when changed
   document.getElementById('save-path-input').addEventListener('change', saveCurrentOptions);
@@ -170,16 +540,526 @@ function setupEventListeners() {
   document.getElementById('category-select').addEventListener('change', saveCurrentOptions);
 }
 
+async function sendAllTorrents() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.runtime.sendMessage({ action: 'GET_PAGE_TORRENTS', tabId: tab.id });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    if (!response.torrents || response.torrents.length === 0) {return;}
+
+    const options = { ...getCurrentOptions(), source: { pageUrl: response.pageUrl } };
+    startBatch(response.torrents, options, response.linkTexts);
+  } catch (error) {
+    showNotification('error', `Error: ${error.message}`);
+  }
+}
+
+// The picker overlay on the page sends the chosen links itself, with the options shown here now
+async function chooseTorrents() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.runtime.sendMessage({
+      action: 'OPEN_LINK_PICKER',
+      tabId: tab.id,
+      options: getCurrentOptions()
+    });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    window.close();
+  } catch (error) {
+    showNotification('error', `Error: ${error.message}`);
+  }
+}
+
+// The batch runs in the service worker and reports each finished item over the port
+function startBatch(urls, options, linkTexts) {
+  batchCounts = { added: 0, duplicate: 0, queued: 0, cancelled: 0, failed: 0 };
+
+  document.getElementById('send-all-btn').disabled = true;
+  const cancelButton = document.getElementById('batch-cancel-btn');
+  cancelButton.disabled = false;
+  cancelButton.textContent = 'Cancel';
+  cancelButton.classList.remove('hidden');
+  document.getElementById('batch-progress').classList.remove('hidden');
+  updateBatchProgress(0, urls.length, '');
+
+  batchPort = chrome.runtime.connect({ name: 'send-batch' });
+  batchPort.onMessage.addListener(handleBatchMessage);
+  batchPort.onDisconnect.addListener(() => {
+    // Only reached when the service worker side goes away before reporting the result
+    if (batchPort) {
+      batchPort = null;
+      finishBatch();
+      showNotification('error', 'Batch send was interrupted');
+    }
+  });
+  batchPort.postMessage({ action: 'START', urls, options, linkTexts });
+}
+
+function handleBatchMessage(message) {
+  if (message.type === 'progress') {
+    batchCounts[message.status] = (batchCounts[message.status] || 0) + 1;
+    const label = message.error ? `${message.status}: ${message.error}` : message.status;
+    updateBatchProgress(message.completed, message.total, `${message.name || message.url} — ${label}`);
+  } else if (message.type === 'done') {
+    const { summary } = message;
+    finishBatch();
+    showNotification(summary.failed > 0 ? 'error' : 'success', formatBatchCounts(summary));
+    refreshTorrentList();
+  } else if (message.type === 'error') {
+    finishBatch();
+    showNotification('error', `Error: ${message.error}`);
+  }
+}
+
+function updateBatchProgress(completed, total, current) {
+  document.getElementById('batch-progress-bar').style.width = `${total > 0 ? Math.round(completed / total * 100) : 0}%`;
+  document.getElementById('batch-progress-text').textContent = `${completed} / ${total} · ${formatBatchCounts(batchCounts)}`;
+  document.getElementById('batch-progress-current').textContent = current;
+}
+
+function formatBatchCounts(counts) {
+  // Outcomes that did not occur are left out, except the ones every batch reports
+  return ['added', 'duplicate', 'queued', 'cancelled', 'failed']
+    .filter(status => counts[status] > 0 || ['added', 'failed'].includes(status))
+    .map(status => `${counts[status]} ${status}`)
+    .join(', ');
+}
+
+function cancelBatch() {
+  if (!batchPort) {return;}
+
+  // Items already sent stay on the server; in-flight requests are aborted
+  batchPort.postMessage({ action: 'CANCEL' });
+  const cancelButton = document.getElementById('batch-cancel-btn');
+  cancelButton.disabled = true;
+  cancelButton.textContent = 'Cancelling...';
+}
+
+function finishBatch() {
+  if (batchPort) {
+    batchPort.disconnect();
+    batchPort = null;
+  }
+  document.getElementById('batch-cancel-btn').classList.add('hidden');
+  document.getElementById('send-all-btn').disabled = false;
+}
+
+async function refreshTorrentList() {
+  const categoryFilter = document.getElementById('torrent-category-filter').value;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'GET_TORRENTS',
+      filter: document.getElementById('torrent-filter').value,
+      category: categoryFilter === '*' ? null : categoryFilter,
+      serverId: getSelectedServerId()
+    });
+
+    if (response.success) {
+      renderTorrentList(response.torrents);
+    }
+  } catch (error) {
+    console.error('Error loading torrents:', error);
+  }
+}
+
+function renderTorrentList(torrents) {
+  const list = document.getElementById('torrent-list');
+
+  while (list.firstChild) {
+    list.removeChild(list.firstChild);
+  }
+
+  torrents.forEach(torrent => {
+    list.appendChild(createTorrentItem(torrent, deleteConfirmHash));
+  });
+
+  document.getElementById('torrent-list-empty').classList.toggle('hidden', torrents.length > 0);
+}
+
+function createTorrentItem(torrent, confirmingHash) {
+  const item = document.createElement('li');
+  item.className = 'torrent-item';
+
+  const name = document.createElement('div');
+  name.className = 'torrent-name';
+  name.textContent = torrent.name;
+  name.title = torrent.name;
+  item.appendChild(name);
+
+  const progress = document.createElement('div');
+  progress.className = 'torrent-progress';
+  const progressBar = document.createElement('div');
+  progressBar.className = torrent.progress >= 1 ? 'torrent-progress-bar complete' : 'torrent-progress-bar';
+  progressBar.style.width = `${Math.round(torrent.progress * 100)}%`;
+  progress.appendChild(progressBar);
+  item.appendChild(progress);
+
+  const stateMeta = document.createElement('div');
+  stateMeta.className = 'torrent-meta';
+  appendMeta(stateMeta, `${(torrent.progress * 100).toFixed(1)}% · ${TORRENT_STATE_LABELS[torrent.state] || torrent.state}`);
+  appendMeta(stateMeta, `ETA ${formatEta(torrent.eta)}`);
+  item.appendChild(stateMeta);
+
+  const transferMeta = document.createElement('div');
+  transferMeta.className = 'torrent-meta';
+  appendMeta(transferMeta, `↓ ${formatSpeed(torrent.dlspeed)} ↑ ${formatSpeed(torrent.upspeed)}`);
+  appendMeta(transferMeta, `Ratio ${torrent.ratio.toFixed(2)}`);
+  item.appendChild(transferMeta);
+
+  const isPaused = /^(paused|stopped)/.test(torrent.state);
+  const actions = document.createElement('div');
+  actions.className = 'torrent-actions';
+  actions.appendChild(createTorrentActionButton(isPaused ? 'resume' : 'pause', isPaused ? 'Resume' : 'Pause', torrent.hash));
+  actions.appendChild(createTorrentActionButton('recheck', 'Recheck', torrent.hash));
+
+  const deleteButton = createTorrentActionButton('delete', 'Delete', torrent.hash);
+  deleteButton.classList.add('danger');
+  if (torrent.hash === confirmingHash) {
+    deleteButton.classList.add('confirming');
+    deleteButton.textContent = 'Confirm';
+  }
+  actions.appendChild(deleteButton);
+  item.appendChild(actions);
+
+  return item;
+}
+
+function appendMeta(container, text) {
+  const span = document.createElement('span');
+  span.textContent = text;
+  container.appendChild(span);
+}
+
+function createTorrentActionButton(command, label, hash) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.dataset.command = command;
+  button.dataset.hash = hash;
+  return button;
+}
+
+async function handleTorrentAction(event) {
+  const button = event.target.closest('button[data-command]');
+  if (!button) {return;}
+
+  const { command, hash } = button.dataset;
+
+  // Deleting needs a second click; files on disk are always kept
+  if (command === 'delete' && hash !== deleteConfirmHash) {
+    cancelDeleteConfirmation();
+    deleteConfirmHash = hash;
+    button.classList.add('confirming');
+    button.textContent = 'Confirm';
+    deleteConfirmTimer = setTimeout(cancelDeleteConfirmation, DELETE_CONFIRM_TIMEOUT);
+    return;
+  }
+  if (command === 'delete') {
+    cancelDeleteConfirmation();
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'TORRENT_ACTION',
+      command,
+      hashes: [hash],
+      deleteFiles: false,
+      serverId: getSelectedServerId()
+    });
+
+    if (!response.success) {
+      showNotification('error', response.error || `Failed to ${command} torrent`);
+    }
+  } catch (error) {
+    showNotification('error', `Error: ${error.message}`);
+  }
+
+  await refreshTorrentList();
+}
+
+function cancelDeleteConfirmation() {
+  clearTimeout(deleteConfirmTimer);
+  deleteConfirmHash = null;
+
+  // The list may have been rendered again since the first click
+  document.querySelectorAll('#torrent-list button.confirming').forEach(button => {
+    button.classList.remove('confirming');
+    button.textContent = 'Delete';
+  });
+}
+
+async function refreshPendingSends() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_SEND_QUEUE' });
+    if (response.success) {
+      renderPendingSends(response.queue);
+    }
+  } catch (error) {
+    console.error('Error loading pending sends:', error);
+  }
+}
+
+function renderPendingSends(queue) {
+  const list = document.getElementById('pending-list');
+
+  while (list.firstChild) {
+    list.removeChild(list.firstChild);
+  }
+
+  queue.forEach(item => {
+    list.appendChild(createPendingItem(item));
+  });
+
+  document.getElementById('pending-title').textContent = `Pending (${queue.length})`;
+  document.getElementById('pending-section').classList.toggle('hidden', queue.length === 0);
+}
+
+function createPendingItem(item) {
+  const element = document.createElement('li');
+  element.className = 'torrent-item';
+
+  const name = document.createElement('div');
+  name.className = 'torrent-name';
+  name.textContent = item.name || item.url;
+  name.title = item.url;
+  element.appendChild(name);
+
+  const meta = document.createElement('div');
+  meta.className = 'torrent-meta';
+  appendMeta(meta, `Queued ${formatAge(Date.now() - item.queuedAt)} ago`);
+  appendMeta(meta, `${item.attempts} attempt${item.attempts === 1 ? '' : 's'}`);
+  element.appendChild(meta);
+
+  if (item.lastError) {
+    const error = document.createElement('div');
+    error.className = 'pending-error';
+    // Failed items are no longer retried automatically
+    error.textContent = item.failed ? `Stopped: ${item.lastError}` : item.lastError;
+    error.title = item.lastError;
+    element.appendChild(error);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'torrent-actions';
+  actions.appendChild(createPendingActionButton('retry', 'Retry now', item.id));
+  const cancelButton = createPendingActionButton('cancel', 'Cancel', item.id);
+  cancelButton.classList.add('danger');
+  actions.appendChild(cancelButton);
+  element.appendChild(actions);
+
+  return element;
+}
+
+function createPendingActionButton(command, label, id) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.dataset.pendingCommand = command;
+  button.dataset.id = id;
+  return button;
+}
+
+async function handlePendingAction(event) {
+  const button = event.target.closest('button[data-pending-command]');
+  if (!button) {return;}
+
+  const { pendingCommand, id } = button.dataset;
+
+  if (pendingCommand === 'retry') {
+    await retryPendingSends(id);
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'CANCEL_QUEUED_SEND', id });
+    if (!response.success) {
+      showNotification('error', response.error || 'Failed to cancel');
+    }
+  } catch (error) {
+    showNotification('error', `Error: ${error.message}`);
+  }
+}
+
+async function retryPendingSends(id) {
+  showNotification('info', 'Retrying...');
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'RETRY_QUEUED_SEND', id });
+    if (!response.success) {
+      showNotification('error', response.error || 'Retry failed');
+    } else if (response.result.remaining > 0 && response.result.sent === 0) {
+      showNotification('error', 'Still unable to send, will keep retrying');
+    } else {
+      showNotification('success', `${response.result.sent} sent, ${response.result.remaining} pending`);
+    }
+  } catch (error) {
+    showNotification('error', `Error: ${error.message}`);
+  }
+}
+
+async function refreshSendHistory() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'GET_SEND_HISTORY',
+      search: document.getElementById('history-search').value,
+      status: document.getElementById('history-status-filter').value,
+      limit: POPUP_HISTORY_LIMIT
+    });
+    if (response.success) {
+      renderSendHistory(response.history);
+    }
+  } catch (error) {
+    console.error('Error loading send history:', error);
+  }
+}
+
+function renderSendHistory(history) {
+  const list = document.getElementById('history-list');
+
+  while (list.firstChild) {
+    list.removeChild(list.firstChild);
+  }
+
+  history.forEach(entry => {
+    list.appendChild(createHistoryItem(entry));
+  });
+
+  document.getElementById('history-list-empty').classList.toggle('hidden', history.length > 0);
+}
+
+function createHistoryItem(entry) {
+  const element = document.createElement('li');
+  element.className = 'torrent-item';
+
+  const name = document.createElement('div');
+  name.className = 'torrent-name';
+  name.textContent = entry.name || entry.url;
+  name.title = entry.pageUrl ? `${entry.url}\nFrom ${entry.pageUrl}` : entry.url;
+  element.appendChild(name);
+
+  const meta = document.createElement('div');
+  meta.className = 'torrent-meta';
+  const status = document.createElement('span');
+  status.className = `history-status ${entry.status}`;
+  status.textContent = SEND_STATUS_LABELS[entry.status] || entry.status;
+  meta.appendChild(status);
+  appendMeta(meta, [entry.serverName, entry.category].filter(Boolean).join(' · '));
+  appendMeta(meta, `${formatAge(Date.now() - new Date(entry.timestamp).getTime())} ago`);
+  element.appendChild(meta);
+
+  if (entry.error) {
+    const error = document.createElement('div');
+    error.className = 'pending-error';
+    error.textContent = entry.error;
+    error.title = entry.error;
+    element.appendChild(error);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'torrent-actions';
+  actions.appendChild(createHistoryActionButton('resend', 'Resend', entry));
+  actions.appendChild(createHistoryActionButton('webui', 'Open WebUI', entry));
+  element.appendChild(actions);
+
+  return element;
+}
+
+function createHistoryActionButton(command, label, entry) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.dataset.historyCommand = command;
+  button.dataset.id = entry.id;
+  button.dataset.serverId = entry.serverId || '';
+  return button;
+}
+
+async function handleHistoryAction(event) {
+  const button = event.target.closest('button[data-history-command]');
+  if (!button) {return;}
+
+  const { historyCommand, id, serverId } = button.dataset;
+
+  try {
+    if (historyCommand === 'webui') {
+      const response = await chrome.runtime.sendMessage({ action: 'OPEN_WEBUI', serverId });
+      if (!response.success) {
+        showNotification('error', response.error || 'Failed to open the WebUI');
+      }
+      return;
+    }
+
+    button.disabled = true;
+    const response = await chrome.runtime.sendMessage({ action: 'RESEND_HISTORY_ITEM', id });
+    if (response.success) {
+      const { status, name } = response.result;
+      showNotification(status === 'added' ? 'success' : 'info', `${SEND_STATUS_LABELS[status] || status}: ${name || 'Unknown'}`);
+    } else {
+      showNotification('error', `Resend failed: ${response.error}`);
+    }
+  } catch (error) {
+    showNotification('error', `Error: ${error.message}`);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function formatAge(milliseconds) {
+  const minutes = Math.floor(milliseconds / 60000);
+  if (minutes < 1) {return '<1m';}
+  if (minutes < 60) {return `${minutes}m`;}
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) {return `${hours}h`;}
+  return `${Math.floor(hours / 24)}d`;
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function formatSpeed(bytesPerSecond) {
+  return `${formatBytes(bytesPerSecond)}/s`;
+}
+
+function formatEta(seconds) {
+  if (seconds >= INFINITE_ETA || seconds < 0) {return '∞';}
+  if (seconds === 0) {return '-';}
+
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (days > 0) {return `${days}d ${hours}h`;}
+  if (hours > 0) {return `${hours}h ${minutes}m`;}
+  return `${minutes}m ${seconds % 60}s`;
+}
+
 function getCurrentOptions() {
+  // Leaving the default server selected lets send rules pick the target
+  const serverId = getSelectedServerId();
+
   return {
     category: document.getElementById('category-select').value,
     savePath: document.getElementById('save-path-input').value,
-    paused: document.getElementById('paused-checkbox').checked
+    paused: document.getElementById('paused-checkbox').checked,
+    serverId: serverId === defaultServerId ? null : serverId
   };
 }
 
 async function saveCurrentOptions() {
-  const options = getCurrentOptions();
+  // The target server is chosen per send and is not persisted
+  const { serverId: _serverId, ...options } = getCurrentOptions();
 
   try {
     const result = await chrome.storage.sync.get(['options']);
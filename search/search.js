@@ -0,0 +1,519 @@
+document.addEventListener('DOMContentLoaded', initializeSearchPage);
+
+const SEARCH_POLL_INTERVAL = 1000;
+const MAX_SHOWN_RESULTS = 200;
+const MIB = 1024 * 1024;
+
+let defaultServerId = null;
+let searchPlugins = [];
+let searchResults = [];
+let shownResults = [];
+// { id, serverId, running } of the search on screen; it is deleted on the server when replaced
+let currentSearch = null;
+let pollTimer = null;
+
+async function initializeSearchPage() {
+    setupEventListeners();
+
+    await loadSettings();
+    await loadServerProfiles();
+    await Promise.all([loadCategories(), loadPlugins()]);
+
+    // The server keeps finished searches until they are deleted
+    window.addEventListener('pagehide', discardSearch);
+    document.getElementById('search-input').focus();
+}
+
+async function loadSettings() {
+    try {
+        const result = await chrome.storage.sync.get(['options']);
+        const options = result.options || {};
+
+        document.getElementById('save-path-input').value = options.savePath || '';
+        document.getElementById('paused-checkbox').checked = options.paused || false;
+    } catch (error) {
+        console.error('Error loading settings:', error);
+    }
+}
+
+async function loadServerProfiles() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'GET_SERVER_PROFILES' });
+        if (!response.success || response.profiles.length === 0) {return;}
+
+        const serverSelect = document.getElementById('server-select');
+        response.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            serverSelect.appendChild(option);
+        });
+        serverSelect.value = response.defaultServerId;
+        ({ defaultServerId } = response);
+
+        // A single server needs no picker
+        document.getElementById('server-group').classList.toggle('hidden', response.profiles.length < 2);
+    } catch (error) {
+        console.error('Error loading server profiles:', error);
+    }
+}
+
+function getSelectedServerId() {
+    return document.getElementById('server-select').value || null;
+}
+
+async function loadCategories() {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'GET_SERVER_INFO',
+            serverId: getSelectedServerId()
+        });
+
+        const categorySelect = document.getElementById('category-select');
+        const currentCategory = categorySelect.value;
+        while (categorySelect.options.length > 1) {
+            categorySelect.remove(1);
+        }
+
+        if (!response.success || !response.info.categories) {return;}
+
+        Object.keys(response.info.categories).forEach(category => {
+            const sanitizedCategory = InputValidator.sanitizeCategory(category);
+            if (sanitizedCategory) {
+                const option = document.createElement('option');
+                option.value = sanitizedCategory;
+                option.textContent = sanitizedCategory;
+                categorySelect.appendChild(option);
+            }
+        });
+
+        categorySelect.value = currentCategory;
+        if (categorySelect.selectedIndex === -1) {
+            categorySelect.value = '';
+        }
+    } catch (error) {
+        console.error('Error loading categories:', error);
+    }
+}
+
+async function loadPlugins() {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'GET_SEARCH_PLUGINS',
+            serverId: getSelectedServerId()
+        });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        searchPlugins = response.plugins;
+    } catch (error) {
+        searchPlugins = [];
+        showNotification('error', `Failed to load search plugins: ${error.message}`);
+    }
+
+    renderPlugins();
+    renderPluginChoices();
+}
+
+function renderPlugins() {
+    const list = document.getElementById('plugin-list');
+    while (list.firstChild) {
+        list.removeChild(list.firstChild);
+    }
+
+    searchPlugins.forEach(plugin => {
+        const item = document.createElement('li');
+        item.className = 'plugin-item';
+
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = plugin.enabled;
+        checkbox.dataset.plugin = plugin.name;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(plugin.fullName));
+        item.appendChild(label);
+
+        const meta = document.createElement('span');
+        meta.className = 'plugin-meta';
+        meta.textContent = plugin.version ? `v${plugin.version}` : '';
+        meta.title = plugin.url;
+        item.appendChild(meta);
+
+        list.appendChild(item);
+    });
+
+    document.getElementById('plugin-list-empty').classList.toggle('hidden', searchPlugins.length > 0);
+}
+
+// The plugin picker offers the enabled plugins; the categories are those the chosen plugins support
+function renderPluginChoices() {
+    const pluginSelect = document.getElementById('plugin-select');
+    const currentPlugin = pluginSelect.value;
+    while (pluginSelect.options.length > 1) {
+        pluginSelect.remove(1);
+    }
+
+    const enabled = searchPlugins.filter(plugin => plugin.enabled);
+    enabled.forEach(plugin => {
+        const option = document.createElement('option');
+        option.value = plugin.name;
+        option.textContent = plugin.fullName;
+        pluginSelect.appendChild(option);
+    });
+    pluginSelect.value = currentPlugin;
+    if (pluginSelect.selectedIndex === -1) {
+        pluginSelect.value = 'enabled';
+    }
+
+    const categorySelect = document.getElementById('search-category-select');
+    const currentCategory = categorySelect.value;
+    while (categorySelect.options.length > 1) {
+        categorySelect.remove(1);
+    }
+
+    const categories = new Map();
+    enabled
+        .filter(plugin => pluginSelect.value === 'enabled' || plugin.name === pluginSelect.value)
+        .forEach(plugin => plugin.categories.forEach(category => {
+            if (category.id !== 'all' && !categories.has(category.id)) {
+                categories.set(category.id, category.name);
+            }
+        }));
+    categories.forEach((name, id) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        categorySelect.appendChild(option);
+    });
+    categorySelect.value = currentCategory;
+    if (categorySelect.selectedIndex === -1) {
+        categorySelect.value = 'all';
+    }
+
+    updateSearchStatus();
+}
+
+async function togglePlugin(event) {
+    const checkbox = event.target;
+    const name = checkbox.dataset.plugin;
+    if (!name) {return;}
+
+    checkbox.disabled = true;
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'SET_SEARCH_PLUGINS_ENABLED',
+            serverId: getSelectedServerId(),
+            names: [name],
+            enabled: checkbox.checked
+        });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+
+        const plugin = searchPlugins.find(item => item.name === name);
+        if (plugin) {
+            plugin.enabled = checkbox.checked;
+        }
+        renderPluginChoices();
+    } catch (error) {
+        checkbox.checked = !checkbox.checked;
+        showNotification('error', `Error: ${error.message}`);
+    } finally {
+        checkbox.disabled = false;
+    }
+}
+
+// The search button stops the running search instead of starting another
+async function submitSearch(event) {
+    event.preventDefault();
+
+    if (currentSearch && currentSearch.running) {
+        await stopSearch();
+        return;
+    }
+
+    const pattern = document.getElementById('search-input').value.trim();
+    if (!pattern) {return;}
+
+    await discardSearch();
+    // Disabled until the search is running, so a second click cannot start another
+    document.getElementById('search-btn').disabled = true;
+    searchResults = [];
+    renderResults();
+
+    try {
+        const serverId = getSelectedServerId();
+        const response = await chrome.runtime.sendMessage({
+            action: 'START_SEARCH',
+            serverId,
+            pattern,
+            plugins: document.getElementById('plugin-select').value,
+            category: document.getElementById('search-category-select').value
+        });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+
+        await followSearch({ id: response.id, serverId, running: true });
+    } catch (error) {
+        updateSearchStatus();
+        showNotification('error', `Search failed: ${error.message}`);
+    }
+}
+
+function followSearch(search) {
+    currentSearch = search;
+    updateSearchStatus();
+    return pollResults();
+}
+
+async function pollResults() {
+    const search = currentSearch;
+    if (!search) {return;}
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'GET_SEARCH_RESULTS',
+            serverId: search.serverId,
+            id: search.id,
+            offset: searchResults.length
+        });
+        // Replaced while the request was out
+        if (search !== currentSearch) {return;}
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+
+        searchResults.push(...response.results.map(result => SearchResults.normalize(result)));
+        // A stopped search can still have results beyond the last page
+        search.running = response.running || (response.results.length > 0 && searchResults.length < response.total);
+        if (response.results.length > 0) {
+            renderResults();
+        }
+    } catch (error) {
+        if (search !== currentSearch) {return;}
+        search.running = false;
+        showNotification('error', `Search failed: ${error.message}`);
+    }
+
+    updateSearchStatus();
+    if (search.running) {
+        pollTimer = setTimeout(pollResults, SEARCH_POLL_INTERVAL);
+    }
+}
+
+// Stopped searches keep their results; polling ends once they are all in
+async function stopSearch() {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'END_SEARCH',
+            serverId: currentSearch.serverId,
+            id: currentSearch.id
+        });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+    } catch (error) {
+        showNotification('error', `Failed to stop the search: ${error.message}`);
+    }
+}
+
+async function discardSearch() {
+    clearTimeout(pollTimer);
+    if (!currentSearch) {return;}
+
+    const { id, serverId } = currentSearch;
+    currentSearch = null;
+    updateSearchStatus();
+    await chrome.runtime.sendMessage({ action: 'END_SEARCH', serverId, id, remove: true })
+        .catch(error => console.error('Failed to delete search:', error));
+}
+
+function updateSearchStatus() {
+    const running = Boolean(currentSearch && currentSearch.running);
+    const searchButton = document.getElementById('search-btn');
+    searchButton.textContent = running ? 'Stop' : 'Search';
+    searchButton.disabled = !running && !searchPlugins.some(plugin => plugin.enabled);
+
+    const count = `${searchResults.length} result${searchResults.length === 1 ? '' : 's'}`;
+    let status = '';
+    if (running) {
+        status = `Searching... ${count}`;
+    } else if (currentSearch) {
+        status = count;
+    }
+    document.getElementById('search-status').textContent = status;
+}
+
+function getResultFilters() {
+    const megabytes = id => Math.max(0, parseFloat(document.getElementById(id).value) || 0) * MIB;
+
+    return {
+        search: document.getElementById('result-filter-input').value,
+        minSeeders: Math.max(0, parseInt(document.getElementById('min-seeders-input').value, 10) || 0),
+        minSize: megabytes('min-size-input'),
+        maxSize: megabytes('max-size-input')
+    };
+}
+
+function renderResults() {
+    const [key, direction] = document.getElementById('sort-select').value.split(':');
+    const matching = SearchResults.sort(SearchResults.filter(searchResults, getResultFilters()), key, direction);
+    shownResults = matching.slice(0, MAX_SHOWN_RESULTS);
+
+    const body = document.getElementById('results-body');
+    while (body.firstChild) {
+        body.removeChild(body.firstChild);
+    }
+    shownResults.forEach((result, index) => body.appendChild(createResultRow(result, index)));
+
+    const empty = document.getElementById('results-empty');
+    empty.classList.toggle('hidden', shownResults.length > 0 && matching.length <= MAX_SHOWN_RESULTS);
+    if (matching.length > MAX_SHOWN_RESULTS) {
+        empty.textContent = `Showing the first ${MAX_SHOWN_RESULTS} of ${matching.length} matching results; filter to narrow them down`;
+    } else if (searchResults.length > 0) {
+        empty.textContent = 'No results match the filters';
+    } else {
+        empty.textContent = currentSearch ? 'No results yet' : 'Search to see results';
+    }
+}
+
+function createResultRow(result, index) {
+    const row = document.createElement('tr');
+
+    const nameCell = document.createElement('td');
+    nameCell.className = 'result-name';
+    if (InputValidator.sanitizeUrl(result.descriptionUrl)) {
+        const link = document.createElement('a');
+        link.href = result.descriptionUrl;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = result.name;
+        nameCell.appendChild(link);
+    } else {
+        nameCell.textContent = result.name;
+    }
+    row.appendChild(nameCell);
+
+    [
+        result.size === null ? '?' : formatBytes(result.size),
+        result.seeders === null ? '?' : String(result.seeders),
+        result.leechers === null ? '?' : String(result.leechers)
+    ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.className = 'number';
+        cell.textContent = text;
+        row.appendChild(cell);
+    });
+
+    const engineCell = document.createElement('td');
+    engineCell.className = 'result-engine';
+    engineCell.textContent = result.engine;
+    row.appendChild(engineCell);
+
+    const actionCell = document.createElement('td');
+    const sendButton = document.createElement('button');
+    sendButton.type = 'button';
+    sendButton.className = 'result-send';
+    sendButton.dataset.index = String(index);
+    sendButton.textContent = result.sentAs || 'Send';
+    sendButton.disabled = Boolean(result.sentAs);
+    actionCell.appendChild(sendButton);
+    row.appendChild(actionCell);
+
+    return row;
+}
+
+function getSendOptions(result) {
+    // Leaving the default server selected lets send rules pick the target
+    const serverId = getSelectedServerId();
+
+    return {
+        serverId: serverId === defaultServerId ? null : serverId,
+        source: { pageUrl: result.descriptionUrl, linkText: result.name },
+        category: document.getElementById('category-select').value,
+        savePath: InputValidator.sanitizePath(document.getElementById('save-path-input').value.trim()),
+        paused: document.getElementById('paused-checkbox').checked
+    };
+}
+
+async function sendResult(event) {
+    const button = event.target.closest('button[data-index]');
+    if (!button) {return;}
+
+    const result = shownResults[Number(button.dataset.index)];
+    button.disabled = true;
+    button.textContent = 'Sending...';
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'SEND_TORRENT',
+            url: result.url,
+            linkText: result.name,
+            options: getSendOptions(result)
+        });
+        if (!response.success) {
+            throw new Error(response.error || 'Failed to add torrent');
+        }
+
+        const labels = { queued: 'Queued', duplicate: 'Duplicate' };
+        // Kept on the result so sorting and filtering do not offer it again
+        result.sentAs = labels[response.result.status] || 'Sent';
+        button.textContent = result.sentAs;
+        if (response.result.status === 'queued') {
+            showNotification('info', 'Server unreachable, the torrent was queued and will be sent when it is back');
+        }
+    } catch (error) {
+        button.disabled = false;
+        button.textContent = 'Send';
+        showNotification('error', `Error: ${error.message}`);
+    }
+}
+
+function setupEventListeners() {
+    document.getElementById('search-form').addEventListener('submit', submitSearch);
+    document.getElementById('plugin-select').addEventListener('change', renderPluginChoices);
+    document.getElementById('plugin-list').addEventListener('change', togglePlugin);
+    document.getElementById('results-body').addEventListener('click', sendResult);
+
+    ['result-filter-input', 'min-seeders-input', 'min-size-input', 'max-size-input'].forEach(id => {
+        document.getElementById(id).addEventListener('input', renderResults);
+    });
+    document.getElementById('sort-select').addEventListener('change', renderResults);
+
+    // Searches, plugins and categories belong to the selected server
+    document.getElementById('server-select').addEventListener('change', async () => {
+        await discardSearch();
+        searchResults = [];
+        renderResults();
+        await Promise.all([loadCategories(), loadPlugins()]);
+    });
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function showNotification(type, message) {
+    const notification = document.getElementById('notification');
+    notification.textContent = message;
+    notification.className = `notification ${type}`;
+
+    // Show notification
+    setTimeout(() => {
+        notification.classList.remove('hidden');
+    }, 100);
+
+    // Hide after 3 seconds
+    setTimeout(() => {
+        notification.classList.add('hidden');
+    }, 3100);
+}
@@ -0,0 +1,336 @@
+/**
+ * Bencode decoding and encoding for .torrent metadata
+ * Byte strings are returned as Uint8Array (torrent files mix UTF-8 text with raw SHA-1 pieces),
+ * dictionaries as prototype-less objects so keys like `__proto__` are harmless
+ *
+ * @class Bencode
+ * @since 1.1.0
+ * @example
+ * const bytes = new Uint8Array(await blob.arrayBuffer());
+ * const torrent = Bencode.decode(bytes);
+ * const name = Bencode.toText(torrent.info.name);
+ *
+ * // Raw bytes of the info dictionary (input for the info-hash)
+ * const infoBytes = Bencode.locate(bytes, 'info');
+ *
+ * // Encode a value back to bencode
+ * const encoded = Bencode.encode({ announce: 'udp://tracker.example:1337', 'creation date': 1700000000 });
+ */
+class Bencode {
+    static MAX_DEPTH = 64;
+    static MAX_NUMBER_LENGTH = 20; // Digits (plus sign) in an integer or string length
+
+    static CHARS = {
+        INTEGER: 0x69, // i
+        LIST: 0x6c, // l
+        DICTIONARY: 0x64, // d
+        END: 0x65, // e
+        COLON: 0x3a, // :
+        ZERO: 0x30,
+        NINE: 0x39
+    };
+
+    /**
+     * Decodes a complete bencoded value
+     *
+     * @param {Uint8Array|ArrayBuffer} data - Bencoded bytes
+     * @returns {*} Decoded value (number, Uint8Array, Array or object)
+     * @throws {Error} When the data is not valid bencode, with the failing byte offset
+     * @since 1.1.0
+     * @example
+     * Bencode.decode(new TextEncoder().encode('d3:fooi42ee')); // { foo: 42 }
+     */
+    static decode(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const reader = { bytes, position: 0 };
+
+        const value = this.readValue(reader, 0);
+        if (reader.position !== bytes.length) {
+            throw this.error(reader, 'trailing data after value');
+        }
+        return value;
+    }
+
+    /**
+     * Encodes a value as bencode
+     * Dictionary keys are written in raw byte order as the format requires
+     *
+     * @param {number|string|Uint8Array|Array|object} value - Integer, text, bytes, list or dictionary
+     * @returns {Uint8Array} Bencoded bytes
+     * @throws {Error} When the value contains a type bencode cannot represent
+     * @since 1.1.0
+     * @example
+     * Bencode.encode({ foo: 42, bar: ['a', 'b'] }); // bytes of 'd3:barl1:a1:be3:fooi42ee'
+     */
+    static encode(value) {
+        const chunks = [];
+        this.writeValue(chunks, value, 0);
+
+        const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let offset = 0;
+        chunks.forEach(chunk => {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return output;
+    }
+
+    /**
+     * Finds the raw encoded bytes of a top-level dictionary entry
+     * The info-hash is computed over these exact bytes, so they must not be re-encoded
+     *
+     * @param {Uint8Array|ArrayBuffer} data - Bencoded dictionary bytes
+     * @param {string} key - Dictionary key to locate
+     * @returns {Uint8Array|null} Encoded value bytes or null when the key is absent
+     * @throws {Error} When the data is not a valid bencoded dictionary
+     * @since 1.1.0
+     */
+    static locate(data, key) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const reader = { bytes, position: 0 };
+
+        if (bytes[0] !== this.CHARS.DICTIONARY) {
+            throw this.error(reader, 'expected a dictionary');
+        }
+        reader.position++;
+
+        while (reader.position < bytes.length && bytes[reader.position] !== this.CHARS.END) {
+            const entryKey = this.toText(this.readString(reader));
+            const start = reader.position;
+            this.readValue(reader, 1);
+
+            if (entryKey === key) {
+                return bytes.subarray(start, reader.position);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Decodes a byte string as UTF-8 text
+     *
+     * @param {Uint8Array|*} value - Decoded byte string
+     * @returns {string} Text, or empty string for non byte-string values
+     * @since 1.1.0
+     */
+    static toText(value) {
+        if (!(value instanceof Uint8Array)) {return '';}
+        return new TextDecoder('utf-8').decode(value);
+    }
+
+    /**
+     * Reads the value at the reader position
+     * @private
+     */
+    static readValue(reader, depth) {
+        if (depth > this.MAX_DEPTH) {
+            throw this.error(reader, 'nesting too deep');
+        }
+
+        const byte = reader.bytes[reader.position];
+
+        if (byte === undefined) {
+            throw this.error(reader, 'unexpected end of data');
+        }
+        if (byte === this.CHARS.INTEGER) {
+            return this.readInteger(reader);
+        }
+        if (byte === this.CHARS.LIST) {
+            return this.readList(reader, depth);
+        }
+        if (byte === this.CHARS.DICTIONARY) {
+            return this.readDictionary(reader, depth);
+        }
+        if (byte >= this.CHARS.ZERO && byte <= this.CHARS.NINE) {
+            return this.readString(reader);
+        }
+
+        throw this.error(reader, `unexpected character "${String.fromCharCode(byte)}"`);
+    }
+
+    /**
+     * Reads `i<digits>e`
+     * @private
+     */
+    static readInteger(reader) {
+        const start = reader.position;
+        const end = reader.bytes.indexOf(this.CHARS.END, start);
+        if (end === -1 || end - start > this.MAX_NUMBER_LENGTH) {
+            throw this.error(reader, 'unterminated integer');
+        }
+
+        const text = this.asciiSlice(reader.bytes, start + 1, end);
+        if (!/^(0|-?[1-9][0-9]*)$/.test(text)) {
+            throw this.error(reader, `invalid integer "${text}"`);
+        }
+
+        const value = Number(text);
+        if (!Number.isSafeInteger(value)) {
+            throw this.error(reader, 'integer out of range');
+        }
+
+        reader.position = end + 1;
+        return value;
+    }
+
+    /**
+     * Reads `<length>:<bytes>`
+     * @private
+     */
+    static readString(reader) {
+        const colon = reader.bytes.indexOf(this.CHARS.COLON, reader.position);
+        if (colon === -1 || colon - reader.position > this.MAX_NUMBER_LENGTH) {
+            throw this.error(reader, 'unterminated string length');
+        }
+
+        const lengthText = this.asciiSlice(reader.bytes, reader.position, colon);
+        if (!/^(0|[1-9][0-9]*)$/.test(lengthText)) {
+            throw this.error(reader, `invalid string length "${lengthText}"`);
+        }
+
+        const length = Number(lengthText);
+        const start = colon + 1;
+        if (start + length > reader.bytes.length) {
+            throw this.error(reader, 'string runs past end of data');
+        }
+
+        reader.position = start + length;
+        return reader.bytes.subarray(start, start + length);
+    }
+
+    /**
+     * Reads `l<values>e`
+     * @private
+     */
+    static readList(reader, depth) {
+        const list = [];
+        reader.position++;
+
+        while (reader.bytes[reader.position] !== this.CHARS.END) {
+            list.push(this.readValue(reader, depth + 1));
+        }
+
+        reader.position++;
+        return list;
+    }
+
+    /**
+     * Reads `d<key><value>...e`; keys must be byte strings
+     * @private
+     */
+    static readDictionary(reader, depth) {
+        const dictionary = Object.create(null);
+        reader.position++;
+
+        while (reader.bytes[reader.position] !== this.CHARS.END) {
+            const byte = reader.bytes[reader.position];
+            if (byte === undefined) {
+                throw this.error(reader, 'unterminated dictionary');
+            }
+            if (byte < this.CHARS.ZERO || byte > this.CHARS.NINE) {
+                throw this.error(reader, 'dictionary key must be a string');
+            }
+
+            const key = this.toText(this.readString(reader));
+            dictionary[key] = this.readValue(reader, depth + 1);
+        }
+
+        reader.position++;
+        return dictionary;
+    }
+
+    /**
+     * Appends the encoding of a value to the chunk list
+     * @private
+     */
+    static writeValue(chunks, value, depth) {
+        if (depth > this.MAX_DEPTH) {
+            throw new Error('Cannot bencode: nesting too deep');
+        }
+
+        if (typeof value === 'number') {
+            if (!Number.isSafeInteger(value)) {
+                throw new Error(`Cannot bencode non-integer number ${value}`);
+            }
+            chunks.push(this.asciiBytes(`i${value}e`));
+        } else if (typeof value === 'string') {
+            this.writeBytes(chunks, new TextEncoder().encode(value));
+        } else if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+            this.writeBytes(chunks, new Uint8Array(value));
+        } else if (Array.isArray(value)) {
+            chunks.push(Uint8Array.of(this.CHARS.LIST));
+            value.forEach(item => this.writeValue(chunks, item, depth + 1));
+            chunks.push(Uint8Array.of(this.CHARS.END));
+        } else if (value !== null && typeof value === 'object') {
+            this.writeDictionary(chunks, value, depth);
+        } else {
+            throw new Error(`Cannot bencode value of type ${value === null ? 'null' : typeof value}`);
+        }
+    }
+
+    /**
+     * Writes `<length>:<bytes>`
+     * @private
+     */
+    static writeBytes(chunks, bytes) {
+        chunks.push(this.asciiBytes(`${bytes.length}:`), bytes);
+    }
+
+    /**
+     * Writes a dictionary with keys sorted by their UTF-8 bytes; undefined values are skipped
+     * @private
+     */
+    static writeDictionary(chunks, dictionary, depth) {
+        const entries = Object.keys(dictionary)
+            .filter(key => dictionary[key] !== undefined)
+            .map(key => ({ key, bytes: new TextEncoder().encode(key) }))
+            .sort((a, b) => this.compareBytes(a.bytes, b.bytes));
+
+        chunks.push(Uint8Array.of(this.CHARS.DICTIONARY));
+        entries.forEach(({ key, bytes }) => {
+            this.writeBytes(chunks, bytes);
+            this.writeValue(chunks, dictionary[key], depth + 1);
+        });
+        chunks.push(Uint8Array.of(this.CHARS.END));
+    }
+
+    /**
+     * @private
+     */
+    static compareBytes(a, b) {
+        const length = Math.min(a.length, b.length);
+        for (let i = 0; i < length; i++) {
+            if (a[i] !== b[i]) {
+                return a[i] - b[i];
+            }
+        }
+        return a.length - b.length;
+    }
+
+    /**
+     * @private
+     */
+    static asciiBytes(text) {
+        return Uint8Array.from(text, char => char.charCodeAt(0));
+    }
+
+    /**
+     * @private
+     */
+    static asciiSlice(bytes, start, end) {
+        return String.fromCharCode(...bytes.subarray(start, end));
+    }
+
+    /**
+     * @private
+     */
+    static error(reader, message) {
+        return new Error(`Invalid bencode at byte ${reader.position}: ${message}`);
+    }
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+    window.Bencode = Bencode;
+}
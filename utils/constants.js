@@ -15,9 +15,11 @@ const CONSTANTS = {
 
     // Patterns for link detection
     PATTERNS: {
-        MAGNET: /magnet:\?xt=urn:btih:[a-zA-Z0-9]{32,40}/gi,
+        MAGNET: /magnet:\?[^\s"'<>]+/gi, // Candidates; MagnetUri.parse() decides validity
         TORRENT_FILE: /\.torrent(\?[^"'\s]*)?$/i,
-        HASH: /[a-fA-F0-9]{40}/
+        HASH: /\b[a-fA-F0-9]{40}\b/, // Bare v1 info-hash in hex
+        // Bare v1 info-hash in base32: one case throughout and at least one digit, unlike a word
+        BASE32_HASH: /\b(?=[A-Za-z]*[2-7])(?:[A-Z2-7]{32}|[a-z2-7]{32})\b/
     },
 
     // Default settings
@@ -34,15 +36,21 @@ const CONSTANTS = {
             savePath: '',
             paused: false,
             skipHashCheck: false,
+            mergeDuplicateTrackers: false,
             autoDownload: true,
             showNotifications: true,
             showIndicators: true,
-            scanDynamicContent: true
+            scanDynamicContent: true,
+            scanFrames: false,
+            probeDownloadLinks: false,
+            batchConfirmThreshold: 20,
+            defaultTrackers: []
         },
         ADVANCED: {
             connectionTimeout: 30,
             retryAttempts: 3,
-            debugLogging: false
+            debugLogging: false,
+            historyRetentionDays: 30
         }
     },
 
@@ -0,0 +1,135 @@
+/**
+ * Optional host permissions for configured qBittorrent servers
+ * The manifest declares every HTTP(S) origin as optional; access to each server origin is granted
+ * by the user from the options page and revoked once no profile uses it. Server origins granted
+ * here are recorded, so origins granted for other features (such as probing download links on
+ * a tracker) are never revoked with them
+ *
+ * @class HostPermissions
+ * @since 1.1.0
+ * @example
+ * // Must run inside a click handler: permission prompts need a user gesture
+ * const granted = await HostPermissions.request([serverUrl]);
+ * if (!granted) {
+ *   showPermissionBanner();
+ * }
+ */
+class HostPermissions {
+    static STORAGE_KEY = 'server_host_origins';
+
+    /**
+     * Converts a server URL to the match pattern covering its origin
+     *
+     * @param {string} url - Server URL
+     * @returns {string|null} Pattern such as `https://qbt.example.com/*`, or null for non-HTTP(S) URLs
+     * @since 1.1.0
+     * @example
+     * HostPermissions.getOriginPattern('http://192.168.1.5:8080/qbt/'); // 'http://192.168.1.5/*'
+     */
+    static getOriginPattern(url) {
+        try {
+            const { protocol, hostname } = new URL(url);
+            if (!['http:', 'https:'].includes(protocol)) {return null;}
+            // Match patterns cannot name a port, so the pattern covers the host on every port
+            return `${protocol}//${hostname}/*`;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} url - Server URL
+     * @returns {Promise<boolean>} True when the extension may send requests to the URL's origin
+     * @since 1.1.0
+     */
+    static async hasAccess(url) {
+        const pattern = this.getOriginPattern(url);
+        if (!pattern) {return false;}
+        return chrome.permissions.contains({ origins: [pattern] });
+    }
+
+    /**
+     * Lists the origin patterns of the given URLs that have not been granted yet
+     *
+     * @param {string[]} urls - Server URLs
+     * @returns {Promise<string[]>} Missing origin patterns, without duplicates
+     * @since 1.1.0
+     */
+    static async findMissing(urls) {
+        const patterns = this.getPatterns(urls);
+        const granted = await Promise.all(patterns.map(pattern => chrome.permissions.contains({ origins: [pattern] })));
+        return patterns.filter((pattern, index) => !granted[index]);
+    }
+
+    /**
+     * Asks the user for access to the origins of the given URLs
+     * Called first thing in a click handler, since an earlier await may use up the user gesture;
+     * origins that are already granted cause no prompt
+     *
+     * @param {string[]} urls - Server URLs
+     * @returns {Promise<boolean>} True when every origin is accessible afterwards
+     * @since 1.1.0
+     */
+    static async request(urls) {
+        const patterns = this.getPatterns(urls);
+        if (patterns.length === 0) {return false;}
+
+        const granted = await chrome.permissions.request({ origins: patterns });
+        if (granted) {
+            const recorded = await this.getRecordedOrigins();
+            await this.setRecordedOrigins([...new Set([...recorded, ...patterns])]);
+        }
+        return granted;
+    }
+
+    /**
+     * Revokes server origins granted through request() that none of the given server URLs use any more
+     *
+     * @param {string[]} urls - URLs of all remaining server profiles
+     * @returns {Promise<string[]>} Revoked origin patterns
+     * @since 1.1.0
+     */
+    static async revokeUnused(urls) {
+        const inUse = new Set(this.getPatterns(urls));
+        const recorded = await this.getRecordedOrigins();
+        const unused = recorded.filter(origin => !inUse.has(origin));
+        if (unused.length === 0) {return [];}
+
+        // Origins the user already removed in the browser's settings are only dropped from the record
+        const { origins = [] } = await chrome.permissions.getAll();
+        const revoked = unused.filter(origin => origins.includes(origin));
+        if (revoked.length > 0) {
+            await chrome.permissions.remove({ origins: revoked });
+        }
+
+        await this.setRecordedOrigins(recorded.filter(origin => inUse.has(origin)));
+        return revoked;
+    }
+
+    /**
+     * @private
+     */
+    static async getRecordedOrigins() {
+        const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+        return result[this.STORAGE_KEY] || [];
+    }
+
+    /**
+     * @private
+     */
+    static async setRecordedOrigins(origins) {
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: origins });
+    }
+
+    /**
+     * @private
+     */
+    static getPatterns(urls) {
+        return [...new Set(urls.map(url => this.getOriginPattern(url)).filter(Boolean))];
+    }
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+    window.HostPermissions = HostPermissions;
+}
@@ -0,0 +1,330 @@
+/**
+ * Magnet URI parsing and normalisation shared by the link detector, validator and send path
+ * Understands v1 info-hashes in hex or base32 (`xt=urn:btih:`), v2 multihashes (`xt=urn:btmh:`),
+ * hybrid links carrying both, numbered parameters (`xt.1`, `tr.2`) and the `dn`, `xl`, `tr`,
+ * `ws`, `xs` and `so` (BEP 53) fields
+ *
+ * @class MagnetUri
+ * @since 1.1.0
+ * @example
+ * const magnet = MagnetUri.parse('magnet:?xt=urn:btih:YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKEK&dn=Ubuntu&tr=udp%3A%2F%2Ftracker.example.org%3A1337');
+ * if (magnet) {
+ *   console.log(magnet.infoHash, magnet.name, magnet.trackers);
+ * }
+ */
+class MagnetUri {
+    static BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+    // Multihash prefix of a SHA-256 digest (code 0x12, 32 bytes), the only one BitTorrent v2 uses
+    static SHA256_MULTIHASH_PREFIX = '1220';
+
+    static MAX_LENGTH = 64 * 1024;
+
+    // `so` ranges are expanded to file indices; larger selections are ignored rather than allocated
+    static MAX_SELECTED_FILES = 10000;
+
+    // Candidates only: each match still has to parse. Stops at whitespace, quotes and angle brackets
+    static PATTERN = /magnet:\?[^\s"'<>]+/gi;
+
+    /**
+     * Parses a magnet URI
+     *
+     * @param {string} uri - Magnet URI
+     * @returns {object|null} `infoHash` (the id qBittorrent uses: v1 hash, or the v2 hash truncated
+     *   to 40 chars for v2-only links), `infoHashV1`, `infoHashV2` (lowercase hex), `version`
+     *   ('v1', 'v2' or 'hybrid'), `name`, `length`, `trackers`, `webSeeds`, `exactSources` and
+     *   `selectOnly` (file indices); null when the URI has no usable BitTorrent info-hash
+     * @since 1.1.0
+     * @example
+     * MagnetUri.parse('magnet:?xt=urn:btih:c12fe1c06bba254a9dc9f519b335aa7c1367a88a&dn=Example').name;
+     * // Returns: 'Example'
+     */
+    static parse(uri) {
+        if (typeof uri !== 'string' || uri.length > this.MAX_LENGTH || !/^magnet:\?/i.test(uri)) {
+            return null;
+        }
+
+        const params = this.readParams(uri.slice(uri.indexOf('?') + 1));
+        const hashes = this.readInfoHashes(params.xt || []);
+        if (!hashes) {return null;}
+
+        return {
+            ...hashes,
+            name: (params.dn && params.dn[0].trim()) || null,
+            length: this.readLength(params.xl && params.xl[0]),
+            trackers: this.unique(params.tr),
+            webSeeds: this.unique(params.ws),
+            exactSources: this.unique(params.xs),
+            selectOnly: this.readSelection(params.so && params.so[0])
+        };
+    }
+
+    /**
+     * @param {string} uri - Magnet URI
+     * @returns {boolean} True when the URI carries a valid v1 or v2 info-hash
+     * @since 1.1.0
+     */
+    static isValid(uri) {
+        return this.parse(uri) !== null;
+    }
+
+    /**
+     * Rebuilds a magnet URI in canonical form: hex info-hashes (v1 first), then name, length,
+     * trackers, web seeds, sources and file selection, each value encoded once and trackers deduplicated
+     *
+     * @param {string} uri - Magnet URI
+     * @returns {string|null} Normalised URI, or null when it does not parse
+     * @since 1.1.0
+     * @example
+     * MagnetUri.normalize('magnet:?dn=Example&xt=urn:btih:YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKEK');
+     * // Returns: 'magnet:?xt=urn:btih:c12fe1c06bba254a9dc9f519b335aa7c1367a88a&dn=Example'
+     */
+    static normalize(uri) {
+        const magnet = this.parse(uri);
+        if (!magnet) {return null;}
+
+        const parts = [];
+        if (magnet.infoHashV1) {
+            parts.push(`xt=urn:btih:${magnet.infoHashV1}`);
+        }
+        if (magnet.infoHashV2) {
+            parts.push(`xt=urn:btmh:${this.SHA256_MULTIHASH_PREFIX}${magnet.infoHashV2}`);
+        }
+        if (magnet.name) {
+            parts.push(`dn=${encodeURIComponent(magnet.name)}`);
+        }
+        if (magnet.length !== null) {
+            parts.push(`xl=${magnet.length}`);
+        }
+        magnet.trackers.forEach(tracker => parts.push(`tr=${encodeURIComponent(tracker)}`));
+        magnet.webSeeds.forEach(seed => parts.push(`ws=${encodeURIComponent(seed)}`));
+        magnet.exactSources.forEach(source => parts.push(`xs=${encodeURIComponent(source)}`));
+        if (magnet.selectOnly.length > 0) {
+            parts.push(`so=${this.formatSelection(magnet.selectOnly)}`);
+        }
+
+        return `magnet:?${parts.join('&')}`;
+    }
+
+    /**
+     * Builds a magnet URI for a bare v1 info-hash, as forums often post them
+     *
+     * @param {string} hash - 40 hex or 32 base32 characters
+     * @param {string[]} [trackers] - Announce URLs to add, since a bare hash has none
+     * @returns {string|null} Normalised magnet URI, or null when the hash is invalid
+     * @since 1.1.0
+     * @example
+     * MagnetUri.fromInfoHash('YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKEK', ['udp://tracker.example.org:1337']);
+     * // Returns: 'magnet:?xt=urn:btih:c12fe1c06bba254a9dc9f519b335aa7c1367a88a&tr=udp%3A%2F%2Ftracker.example.org%3A1337'
+     */
+    static fromInfoHash(hash, trackers = []) {
+        const infoHash = typeof hash === 'string' ? this.readV1Hash(hash.trim()) : null;
+        if (!infoHash) {return null;}
+
+        const tr = trackers.map(tracker => `&tr=${encodeURIComponent(tracker)}`).join('');
+        return this.normalize(`magnet:?xt=urn:btih:${infoHash}${tr}`);
+    }
+
+    /**
+     * Finds valid magnet URIs in free text, such as a page's text nodes or a selection
+     *
+     * @param {string} text - Text to search
+     * @returns {string[]} Magnet URIs in order of appearance, as written
+     * @since 1.1.0
+     */
+    static findAll(text) {
+        if (typeof text !== 'string') {return [];}
+
+        return (text.match(this.PATTERN) || [])
+            // Sentence punctuation directly after a pasted link is not part of it
+            .map(match => match.replace(/[.,;:!?)\]}]+$/, ''))
+            .filter(match => this.isValid(match));
+    }
+
+    /**
+     * Key under which links to the same torrent collapse: magnets that differ only in trackers,
+     * name or hash encoding share their info-hash, anything else is keyed by its URL
+     *
+     * @param {string} url - Magnet URI or .torrent URL
+     * @returns {string} Info-hash for magnets, otherwise the URL itself
+     * @since 1.1.0
+     * @example
+     * MagnetUri.dedupeKey('magnet:?xt=urn:btih:YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKEK&dn=Example');
+     * // Returns: 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a'
+     */
+    static dedupeKey(url) {
+        const magnet = this.parse(url);
+        return magnet ? magnet.infoHash : url;
+    }
+
+    /**
+     * Converts a base32 (RFC 4648) string to lowercase hex
+     *
+     * @param {string} value - Base32 text, case-insensitive and without padding
+     * @returns {string|null} Hex string, or null for characters outside the alphabet
+     * @since 1.1.0
+     */
+    static base32ToHex(value) {
+        let bits = '';
+        for (const char of value.toUpperCase()) {
+            const index = this.BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {return null;}
+            bits += index.toString(2).padStart(5, '0');
+        }
+
+        let hex = '';
+        for (let i = 0; i + 4 <= bits.length; i += 4) {
+            hex += parseInt(bits.slice(i, i + 4), 2).toString(16);
+        }
+        return hex;
+    }
+
+    /**
+     * Converts hex to base32 (RFC 4648, uppercase, without padding)
+     *
+     * @param {string} hex - Hex string
+     * @returns {string|null} Base32 text, or null when the input is not hex
+     * @since 1.1.0
+     */
+    static hexToBase32(hex) {
+        if (!/^[a-fA-F0-9]*$/.test(hex)) {return null;}
+
+        const bits = Array.from(hex, char => parseInt(char, 16).toString(2).padStart(4, '0')).join('');
+        let base32 = '';
+        for (let i = 0; i < bits.length; i += 5) {
+            base32 += this.BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+        }
+        return base32;
+    }
+
+    /**
+     * Groups the query by field, folding numbered keys (`tr.1`) into their field
+     *
+     * @private
+     */
+    static readParams(query) {
+        const params = {};
+        new URLSearchParams(query).forEach((value, key) => {
+            const field = key.toLowerCase().replace(/\.\d+$/, '');
+            if (value) {
+                (params[field] = params[field] || []).push(value);
+            }
+        });
+        return params;
+    }
+
+    /**
+     * Reads the first v1 and the first v2 hash from the exact topics, ignoring other URN types
+     *
+     * @private
+     */
+    static readInfoHashes(topics) {
+        let infoHashV1 = null;
+        let infoHashV2 = null;
+        topics.forEach(topic => {
+            const [, type = '', value] = topic.match(/^urn:(btih|btmh):(.+)$/i) || [];
+            if (type.toLowerCase() === 'btih' && !infoHashV1) {
+                infoHashV1 = this.readV1Hash(value);
+            } else if (type.toLowerCase() === 'btmh' && !infoHashV2) {
+                infoHashV2 = this.readV2Hash(value);
+            }
+        });
+
+        if (!infoHashV1 && !infoHashV2) {return null;}
+
+        let version = infoHashV1 ? 'v1' : 'v2';
+        if (infoHashV1 && infoHashV2) {
+            version = 'hybrid';
+        }
+
+        return {
+            infoHash: infoHashV1 || infoHashV2.substring(0, 40),
+            infoHashV1,
+            infoHashV2,
+            version
+        };
+    }
+
+    /**
+     * A v1 info-hash is 40 hex characters or 32 base32 characters
+     *
+     * @private
+     */
+    static readV1Hash(value) {
+        if (/^[a-fA-F0-9]{40}$/.test(value)) {
+            return value.toLowerCase();
+        }
+        if (/^[a-zA-Z2-7]{32}$/.test(value)) {
+            return this.base32ToHex(value);
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    static readV2Hash(value) {
+        const match = value.match(/^1220([a-fA-F0-9]{64})$/);
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    /**
+     * @private
+     */
+    static readLength(value) {
+        if (!value || !/^\d+$/.test(value)) {return null;}
+        const length = Number(value);
+        return Number.isSafeInteger(length) ? length : null;
+    }
+
+    /**
+     * Expands `so=0,2,4-6` to [0, 2, 4, 5, 6]; malformed or oversized selections select nothing
+     *
+     * @private
+     */
+    static readSelection(value) {
+        if (!value || !/^\d+(-\d+)?(,\d+(-\d+)?)*$/.test(value)) {return [];}
+
+        const indices = new Set();
+        for (const range of value.split(',')) {
+            const [first, last = first] = range.split('-').map(Number);
+            if (last < first || indices.size + (last - first) >= this.MAX_SELECTED_FILES) {
+                return [];
+            }
+            for (let index = first; index <= last; index++) {
+                indices.add(index);
+            }
+        }
+        return [...indices].sort((a, b) => a - b);
+    }
+
+    /**
+     * Collapses sorted file indices back into `so` ranges
+     *
+     * @private
+     */
+    static formatSelection(indices) {
+        const ranges = [];
+        indices.forEach(index => {
+            const last = ranges[ranges.length - 1];
+            if (last && index === last[1] + 1) {
+                last[1] = index;
+            } else {
+                ranges.push([index, index]);
+            }
+        });
+        return ranges.map(([first, last]) => (first === last ? `${first}` : `${first}-${last}`)).join(',');
+    }
+
+    /**
+     * @private
+     */
+    static unique(values) {
+        return [...new Set((values || []).map(value => value.trim()).filter(Boolean))];
+    }
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+    window.MagnetUri = MagnetUri;
+}
@@ -47,6 +47,8 @@ class Monitor {
         this.metrics = new Map();
         this.performanceHistory = [];
         this.connectionHistory = [];
+        this.connectionListeners = [];
+        this.connectionOnline = null; // Unknown until the first connection check
         this.intervals = new Map();
         this.lastHealthCheck = null;
         this.startTime = Date.now();
@@ -82,6 +84,14 @@ class Monitor {
         }
     }
 
+    /**
+     * Register a listener for server reachability changes seen by the connection check
+     * @param {function(boolean): void} listener - Called with true when the server starts answering, false when it stops
+     */
+    static onConnectionChange(listener) {
+        Monitor.getInstance().connectionListeners.push(listener);
+    }
+
     /**
      * Stop the monitoring service
      */
@@ -384,7 +394,7 @@ class Monitor {
                 }
             }
 
-            this.recordMetric('storage_usage_bytes', bytesInUse, Monitor.METRIC_TYPES.GAUGE);
+            Monitor.recordMetric('storage_usage_bytes', bytesInUse, Monitor.METRIC_TYPES.GAUGE);
         } catch (error) {
             if (typeof window !== 'undefined' && window.ErrorHandler) {
                 window.ErrorHandler.handle(error, 'storage', { operation: 'storage_check' });
@@ -419,13 +429,16 @@ class Monitor {
 
                 this.connectionHistory.push(connectionQuality);
 
+                // Any HTTP answer means the server is reachable (app/version is 403 without a session)
+                this._setConnectionOnline(true);
+
                 // Keep only last 100 connection attempts
                 if (this.connectionHistory.length > 100) {
                     this.connectionHistory.shift();
                 }
 
-                this.recordMetric('api_response_time', responseTime, Monitor.METRIC_TYPES.HISTOGRAM);
-                this.recordMetric('api_success_rate', response.ok ? 1 : 0, Monitor.METRIC_TYPES.COUNTER);
+                Monitor.recordMetric('api_response_time', responseTime, Monitor.METRIC_TYPES.HISTOGRAM);
+                Monitor.recordMetric('api_success_rate', response.ok ? 1 : 0, Monitor.METRIC_TYPES.COUNTER);
 
             } catch (error) {
                 const connectionQuality = {
@@ -436,7 +449,8 @@ class Monitor {
                 };
 
                 this.connectionHistory.push(connectionQuality);
-                this.recordMetric('api_success_rate', 0, Monitor.METRIC_TYPES.COUNTER);
+                this._setConnectionOnline(false);
+                Monitor.recordMetric('api_success_rate', 0, Monitor.METRIC_TYPES.COUNTER);
             }
         } catch (error) {
             if (typeof window !== 'undefined' && window.ErrorHandler) {
@@ -445,6 +459,23 @@ class Monitor {
         }
     }
 
+    /**
+     * Notify connection listeners when reachability changes
+     * @private
+     */
+    _setConnectionOnline(online) {
+        if (online === this.connectionOnline) {return;}
+        this.connectionOnline = online;
+
+        this.connectionListeners.forEach(listener => {
+            try {
+                listener(online);
+            } catch (error) {
+                console.error('Connection listener failed:', error);
+            }
+        });
+    }
+
     /**
      * Record a custom metric
      * @param {string} name - Metric name
@@ -0,0 +1,311 @@
+/**
+ * User-defined send rules that pick category, tags, save path, paused state and target server
+ * Rules are stored in order in sync storage; the first enabled rule whose conditions all match wins
+ *
+ * @class RuleEngine
+ * @since 1.1.0
+ * @example
+ * const rules = await RuleEngine.loadRules();
+ * const match = RuleEngine.evaluate(rules, {
+ *   pageUrl: 'https://tracker.example.org/torrents/123',
+ *   linkText: 'Ubuntu 24.04 Desktop',
+ *   name: 'ubuntu-24.04-desktop-amd64.iso',
+ *   size: 6114656256,
+ *   trackers: ['https://torrent.ubuntu.com/announce']
+ * });
+ * if (match) {
+ *   console.log(match.rule.name, match.actions.category);
+ * }
+ */
+class RuleEngine {
+    static STORAGE_KEY = 'rules';
+    static MAX_RULES = 25; // Keeps the list within the sync storage per-item quota
+    static MAX_PATTERN_LENGTH = 200;
+
+    /**
+     * Loads the ordered rule list
+     *
+     * @returns {Promise<object[]>} Rules in evaluation order
+     * @since 1.1.0
+     */
+    static async loadRules() {
+        const result = await chrome.storage.sync.get([this.STORAGE_KEY]);
+        return Array.isArray(result[this.STORAGE_KEY]) ? result[this.STORAGE_KEY] : [];
+    }
+
+    /**
+     * Validates and stores the ordered rule list
+     *
+     * @param {object[]} rules - Rules in evaluation order
+     * @returns {Promise<object[]>} Sanitized rules as stored
+     * @throws {Error} When a rule is invalid, naming the rule position and problem
+     * @since 1.1.0
+     */
+    static async saveRules(rules) {
+        const sanitized = this.sanitizeRules(rules);
+        await chrome.storage.sync.set({ [this.STORAGE_KEY]: sanitized });
+        return sanitized;
+    }
+
+    /**
+     * Validates an ordered rule list without storing it
+     *
+     * @param {object[]} rules - Rules in evaluation order
+     * @returns {object[]} Sanitized rules
+     * @throws {Error} When there are too many rules or one is invalid, naming the rule position and problem
+     * @since 1.1.0
+     */
+    static sanitizeRules(rules) {
+        if (rules.length > this.MAX_RULES) {
+            throw new Error(`Cannot store more than ${this.MAX_RULES} rules`);
+        }
+
+        return rules.map((rule, index) => {
+            try {
+                return this.sanitizeRule(rule);
+            } catch (error) {
+                throw new Error(`Rule ${index + 1}: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Normalizes a rule and rejects invalid patterns or size ranges
+     *
+     * @param {object} rule - Rule from the editor or storage
+     * @returns {object} Sanitized rule
+     * @throws {Error} When the regex does not compile, the size range is inverted or nothing is matched/set
+     * @since 1.1.0
+     * @example
+     * RuleEngine.sanitizeRule({
+     *   name: 'Linux ISOs',
+     *   conditions: { pattern: 'ubuntu|debian', minSize: 1073741824 },
+     *   actions: { category: 'linux', tags: ['iso'] }
+     * });
+     */
+    static sanitizeRule(rule) {
+        const conditions = rule.conditions || {};
+        const actions = rule.actions || {};
+
+        const pattern = String(conditions.pattern || '').trim();
+        if (pattern.length > this.MAX_PATTERN_LENGTH) {
+            throw new Error(`pattern is longer than ${this.MAX_PATTERN_LENGTH} characters`);
+        }
+        if (pattern) {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                throw new Error(`invalid pattern: ${error.message}`);
+            }
+        }
+
+        const minSize = this.readSize(conditions.minSize, 'minimum size');
+        const maxSize = this.readSize(conditions.maxSize, 'maximum size');
+        if (minSize !== null && maxSize !== null && minSize > maxSize) {
+            throw new Error('minimum size is larger than maximum size');
+        }
+
+        const sanitized = {
+            id: rule.id || this.generateRuleId(),
+            name: this.sanitizeText(rule.name, 50) || 'Rule',
+            enabled: rule.enabled !== false,
+            conditions: {
+                domain: this.sanitizeHost(conditions.domain),
+                pattern,
+                minSize,
+                maxSize,
+                trackerHost: this.sanitizeHost(conditions.trackerHost)
+            },
+            actions: {
+                category: this.sanitizeCategory(actions.category),
+                tags: this.sanitizeTags(actions.tags),
+                savePath: this.sanitizePath(actions.savePath),
+                paused: typeof actions.paused === 'boolean' ? actions.paused : null,
+                serverId: actions.serverId || null
+            }
+        };
+
+        const { domain, trackerHost } = sanitized.conditions;
+        if (!domain && !pattern && minSize === null && maxSize === null && !trackerHost) {
+            throw new Error('add at least one condition');
+        }
+
+        const { category, tags, savePath, paused, serverId } = sanitized.actions;
+        if (!category && tags.length === 0 && !savePath && paused === null && !serverId) {
+            throw new Error('add at least one action');
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Finds the first enabled rule matching a send
+     *
+     * @param {object[]} rules - Rules in evaluation order
+     * @param {object} context - What is known about the send
+     * @param {string} [context.pageUrl] - Page the link was found on
+     * @param {string} [context.linkText] - Text of the clicked link
+     * @param {string} [context.name] - Torrent name (from metadata or magnet `dn`)
+     * @param {number|null} [context.size] - Total size in bytes, null when unknown (magnets)
+     * @param {string[]} [context.trackers] - Tracker announce URLs
+     * @returns {{rule: object, actions: object}|null} Matching rule and its actions
+     * @since 1.1.0
+     */
+    static evaluate(rules, context) {
+        const rule = rules.find(candidate => candidate.enabled !== false && this.matches(candidate, context));
+        return rule ? { rule, actions: rule.actions } : null;
+    }
+
+    /**
+     * Checks whether every condition of a rule holds; unset conditions are ignored
+     *
+     * @param {object} rule - Sanitized rule
+     * @param {object} context - See {@link RuleEngine.evaluate}
+     * @returns {boolean} True when all set conditions match
+     * @since 1.1.0
+     */
+    static matches(rule, context) {
+        const { domain, pattern, minSize, maxSize, trackerHost } = rule.conditions || {};
+
+        if (domain && !SiteFilter.matchesDomain(this.getHostname(context.pageUrl), domain)) {
+            return false;
+        }
+
+        if (pattern) {
+            const regex = new RegExp(pattern, 'i');
+            if (!regex.test(context.linkText || '') && !regex.test(context.name || '')) {
+                return false;
+            }
+        }
+
+        if (typeof minSize === 'number' || typeof maxSize === 'number') {
+            // Magnets have no size until their metadata is fetched, so size rules never match them
+            if (typeof context.size !== 'number') {return false;}
+            if (typeof minSize === 'number' && context.size < minSize) {return false;}
+            if (typeof maxSize === 'number' && context.size > maxSize) {return false;}
+        }
+
+        if (trackerHost) {
+            const hosts = (context.trackers || []).map(url => this.getHostname(url));
+            if (!hosts.some(host => SiteFilter.matchesDomain(host, trackerHost))) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Merges rule actions into per-send options
+     * Values chosen explicitly for the send win; the rule only fills what was left at the default
+     *
+     * @param {object} actions - Rule actions
+     * @param {object} customOptions - Per-send options
+     * @returns {object} New per-send options
+     * @since 1.1.0
+     */
+    static applyActions(actions, customOptions = {}) {
+        const merged = { ...customOptions };
+
+        ['category', 'savePath', 'serverId'].forEach(key => {
+            if (!merged[key] && actions[key]) {
+                merged[key] = actions[key];
+            }
+        });
+
+        if (actions.tags && actions.tags.length > 0) {
+            const existing = Array.isArray(merged.tags)
+                ? merged.tags
+                : String(merged.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+            merged.tags = [...new Set([...existing, ...actions.tags])];
+        }
+
+        // An unticked "start paused" box cannot be told apart from no choice, so only `true` is binding
+        if (typeof actions.paused === 'boolean' && merged.paused !== true) {
+            merged.paused = actions.paused;
+        }
+
+        return merged;
+    }
+
+    /**
+     * @private
+     */
+    static getHostname(url) {
+        try {
+            return new URL(url).hostname;
+        } catch {
+            return '';
+        }
+    }
+
+    /**
+     * Accepts a size in bytes; empty values mean "no limit"
+     * @private
+     */
+    static readSize(value, label) {
+        if (value === null || value === undefined || value === '') {return null;}
+
+        const size = Number(value);
+        if (!Number.isSafeInteger(size) || size < 0) {
+            throw new Error(`${label} must be a non-negative number`);
+        }
+        return size;
+    }
+
+    /**
+     * @private
+     */
+    static sanitizeHost(value) {
+        return String(value || '').trim().toLowerCase().replace(/[^a-z0-9.*-]/g, '').substring(0, 253);
+    }
+
+    /**
+     * @private
+     */
+    static sanitizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        return [...new Set(list.map(tag => this.sanitizeText(tag, 50)).filter(Boolean))];
+    }
+
+    /**
+     * @private
+     */
+    static sanitizeText(value, maxLength) {
+        const text = String(value || '').replace(/[<>"]/g, '').trim();
+        return text.substring(0, maxLength);
+    }
+
+    /**
+     * @private
+     */
+    static sanitizeCategory(value) {
+        if (typeof InputValidator !== 'undefined') {
+            return InputValidator.sanitizeCategory(String(value || ''));
+        }
+        return this.sanitizeText(value, 100);
+    }
+
+    /**
+     * @private
+     */
+    static sanitizePath(value) {
+        if (typeof InputValidator !== 'undefined') {
+            return InputValidator.sanitizePath(String(value || ''));
+        }
+        return this.sanitizeText(value, 500);
+    }
+
+    /**
+     * @private
+     */
+    static generateRuleId() {
+        const bytes = crypto.getRandomValues(new Uint8Array(6));
+        return `rule_${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')}`;
+    }
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+    window.RuleEngine = RuleEngine;
+}
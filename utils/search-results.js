@@ -0,0 +1,108 @@
+/**
+ * Results of qBittorrent searches, as shown on the search page
+ * The server reports unknown sizes and peer counts as -1; they are kept as null here and sort
+ * after every known value in either direction
+ *
+ * @class SearchResults
+ * @since 1.1.0
+ * @example
+ * const results = response.results.map(result => SearchResults.normalize(result));
+ * const shown = SearchResults.sort(SearchResults.filter(results, { minSeeders: 5 }), 'size', 'desc');
+ */
+class SearchResults {
+    static SORT_KEYS = ['seeders', 'leechers', 'size', 'name'];
+
+    /**
+     * Converts a result from search/results
+     *
+     * @param {object} result - Result as sent by the server
+     * @returns {{name: string, url: string, size: number|null, seeders: number|null,
+     *   leechers: number|null, engine: string, descriptionUrl: string}} Result for display
+     * @since 1.1.0
+     */
+    static normalize(result) {
+        const count = value => (Number.isFinite(value) && value >= 0 ? value : null);
+
+        return {
+            name: String(result.fileName || ''),
+            url: String(result.fileUrl || ''),
+            size: count(result.fileSize),
+            seeders: count(result.nbSeeders),
+            leechers: count(result.nbLeechers),
+            // engineName is only sent by qBittorrent 5 and later
+            engine: String(result.engineName || this.getHostname(result.siteUrl)),
+            descriptionUrl: String(result.descrLink || '')
+        };
+    }
+
+    /**
+     * Filters results for display
+     *
+     * @param {object[]} results - Normalized results
+     * @param {object} [filters] - Filters to apply
+     * @param {string} [filters.search] - Case-insensitive text every word of which must be in the name
+     * @param {number} [filters.minSeeders] - Fewest seeders; results with unknown seeders are dropped when set
+     * @param {number} [filters.minSize] - Smallest size in bytes
+     * @param {number} [filters.maxSize] - Largest size in bytes
+     * @returns {object[]} Matching results in their original order
+     * @since 1.1.0
+     * @example
+     * SearchResults.filter(results, { search: 'ubuntu iso', maxSize: 8 * 1024 ** 3 });
+     */
+    static filter(results, { search = '', minSeeders = 0, minSize = 0, maxSize = 0 } = {}) {
+        const words = search.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+        return results.filter(result => {
+            if (minSeeders > 0 && (result.seeders === null || result.seeders < minSeeders)) {return false;}
+            if (minSize > 0 && (result.size === null || result.size < minSize)) {return false;}
+            if (maxSize > 0 && (result.size === null || result.size > maxSize)) {return false;}
+
+            const name = result.name.toLowerCase();
+            return words.every(word => name.includes(word));
+        });
+    }
+
+    /**
+     * Sorts results without changing the given array
+     *
+     * @param {object[]} results - Normalized results
+     * @param {string} [key] - One of SORT_KEYS
+     * @param {string} [direction] - 'desc' or 'asc'
+     * @returns {object[]} Sorted copy; equal results keep their order
+     * @since 1.1.0
+     */
+    static sort(results, key = 'seeders', direction = 'desc') {
+        const field = this.SORT_KEYS.includes(key) ? key : 'seeders';
+        const sign = direction === 'asc' ? 1 : -1;
+
+        return [...results].sort((a, b) => {
+            if (field === 'name') {
+                return sign * a.name.localeCompare(b.name, undefined, { sensitivity: 'base', numeric: true });
+            }
+            if (a[field] === null || b[field] === null) {
+                return (a[field] === null) - (b[field] === null);
+            }
+            return sign * (a[field] - b[field]);
+        });
+    }
+
+    /**
+     * Hostname of a plugin's site, or the text as given when it is not a URL
+     *
+     * @param {string} url - Site URL
+     * @returns {string} Hostname
+     * @private
+     */
+    static getHostname(url) {
+        try {
+            return new URL(url).hostname;
+        } catch {
+            return url || '';
+        }
+    }
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+    window.SearchResults = SearchResults;
+}
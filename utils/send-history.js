@@ -0,0 +1,264 @@
+/**
+ * Persistent history of torrents sent to qBittorrent
+ * Every send is recorded in local storage with its source page, target and outcome; entries
+ * older than the retention period or beyond the entry limit are removed the same way Logger
+ * trims its logs
+ *
+ * @class SendHistory
+ * @since 1.1.0
+ * @example
+ * // Record a send, then find it again
+ * await SendHistory.record({ url, name: 'Ubuntu 24.04', status: 'added', serverId: 'default' });
+ * const failed = SendHistory.filter(await SendHistory.list(), { status: 'failed', search: 'ubuntu' });
+ *
+ * // Export for a spreadsheet
+ * const csv = SendHistory.toCsv(await SendHistory.list());
+ */
+class SendHistory {
+    static STORAGE_KEY = 'send_history';
+
+    static STATUSES = ['added', 'duplicate', 'queued', 'failed', 'cancelled'];
+
+    static DEFAULT_RETENTION_DAYS = 30;
+
+    static MAX_ENTRIES = 1000;
+
+    static EXPORT_FIELDS = [
+        'timestamp', 'status', 'name', 'hash', 'url', 'pageUrl', 'serverName', 'category', 'savePath', 'error'
+    ];
+
+    // Writes are chained so concurrent batch sends never overwrite each other's entries
+    static _pendingWrite = Promise.resolve();
+
+    /**
+     * Lists all entries, newest first
+     *
+     * @returns {Promise<object[]>} History entries
+     * @since 1.1.0
+     */
+    static async list() {
+        const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+        return result[this.STORAGE_KEY] || [];
+    }
+
+    /**
+     * Adds an entry and applies the retention policy
+     *
+     * @param {object} entry - Send details
+     * @param {string} entry.url - Magnet link or .torrent URL
+     * @param {string} entry.status - One of STATUSES
+     * @param {string} [entry.name] - Torrent name
+     * @param {string} [entry.hash] - Info-hash
+     * @param {string} [entry.pageUrl] - Page the link was sent from
+     * @param {string} [entry.serverId] - Target server profile
+     * @param {string} [entry.category] - Category the torrent was added with
+     * @param {string} [entry.savePath] - Save path the torrent was added with
+     * @param {string} [entry.error] - Failure reason
+     * @param {object} [entry.options] - Send options, kept for resending
+     * @returns {Promise<object>} Stored entry with its id and timestamp
+     * @since 1.1.0
+     */
+    static async record(entry) {
+        const stored = {
+            id: this.generateId(),
+            timestamp: new Date().toISOString(),
+            name: '',
+            hash: null,
+            pageUrl: '',
+            serverId: null,
+            serverName: '',
+            category: '',
+            savePath: '',
+            error: null,
+            queueId: null,
+            options: {},
+            ...entry
+        };
+
+        const retentionDays = await this.getRetentionDays();
+        await this.update(entries => {
+            entries.unshift(stored);
+            return this.applyRetention(entries, retentionDays);
+        });
+        return stored;
+    }
+
+    /**
+     * Changes the entries matching a predicate, e.g. when a queued send is finally delivered
+     *
+     * @param {function(object): boolean} predicate - Selects the entries to change
+     * @param {object} changes - Fields to overwrite
+     * @returns {Promise<number>} Number of changed entries
+     * @since 1.1.0
+     */
+    static async updateWhere(predicate, changes) {
+        let changed = 0;
+        await this.update(entries => {
+            entries.filter(predicate).forEach(entry => {
+                Object.assign(entry, changes);
+                changed += 1;
+            });
+            return entries;
+        });
+        return changed;
+    }
+
+    /**
+     * @param {string} id - Entry id
+     * @returns {Promise<object|null>} Entry or null when it was removed
+     * @since 1.1.0
+     */
+    static async get(id) {
+        return (await this.list()).find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Removes all entries
+     *
+     * @since 1.1.0
+     */
+    static async clear() {
+        await this.update(() => []);
+    }
+
+    /**
+     * Filters entries for display
+     *
+     * @param {object[]} entries - History entries
+     * @param {object} [filters] - Filters to apply
+     * @param {string} [filters.search] - Case-insensitive text matched against name, hash, URL, page and error
+     * @param {string} [filters.status] - Only entries with this status
+     * @param {string} [filters.serverId] - Only entries sent to this server
+     * @returns {object[]} Matching entries in their original order
+     * @since 1.1.0
+     * @example
+     * SendHistory.filter(entries, { search: 'debian', status: 'added' });
+     */
+    static filter(entries, { search = '', status = '', serverId = '' } = {}) {
+        const needle = search.trim().toLowerCase();
+
+        return entries.filter(entry => {
+            if (status && entry.status !== status) {return false;}
+            if (serverId && entry.serverId !== serverId) {return false;}
+            if (!needle) {return true;}
+
+            return [entry.name, entry.hash, entry.url, entry.pageUrl, entry.error]
+                .some(value => typeof value === 'string' && value.toLowerCase().includes(needle));
+        });
+    }
+
+    /**
+     * Drops entries older than the retention period and beyond MAX_ENTRIES
+     *
+     * @param {number} [retentionDays] - Days to keep; read from the advanced settings when omitted
+     * @returns {Promise<number>} Number of removed entries
+     * @since 1.1.0
+     */
+    static async cleanup(retentionDays = null) {
+        const days = retentionDays || await this.getRetentionDays();
+        let removed = 0;
+        await this.update(entries => {
+            const kept = this.applyRetention(entries, days);
+            removed = entries.length - kept.length;
+            return kept;
+        });
+        return removed;
+    }
+
+    /**
+     * Converts entries to CSV with a header row
+     *
+     * @param {object[]} entries - History entries
+     * @returns {string} CSV text
+     * @since 1.1.0
+     */
+    static toCsv(entries) {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            // Leading =, +, - and @ would be run as formulas by spreadsheet applications
+            const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+            return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+        };
+
+        const rows = entries.map(entry => this.EXPORT_FIELDS.map(field => escape(entry[field])).join(','));
+        return [this.EXPORT_FIELDS.join(','), ...rows].join('\r\n');
+    }
+
+    /**
+     * Converts entries to JSON without the internal resend options
+     *
+     * @param {object[]} entries - History entries
+     * @returns {string} Pretty-printed JSON array
+     * @since 1.1.0
+     */
+    static toJson(entries) {
+        const exported = entries.map(entry => {
+            const fields = {};
+            this.EXPORT_FIELDS.forEach(field => {
+                fields[field] = entry[field] === undefined ? null : entry[field];
+            });
+            return fields;
+        });
+        return JSON.stringify(exported, null, 2);
+    }
+
+    /**
+     * Reads the retention period from the advanced settings
+     *
+     * @returns {Promise<number>} Days to keep entries
+     * @private
+     * @since 1.1.0
+     */
+    static async getRetentionDays() {
+        try {
+            const result = await chrome.storage.sync.get(['advanced']);
+            return result.advanced?.historyRetentionDays || this.DEFAULT_RETENTION_DAYS;
+        } catch {
+            return this.DEFAULT_RETENTION_DAYS;
+        }
+    }
+
+    /**
+     * @private
+     */
+    static applyRetention(entries, retentionDays) {
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+
+        return entries
+            .filter(entry => new Date(entry.timestamp) > cutoffDate)
+            .slice(0, this.MAX_ENTRIES);
+    }
+
+    /**
+     * Runs a read-modify-write on the stored entries after any pending one
+     *
+     * @param {function(object[]): object[]} mutate - Returns the entries to store
+     * @returns {Promise<void>}
+     * @private
+     * @since 1.1.0
+     */
+    static update(mutate) {
+        const write = this._pendingWrite.then(async () => {
+            const entries = mutate(await this.list());
+            await chrome.storage.local.set({ [this.STORAGE_KEY]: entries });
+        });
+        this._pendingWrite = write.catch(() => {
+            // A failed write must not block the next one
+        });
+        return write;
+    }
+
+    /**
+     * @private
+     */
+    static generateId() {
+        const bytes = crypto.getRandomValues(new Uint8Array(6));
+        return `hist_${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')}`;
+    }
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+    window.SendHistory = SendHistory;
+}
@@ -0,0 +1,365 @@
+/**
+ * Named qBittorrent server profiles with per-profile encrypted credentials
+ * Public profile data lives in sync storage, credentials are encrypted per profile
+ * through SecureStorageManager so each server keeps its own login
+ *
+ * @class ServerProfileManager
+ * @since 1.1.0
+ * @example
+ * // Add a second server and make it the default target
+ * const profile = await ServerProfileManager.saveProfile({
+ *   name: 'Seedbox',
+ *   url: 'https://seedbox.example.com',
+ *   username: 'admin',
+ *   password: 'secret123',
+ *   category: 'tv'
+ * });
+ * await ServerProfileManager.setDefaultProfile(profile.id);
+ *
+ * // Resolve a profile with decrypted credentials
+ * const server = await ServerProfileManager.getProfile(profile.id);
+ */
+class ServerProfileManager {
+    static STORAGE_KEYS = {
+        PROFILES: 'servers',
+        DEFAULT_ID: 'defaultServerId',
+        LEGACY_SERVER: 'server',
+        LEGACY_CREDENTIALS: 'secure_credentials',
+        CREDENTIALS_PREFIX: 'secure_credentials_'
+    };
+
+    static DEFAULT_PROFILE_ID = 'default';
+
+    static MAX_PROFILES = 20;
+
+    // Migration in progress, shared by every caller that finds no profiles
+    static migration = null;
+
+    /**
+     * Lists all server profiles without credentials
+     * Migrates the legacy single `server` setting into a profile on first use
+     *
+     * @returns {Promise<object[]>} Public profile data in display order
+     * @since 1.1.0
+     * @example
+     * const profiles = await ServerProfileManager.listProfiles();
+     * profiles.forEach(p => console.log(p.id, p.name));
+     */
+    static async listProfiles() {
+        const profiles = await this.getStoredProfiles();
+
+        if (profiles.length > 0) {
+            return profiles;
+        }
+
+        // Startup callers race here; a second migration would find the legacy credentials
+        // already removed and store empty ones over the migrated login. Reading again inside
+        // the shared promise covers a caller that got here just after a migration finished.
+        if (!this.migration) {
+            this.migration = this.getStoredProfiles()
+                .then(stored => (stored.length > 0 ? stored : this.migrateLegacyServer()))
+                .finally(() => {
+                    this.migration = null;
+                });
+        }
+        return this.migration;
+    }
+
+    /**
+     * Reads the stored profile list
+     *
+     * @returns {Promise<object[]>} Stored profiles, empty when none are saved
+     * @private
+     * @since 1.1.0
+     */
+    static async getStoredProfiles() {
+        const result = await chrome.storage.sync.get([this.STORAGE_KEYS.PROFILES]);
+        const profiles = result[this.STORAGE_KEYS.PROFILES];
+
+        return Array.isArray(profiles) ? profiles : [];
+    }
+
+    /**
+     * Returns the id of the profile used when no target is chosen
+     *
+     * @returns {Promise<string|null>} Default profile id or null when no profiles exist
+     * @since 1.1.0
+     */
+    static async getDefaultProfileId() {
+        const profiles = await this.listProfiles();
+        const result = await chrome.storage.sync.get([this.STORAGE_KEYS.DEFAULT_ID]);
+        const defaultId = result[this.STORAGE_KEYS.DEFAULT_ID];
+
+        if (profiles.some(profile => profile.id === defaultId)) {
+            return defaultId;
+        }
+
+        return profiles.length > 0 ? profiles[0].id : null;
+    }
+
+    /**
+     * Resolves a profile with its decrypted credentials
+     * Falls back to the default profile when no id is given or the id is unknown
+     *
+     * @param {string} [profileId] - Profile id to resolve
+     * @returns {Promise<object>} Profile data including username and password, or empty object
+     * @since 1.1.0
+     * @example
+     * const server = await ServerProfileManager.getProfile();
+     * console.log(server.url, server.username);
+     */
+    static async getProfile(profileId = null) {
+        const profiles = await this.listProfiles();
+        let profile = profileId ? profiles.find(p => p.id === profileId) : null;
+
+        if (!profile) {
+            const defaultId = await this.getDefaultProfileId();
+            profile = profiles.find(p => p.id === defaultId);
+        }
+
+        if (!profile) {
+            return {};
+        }
+
+        const credentials = await SecureStorageManager.decryptAndRetrieve(
+            this.STORAGE_KEYS.CREDENTIALS_PREFIX + profile.id
+        );
+
+        return {
+            ...profile,
+            username: credentials?.username || '',
+            password: credentials?.password || '',
+            basicAuthUsername: credentials?.basicAuthUsername || '',
+            basicAuthPassword: credentials?.basicAuthPassword || '',
+            customHeaders: credentials?.customHeaders || []
+        };
+    }
+
+    /**
+     * Resolves the URL requests are sent to
+     * Keeps a reverse-proxy sub-path, applies `useHttps` and uses `customPort` when the URL names
+     * no port. Credentials, query and fragment are dropped and so is the trailing slash, so API
+     * paths can be appended directly; applying it to its own result changes nothing.
+     *
+     * @param {object} profile - Profile or legacy server settings
+     * @param {string} profile.url - qBittorrent Web UI URL as entered
+     * @param {boolean} [profile.useHttps] - Upgrade an http:// URL to https://
+     * @param {number} [profile.customPort] - Port for URLs without one
+     * @returns {string} Base URL without trailing slash, or empty string when the URL is invalid
+     * @since 1.1.0
+     * @example
+     * ServerProfileManager.getBaseUrl({ url: 'http://nas.local/qbittorrent/', useHttps: true });
+     * // Returns: 'https://nas.local/qbittorrent'
+     */
+    static getBaseUrl(profile) {
+        try {
+            const url = new URL(profile.url);
+            if (!['http:', 'https:'].includes(url.protocol)) {return '';}
+
+            if (profile.useHttps) {
+                url.protocol = 'https:';
+            }
+            if (!url.port && profile.customPort) {
+                url.port = String(profile.customPort);
+            }
+            url.username = '';
+            url.password = '';
+
+            return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+        } catch {
+            return '';
+        }
+    }
+
+    /**
+     * Creates or updates a profile
+     * Credentials are encrypted separately and never written to sync storage
+     *
+     * @param {object} profileConfig - Profile configuration
+     * @param {string} [profileConfig.id] - Existing profile id (omit to create)
+     * @param {string} profileConfig.name - Display name
+     * @param {string} profileConfig.url - qBittorrent Web UI URL
+     * @param {string} [profileConfig.username] - Authentication username
+     * @param {string} [profileConfig.password] - Authentication password
+     * @param {boolean} [profileConfig.useHttps] - Upgrade the URL to HTTPS
+     * @param {number} [profileConfig.customPort] - Port for URLs without one
+     * @param {boolean} [profileConfig.skipLogin] - Server bypasses authentication for this client
+     * @param {string} [profileConfig.basicAuthUsername] - HTTP basic auth username for a reverse proxy
+     * @param {string} [profileConfig.basicAuthPassword] - HTTP basic auth password for a reverse proxy
+     * @param {Array<{name: string, value: string}>} [profileConfig.customHeaders] - Extra request headers
+     * @param {string} [profileConfig.category] - Default category for this server
+     * @param {string} [profileConfig.savePath] - Default save path for this server
+     * @returns {Promise<object>} Saved public profile data
+     * @throws {Error} When the profile limit is reached
+     * @since 1.1.0
+     */
+    static async saveProfile(profileConfig) {
+        const profiles = await this.listProfiles();
+        const id = profileConfig.id || this.generateProfileId();
+        const index = profiles.findIndex(p => p.id === id);
+
+        if (index === -1 && profiles.length >= this.MAX_PROFILES) {
+            throw new Error(`Cannot store more than ${this.MAX_PROFILES} server profiles`);
+        }
+
+        const publicData = {
+            id,
+            name: profileConfig.name || profileConfig.url || 'Server',
+            url: profileConfig.url,
+            useHttps: Boolean(profileConfig.useHttps),
+            customPort: profileConfig.customPort,
+            skipLogin: Boolean(profileConfig.skipLogin),
+            category: profileConfig.category || '',
+            savePath: profileConfig.savePath || ''
+        };
+
+        if (index === -1) {
+            profiles.push(publicData);
+        } else {
+            profiles[index] = publicData;
+        }
+
+        // Proxy credentials and headers (often SSO tokens) are secrets too
+        await SecureStorageManager.encryptAndStore(this.STORAGE_KEYS.CREDENTIALS_PREFIX + id, {
+            username: profileConfig.username || '',
+            password: profileConfig.password || '',
+            basicAuthUsername: profileConfig.basicAuthUsername || '',
+            basicAuthPassword: profileConfig.basicAuthPassword || '',
+            customHeaders: profileConfig.customHeaders || []
+        });
+
+        await chrome.storage.sync.set({ [this.STORAGE_KEYS.PROFILES]: profiles });
+        await this.syncLegacyServer(profiles);
+
+        return publicData;
+    }
+
+    /**
+     * Removes a profile and its encrypted credentials
+     * The first remaining profile becomes the default if the default was removed
+     *
+     * @param {string} profileId - Profile id to remove
+     * @returns {Promise<object[]>} Remaining profiles
+     * @since 1.1.0
+     */
+    static async removeProfile(profileId) {
+        const profiles = (await this.listProfiles()).filter(p => p.id !== profileId);
+
+        await chrome.storage.local.remove([this.STORAGE_KEYS.CREDENTIALS_PREFIX + profileId]);
+        await chrome.storage.sync.set({ [this.STORAGE_KEYS.PROFILES]: profiles });
+        await this.syncLegacyServer(profiles);
+
+        return profiles;
+    }
+
+    /**
+     * Marks a profile as the default send target
+     *
+     * @param {string} profileId - Profile id to use by default
+     * @throws {Error} When the profile does not exist
+     * @since 1.1.0
+     */
+    static async setDefaultProfile(profileId) {
+        const profiles = await this.listProfiles();
+        if (!profiles.some(p => p.id === profileId)) {
+            throw new Error('Server profile not found');
+        }
+
+        await chrome.storage.sync.set({ [this.STORAGE_KEYS.DEFAULT_ID]: profileId });
+        await this.syncLegacyServer(profiles);
+    }
+
+    /**
+     * Converts the pre-profile `server` setting into the first profile
+     * Keeps the existing encrypted credentials so users do not have to log in again.
+     * Only run through listProfiles, which lets one migration run at a time.
+     *
+     * @returns {Promise<object[]>} Migrated profiles (empty if nothing was configured)
+     * @private
+     * @since 1.1.0
+     */
+    static async migrateLegacyServer() {
+        const result = await chrome.storage.sync.get([this.STORAGE_KEYS.LEGACY_SERVER]);
+        const legacy = result[this.STORAGE_KEYS.LEGACY_SERVER];
+
+        if (!legacy || !legacy.url) {
+            return [];
+        }
+
+        const legacyCredentials = await SecureStorageManager.decryptAndRetrieve(
+            this.STORAGE_KEYS.LEGACY_CREDENTIALS
+        );
+
+        const profile = {
+            id: this.DEFAULT_PROFILE_ID,
+            name: 'Default',
+            url: legacy.url,
+            useHttps: Boolean(legacy.useHttps),
+            // Not carried over: the old options page had no port field, so a stored value is
+            // the install default and would override the port of a proxied URL
+            customPort: undefined,
+            skipLogin: false,
+            category: '',
+            savePath: ''
+        };
+
+        await SecureStorageManager.encryptAndStore(this.STORAGE_KEYS.CREDENTIALS_PREFIX + profile.id, {
+            username: legacyCredentials?.username || legacy.username || '',
+            password: legacyCredentials?.password || legacy.password || ''
+        });
+
+        await chrome.storage.sync.set({
+            [this.STORAGE_KEYS.PROFILES]: [profile],
+            [this.STORAGE_KEYS.DEFAULT_ID]: profile.id
+        });
+
+        // The profile holds the credentials now; the legacy key keeps only the public mirror
+        await chrome.storage.local.remove([this.STORAGE_KEYS.LEGACY_CREDENTIALS]);
+        await this.syncLegacyServer([profile]);
+
+        return [profile];
+    }
+
+    /**
+     * Mirrors the default profile's public data into the legacy `server` key
+     * Monitor and Diagnostics read that key for health checks, so it holds the resolved base URL
+     *
+     * @param {object[]} profiles - Current profile list
+     * @private
+     * @since 1.1.0
+     */
+    static async syncLegacyServer(profiles) {
+        const result = await chrome.storage.sync.get([this.STORAGE_KEYS.DEFAULT_ID]);
+        const defaultProfile = profiles.find(p => p.id === result[this.STORAGE_KEYS.DEFAULT_ID]) || profiles[0];
+
+        if (!defaultProfile) {
+            await chrome.storage.sync.remove([this.STORAGE_KEYS.LEGACY_SERVER]);
+            return;
+        }
+
+        await chrome.storage.sync.set({
+            [this.STORAGE_KEYS.LEGACY_SERVER]: {
+                url: this.getBaseUrl(defaultProfile) || defaultProfile.url,
+                useHttps: defaultProfile.useHttps,
+                customPort: defaultProfile.customPort
+            }
+        });
+    }
+
+    /**
+     * Generates a short random profile id
+     *
+     * @returns {string} Profile id
+     * @private
+     * @since 1.1.0
+     */
+    static generateProfileId() {
+        const bytes = crypto.getRandomValues(new Uint8Array(6));
+        return `srv_${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')}`;
+    }
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+    window.ServerProfileManager = ServerProfileManager;
+}
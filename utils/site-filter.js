@@ -0,0 +1,150 @@
+/**
+ * Site whitelist/blacklist matching shared by the content script, context menus, popup and send rules
+ * Patterns are hostnames: `example.com` covers the domain and its subdomains, `*` is a wildcard
+ * (so `*.example.com` covers subdomains only and `tracker*.example.org` any matching host)
+ *
+ * @class SiteFilter
+ * @since 1.1.0
+ * @example
+ * const siteSettings = await StorageManager.getSiteSettings();
+ * if (!SiteFilter.isAllowed(window.location.href, siteSettings)) {
+ *   return; // Extension disabled on this site
+ * }
+ */
+class SiteFilter {
+    static STORAGE_KEY = 'siteSettings';
+    static MAX_PATTERNS = 100;
+
+    /**
+     * Checks a page against the lists; the blacklist wins, a non-empty whitelist blocks everything else
+     *
+     * @param {string} url - Page URL
+     * @param {object} [siteSettings] - `{ whitelist: string[], blacklist: string[] }`
+     * @returns {{hostname: string, allowed: boolean, blockedBy: 'blacklist'|'whitelist'|null}} Site status
+     * @since 1.1.0
+     */
+    static getSiteStatus(url, siteSettings) {
+        const hostname = this.getHostname(url);
+        const whitelist = (siteSettings && siteSettings.whitelist) || [];
+        const blacklist = (siteSettings && siteSettings.blacklist) || [];
+
+        if (blacklist.some(pattern => this.matchesDomain(hostname, pattern))) {
+            return { hostname, allowed: false, blockedBy: 'blacklist' };
+        }
+        if (whitelist.length > 0 && !whitelist.some(pattern => this.matchesDomain(hostname, pattern))) {
+            return { hostname, allowed: false, blockedBy: 'whitelist' };
+        }
+        return { hostname, allowed: true, blockedBy: null };
+    }
+
+    /**
+     * @param {string} url - Page URL
+     * @param {object} [siteSettings] - `{ whitelist: string[], blacklist: string[] }`
+     * @returns {boolean} True when the extension may run on the page
+     * @since 1.1.0
+     */
+    static isAllowed(url, siteSettings) {
+        return this.getSiteStatus(url, siteSettings).allowed;
+    }
+
+    /**
+     * Matches a hostname against a domain pattern
+     *
+     * @param {string} hostname - Hostname to test
+     * @param {string} pattern - Domain pattern, optionally with `*` wildcards
+     * @returns {boolean} True when the hostname is covered by the pattern
+     * @since 1.1.0
+     * @example
+     * SiteFilter.matchesDomain('www.example.com', 'example.com'); // true
+     * SiteFilter.matchesDomain('example.com', '*.example.com'); // false
+     * SiteFilter.matchesDomain('tracker2.example.org', 'tracker*.example.org'); // true
+     */
+    static matchesDomain(hostname, pattern) {
+        if (!hostname || !pattern) {return false;}
+
+        const host = hostname.toLowerCase();
+        const domain = pattern.toLowerCase();
+
+        if (domain.includes('*')) {
+            const source = domain.split('*').map(part => part.replace(/[.+?^${}()|[\]\\-]/g, '\\$&')).join('.*');
+            return new RegExp(`^${source}$`).test(host);
+        }
+        return host === domain || host.endsWith(`.${domain}`);
+    }
+
+    /**
+     * Reduces user input such as `https://Example.com:8080/path` to a hostname pattern
+     *
+     * @param {string} pattern - Pattern as typed
+     * @returns {string} Normalized pattern, empty when nothing usable is left
+     * @since 1.1.0
+     */
+    static normalizePattern(pattern) {
+        const host = String(pattern || '')
+            .trim()
+            .toLowerCase()
+            .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+            .split(/[/?#]/)[0]
+            .replace(/:\d*$/, '');
+
+        return /^[a-z0-9.*-]+$/.test(host) ? host : '';
+    }
+
+    /**
+     * Enables or disables the extension on a site from the popup toggle
+     * Disabling blacklists the exact hostname; enabling drops the blacklist patterns covering it
+     * and, when a whitelist is in use, whitelists the hostname
+     *
+     * @param {string} url - Page URL
+     * @param {boolean} enabled - Whether the extension should run on the site
+     * @returns {Promise<object>} Updated site settings
+     * @throws {Error} When the page has no hostname or a list would exceed {@link SiteFilter.MAX_PATTERNS}
+     * @since 1.1.0
+     */
+    static async setSiteEnabled(url, enabled) {
+        const hostname = this.getHostname(url);
+        if (!hostname) {
+            throw new Error('This page has no site to enable or disable');
+        }
+
+        const result = await chrome.storage.sync.get([this.STORAGE_KEY]);
+        const current = result[this.STORAGE_KEY] || {};
+        const siteSettings = {
+            whitelist: [...(current.whitelist || [])],
+            blacklist: [...(current.blacklist || [])]
+        };
+
+        if (enabled) {
+            siteSettings.blacklist = siteSettings.blacklist.filter(pattern => !this.matchesDomain(hostname, pattern));
+            if (siteSettings.whitelist.length > 0 &&
+                !siteSettings.whitelist.some(pattern => this.matchesDomain(hostname, pattern))) {
+                siteSettings.whitelist.push(hostname);
+            }
+        } else if (this.isAllowed(url, siteSettings)) {
+            siteSettings.blacklist.push(hostname);
+        }
+
+        if (siteSettings.whitelist.length > this.MAX_PATTERNS || siteSettings.blacklist.length > this.MAX_PATTERNS) {
+            throw new Error(`Site lists cannot hold more than ${this.MAX_PATTERNS} entries`);
+        }
+
+        await chrome.storage.sync.set({ [this.STORAGE_KEY]: siteSettings });
+        return siteSettings;
+    }
+
+    /**
+     * @private
+     */
+    static getHostname(url) {
+        try {
+            return new URL(url).hostname;
+        } catch {
+            return '';
+        }
+    }
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+    window.SiteFilter = SiteFilter;
+}
@@ -0,0 +1,320 @@
+/**
+ * .torrent metadata inspection on top of Bencode
+ * Validates the metainfo structure and extracts the info-hashes, name, file list,
+ * piece length, trackers and private flag so malformed files are rejected before upload
+ *
+ * @class TorrentInspector
+ * @since 1.1.0
+ * @example
+ * const bytes = new Uint8Array(await response.arrayBuffer());
+ * const torrent = await TorrentInspector.inspect(bytes);
+ * console.log(torrent.name, torrent.infoHash, torrent.files.length);
+ */
+class TorrentInspector {
+    static V1_PIECE_HASH_LENGTH = 20; // SHA-1 per piece
+    static V2_PIECES_ROOT_LENGTH = 32; // SHA-256 merkle root per file
+    static V2_MIN_PIECE_LENGTH = 16 * 1024;
+    static PAD_FILE_ATTRIBUTE = 'p'; // BEP 47
+
+    /**
+     * Decodes and validates a .torrent file
+     *
+     * @param {Uint8Array|ArrayBuffer} data - Raw .torrent bytes
+     * @returns {Promise<object>} Torrent metadata:
+     *   `name`, `infoHash` (the id qBittorrent uses: v1 hash, or the v2 hash truncated to 40 chars
+     *   for v2-only torrents), `infoHashV1`, `infoHashV2`, `version` ('v1', 'v2' or 'hybrid'),
+     *   `files` ({index, path, size} without padding files, in qBittorrent's file index order),
+     *   `totalSize`, `pieceLength`, `pieceCount`, `trackers`, `private`, `comment`, `createdBy`
+     *   and `creationDate` (ms timestamp or null)
+     * @throws {Error} "Invalid torrent file: ..." naming the offending field or byte offset
+     * @since 1.1.0
+     * @example
+     * try {
+     *   const { name, infoHash, private: isPrivate } = await TorrentInspector.inspect(bytes);
+     * } catch (error) {
+     *   // e.g. "Invalid torrent file: info.files[2].length must be a non-negative integer"
+     * }
+     */
+    static async inspect(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const torrent = this.decode(bytes);
+        const { info } = torrent;
+
+        if (!this.isDictionary(info)) {
+            throw this.fail('missing info dictionary');
+        }
+
+        const name = this.readText(info['name.utf-8']) || this.readText(info.name);
+        if (!name) {
+            throw this.fail('info.name is missing');
+        }
+
+        const pieceLength = info['piece length'];
+        if (!Number.isSafeInteger(pieceLength) || pieceLength <= 0) {
+            throw this.fail('info.piece length must be a positive integer');
+        }
+
+        const hasV1 = info.pieces !== undefined;
+        const hasV2 = info['meta version'] === 2;
+        if (!hasV1 && !hasV2) {
+            throw this.fail('info.pieces is missing');
+        }
+
+        // Hybrid torrents carry identical v1 and v2 file lists; the v1 list includes padding
+        const { files, pieceCount } = hasV1 ? this.readV1Files(info, name) : this.readV2Content(info);
+
+        const infoBytes = Bencode.locate(bytes, 'info');
+        const infoHashV1 = hasV1 ? await this.digest('SHA-1', infoBytes) : null;
+        const infoHashV2 = hasV2 ? await this.digest('SHA-256', infoBytes) : null;
+
+        let version = 'v1';
+        if (hasV2) {
+            version = hasV1 ? 'hybrid' : 'v2';
+        }
+
+        return {
+            name,
+            infoHash: infoHashV1 || infoHashV2.substring(0, 40),
+            infoHashV1,
+            infoHashV2,
+            version,
+            files,
+            totalSize: files.reduce((total, file) => total + file.size, 0),
+            pieceLength,
+            pieceCount,
+            trackers: this.readTrackers(torrent),
+            private: info.private === 1,
+            comment: this.readText(torrent['comment.utf-8']) || this.readText(torrent.comment),
+            createdBy: this.readText(torrent['created by']),
+            creationDate: Number.isSafeInteger(torrent['creation date']) ? torrent['creation date'] * 1000 : null
+        };
+    }
+
+    /**
+     * Decodes the top-level dictionary with a readable error for common non-torrent responses
+     * @private
+     */
+    static decode(bytes) {
+        if (bytes.length === 0) {
+            throw this.fail('file is empty');
+        }
+        // Trackers that require a login often answer with an HTML page instead of the file
+        if (bytes[0] === 0x3c) { // <
+            throw this.fail('received an HTML page instead of a torrent (login required?)');
+        }
+
+        let torrent;
+        try {
+            torrent = Bencode.decode(bytes);
+        } catch (error) {
+            throw this.fail(error.message);
+        }
+
+        if (!this.isDictionary(torrent)) {
+            throw this.fail('top level is not a dictionary');
+        }
+        return torrent;
+    }
+
+    /**
+     * Reads the v1 single-file or multi-file layout and checks the piece hashes cover it
+     * @private
+     */
+    static readV1Files(info, name) {
+        if (!(info.pieces instanceof Uint8Array) || info.pieces.length % this.V1_PIECE_HASH_LENGTH !== 0) {
+            throw this.fail(`info.pieces must be a multiple of ${this.V1_PIECE_HASH_LENGTH} bytes`);
+        }
+        if ((info.length === undefined) === (info.files === undefined)) {
+            throw this.fail('info must contain either length or files');
+        }
+
+        const files = [];
+        let contentSize = 0; // Padding files included, as they are part of the piece data
+
+        if (info.files === undefined) {
+            contentSize = this.readLength(info.length, 'info.length');
+            files.push({ index: 0, path: name, size: contentSize });
+        } else {
+            if (!Array.isArray(info.files) || info.files.length === 0) {
+                throw this.fail('info.files must be a non-empty list');
+            }
+
+            info.files.forEach((file, position) => {
+                const field = `info.files[${position}]`;
+                if (!this.isDictionary(file)) {
+                    throw this.fail(`${field} is not a dictionary`);
+                }
+
+                const size = this.readLength(file.length, `${field}.length`);
+                contentSize += size;
+
+                // qBittorrent numbers files without the padding files
+                if (this.readText(file.attr).includes(this.PAD_FILE_ATTRIBUTE)) {return;}
+
+                const path = this.readPath(file['path.utf-8'] || file.path, `${field}.path`);
+                files.push({ index: files.length, path, size });
+            });
+        }
+
+        const pieceCount = info.pieces.length / this.V1_PIECE_HASH_LENGTH;
+        const expectedPieces = Math.ceil(contentSize / info['piece length']);
+        if (pieceCount !== expectedPieces) {
+            throw this.fail(`info.pieces has ${pieceCount} piece hashes, expected ${expectedPieces}`);
+        }
+
+        return { files, pieceCount };
+    }
+
+    /**
+     * Reads a v2-only layout, where every file starts on a piece boundary
+     * @private
+     */
+    static readV2Content(info) {
+        const pieceLength = info['piece length'];
+        if (pieceLength < this.V2_MIN_PIECE_LENGTH || (pieceLength & (pieceLength - 1)) !== 0) {
+            throw this.fail('info.piece length must be a power of two of at least 16 KiB for v2 torrents');
+        }
+
+        const files = this.readV2Files(info['file tree']);
+        const pieceCount = files.reduce((total, file) => total + Math.ceil(file.size / pieceLength), 0);
+        return { files, pieceCount };
+    }
+
+    /**
+     * Flattens the v2 `file tree` (nested dictionaries, files keyed by an empty name)
+     * @private
+     */
+    static readV2Files(fileTree) {
+        if (!this.isDictionary(fileTree)) {
+            throw this.fail('info.file tree is missing');
+        }
+
+        const files = [];
+        const walk = (node, parts) => {
+            // Keys are sorted in the encoding, which is also the order qBittorrent numbers files in
+            Object.keys(node).sort().forEach(key => {
+                const child = node[key];
+                const field = `info.file tree/${[...parts, key].join('/')}`;
+                if (!this.isDictionary(child)) {
+                    throw this.fail(`${field} is not a dictionary`);
+                }
+
+                if (key !== '') {
+                    this.checkPathSegment(key, field);
+                    walk(child, [...parts, key]);
+                    return;
+                }
+
+                if (parts.length === 0) {
+                    throw this.fail('info.file tree has a file without a name');
+                }
+                const size = this.readLength(child.length, `${field}.length`);
+                if (size > 0 && (!(child['pieces root'] instanceof Uint8Array) ||
+                    child['pieces root'].length !== this.V2_PIECES_ROOT_LENGTH)) {
+                    throw this.fail(`${field} needs a ${this.V2_PIECES_ROOT_LENGTH}-byte pieces root`);
+                }
+                files.push({ index: files.length, path: parts.join('/'), size });
+            });
+        };
+
+        walk(fileTree, []);
+        if (files.length === 0) {
+            throw this.fail('info.file tree contains no files');
+        }
+        return files;
+    }
+
+    /**
+     * Collects tracker URLs from announce-list tiers, falling back to announce
+     * @private
+     */
+    static readTrackers(torrent) {
+        const trackers = [];
+        const add = value => {
+            const url = this.readText(value).trim();
+            if (url && !trackers.includes(url)) {
+                trackers.push(url);
+            }
+        };
+
+        if (Array.isArray(torrent['announce-list'])) {
+            torrent['announce-list'].forEach(tier => {
+                if (Array.isArray(tier)) {
+                    tier.forEach(add);
+                }
+            });
+        }
+        add(torrent.announce);
+
+        return trackers;
+    }
+
+    /**
+     * @private
+     */
+    static readLength(value, field) {
+        if (!Number.isSafeInteger(value) || value < 0) {
+            throw this.fail(`${field} must be a non-negative integer`);
+        }
+        return value;
+    }
+
+    /**
+     * @private
+     */
+    static readPath(parts, field) {
+        if (!Array.isArray(parts) || parts.length === 0) {
+            throw this.fail(`${field} must be a non-empty list`);
+        }
+
+        return parts.map(part => {
+            const segment = this.readText(part);
+            this.checkPathSegment(segment, field);
+            return segment;
+        }).join('/');
+    }
+
+    /**
+     * Path segments must not escape the download directory
+     * @private
+     */
+    static checkPathSegment(segment, field) {
+        if (!segment || segment === '.' || segment === '..' || /[/\\]/.test(segment)) {
+            throw this.fail(`${field} contains an invalid path segment "${segment}"`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    static readText(value) {
+        return value instanceof Uint8Array ? Bencode.toText(value) : '';
+    }
+
+    /**
+     * @private
+     */
+    static isDictionary(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Uint8Array);
+    }
+
+    /**
+     * @private
+     */
+    static async digest(algorithm, bytes) {
+        const hash = await crypto.subtle.digest(algorithm, bytes);
+        return Array.from(new Uint8Array(hash), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @private
+     */
+    static fail(message) {
+        return new Error(`Invalid torrent file: ${message}`);
+    }
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+    window.TorrentInspector = TorrentInspector;
+}
@@ -102,7 +102,7 @@ class InputValidator {
 
     /**
      * Validates magnet link format for BitTorrent
-     * Ensures magnet links follow proper format with valid hash
+     * Accepts hex or base32 v1 info-hashes, v2 multihashes and hybrid links through MagnetUri
      *
      * @param {string} magnetUrl - The magnet link to validate
      * @returns {boolean} True if valid magnet link, false otherwise
@@ -114,14 +114,19 @@ class InputValidator {
      * // Returns: true
      *
      * @example
+     * const isBase32 = InputValidator.validateMagnetLink(
+     *   'magnet:?xt=urn:btih:YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKEK&tr=udp://a.example&tr=udp://b.example'
+     * );
+     * // Returns: true
+     *
+     * @example
      * const isInvalid = InputValidator.validateMagnetLink('not-a-magnet');
      * // Returns: false
      */
     static validateMagnetLink(magnetUrl) {
         if (typeof magnetUrl !== 'string') {return false;}
 
-        const magnetPattern = /^magnet:\?xt=urn:btih:[a-fA-F0-9]{32,40}(&[^&=]*=[^&]*)*$/;
-        return magnetPattern.test(magnetUrl);
+        return MagnetUri.isValid(magnetUrl);
     }
 
     /**
@@ -268,6 +273,30 @@ class InputValidator {
             .trim();
     }
 
+    /**
+     * Sanitizes a site whitelist/blacklist into hostname patterns
+     * URLs are reduced to their hostname and entries that are not hostnames are dropped
+     *
+     * @param {string[]} patterns - Domain patterns as entered, e.g. `example.com` or `*.example.com`
+     * @returns {string[]} Unique normalized patterns, at most 100
+     * @since 1.1.0
+     * @example
+     * InputValidator.sanitizeSitePatterns(['https://Example.com/path', '*.tracker.org', 'not a domain']);
+     * // Returns: ['example.com', '*.tracker.org']
+     */
+    static sanitizeSitePatterns(patterns) {
+        const normalize = typeof SiteFilter !== 'undefined'
+            ? pattern => SiteFilter.normalizePattern(pattern)
+            : pattern => pattern.trim().toLowerCase();
+
+        const sanitized = patterns
+            .filter(pattern => typeof pattern === 'string')
+            .map(normalize)
+            .filter(pattern => pattern.length > 0);
+
+        return [...new Set(sanitized)].slice(0, 100); // Limit number of domains
+    }
+
     /**
      * Validates network port numbers for TCP connections
      * Ensures port is within valid range (1-65535)
@@ -288,6 +317,62 @@ class InputValidator {
         return !isNaN(portNum) && portNum >= 1 && portNum <= 65535;
     }
 
+    /**
+     * Validates an extra request header for a server behind a reverse proxy
+     * Names must be HTTP tokens the browser lets extensions set; values must fit on one line
+     *
+     * @param {object} header - Header to validate
+     * @param {string} header.name - Header name
+     * @param {string} header.value - Header value
+     * @returns {boolean} True if the header can be sent with every request, false otherwise
+     * @since 1.1.0
+     * @example
+     * const isValid = InputValidator.validateHeader({ name: 'X-Auth-Token', value: 'abc123' });
+     * // Returns: true
+     *
+     * @example
+     * const isInvalid = InputValidator.validateHeader({ name: 'Cookie', value: 'SID=abc' });
+     * // Returns: false (fetch drops forbidden headers silently)
+     */
+    static validateHeader(header) {
+        if (!header || typeof header.name !== 'string' || typeof header.value !== 'string') {return false;}
+
+        const name = header.name.toLowerCase();
+        const forbidden = [
+            'accept-charset', 'accept-encoding', 'access-control-request-headers', 'access-control-request-method',
+            'connection', 'content-length', 'cookie', 'cookie2', 'date', 'dnt', 'expect', 'host', 'keep-alive',
+            'origin', 'referer', 'te', 'trailer', 'transfer-encoding', 'upgrade', 'via'
+        ];
+
+        return /^[!#$%&'*+.^_`|~0-9a-z-]{1,100}$/.test(name) &&
+            !forbidden.includes(name) &&
+            !name.startsWith('proxy-') &&
+            !name.startsWith('sec-') &&
+            !/[\r\n\0]/.test(header.value) &&
+            header.value.length <= 4096;
+    }
+
+    /**
+     * Validates a tracker announce URL added to magnets built from bare info-hashes
+     *
+     * @param {string} url - Announce URL
+     * @returns {boolean} True for http(s), udp and wss announce URLs, false otherwise
+     * @since 1.1.0
+     * @example
+     * const isValid = InputValidator.validateTrackerUrl('udp://tracker.opentrackr.org:1337/announce');
+     * // Returns: true
+     */
+    static validateTrackerUrl(url) {
+        if (typeof url !== 'string' || url.length > 500) {return false;}
+
+        try {
+            const parsed = new URL(url);
+            return ['http:', 'https:', 'udp:', 'wss:'].includes(parsed.protocol) && Boolean(parsed.hostname);
+        } catch {
+            return false;
+        }
+    }
+
     /**
      * Validates connection timeout values in seconds
      * Ensures timeout is reasonable (1-300 seconds)
@@ -363,13 +448,23 @@ class InputValidator {
      * @param {string} [data.server.username] - Authentication username
      * @param {string} [data.server.password] - Authentication password
      * @param {number} [data.server.customPort] - Custom port number
+     * @param {boolean} [data.server.skipLogin] - Server bypasses authentication for this client
+     * @param {string} [data.server.basicAuthUsername] - Reverse proxy basic auth username
+     * @param {string} [data.server.basicAuthPassword] - Reverse proxy basic auth password
+     * @param {Array<{name: string, value: string}>} [data.server.customHeaders] - Extra request headers
+     * @param {string} [data.server.name] - Server profile display name
+     * @param {string} [data.server.category] - Server profile default category
+     * @param {string} [data.server.savePath] - Server profile default save path
      * @param {object} [data.options] - Download behavior options
      * @param {string} [data.options.category] - Default category
      * @param {string} [data.options.savePath] - Default save path
      * @param {boolean} [data.options.paused] - Start torrents paused
+     * @param {string[]} [data.options.defaultTrackers] - Trackers added to magnets built from bare info-hashes
+     * @param {number} [data.options.batchConfirmThreshold] - Picked batches above this size ask again (0 never asks)
      * @param {object} [data.advanced] - Advanced configuration
      * @param {number} [data.advanced.connectionTimeout] - Connection timeout
      * @param {number} [data.advanced.retryAttempts] - Retry attempts
+     * @param {number} [data.advanced.historyRetentionDays] - Days to keep the send history
      * @param {object} [data.siteSettings] - Site-specific settings
      * @param {string[]} [data.siteSettings.whitelist] - Allowed domains
      * @param {string[]} [data.siteSettings.blacklist] - Blocked domains
@@ -422,6 +517,27 @@ class InputValidator {
                 }
             }
 
+            if (data.server.name) {
+                sanitized.server = sanitized.server || {};
+                sanitized.server.name = this.sanitizeHtml(data.server.name).substring(0, 50);
+            }
+
+            // Per-server defaults follow the same rules as the global options
+            if (data.server.category) {
+                sanitized.server = sanitized.server || {};
+                sanitized.server.category = this.sanitizeCategory(data.server.category);
+            }
+
+            if (data.server.savePath) {
+                sanitized.server = sanitized.server || {};
+                sanitized.server.savePath = this.sanitizePath(data.server.savePath);
+            }
+
+            if (data.server.useHttps !== undefined) {
+                sanitized.server = sanitized.server || {};
+                sanitized.server.useHttps = Boolean(data.server.useHttps);
+            }
+
             if (data.server.customPort !== undefined) {
                 if (this.validatePort(data.server.customPort)) {
                     sanitized.server = sanitized.server || {};
@@ -430,6 +546,43 @@ class InputValidator {
                     errors.push('Invalid port number');
                 }
             }
+
+            if (data.server.skipLogin !== undefined) {
+                sanitized.server = sanitized.server || {};
+                sanitized.server.skipLogin = Boolean(data.server.skipLogin);
+            }
+
+            // Basic auth is sent in a header, so the username cannot contain a colon
+            if (data.server.basicAuthUsername) {
+                if (data.server.basicAuthUsername.includes(':')) {
+                    errors.push('Basic auth username cannot contain ":"');
+                } else {
+                    sanitized.server = sanitized.server || {};
+                    sanitized.server.basicAuthUsername = data.server.basicAuthUsername.substring(0, 100).trim();
+                }
+            }
+
+            if (data.server.basicAuthPassword) {
+                if (data.server.basicAuthPassword.length <= 500) {
+                    sanitized.server = sanitized.server || {};
+                    sanitized.server.basicAuthPassword = data.server.basicAuthPassword;
+                } else {
+                    errors.push('Basic auth password must be at most 500 characters');
+                }
+            }
+
+            if (Array.isArray(data.server.customHeaders)) {
+                const invalid = data.server.customHeaders.filter(header => !this.validateHeader(header));
+                if (invalid.length === 0) {
+                    sanitized.server = sanitized.server || {};
+                    sanitized.server.customHeaders = data.server.customHeaders.map(header => ({
+                        name: header.name.trim(),
+                        value: header.value.trim()
+                    }));
+                } else {
+                    errors.push(`Invalid header: ${invalid.map(header => this.sanitizeHtml(String(header && header.name))).join(', ')}`);
+                }
+            }
         }
 
         // Validate options
@@ -445,11 +598,32 @@ class InputValidator {
             }
 
             // Boolean options
-            ['paused', 'skipHashCheck', 'autoDownload', 'showNotifications', 'showIndicators', 'scanDynamicContent'].forEach(key => {
+            [
+                'paused', 'skipHashCheck', 'mergeDuplicateTrackers', 'autoDownload',
+                'showNotifications', 'showIndicators', 'scanDynamicContent', 'scanFrames', 'probeDownloadLinks'
+            ].forEach(key => {
                 if (data.options[key] !== undefined) {
                     sanitized.options[key] = Boolean(data.options[key]);
                 }
             });
+
+            if (Array.isArray(data.options.defaultTrackers)) {
+                const invalid = data.options.defaultTrackers.filter(url => !this.validateTrackerUrl(url));
+                if (invalid.length === 0) {
+                    sanitized.options.defaultTrackers = [...new Set(data.options.defaultTrackers)].slice(0, 20);
+                } else {
+                    errors.push(`Invalid tracker URL: ${invalid.map(url => this.sanitizeHtml(String(url))).join(', ')}`);
+                }
+            }
+
+            if (data.options.batchConfirmThreshold !== undefined) {
+                const threshold = parseInt(data.options.batchConfirmThreshold, 10);
+                if (!isNaN(threshold) && threshold >= 0 && threshold <= 1000) {
+                    sanitized.options.batchConfirmThreshold = threshold;
+                } else {
+                    errors.push('Batch confirmation threshold must be between 0 and 1000');
+                }
+            }
         }
 
         // Validate advanced settings
@@ -475,6 +649,15 @@ class InputValidator {
             if (data.advanced.debugLogging !== undefined) {
                 sanitized.advanced.debugLogging = Boolean(data.advanced.debugLogging);
             }
+
+            if (data.advanced.historyRetentionDays !== undefined) {
+                const days = parseInt(data.advanced.historyRetentionDays, 10);
+                if (!isNaN(days) && days >= 1 && days <= 365) {
+                    sanitized.advanced.historyRetentionDays = days;
+                } else {
+                    errors.push('History retention must be between 1 and 365 days');
+                }
+            }
         }
 
         // Validate site settings
@@ -482,17 +665,11 @@ class InputValidator {
             sanitized.siteSettings = {};
 
             if (data.siteSettings.whitelist) {
-                sanitized.siteSettings.whitelist = data.siteSettings.whitelist
-                    .filter(domain => typeof domain === 'string' && domain.trim().length > 0)
-                    .map(domain => domain.trim().toLowerCase())
-                    .slice(0, 100); // Limit number of domains
+                sanitized.siteSettings.whitelist = this.sanitizeSitePatterns(data.siteSettings.whitelist);
             }
 
             if (data.siteSettings.blacklist) {
-                sanitized.siteSettings.blacklist = data.siteSettings.blacklist
-                    .filter(domain => typeof domain === 'string' && domain.trim().length > 0)
-                    .map(domain => domain.trim().toLowerCase())
-                    .slice(0, 100); // Limit number of domains
+                sanitized.siteSettings.blacklist = this.sanitizeSitePatterns(data.siteSettings.blacklist);
             }
         }
 